@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "scripts" ADD COLUMN     "titlePage" JSONB;
+
+-- AlterTable
+ALTER TABLE "scenes" ADD COLUMN     "color" TEXT,
+ADD COLUMN     "lengthEighths" INTEGER,
+ADD COLUMN     "pageLabel" TEXT,
+ADD COLUMN     "sceneLabel" TEXT;
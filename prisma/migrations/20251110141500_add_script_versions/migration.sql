@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "script_versions" (
+    "id" TEXT NOT NULL,
+    "scriptId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "authorId" TEXT,
+    "message" TEXT,
+    "source" TEXT NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "script_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "script_versions_scriptId_idx" ON "script_versions"("scriptId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "script_versions_scriptId_version_key" ON "script_versions"("scriptId", "version");
+
+-- AddForeignKey
+ALTER TABLE "script_versions" ADD CONSTRAINT "script_versions_scriptId_fkey" FOREIGN KEY ("scriptId") REFERENCES "scripts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "script_versions" ADD CONSTRAINT "script_versions_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
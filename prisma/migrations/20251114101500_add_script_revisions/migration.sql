@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "scripts" ADD COLUMN     "isLocked" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "lockedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "script_pages" ADD COLUMN     "pageLabel" TEXT,
+ADD COLUMN     "revisionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "script_revisions" (
+    "id" TEXT NOT NULL,
+    "scriptId" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "color" TEXT NOT NULL,
+    "pageColor" TEXT NOT NULL,
+    "mark" TEXT NOT NULL DEFAULT '*',
+    "notes" TEXT,
+    "createdById" TEXT,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "script_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "script_revisions_scriptId_idx" ON "script_revisions"("scriptId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "script_revisions_scriptId_sequence_key" ON "script_revisions"("scriptId", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "script_pages" ADD CONSTRAINT "script_pages_revisionId_fkey" FOREIGN KEY ("revisionId") REFERENCES "script_revisions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "script_revisions" ADD CONSTRAINT "script_revisions_scriptId_fkey" FOREIGN KEY ("scriptId") REFERENCES "scripts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "script_revisions" ADD CONSTRAINT "script_revisions_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "scenes" ADD COLUMN     "dialogue" JSONB;
+
+-- AlterTable
+ALTER TABLE "scripts" ADD COLUMN     "analyzedAt" TIMESTAMP(3);
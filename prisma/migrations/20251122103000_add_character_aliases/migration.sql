@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "characters" ADD COLUMN     "aliases" TEXT[] DEFAULT ARRAY[]::TEXT[];
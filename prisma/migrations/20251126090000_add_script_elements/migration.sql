@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "BreakdownCategory" AS ENUM ('CAST', 'EXTRAS', 'STUNTS', 'PROPS', 'WARDROBE', 'MAKEUP', 'VEHICLES', 'ANIMALS', 'SFX', 'VFX', 'SET_DRESSING', 'SOUND', 'SPECIAL_EQUIPMENT');
+
+-- CreateEnum
+CREATE TYPE "ElementStatus" AS ENUM ('SUGGESTED', 'CONFIRMED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "ElementSource" AS ENUM ('MANUAL', 'PARSER', 'AI');
+
+-- CreateTable
+CREATE TABLE "script_elements" (
+    "id" TEXT NOT NULL,
+    "scriptId" TEXT NOT NULL,
+    "sceneId" TEXT NOT NULL,
+    "characterId" TEXT,
+    "category" "BreakdownCategory" NOT NULL,
+    "name" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "notes" TEXT,
+    "text" TEXT,
+    "startOffset" INTEGER,
+    "endOffset" INTEGER,
+    "source" "ElementSource" NOT NULL DEFAULT 'MANUAL',
+    "status" "ElementStatus" NOT NULL DEFAULT 'CONFIRMED',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "script_elements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "script_elements_scriptId_category_idx" ON "script_elements"("scriptId", "category");
+
+-- CreateIndex
+CREATE INDEX "script_elements_sceneId_idx" ON "script_elements"("sceneId");
+
+-- CreateIndex
+CREATE INDEX "script_elements_characterId_idx" ON "script_elements"("characterId");
+
+-- AddForeignKey
+ALTER TABLE "script_elements" ADD CONSTRAINT "script_elements_scriptId_fkey" FOREIGN KEY ("scriptId") REFERENCES "scripts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "script_elements" ADD CONSTRAINT "script_elements_sceneId_fkey" FOREIGN KEY ("sceneId") REFERENCES "scenes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "script_elements" ADD CONSTRAINT "script_elements_characterId_fkey" FOREIGN KEY ("characterId") REFERENCES "characters"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "StripType" AS ENUM ('SCENE', 'DAY_BREAK', 'BANNER');
+
+-- CreateTable
+CREATE TABLE "shooting_schedules" (
+    "id" TEXT NOT NULL,
+    "scriptId" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3),
+    "daysOff" INTEGER[] DEFAULT ARRAY[0, 6]::INTEGER[],
+    "targetEighths" INTEGER NOT NULL DEFAULT 32,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shooting_schedules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "schedule_strips" (
+    "id" TEXT NOT NULL,
+    "scheduleId" TEXT NOT NULL,
+    "type" "StripType" NOT NULL,
+    "position" INTEGER NOT NULL,
+    "sceneId" TEXT,
+    "text" TEXT,
+    "color" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "schedule_strips_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shooting_schedules_scriptId_key" ON "shooting_schedules"("scriptId");
+
+-- CreateIndex
+CREATE INDEX "schedule_strips_scheduleId_position_idx" ON "schedule_strips"("scheduleId", "position");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "schedule_strips_scheduleId_sceneId_key" ON "schedule_strips"("scheduleId", "sceneId");
+
+-- AddForeignKey
+ALTER TABLE "shooting_schedules" ADD CONSTRAINT "shooting_schedules_scriptId_fkey" FOREIGN KEY ("scriptId") REFERENCES "scripts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "schedule_strips" ADD CONSTRAINT "schedule_strips_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "shooting_schedules"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "schedule_strips" ADD CONSTRAINT "schedule_strips_sceneId_fkey" FOREIGN KEY ("sceneId") REFERENCES "scenes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "shooting_schedules" ADD COLUMN     "travelCharacterIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "call_sheets" (
+    "id" TEXT NOT NULL,
+    "scheduleId" TEXT NOT NULL,
+    "day" INTEGER NOT NULL,
+    "generalCall" TEXT,
+    "castCalls" JSONB,
+    "locations" JSONB,
+    "weather" TEXT,
+    "notes" TEXT,
+    "shareToken" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "call_sheets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "call_sheets_shareToken_key" ON "call_sheets"("shareToken");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "call_sheets_scheduleId_day_key" ON "call_sheets"("scheduleId", "day");
+
+-- AddForeignKey
+ALTER TABLE "call_sheets" ADD CONSTRAINT "call_sheets_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "shooting_schedules"("id") ON DELETE CASCADE ON UPDATE CASCADE;
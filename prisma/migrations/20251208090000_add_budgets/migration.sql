@@ -0,0 +1,98 @@
+-- CreateEnum
+CREATE TYPE "BudgetSection" AS ENUM ('ABOVE_THE_LINE', 'PRODUCTION', 'POST_PRODUCTION', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN     "accountCode" TEXT;
+
+-- CreateTable
+CREATE TABLE "budgets" (
+    "id" TEXT NOT NULL,
+    "scriptId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "contingencyPercent" DOUBLE PRECISION NOT NULL DEFAULT 10,
+    "locked" BOOLEAN NOT NULL DEFAULT false,
+    "notes" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "budgets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "budget_accounts" (
+    "id" TEXT NOT NULL,
+    "budgetId" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "section" "BudgetSection" NOT NULL,
+    "position" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "budget_accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "budget_lines" (
+    "id" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "units" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "unitType" TEXT NOT NULL DEFAULT 'flat',
+    "multiplier" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "rate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "fringes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "autoKey" TEXT,
+    "position" INTEGER NOT NULL,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "budget_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "budget_fringes" (
+    "id" TEXT NOT NULL,
+    "budgetId" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "percent" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "budget_fringes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "budgets_scriptId_idx" ON "budgets"("scriptId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "budgets_scriptId_version_key" ON "budgets"("scriptId", "version");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "budget_accounts_budgetId_code_key" ON "budget_accounts"("budgetId", "code");
+
+-- CreateIndex
+CREATE INDEX "budget_lines_accountId_idx" ON "budget_lines"("accountId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "budget_fringes_budgetId_code_key" ON "budget_fringes"("budgetId", "code");
+
+-- AddForeignKey
+ALTER TABLE "budgets" ADD CONSTRAINT "budgets_scriptId_fkey" FOREIGN KEY ("scriptId") REFERENCES "scripts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "budgets" ADD CONSTRAINT "budgets_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "budget_accounts" ADD CONSTRAINT "budget_accounts_budgetId_fkey" FOREIGN KEY ("budgetId") REFERENCES "budgets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "budget_lines" ADD CONSTRAINT "budget_lines_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "budget_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "budget_fringes" ADD CONSTRAINT "budget_fringes_budgetId_fkey" FOREIGN KEY ("budgetId") REFERENCES "budgets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "scenes" ADD COLUMN     "locationId" TEXT;
+
+-- CreateTable
+CREATE TABLE "locations" (
+    "id" TEXT NOT NULL,
+    "scriptId" TEXT NOT NULL,
+    "parentId" TEXT,
+    "name" TEXT NOT NULL,
+    "aliases" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "description" TEXT,
+    "address" TEXT,
+    "contactName" TEXT,
+    "contactPhone" TEXT,
+    "contactEmail" TEXT,
+    "parking" TEXT,
+    "hospital" TEXT,
+    "permits" JSONB,
+    "availability" JSONB,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "locations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "locations_scriptId_idx" ON "locations"("scriptId");
+
+-- CreateIndex
+CREATE INDEX "locations_parentId_idx" ON "locations"("parentId");
+
+-- CreateIndex
+CREATE INDEX "scenes_locationId_idx" ON "scenes"("locationId");
+
+-- AddForeignKey
+ALTER TABLE "scenes" ADD CONSTRAINT "scenes_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "locations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "locations" ADD CONSTRAINT "locations_scriptId_fkey" FOREIGN KEY ("scriptId") REFERENCES "scripts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "locations" ADD CONSTRAINT "locations_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "locations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
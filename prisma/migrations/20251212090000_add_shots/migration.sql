@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "ShotSize" AS ENUM ('WS', 'MS', 'CU', 'ECU');
+
+-- CreateTable
+CREATE TABLE "shots" (
+    "id" TEXT NOT NULL,
+    "scriptId" TEXT NOT NULL,
+    "sceneId" TEXT NOT NULL,
+    "number" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "size" "ShotSize",
+    "angle" TEXT,
+    "movement" TEXT,
+    "lens" TEXT,
+    "equipment" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "description" TEXT,
+    "setupMinutes" INTEGER,
+    "characterIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "storyboardAssetId" TEXT,
+    "source" "ElementSource" NOT NULL DEFAULT 'MANUAL',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "shots_scriptId_idx" ON "shots"("scriptId");
+
+-- CreateIndex
+CREATE INDEX "shots_sceneId_position_idx" ON "shots"("sceneId", "position");
+
+-- CreateIndex
+CREATE INDEX "shots_storyboardAssetId_idx" ON "shots"("storyboardAssetId");
+
+-- AddForeignKey
+ALTER TABLE "shots" ADD CONSTRAINT "shots_scriptId_fkey" FOREIGN KEY ("scriptId") REFERENCES "scripts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shots" ADD CONSTRAINT "shots_sceneId_fkey" FOREIGN KEY ("sceneId") REFERENCES "scenes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shots" ADD CONSTRAINT "shots_storyboardAssetId_fkey" FOREIGN KEY ("storyboardAssetId") REFERENCES "ai_assets"("id") ON DELETE SET NULL ON UPDATE CASCADE;
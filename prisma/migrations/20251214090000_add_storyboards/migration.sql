@@ -0,0 +1,62 @@
+-- CreateTable
+CREATE TABLE "storyboards" (
+    "id" TEXT NOT NULL,
+    "scriptId" TEXT NOT NULL,
+    "sceneId" TEXT NOT NULL,
+    "style" TEXT NOT NULL,
+    "sceneLook" TEXT,
+    "characterLooks" JSONB,
+    "fromShotList" BOOLEAN NOT NULL DEFAULT false,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "storyboards_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "storyboard_frames" (
+    "id" TEXT NOT NULL,
+    "storyboardId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "shotId" TEXT,
+    "caption" TEXT NOT NULL,
+    "prompt" TEXT NOT NULL,
+    "generationId" TEXT,
+    "error" TEXT,
+
+    CONSTRAINT "storyboard_frames_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "storyboards_scriptId_idx" ON "storyboards"("scriptId");
+
+-- CreateIndex
+CREATE INDEX "storyboards_sceneId_idx" ON "storyboards"("sceneId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "storyboard_frames_generationId_key" ON "storyboard_frames"("generationId");
+
+-- CreateIndex
+CREATE INDEX "storyboard_frames_storyboardId_position_idx" ON "storyboard_frames"("storyboardId", "position");
+
+-- CreateIndex
+CREATE INDEX "storyboard_frames_shotId_idx" ON "storyboard_frames"("shotId");
+
+-- AddForeignKey
+ALTER TABLE "storyboards" ADD CONSTRAINT "storyboards_scriptId_fkey" FOREIGN KEY ("scriptId") REFERENCES "scripts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "storyboards" ADD CONSTRAINT "storyboards_sceneId_fkey" FOREIGN KEY ("sceneId") REFERENCES "scenes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "storyboards" ADD CONSTRAINT "storyboards_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "storyboard_frames" ADD CONSTRAINT "storyboard_frames_storyboardId_fkey" FOREIGN KEY ("storyboardId") REFERENCES "storyboards"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "storyboard_frames" ADD CONSTRAINT "storyboard_frames_shotId_fkey" FOREIGN KEY ("shotId") REFERENCES "shots"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "storyboard_frames" ADD CONSTRAINT "storyboard_frames_generationId_fkey" FOREIGN KEY ("generationId") REFERENCES "ai_generations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
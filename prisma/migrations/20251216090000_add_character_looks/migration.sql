@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "character_looks" (
+    "id" TEXT NOT NULL,
+    "characterId" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "wardrobe" TEXT,
+    "referenceAssetIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "seed" INTEGER,
+    "style" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "character_looks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "character_looks_characterId_key" ON "character_looks"("characterId");
+
+-- AddForeignKey
+ALTER TABLE "character_looks" ADD CONSTRAINT "character_looks_characterId_fkey" FOREIGN KEY ("characterId") REFERENCES "characters"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "InvitationStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED');
+
+-- CreateTable
+CREATE TABLE "script_invitations" (
+    "id" TEXT NOT NULL,
+    "scriptId" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "CollaboratorRole" NOT NULL DEFAULT 'VIEWER',
+    "token" TEXT NOT NULL,
+    "status" "InvitationStatus" NOT NULL DEFAULT 'PENDING',
+    "invitedById" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "script_invitations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "script_invitations_token_key" ON "script_invitations"("token");
+
+-- CreateIndex
+CREATE INDEX "script_invitations_scriptId_idx" ON "script_invitations"("scriptId");
+
+-- CreateIndex
+CREATE INDEX "script_invitations_email_idx" ON "script_invitations"("email");
+
+-- AddForeignKey
+ALTER TABLE "script_invitations" ADD CONSTRAINT "script_invitations_scriptId_fkey" FOREIGN KEY ("scriptId") REFERENCES "scripts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "script_invitations" ADD CONSTRAINT "script_invitations_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
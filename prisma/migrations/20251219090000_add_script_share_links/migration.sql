@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "ShareAccessEvent" AS ENUM ('OPEN', 'DENIED', 'PAGES', 'ASSETS', 'PDF');
+
+-- CreateTable
+CREATE TABLE "script_share_links" (
+    "id" TEXT NOT NULL,
+    "scriptId" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "label" TEXT,
+    "passwordHash" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "maxViews" INTEGER,
+    "viewCount" INTEGER NOT NULL DEFAULT 0,
+    "watermark" TEXT,
+    "includeAssets" BOOLEAN NOT NULL DEFAULT false,
+    "createdById" TEXT,
+    "lastViewedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "script_share_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "script_share_accesses" (
+    "id" TEXT NOT NULL,
+    "linkId" TEXT NOT NULL,
+    "event" "ShareAccessEvent" NOT NULL,
+    "detail" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "script_share_accesses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "script_share_links_token_key" ON "script_share_links"("token");
+
+-- CreateIndex
+CREATE INDEX "script_share_links_scriptId_idx" ON "script_share_links"("scriptId");
+
+-- CreateIndex
+CREATE INDEX "script_share_accesses_linkId_createdAt_idx" ON "script_share_accesses"("linkId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "script_share_links" ADD CONSTRAINT "script_share_links_scriptId_fkey" FOREIGN KEY ("scriptId") REFERENCES "scripts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "script_share_links" ADD CONSTRAINT "script_share_links_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "script_share_accesses" ADD CONSTRAINT "script_share_accesses_linkId_fkey" FOREIGN KEY ("linkId") REFERENCES "script_share_links"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "comments" ADD COLUMN     "pageNumber" INTEGER,
+ADD COLUMN     "startOffset" INTEGER,
+ADD COLUMN     "endOffset" INTEGER,
+ADD COLUMN     "quote" TEXT,
+ADD COLUMN     "detached" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "comments_scriptId_pageNumber_idx" ON "comments"("scriptId", "pageNumber");
+
+-- CreateIndex
+CREATE INDEX "comments_parentId_idx" ON "comments"("parentId");
@@ -43,4 +43,12 @@ try {
   };
 }
 
-module.exports = { redisClient };
+// BullMQ opens its own connections and requires maxRetriesPerRequest: null
+const queueConnection = {
+  host: process.env.REDIS_HOST || 'localhost',
+  port: process.env.REDIS_PORT || 6379,
+  password: process.env.REDIS_PASSWORD || undefined,
+  maxRetriesPerRequest: null,
+};
+
+module.exports = { redisClient, queueConnection };
@@ -30,18 +30,6 @@ class AIController {
         });
       }
 
-      // Check script ownership
-      const script = await prisma.script.findUnique({
-        where: { id: scriptId },
-      });
-
-      if (!script || script.ownerId !== userId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied to this script',
-        });
-      }
-
       // Generate video
       const result = await mediaAIService.generateVideo(
         scriptId,
@@ -88,18 +76,6 @@ class AIController {
         });
       }
 
-      // Check script ownership
-      const script = await prisma.script.findUnique({
-        where: { id: scriptId },
-      });
-
-      if (!script || script.ownerId !== userId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied to this script',
-        });
-      }
-
       const result = await mediaAIService.generateImage(
         scriptId,
         sceneId,
@@ -271,18 +247,6 @@ class AIController {
         });
       }
 
-      // Check ownership
-      const script = await prisma.script.findUnique({
-        where: { id: generation.scriptId },
-      });
-
-      if (!script || script.ownerId !== userId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied',
-        });
-      }
-
       res.json({
         success: true,
         generation,
@@ -306,18 +270,6 @@ class AIController {
       const userId = req.user.id;
       const { type, status } = req.query;
 
-      // Check script ownership
-      const script = await prisma.script.findUnique({
-        where: { id: scriptId },
-      });
-
-      if (!script || script.ownerId !== userId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied to this script',
-        });
-      }
-
       const filters = {};
       if (type) filters.type = type;
       if (status) filters.status = status;
@@ -359,18 +311,6 @@ class AIController {
         });
       }
 
-      // Check ownership
-      const script = await prisma.script.findUnique({
-        where: { id: generation.scriptId },
-      });
-
-      if (!script || script.ownerId !== userId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied',
-        });
-      }
-
       const result = await mediaAIService.deleteGeneration(id);
 
       console.log('🗑️  Generation deleted:', id);
@@ -416,18 +356,6 @@ class AIController {
       const userId = req.user.id;
       const { type } = req.query;
 
-      // Check ownership
-      const script = await prisma.script.findUnique({
-        where: { id: scriptId },
-      });
-
-      if (!script || script.ownerId !== userId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied',
-        });
-      }
-
       const where = { scriptId };
       if (type) where.type = type;
 
@@ -486,7 +414,7 @@ class AIController {
         });
       }
 
-      // Check script ownership
+      // Access was checked by the route (requireScriptRole)
       const script = await prisma.script.findUnique({
         where: { id: scriptId },
         include: {
@@ -512,13 +440,6 @@ class AIController {
         }
       });
 
-      if (!script || script.ownerId !== userId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied to this script',
-        });
-      }
-
       // Check if summary already exists
       if (script.metadata?.aiSummary) {
         console.log('📖 Using cached script summary');
@@ -664,26 +585,18 @@ class AIController {
 
       console.log('📊 Checking script summary status for:', scriptId);
 
-      // Check script ownership
+      // Access was checked by the route (requireScriptRole)
       const script = await prisma.script.findUnique({
         where: { id: scriptId },
         select: {
           id: true,
           title: true,
-          ownerId: true,
           metadata: true,
           updatedAt: true,
           version: true
         }
       });
 
-      if (!script || script.ownerId !== userId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied to this script',
-        });
-      }
-
       // Check if summary needs regeneration
       const needsRegeneration = await mediaAIService.shouldRegenerateSummary(scriptId);
 
@@ -726,24 +639,16 @@ class AIController {
 
       console.log('📖 Getting script summary for:', scriptId);
 
-      // Check script ownership
+      // Access was checked by the route (requireScriptRole)
       const script = await prisma.script.findUnique({
         where: { id: scriptId },
         select: {
           id: true,
           title: true,
-          ownerId: true,
           metadata: true
         }
       });
 
-      if (!script || script.ownerId !== userId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied to this script',
-        });
-      }
-
       // Check if summary exists
       if (script.metadata?.aiSummary) {
         return res.json({
@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const aiController = require('./ai.controller');
 const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole, fromParam, fromBody, fromRecord } = require('../../shared/middleware/permission.middleware');
+
+// Roles each route needs on the script
+const canGenerate = requireScriptRole('EDITOR', fromBody('scriptId'));
+const canView = requireScriptRole('VIEWER', fromParam('scriptId'));
+const canViewBody = requireScriptRole('VIEWER', fromBody('scriptId'));
+const canViewGeneration = requireScriptRole('VIEWER', fromRecord('aIGeneration', 'id'));
+const canEditGeneration = requireScriptRole('EDITOR', fromRecord('aIGeneration', 'id'));
 
 // All routes require authentication
 router.use(authenticateJWT);
@@ -13,21 +21,21 @@ router.use(authenticateJWT);
  * @desc    Generate video from text prompt using Veo 3.1
  * @access  Private
  */
-router.post('/generate/video', aiController.generateVideo.bind(aiController));
+router.post('/generate/video', canGenerate, aiController.generateVideo.bind(aiController));
 
 /**
  * @route   POST /api/ai/generate/video-from-image
  * @desc    Generate video from image (Image-to-Video)
  * @access  Private
  */
-router.post('/generate/video-from-image', aiController.generateVideoFromImage.bind(aiController));
+router.post('/generate/video-from-image', canGenerate, aiController.generateVideoFromImage.bind(aiController));
 
 /**
  * @route   POST /api/ai/generate/extend-video
  * @desc    Extend existing video
  * @access  Private
  */
-router.post('/generate/extend-video', aiController.extendVideo.bind(aiController));
+router.post('/generate/extend-video', canGenerate, aiController.extendVideo.bind(aiController));
 
 // ==================== IMAGE GENERATION ====================
 
@@ -36,7 +44,7 @@ router.post('/generate/extend-video', aiController.extendVideo.bind(aiController
  * @desc    Generate image using Imagen 3 / Nano Banana
  * @access  Private
  */
-router.post('/generate/image', aiController.generateImage.bind(aiController));
+router.post('/generate/image', canGenerate, aiController.generateImage.bind(aiController));
 
 // ==================== AUDIO GENERATION ====================
 
@@ -45,7 +53,7 @@ router.post('/generate/image', aiController.generateImage.bind(aiController));
  * @desc    Generate audio/voice
  * @access  Private
  */
-router.post('/generate/audio', aiController.generateAudio.bind(aiController));
+router.post('/generate/audio', canGenerate, aiController.generateAudio.bind(aiController));
 
 // ==================== GENERATION MANAGEMENT ====================
 
@@ -54,21 +62,21 @@ router.post('/generate/audio', aiController.generateAudio.bind(aiController));
  * @desc    Get generation status
  * @access  Private
  */
-router.get('/generation/:id', aiController.getGenerationStatus.bind(aiController));
+router.get('/generation/:id', canViewGeneration, aiController.getGenerationStatus.bind(aiController));
 
 /**
  * @route   GET /api/ai/generations/:scriptId
  * @desc    List all generations for a script
  * @access  Private
  */
-router.get('/generations/:scriptId', aiController.listGenerations.bind(aiController));
+router.get('/generations/:scriptId', canView, aiController.listGenerations.bind(aiController));
 
 /**
  * @route   DELETE /api/ai/generation/:id
  * @desc    Delete generation
  * @access  Private
  */
-router.delete('/generation/:id', aiController.deleteGeneration.bind(aiController));
+router.delete('/generation/:id', canEditGeneration, aiController.deleteGeneration.bind(aiController));
 
 // ==================== ASSETS ====================
 
@@ -77,7 +85,7 @@ router.delete('/generation/:id', aiController.deleteGeneration.bind(aiController
  * @desc    List AI assets for a script
  * @access  Private
  */
-router.get('/assets/:scriptId', aiController.listAssets.bind(aiController));
+router.get('/assets/:scriptId', canView, aiController.listAssets.bind(aiController));
 
 // ==================== SCRIPT ANALYSIS ====================
 
@@ -86,21 +94,21 @@ router.get('/assets/:scriptId', aiController.listAssets.bind(aiController));
  * @desc    Generate script summary using Gemini AI
  * @access  Private
  */
-router.post('/script/summary', aiController.generateScriptSummary.bind(aiController));
+router.post('/script/summary', canGenerate, aiController.generateScriptSummary.bind(aiController));
 
 /**
  * @route   GET /api/ai/script/summary/status/:scriptId
  * @desc    Check script summary status and cache info
  * @access  Private
  */
-router.get('/script/summary/status/:scriptId', aiController.getScriptSummaryStatus.bind(aiController));
+router.get('/script/summary/status/:scriptId', canView, aiController.getScriptSummaryStatus.bind(aiController));
 
 /**
  * @route   GET /api/ai/script/summary/:scriptId
  * @desc    Get script summary (cached or generate new)
  * @access  Private
  */
-router.get('/script/summary/:scriptId', aiController.getScriptSummary.bind(aiController));
+router.get('/script/summary/:scriptId', canView, aiController.getScriptSummary.bind(aiController));
 
 // ==================== UTILITIES ====================
 
@@ -109,7 +117,7 @@ router.get('/script/summary/:scriptId', aiController.getScriptSummary.bind(aiCon
  * @desc    Test prompt enhancement (debug endpoint)
  * @access  Private
  */
-router.post('/test/prompt-enhancement', aiController.testPromptEnhancement.bind(aiController));
+router.post('/test/prompt-enhancement', canViewBody, aiController.testPromptEnhancement.bind(aiController));
 
 /**
  * @route   GET /api/ai/test
@@ -0,0 +1,232 @@
+const { prisma } = require('../../config/database.config');
+const { SCREEN_TIME } = require('../../shared/constants');
+const scheduleService = require('../schedule/schedule.service');
+const doodService = require('../schedule/dood.service');
+const { CHART_OF_ACCOUNTS } = require('./budget-template');
+
+const WEEK_DAYS = 5;
+
+// Fields auto-population keeps in step with the script; rates, fringes and
+// notes stay as the producer set them. Template lines only follow the
+// number of shoot days.
+const SYNCED_FIELDS = ['description', 'units', 'unitType', 'multiplier'];
+const TEMPLATE_SYNCED_FIELDS = ['units'];
+
+const ELEMENT_CATEGORIES = CHART_OF_ACCOUNTS
+  .filter(account => account.auto?.source === 'category')
+  .map(account => account.auto.category);
+
+/**
+ * Budget lines estimated from the script: cast days from the Day Out of
+ * Days, breakdown elements by category, and crew, equipment and location
+ * days from the stripboard. Scenes not on the board yet count as
+ * SCREEN_TIME.PAGES_PER_SHOOTING_DAY pages a day.
+ */
+class BudgetEstimateService {
+  /**
+   * Auto lines for each account code of the template chart:
+   * { shootDays, weeks, accounts: { [code]: [line] } }
+   */
+  async plan(scriptId, client = prisma) {
+    const board = await scheduleService.buildBoard(scriptId, client);
+    const [characters, elements] = await Promise.all([
+      client.character.findMany({
+        where: { scriptId },
+        orderBy: { lines: 'desc' },
+        select: { id: true, name: true, sceneIds: true },
+      }),
+      // Suggested tags count too: the estimate should not wait for review
+      client.scriptElement.findMany({
+        where: {
+          scriptId,
+          category: { in: ELEMENT_CATEGORIES },
+          status: { not: 'REJECTED' },
+        },
+        orderBy: { name: 'asc' },
+      }),
+    ]);
+
+    const scenes = [
+      ...board.strips.filter(strip => strip.type === 'SCENE').map(strip => strip.scene),
+      ...board.unscheduled,
+    ];
+    const sceneDays = new Map(board.strips
+      .filter(strip => strip.type === 'SCENE' && strip.day)
+      .map(strip => [strip.scene.id, strip.day]));
+    const eighths = new Map(scenes.map(scene => [scene.id, scene.eighths]));
+
+    // Unscheduled scenes in whole shoot days
+    const extraDays = (sceneIds) => {
+      const unscheduled = sceneIds
+        .filter(id => eighths.has(id) && !sceneDays.has(id))
+        .reduce((sum, id) => sum + eighths.get(id), 0);
+      return Math.ceil(unscheduled / (8 * SCREEN_TIME.PAGES_PER_SHOOTING_DAY));
+    };
+    const daysFor = (sceneIds) => Math.max(1,
+      new Set(sceneIds.filter(id => sceneDays.has(id)).map(id => sceneDays.get(id))).size + extraDays(sceneIds));
+
+    const shootDays = Math.max(1, board.days.length + extraDays(scenes.map(scene => scene.id)));
+    const weeks = Math.ceil(shootDays / WEEK_DAYS);
+    const dood = doodService.buildReport(board, characters);
+
+    const accounts = Object.fromEntries(CHART_OF_ACCOUNTS.map(account => {
+      const lines = (account.lines || [])
+        .map((line, index) => ({ line, index }))
+        .filter(({ line }) => line.per)
+        .map(({ line, index }) => ({
+          ...this.templateLine(line),
+          units: line.per === 'week' ? weeks : shootDays,
+          unitType: line.per === 'week' ? 'weeks' : 'days',
+          autoKey: `template:${index}`,
+        }));
+
+      const auto = account.auto;
+      if (auto?.source === 'cast') {
+        dood.cast.forEach((member, index) => {
+          const sceneIds = characters[index].sceneIds || [];
+          if (sceneIds.length === 0) return;
+
+          lines.push(this.autoLine(auto, {
+            autoKey: `cast:${member.id}`,
+            description: `${member.castNumber}. ${member.name}`,
+            units: Math.max(1, member.total + extraDays(sceneIds)),
+            unitType: 'days',
+          }));
+        });
+      } else if (auto?.source === 'category') {
+        this.groupElements(elements.filter(element => element.category === auto.category)).forEach(item => {
+          lines.push(this.autoLine(auto, {
+            autoKey: `${auto.category}:${item.name.toUpperCase()}`,
+            description: item.name,
+            ...(auto.per === 'day'
+              ? { units: daysFor(item.sceneIds), unitType: 'days', multiplier: item.quantity }
+              : { units: item.quantity, unitType: 'each', multiplier: 1 }),
+          }));
+        });
+      } else if (auto?.source === 'sets') {
+        const sets = new Map();
+        scenes.forEach(scene => {
+          if (!sets.has(scene.set)) sets.set(scene.set, []);
+          sets.get(scene.set).push(scene.id);
+        });
+
+        sets.forEach((sceneIds, set) => {
+          lines.push(this.autoLine(auto, {
+            autoKey: `set:${set}`,
+            description: set,
+            units: daysFor(sceneIds),
+            unitType: 'days',
+          }));
+        });
+      }
+
+      return [account.code, lines];
+    }));
+
+    return { shootDays, weeks, accounts };
+  }
+
+  /**
+   * The template chart with its fixed lines and the planned auto lines,
+   * as budget accounts ready to create
+   */
+  templateAccounts(plan) {
+    return CHART_OF_ACCOUNTS.map(account => ({
+      code: account.code,
+      name: account.name,
+      section: account.section,
+      lines: [
+        ...(account.lines || []).filter(line => !line.per).map(line => this.templateLine(line)),
+        ...(plan.accounts[account.code] || []),
+      ],
+    }));
+  }
+
+  /**
+   * Bring the auto lines of a budget in step with the script: update the
+   * ones still planned, add new ones, delete the ones whose cast member,
+   * element or set is gone. Manual lines and accounts missing from the
+   * budget are left alone.
+   */
+  async populate(client, budget) {
+    const plan = await this.plan(budget.scriptId, client);
+    const counts = { created: 0, updated: 0, removed: 0 };
+
+    for (const account of budget.accounts) {
+      const planned = new Map((plan.accounts[account.code] || []).map(line => [line.autoKey, line]));
+      const autoLines = account.lines.filter(line => line.autoKey);
+      const stale = autoLines.filter(line => !planned.has(line.autoKey));
+      let position = Math.max(-1, ...account.lines.map(line => line.position)) + 1;
+
+      if (stale.length > 0) {
+        await client.budgetLine.deleteMany({ where: { id: { in: stale.map(line => line.id) } } });
+        counts.removed += stale.length;
+      }
+
+      for (const line of autoLines) {
+        const target = planned.get(line.autoKey);
+        if (!target) continue;
+        planned.delete(line.autoKey);
+
+        const fields = line.autoKey.startsWith('template:') ? TEMPLATE_SYNCED_FIELDS : SYNCED_FIELDS;
+        const changes = Object.fromEntries(fields
+          .filter(field => line[field] !== target[field])
+          .map(field => [field, target[field]]));
+        if (Object.keys(changes).length === 0) continue;
+
+        await client.budgetLine.update({ where: { id: line.id }, data: changes });
+        counts.updated++;
+      }
+
+      for (const line of planned.values()) {
+        await client.budgetLine.create({
+          data: { accountId: account.id, ...line, position: position++ },
+        });
+        counts.created++;
+      }
+    }
+
+    return counts;
+  }
+
+  templateLine(line) {
+    return {
+      description: line.description,
+      units: line.units ?? 1,
+      unitType: line.unitType || 'flat',
+      multiplier: line.multiplier ?? 1,
+      rate: line.rate ?? 0,
+      fringes: line.fringes || [],
+      autoKey: null,
+    };
+  }
+
+  autoLine(auto, line) {
+    return {
+      multiplier: 1,
+      rate: auto.rate ?? 0,
+      fringes: auto.fringes || [],
+      ...line,
+    };
+  }
+
+  /**
+   * One item per element name with its largest quantity and its scenes
+   */
+  groupElements(elements) {
+    const items = new Map();
+
+    elements.forEach(element => {
+      const key = element.name.toUpperCase();
+      if (!items.has(key)) items.set(key, { name: element.name, quantity: 0, sceneIds: [] });
+
+      const item = items.get(key);
+      item.quantity = Math.max(item.quantity, element.quantity);
+      if (!item.sceneIds.includes(element.sceneId)) item.sceneIds.push(element.sceneId);
+    });
+
+    return [...items.values()];
+  }
+}
+
+module.exports = new BudgetEstimateService();
@@ -0,0 +1,171 @@
+/**
+ * Template chart of accounts for new budgets. Rates are starting points
+ * for the producer to adjust; fringes are the BudgetFringe codes below.
+ *
+ * `lines` are copied into every new budget. Lines with `per` are priced by
+ * the shoot day or week, so auto-population keeps their units in step
+ * with the schedule. `auto` fills an account from the script:
+ *   cast     - one line per character, days from the Day Out of Days
+ *   category - one line per breakdown element of that category; with
+ *              per: 'day' it is booked for the days its scenes shoot
+ *   sets     - one line per set, for the days shot there
+ */
+const CHART_OF_ACCOUNTS = [
+  {
+    code: '1100', name: 'Story & Rights', section: 'ABOVE_THE_LINE',
+    lines: [{ description: 'Screenplay', unitType: 'flat', rate: 50000, fringes: ['WGA'] }],
+  },
+  {
+    code: '1200', name: 'Producers', section: 'ABOVE_THE_LINE',
+    lines: [{ description: 'Producer', unitType: 'flat', rate: 75000 }],
+  },
+  {
+    code: '1300', name: 'Director', section: 'ABOVE_THE_LINE',
+    lines: [{ description: 'Director (prep and shoot)', per: 'week', multiplier: 2, rate: 12000, fringes: ['DGA'] }],
+  },
+  {
+    code: '1400', name: 'Cast', section: 'ABOVE_THE_LINE',
+    auto: { source: 'cast', rate: 1200, fringes: ['PAYROLL', 'SAG'] },
+  },
+  {
+    code: '2000', name: 'Production Staff', section: 'PRODUCTION',
+    lines: [
+      { description: 'Unit production manager', per: 'week', rate: 3500, fringes: ['PAYROLL', 'DGA'] },
+      { description: '1st assistant director', per: 'week', rate: 4000, fringes: ['PAYROLL', 'DGA'] },
+      { description: 'Production assistants', per: 'day', multiplier: 4, rate: 200, fringes: ['PAYROLL'] },
+    ],
+  },
+  {
+    code: '2100', name: 'Extra Talent', section: 'PRODUCTION',
+    auto: { source: 'category', category: 'EXTRAS', per: 'day', rate: 182, fringes: ['PAYROLL', 'SAG'] },
+  },
+  {
+    code: '2200', name: 'Art Department', section: 'PRODUCTION',
+    lines: [{ description: 'Production designer', per: 'week', multiplier: 2, rate: 3500, fringes: ['PAYROLL'] }],
+  },
+  {
+    code: '2300', name: 'Set Construction', section: 'PRODUCTION',
+    lines: [{ description: 'Construction', unitType: 'allow', rate: 15000 }],
+  },
+  {
+    code: '2400', name: 'Set Dressing', section: 'PRODUCTION',
+    auto: { source: 'category', category: 'SET_DRESSING', rate: 250 },
+  },
+  {
+    code: '2500', name: 'Property', section: 'PRODUCTION',
+    auto: { source: 'category', category: 'PROPS', rate: 150 },
+  },
+  {
+    code: '2600', name: 'Wardrobe', section: 'PRODUCTION',
+    auto: { source: 'category', category: 'WARDROBE', rate: 300 },
+  },
+  {
+    code: '2700', name: 'Makeup & Hair', section: 'PRODUCTION',
+    lines: [{ description: 'Makeup and hair artists', per: 'day', multiplier: 2, rate: 450, fringes: ['PAYROLL'] }],
+    auto: { source: 'category', category: 'MAKEUP', rate: 200 },
+  },
+  {
+    code: '2800', name: 'Camera', section: 'PRODUCTION',
+    lines: [
+      { description: 'Director of photography', per: 'week', rate: 6000, fringes: ['PAYROLL'] },
+      { description: 'Camera crew', per: 'day', multiplier: 3, rate: 500, fringes: ['PAYROLL'] },
+      { description: 'Camera package', per: 'week', rate: 5000 },
+    ],
+  },
+  {
+    code: '2900', name: 'Electric', section: 'PRODUCTION',
+    lines: [
+      { description: 'Gaffer and electricians', per: 'day', multiplier: 3, rate: 500, fringes: ['PAYROLL'] },
+      { description: 'Lighting package', per: 'week', rate: 4000 },
+    ],
+  },
+  {
+    code: '3000', name: 'Grip', section: 'PRODUCTION',
+    lines: [
+      { description: 'Key grip and grips', per: 'day', multiplier: 3, rate: 480, fringes: ['PAYROLL'] },
+      { description: 'Grip package', per: 'week', rate: 2500 },
+    ],
+  },
+  {
+    code: '3100', name: 'Production Sound', section: 'PRODUCTION',
+    lines: [{ description: 'Sound mixer and boom operator', per: 'day', multiplier: 2, rate: 550, fringes: ['PAYROLL'] }],
+    auto: { source: 'category', category: 'SOUND', rate: 100 },
+  },
+  {
+    code: '3200', name: 'Transportation', section: 'PRODUCTION',
+    lines: [{ description: 'Production vehicles and drivers', per: 'day', rate: 900, fringes: ['PAYROLL'] }],
+  },
+  {
+    code: '3300', name: 'Picture Vehicles', section: 'PRODUCTION',
+    auto: { source: 'category', category: 'VEHICLES', per: 'day', rate: 500 },
+  },
+  {
+    code: '3400', name: 'Animals', section: 'PRODUCTION',
+    auto: { source: 'category', category: 'ANIMALS', per: 'day', rate: 750 },
+  },
+  {
+    code: '3500', name: 'Locations', section: 'PRODUCTION',
+    lines: [{ description: 'Location manager', per: 'week', rate: 2800, fringes: ['PAYROLL'] }],
+    auto: { source: 'sets', per: 'day', rate: 2000 },
+  },
+  {
+    code: '3600', name: 'Special Effects', section: 'PRODUCTION',
+    auto: { source: 'category', category: 'SFX', rate: 1500 },
+  },
+  {
+    code: '3700', name: 'Stunts', section: 'PRODUCTION',
+    auto: { source: 'category', category: 'STUNTS', per: 'day', rate: 1300, fringes: ['PAYROLL', 'SAG'] },
+  },
+  {
+    code: '3800', name: 'Special Equipment', section: 'PRODUCTION',
+    auto: { source: 'category', category: 'SPECIAL_EQUIPMENT', per: 'day', rate: 800 },
+  },
+  {
+    code: '3900', name: 'Catering', section: 'PRODUCTION',
+    lines: [{ description: 'Meals (cast and crew)', per: 'day', multiplier: 40, rate: 35 }],
+  },
+  {
+    code: '4000', name: 'Editorial', section: 'POST_PRODUCTION',
+    lines: [{ description: 'Editor', unitType: 'weeks', units: 12, rate: 3500, fringes: ['PAYROLL'] }],
+  },
+  {
+    code: '4100', name: 'Music', section: 'POST_PRODUCTION',
+    lines: [{ description: 'Composer', unitType: 'flat', rate: 25000 }],
+  },
+  {
+    code: '4200', name: 'Post Sound', section: 'POST_PRODUCTION',
+    lines: [{ description: 'Sound editing and mix', unitType: 'allow', rate: 30000 }],
+  },
+  {
+    code: '4300', name: 'Visual Effects', section: 'POST_PRODUCTION',
+    auto: { source: 'category', category: 'VFX', rate: 5000 },
+  },
+  {
+    code: '5000', name: 'Insurance', section: 'OTHER',
+    lines: [{ description: 'Production package', unitType: 'allow', rate: 25000 }],
+  },
+  {
+    code: '5100', name: 'General Expense', section: 'OTHER',
+    lines: [{ description: 'Legal and accounting', unitType: 'allow', rate: 15000 }],
+  },
+];
+
+const FRINGES = [
+  { code: 'PAYROLL', name: 'Payroll taxes and workers comp', percent: 18 },
+  { code: 'SAG', name: 'SAG-AFTRA pension and health', percent: 21 },
+  { code: 'DGA', name: 'DGA pension and health', percent: 17.5 },
+  { code: 'WGA', name: 'WGA pension and health', percent: 19.5 },
+];
+
+const SECTION_LABELS = {
+  ABOVE_THE_LINE: 'Above the Line',
+  PRODUCTION: 'Production',
+  POST_PRODUCTION: 'Post Production',
+  OTHER: 'Other',
+};
+
+module.exports = {
+  CHART_OF_ACCOUNTS,
+  FRINGES,
+  SECTION_LABELS,
+};
@@ -0,0 +1,326 @@
+const budgetService = require('./budget.service');
+
+class BudgetController {
+  /**
+   * List the budget drafts of a script
+   * GET /api/budget/script/:scriptId
+   */
+  async listBudgets(req, res, next) {
+    try {
+      const budgets = await budgetService.listBudgets(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Budgets retrieved successfully',
+        data: budgets,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a budget draft from the template (populated from the script)
+   * or as a copy of another draft (fromBudgetId)
+   * POST /api/budget/script/:scriptId
+   */
+  async createBudget(req, res, next) {
+    try {
+      const budget = await budgetService.createBudget(req.params.scriptId, req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Budget created successfully',
+        data: budget,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Charge a task to a budget account (accountCode, null to clear)
+   * PUT /api/budget/script/:scriptId/tasks/:taskId/account
+   */
+  async assignTaskAccount(req, res, next) {
+    try {
+      const task = await budgetService.assignTaskAccount(req.params.scriptId, req.params.taskId, req.user.id, req.body.accountCode ?? null);
+
+      res.json({
+        success: true,
+        message: 'Task account updated successfully',
+        data: task,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a budget draft with accounts, lines and top sheet
+   * GET /api/budget/:id
+   */
+  async getBudget(req, res, next) {
+    try {
+      const budget = await budgetService.getBudget(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Budget retrieved successfully',
+        data: budget,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the top sheet (section totals, contingency, grand total)
+   * GET /api/budget/:id/top-sheet
+   */
+  async getTopSheet(req, res, next) {
+    try {
+      const topSheet = await budgetService.getTopSheet(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Top sheet retrieved successfully',
+        data: topSheet,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get budget vs. actuals per account from the tasks charged to it
+   * GET /api/budget/:id/actuals
+   */
+  async getActuals(req, res, next) {
+    try {
+      const actuals = await budgetService.getActuals(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Budget actuals retrieved successfully',
+        data: actuals,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a draft (name, notes, currency, contingencyPercent, locked)
+   * PATCH /api/budget/:id
+   */
+  async updateBudget(req, res, next) {
+    try {
+      const budget = await budgetService.updateBudget(req.params.id, req.user.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Budget updated successfully',
+        data: budget,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a draft
+   * DELETE /api/budget/:id
+   */
+  async deleteBudget(req, res, next) {
+    try {
+      const result = await budgetService.deleteBudget(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Refresh the auto-populated lines from the breakdown, cast and schedule
+   * POST /api/budget/:id/populate
+   */
+  async populateBudget(req, res, next) {
+    try {
+      const result = await budgetService.populateBudget(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Budget populated successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add an account (code, name, section)
+   * POST /api/budget/:id/accounts
+   */
+  async addAccount(req, res, next) {
+    try {
+      const account = await budgetService.addAccount(req.params.id, req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Account added successfully',
+        data: account,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update an account (code, name, section)
+   * PATCH /api/budget/accounts/:accountId
+   */
+  async updateAccount(req, res, next) {
+    try {
+      const account = await budgetService.updateAccount(req.params.accountId, req.user.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Account updated successfully',
+        data: account,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an account and its lines
+   * DELETE /api/budget/accounts/:accountId
+   */
+  async deleteAccount(req, res, next) {
+    try {
+      const result = await budgetService.deleteAccount(req.params.accountId, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a line (description, units, unitType, multiplier, rate, fringes)
+   * POST /api/budget/accounts/:accountId/lines
+   */
+  async addLine(req, res, next) {
+    try {
+      const line = await budgetService.addLine(req.params.accountId, req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Line added successfully',
+        data: line,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a line
+   * PATCH /api/budget/lines/:lineId
+   */
+  async updateLine(req, res, next) {
+    try {
+      const line = await budgetService.updateLine(req.params.lineId, req.user.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Line updated successfully',
+        data: line,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a line
+   * DELETE /api/budget/lines/:lineId
+   */
+  async deleteLine(req, res, next) {
+    try {
+      const result = await budgetService.deleteLine(req.params.lineId, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a fringe (code, name, percent)
+   * POST /api/budget/:id/fringes
+   */
+  async addFringe(req, res, next) {
+    try {
+      const fringe = await budgetService.addFringe(req.params.id, req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Fringe added successfully',
+        data: fringe,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a fringe (name, percent)
+   * PATCH /api/budget/fringes/:fringeId
+   */
+  async updateFringe(req, res, next) {
+    try {
+      const fringe = await budgetService.updateFringe(req.params.fringeId, req.user.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Fringe updated successfully',
+        data: fringe,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a fringe and remove it from its lines
+   * DELETE /api/budget/fringes/:fringeId
+   */
+  async deleteFringe(req, res, next) {
+    try {
+      const result = await budgetService.deleteFringe(req.params.fringeId, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new BudgetController();
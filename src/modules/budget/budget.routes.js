@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const budgetController = require('./budget.controller');
+const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole, fromParam, fromRecord } = require('../../shared/middleware/permission.middleware');
+
+// Roles each route needs on the script of the budget, account, line or fringe
+const canViewScript = requireScriptRole('VIEWER', fromParam('scriptId'));
+const canEditScript = requireScriptRole('EDITOR', fromParam('scriptId'));
+const canView = requireScriptRole('VIEWER', fromRecord('budget', 'id'));
+const canEdit = requireScriptRole('EDITOR', fromRecord('budget', 'id'));
+const canEditAccount = requireScriptRole('EDITOR', fromRecord('budgetAccount', 'accountId', 'budget.scriptId'));
+const canEditLine = requireScriptRole('EDITOR', fromRecord('budgetLine', 'lineId', 'account.budget.scriptId'));
+const canEditFringe = requireScriptRole('EDITOR', fromRecord('budgetFringe', 'fringeId', 'budget.scriptId'));
+
+// All routes require authentication
+router.use(authenticateJWT);
+
+// Budget drafts of a script; new drafts from the template or a copy
+router.get('/script/:scriptId', canViewScript, budgetController.listBudgets.bind(budgetController));
+router.post('/script/:scriptId', canEditScript, budgetController.createBudget.bind(budgetController));
+
+// Charge a task's costs to a budget account
+router.put('/script/:scriptId/tasks/:taskId/account', canEditScript, budgetController.assignTaskAccount.bind(budgetController));
+
+// Update / remove accounts, lines and fringes
+router.patch('/accounts/:accountId', canEditAccount, budgetController.updateAccount.bind(budgetController));
+router.delete('/accounts/:accountId', canEditAccount, budgetController.deleteAccount.bind(budgetController));
+router.post('/accounts/:accountId/lines', canEditAccount, budgetController.addLine.bind(budgetController));
+router.patch('/lines/:lineId', canEditLine, budgetController.updateLine.bind(budgetController));
+router.delete('/lines/:lineId', canEditLine, budgetController.deleteLine.bind(budgetController));
+router.patch('/fringes/:fringeId', canEditFringe, budgetController.updateFringe.bind(budgetController));
+router.delete('/fringes/:fringeId', canEditFringe, budgetController.deleteFringe.bind(budgetController));
+
+// A draft, its top sheet and budget vs. actuals
+router.get('/:id', canView, budgetController.getBudget.bind(budgetController));
+router.get('/:id/top-sheet', canView, budgetController.getTopSheet.bind(budgetController));
+router.get('/:id/actuals', canView, budgetController.getActuals.bind(budgetController));
+router.patch('/:id', canEdit, budgetController.updateBudget.bind(budgetController));
+router.delete('/:id', canEdit, budgetController.deleteBudget.bind(budgetController));
+
+// Refresh auto-populated lines from the breakdown, cast and schedule
+router.post('/:id/populate', canEdit, budgetController.populateBudget.bind(budgetController));
+
+// Add accounts and fringes to a draft
+router.post('/:id/accounts', canEdit, budgetController.addAccount.bind(budgetController));
+router.post('/:id/fringes', canEdit, budgetController.addFringe.bind(budgetController));
+
+module.exports = router;
@@ -0,0 +1,711 @@
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError, ConflictError } = require('../../shared/utils/errors');
+const scriptService = require('../scripts/script.service');
+const budgetEstimateService = require('./budget-estimate.service');
+const { FRINGES, SECTION_LABELS } = require('./budget-template');
+
+const SECTIONS = Object.keys(SECTION_LABELS);
+const DEFAULT_CONTINGENCY_PERCENT = 10;
+const LINE_FIELDS = ['description', 'units', 'unitType', 'multiplier', 'rate', 'fringes', 'autoKey', 'notes'];
+const UNIT_TYPES = ['days', 'weeks', 'hours', 'each', 'flat', 'allow'];
+
+const BUDGET_TIMEOUT_MS = 30000;
+
+const BUDGET_INCLUDE = {
+  accounts: {
+    orderBy: { position: 'asc' },
+    include: { lines: { orderBy: { position: 'asc' } } },
+  },
+  fringes: { orderBy: { code: 'asc' } },
+};
+
+/**
+ * Line-item budgets. A script has numbered drafts; each draft is a chart
+ * of accounts (above and below the line) whose lines total
+ * units x multiplier x rate plus fringes. Contingency is taken on the
+ * below-the-line total. Tasks count against an account through
+ * Task.accountCode for budget vs. actuals.
+ */
+class BudgetService {
+  /**
+   * Drafts of a script, newest first, with their grand totals
+   */
+  async listBudgets(scriptId, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    const budgets = await prisma.budget.findMany({
+      where: { scriptId },
+      orderBy: { version: 'desc' },
+      include: BUDGET_INCLUDE,
+    });
+
+    return budgets.map(budget => ({
+      ...this.summary(budget),
+      grandTotal: this.totals(budget).topSheet.grandTotal,
+    }));
+  }
+
+  /**
+   * New draft: a copy of `fromBudgetId`, or the template chart of accounts
+   * populated from the script
+   */
+  async createBudget(scriptId, userId, data = {}) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    let source = null;
+    if (data.fromBudgetId) {
+      source = await this.findBudget(data.fromBudgetId, userId);
+      if (source.scriptId !== scriptId) {
+        throw new BadRequestError('fromBudgetId is a budget of another script');
+      }
+    }
+
+    const accounts = source
+      ? source.accounts
+      : budgetEstimateService.templateAccounts(await budgetEstimateService.plan(scriptId));
+    const fringes = source ? source.fringes : FRINGES;
+
+    const budget = await prisma.$transaction(async (tx) => {
+      const last = await tx.budget.findFirst({
+        where: { scriptId },
+        orderBy: { version: 'desc' },
+        select: { version: true },
+      });
+      const version = (last?.version || 0) + 1;
+
+      const created = await tx.budget.create({
+        data: {
+          scriptId,
+          version,
+          name: data.name ? String(data.name).trim() : `Draft ${version}`,
+          currency: data.currency !== undefined ? this.parseCurrency(data.currency) : source?.currency || 'USD',
+          contingencyPercent: data.contingencyPercent !== undefined
+            ? this.parsePercent(data.contingencyPercent, 'contingencyPercent')
+            : source?.contingencyPercent ?? DEFAULT_CONTINGENCY_PERCENT,
+          notes: source?.notes ?? null,
+          createdById: userId,
+          fringes: {
+            create: fringes.map(fringe => ({ code: fringe.code, name: fringe.name, percent: fringe.percent })),
+          },
+        },
+      });
+
+      for (const [position, account] of accounts.entries()) {
+        await tx.budgetAccount.create({
+          data: {
+            budgetId: created.id,
+            code: account.code,
+            name: account.name,
+            section: account.section,
+            position,
+            lines: {
+              create: account.lines.map((line, index) => ({
+                ...Object.fromEntries(LINE_FIELDS.filter(field => line[field] !== undefined).map(field => [field, line[field]])),
+                position: index,
+              })),
+            },
+          },
+        });
+      }
+
+      return created;
+    }, { timeout: BUDGET_TIMEOUT_MS });
+
+    console.log(`💰 Created budget v${budget.version} of script ${scriptId}${source ? ` from v${source.version}` : ''}`);
+    return this.getBudget(budget.id, userId);
+  }
+
+  /**
+   * Draft with accounts, line totals and top sheet
+   */
+  async getBudget(budgetId, userId) {
+    const budget = await this.findBudget(budgetId, userId);
+    const { accounts, topSheet } = this.totals(budget);
+
+    return {
+      ...this.summary(budget),
+      notes: budget.notes,
+      fringes: budget.fringes,
+      accounts,
+      topSheet,
+    };
+  }
+
+  async getTopSheet(budgetId, userId) {
+    const budget = await this.findBudget(budgetId, userId);
+
+    return {
+      ...this.summary(budget),
+      ...this.totals(budget).topSheet,
+    };
+  }
+
+  /**
+   * Rename, lock/unlock or change currency, contingency and notes. A
+   * locked draft only accepts being unlocked.
+   */
+  async updateBudget(budgetId, userId, data) {
+    const budget = await this.findBudget(budgetId, userId);
+    const update = {};
+
+    if (data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) throw new BadRequestError('name cannot be empty');
+      update.name = String(data.name).trim();
+    }
+    if (data.notes !== undefined) update.notes = data.notes ? String(data.notes).trim() : null;
+    if (data.currency !== undefined) update.currency = this.parseCurrency(data.currency);
+    if (data.contingencyPercent !== undefined) {
+      update.contingencyPercent = this.parsePercent(data.contingencyPercent, 'contingencyPercent');
+    }
+    if (data.locked !== undefined) update.locked = Boolean(data.locked);
+
+    if (!(update.locked === false && Object.keys(update).length === 1)) {
+      this.assertEditable(budget);
+    }
+
+    await prisma.budget.update({ where: { id: budgetId }, data: update });
+    return this.getBudget(budgetId, userId);
+  }
+
+  async deleteBudget(budgetId, userId) {
+    const budget = await this.findBudget(budgetId, userId);
+    this.assertEditable(budget);
+
+    await prisma.budget.delete({ where: { id: budgetId } });
+
+    console.log(`🗑️ Deleted budget v${budget.version} of script ${budget.scriptId}`);
+    return { message: 'Budget deleted successfully' };
+  }
+
+  /**
+   * Refresh the auto-populated lines from the current script, breakdown
+   * and schedule
+   */
+  async populateBudget(budgetId, userId) {
+    const budget = await this.findBudget(budgetId, userId);
+    this.assertEditable(budget);
+
+    const counts = await prisma.$transaction(
+      tx => budgetEstimateService.populate(tx, budget),
+      { timeout: BUDGET_TIMEOUT_MS },
+    );
+
+    console.log(`💰 Populated budget v${budget.version}: ${counts.created} added, ${counts.updated} updated, ${counts.removed} removed`);
+    return {
+      ...counts,
+      budget: await this.getBudget(budgetId, userId),
+    };
+  }
+
+  /**
+   * Add an account; it is placed in code order
+   */
+  async addAccount(budgetId, userId, data) {
+    const budget = await this.findBudget(budgetId, userId);
+    this.assertEditable(budget);
+
+    const code = this.parseCode(data.code);
+    if (budget.accounts.some(account => account.code === code)) {
+      throw new ConflictError(`Account ${code} already exists in this budget`);
+    }
+    if (!data.name || !String(data.name).trim()) {
+      throw new BadRequestError('name is required');
+    }
+
+    const position = budget.accounts
+      .filter(account => account.code.localeCompare(code, undefined, { numeric: true }) < 0)
+      .length;
+
+    return prisma.$transaction(async (tx) => {
+      await tx.budgetAccount.updateMany({
+        where: { budgetId, position: { gte: position } },
+        data: { position: { increment: 1 } },
+      });
+
+      return tx.budgetAccount.create({
+        data: {
+          budgetId,
+          code,
+          name: String(data.name).trim(),
+          section: this.parseSection(data.section),
+          position,
+        },
+        include: { lines: true },
+      });
+    });
+  }
+
+  async updateAccount(accountId, userId, data) {
+    const account = await this.findAccount(accountId, userId);
+    const update = {};
+
+    if (data.code !== undefined) {
+      update.code = this.parseCode(data.code);
+      if (account.budget.accounts.some(other => other.code === update.code && other.id !== accountId)) {
+        throw new ConflictError(`Account ${update.code} already exists in this budget`);
+      }
+    }
+    if (data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) throw new BadRequestError('name cannot be empty');
+      update.name = String(data.name).trim();
+    }
+    if (data.section !== undefined) update.section = this.parseSection(data.section);
+
+    return prisma.budgetAccount.update({
+      where: { id: accountId },
+      data: update,
+      include: { lines: { orderBy: { position: 'asc' } } },
+    });
+  }
+
+  async deleteAccount(accountId, userId) {
+    const account = await this.findAccount(accountId, userId);
+
+    await prisma.$transaction([
+      prisma.budgetAccount.delete({ where: { id: accountId } }),
+      prisma.budgetAccount.updateMany({
+        where: { budgetId: account.budgetId, position: { gt: account.position } },
+        data: { position: { decrement: 1 } },
+      }),
+    ]);
+
+    return { message: 'Account deleted successfully' };
+  }
+
+  /**
+   * Add a manual line to an account
+   */
+  async addLine(accountId, userId, data) {
+    const account = await this.findAccount(accountId, userId);
+    const line = this.parseLine(data, account.budget, true);
+
+    return prisma.budgetLine.create({
+      data: {
+        accountId,
+        ...line,
+        position: Math.max(-1, ...account.lines.map(existing => existing.position)) + 1,
+      },
+    });
+  }
+
+  /**
+   * Edit a line. On auto-populated lines the next populate resets the
+   * description, units and quantity; rate, fringes and notes are kept.
+   */
+  async updateLine(lineId, userId, data) {
+    const line = await this.findLine(lineId, userId);
+
+    return prisma.budgetLine.update({
+      where: { id: lineId },
+      data: this.parseLine(data, line.account.budget, false),
+    });
+  }
+
+  async deleteLine(lineId, userId) {
+    await this.findLine(lineId, userId);
+    await prisma.budgetLine.delete({ where: { id: lineId } });
+    return { message: 'Line deleted successfully' };
+  }
+
+  async addFringe(budgetId, userId, data) {
+    const budget = await this.findBudget(budgetId, userId);
+    this.assertEditable(budget);
+
+    const code = this.parseCode(data.code).toUpperCase();
+    if (budget.fringes.some(fringe => fringe.code === code)) {
+      throw new ConflictError(`Fringe ${code} already exists in this budget`);
+    }
+    if (!data.name || !String(data.name).trim()) {
+      throw new BadRequestError('name is required');
+    }
+
+    return prisma.budgetFringe.create({
+      data: {
+        budgetId,
+        code,
+        name: String(data.name).trim(),
+        percent: this.parsePercent(data.percent, 'percent'),
+      },
+    });
+  }
+
+  async updateFringe(fringeId, userId, data) {
+    await this.findFringe(fringeId, userId);
+    const update = {};
+
+    if (data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) throw new BadRequestError('name cannot be empty');
+      update.name = String(data.name).trim();
+    }
+    if (data.percent !== undefined) update.percent = this.parsePercent(data.percent, 'percent');
+
+    return prisma.budgetFringe.update({ where: { id: fringeId }, data: update });
+  }
+
+  /**
+   * Delete a fringe and take it off the lines it applied to
+   */
+  async deleteFringe(fringeId, userId) {
+    const fringe = await this.findFringe(fringeId, userId);
+
+    await prisma.$transaction(async (tx) => {
+      const lines = await tx.budgetLine.findMany({
+        where: { account: { budgetId: fringe.budgetId }, fringes: { has: fringe.code } },
+        select: { id: true, fringes: true },
+      });
+
+      for (const line of lines) {
+        await tx.budgetLine.update({
+          where: { id: line.id },
+          data: { fringes: line.fringes.filter(code => code !== fringe.code) },
+        });
+      }
+
+      await tx.budgetFringe.delete({ where: { id: fringeId } });
+    });
+
+    return { message: 'Fringe deleted successfully' };
+  }
+
+  /**
+   * Budget vs. actuals per account: the account total against the
+   * estimated and actual budgets of the tasks charged to it
+   */
+  async getActuals(budgetId, userId) {
+    const budget = await this.findBudget(budgetId, userId);
+    const { accounts, topSheet } = this.totals(budget);
+
+    const tasks = await prisma.task.findMany({
+      where: { scriptId: budget.scriptId },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        accountCode: true,
+        estimatedBudget: true,
+        actualBudget: true,
+      },
+    });
+
+    const codes = new Set(accounts.map(account => account.code));
+    const sum = (items, field) => this.round(items.reduce((total, item) => total + (item[field] || 0), 0));
+
+    const rows = accounts.map(account => {
+      const charged = tasks.filter(task => task.accountCode === account.code);
+      const actual = sum(charged, 'actualBudget');
+
+      return {
+        accountId: account.id,
+        code: account.code,
+        name: account.name,
+        section: account.section,
+        budgeted: account.total,
+        estimated: sum(charged, 'estimatedBudget'),
+        actual,
+        variance: this.round(account.total - actual),
+        percentSpent: account.total > 0 ? this.round((actual / account.total) * 100) : null,
+        tasks: charged,
+      };
+    });
+
+    const unassigned = tasks.filter(task => !codes.has(task.accountCode));
+    const budgeted = this.round(topSheet.aboveTheLine + topSheet.belowTheLine);
+    const actual = sum(tasks, 'actualBudget');
+
+    return {
+      ...this.summary(budget),
+      accounts: rows,
+      unassigned,
+      totals: {
+        budgeted,
+        estimated: sum(tasks, 'estimatedBudget'),
+        actual,
+        variance: this.round(budgeted - actual),
+        unassignedActual: sum(unassigned, 'actualBudget'),
+      },
+    };
+  }
+
+  /**
+   * Charge a task's costs to a budget account (null to clear)
+   */
+  async assignTaskAccount(scriptId, taskId, userId, accountCode) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    const task = await prisma.task.findFirst({ where: { id: taskId, scriptId } });
+    if (!task) {
+      throw new NotFoundError('Task not found');
+    }
+
+    const code = accountCode === null || accountCode === '' ? null : this.parseCode(accountCode);
+    if (code) {
+      const known = await prisma.budgetAccount.count({ where: { code, budget: { scriptId } } });
+      if (known === 0) {
+        throw new BadRequestError(`Account ${code} is not in any budget of this script`);
+      }
+    }
+
+    return prisma.task.update({
+      where: { id: taskId },
+      data: { accountCode: code },
+      select: {
+        id: true,
+        title: true,
+        accountCode: true,
+        estimatedBudget: true,
+        actualBudget: true,
+      },
+    });
+  }
+
+  /**
+   * Grand total of the latest draft, or of the template budget estimated
+   * from the script when there is no draft yet
+   */
+  async getEstimatedTotal(scriptId) {
+    const latest = await prisma.budget.findFirst({
+      where: { scriptId },
+      orderBy: { version: 'desc' },
+      include: BUDGET_INCLUDE,
+    });
+
+    const budget = latest || {
+      contingencyPercent: DEFAULT_CONTINGENCY_PERCENT,
+      fringes: FRINGES,
+      accounts: budgetEstimateService.templateAccounts(await budgetEstimateService.plan(scriptId)),
+    };
+
+    return Math.round(this.totals(budget).topSheet.grandTotal);
+  }
+
+  /**
+   * Line, account and section totals and the top sheet
+   */
+  totals(budget) {
+    const rates = new Map(budget.fringes.map(fringe => [fringe.code, fringe.percent]));
+
+    const accounts = budget.accounts.map(account => {
+      const lines = account.lines.map(line => {
+        const subtotal = line.units * line.multiplier * line.rate;
+        const percent = (line.fringes || []).reduce((sum, code) => sum + (rates.get(code) || 0), 0);
+        const fringe = subtotal * percent / 100;
+
+        return {
+          ...line,
+          subtotal: this.round(subtotal),
+          fringe: this.round(fringe),
+          total: this.round(subtotal + fringe),
+        };
+      });
+
+      return {
+        ...account,
+        lines,
+        ...this.sumTotals(lines),
+      };
+    });
+
+    const sections = SECTIONS.map(section => {
+      const sectionAccounts = accounts.filter(account => account.section === section);
+      return {
+        section,
+        label: SECTION_LABELS[section],
+        accounts: sectionAccounts.map(account => ({
+          id: account.id,
+          code: account.code,
+          name: account.name,
+          subtotal: account.subtotal,
+          fringe: account.fringe,
+          total: account.total,
+        })),
+        ...this.sumTotals(sectionAccounts),
+      };
+    });
+
+    const aboveTheLine = sections.find(section => section.section === 'ABOVE_THE_LINE').total;
+    const belowTheLine = this.round(sections
+      .filter(section => section.section !== 'ABOVE_THE_LINE')
+      .reduce((sum, section) => sum + section.total, 0));
+    const contingency = this.round(belowTheLine * budget.contingencyPercent / 100);
+
+    return {
+      accounts,
+      topSheet: {
+        sections,
+        aboveTheLine,
+        belowTheLine,
+        fringes: this.round(sections.reduce((sum, section) => sum + section.fringe, 0)),
+        contingencyPercent: budget.contingencyPercent,
+        contingency,
+        grandTotal: this.round(aboveTheLine + belowTheLine + contingency),
+      },
+    };
+  }
+
+  sumTotals(items) {
+    return {
+      subtotal: this.round(items.reduce((sum, item) => sum + item.subtotal, 0)),
+      fringe: this.round(items.reduce((sum, item) => sum + item.fringe, 0)),
+      total: this.round(items.reduce((sum, item) => sum + item.total, 0)),
+    };
+  }
+
+  summary(budget) {
+    return {
+      id: budget.id,
+      scriptId: budget.scriptId,
+      version: budget.version,
+      name: budget.name,
+      currency: budget.currency,
+      contingencyPercent: budget.contingencyPercent,
+      locked: budget.locked,
+      createdById: budget.createdById,
+      createdAt: budget.createdAt,
+      updatedAt: budget.updatedAt,
+    };
+  }
+
+  async findBudget(budgetId, userId) {
+    const budget = await prisma.budget.findUnique({
+      where: { id: budgetId },
+      include: BUDGET_INCLUDE,
+    });
+
+    if (!budget) {
+      throw new NotFoundError('Budget not found');
+    }
+
+    await scriptService.getScriptById(budget.scriptId, userId);
+    return budget;
+  }
+
+  /**
+   * Account with its lines and budget (for editing; locked drafts refuse)
+   */
+  async findAccount(accountId, userId) {
+    const account = await prisma.budgetAccount.findUnique({
+      where: { id: accountId },
+      include: { lines: true },
+    });
+
+    if (!account) {
+      throw new NotFoundError('Account not found');
+    }
+
+    account.budget = await this.findBudget(account.budgetId, userId);
+    this.assertEditable(account.budget);
+    return account;
+  }
+
+  async findLine(lineId, userId) {
+    const line = await prisma.budgetLine.findUnique({ where: { id: lineId } });
+
+    if (!line) {
+      throw new NotFoundError('Line not found');
+    }
+
+    line.account = await this.findAccount(line.accountId, userId);
+    return line;
+  }
+
+  async findFringe(fringeId, userId) {
+    const fringe = await prisma.budgetFringe.findUnique({ where: { id: fringeId } });
+
+    if (!fringe) {
+      throw new NotFoundError('Fringe not found');
+    }
+
+    this.assertEditable(await this.findBudget(fringe.budgetId, userId));
+    return fringe;
+  }
+
+  assertEditable(budget) {
+    if (budget.locked) {
+      throw new ConflictError('Budget draft is locked; unlock it or copy it to a new draft');
+    }
+  }
+
+  /**
+   * Line fields from a request body (description required on create)
+   */
+  parseLine(data, budget, create) {
+    const line = {};
+
+    if (create || data.description !== undefined) {
+      if (!data.description || !String(data.description).trim()) {
+        throw new BadRequestError('description is required');
+      }
+      line.description = String(data.description).trim();
+    }
+
+    ['units', 'multiplier', 'rate'].forEach(field => {
+      if (data[field] === undefined) return;
+      const value = Number(data[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new BadRequestError(`${field} must be a non-negative number`);
+      }
+      line[field] = value;
+    });
+
+    if (data.unitType !== undefined) {
+      if (!UNIT_TYPES.includes(data.unitType)) {
+        throw new BadRequestError(`unitType must be one of: ${UNIT_TYPES.join(', ')}`);
+      }
+      line.unitType = data.unitType;
+    }
+
+    if (data.fringes !== undefined) {
+      if (!Array.isArray(data.fringes)) {
+        throw new BadRequestError('fringes must be an array of fringe codes');
+      }
+      const known = new Set(budget.fringes.map(fringe => fringe.code));
+      const unknown = data.fringes.filter(code => !known.has(code));
+      if (unknown.length > 0) {
+        throw new BadRequestError(`Unknown fringe: ${unknown.join(', ')}`);
+      }
+      line.fringes = [...new Set(data.fringes)];
+    }
+
+    if (data.notes !== undefined) line.notes = data.notes ? String(data.notes).trim() : null;
+
+    return line;
+  }
+
+  parseCode(value) {
+    const code = value === undefined || value === null ? '' : String(value).trim();
+    if (!/^[\w.-]{1,20}$/.test(code)) {
+      throw new BadRequestError('code must be 1-20 letters, digits, dots or dashes');
+    }
+    return code;
+  }
+
+  parseSection(value) {
+    if (!SECTIONS.includes(value)) {
+      throw new BadRequestError(`section must be one of: ${SECTIONS.join(', ')}`);
+    }
+    return value;
+  }
+
+  parsePercent(value, field) {
+    const percent = Number(value);
+    if (value === null || value === '' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw new BadRequestError(`${field} must be a percentage between 0 and 100`);
+    }
+    return percent;
+  }
+
+  parseCurrency(value) {
+    const currency = String(value || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new BadRequestError('currency must be a three-letter code like USD');
+    }
+    return currency;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new BudgetService();
@@ -0,0 +1,108 @@
+const { prisma } = require('../../config/database.config');
+
+// Shorter names match too many ordinary words ("AL", "MA")
+const MIN_NAME_LENGTH = 3;
+
+/**
+ * Character looks as they go into generations. A generation gets the look
+ * of the character it is for (characterId) and of every character its
+ * prompt names, and the look is written into the prompt. Image generations
+ * also send the first readable reference image as Freepik Mystic's style
+ * reference (Mystic takes one) and ask for a fixed generation when a look
+ * has a seed (Mystic takes no seed); the generation records the reference
+ * it was sent. Video generation is not wired to Veo yet and gets the
+ * prompt only.
+ */
+class CharacterLookService {
+  /**
+   * Looks of the characters a generation is for (characterId, or several
+   * characterIds) or names, the ones it is for first
+   * @returns {Promise<object[]>} [{ characterId, name, description, wardrobe, style, seed, references: [{ url, filePath }] }]
+   */
+  async findLooks(scriptId, { characterId = null, characterIds = [], prompt = '' } = {}, client = prisma) {
+    const characters = await client.character.findMany({
+      where: { scriptId, look: { isNot: null } },
+      select: { id: true, name: true, aliases: true, look: true },
+    });
+
+    const ids = new Set([characterId, ...characterIds].filter(Boolean));
+    const named = characters
+      .filter(character => ids.has(character.id) || this.mentions(prompt, character))
+      .sort((a, b) => ids.has(b.id) - ids.has(a.id));
+    if (named.length === 0) return [];
+
+    const assetIds = named.flatMap(character => character.look.referenceAssetIds);
+    const assets = assetIds.length > 0
+      ? await client.aIAsset.findMany({ where: { id: { in: assetIds } }, select: { id: true, url: true, filePath: true } })
+      : [];
+    const byId = new Map(assets.map(asset => [asset.id, { url: asset.url, filePath: asset.filePath }]));
+
+    return named.map(character => ({
+      characterId: character.id,
+      name: character.name,
+      description: character.look.description,
+      wardrobe: character.look.wardrobe,
+      style: character.look.style,
+      seed: character.look.seed,
+      references: character.look.referenceAssetIds.map(id => byId.get(id)).filter(Boolean),
+    }));
+  }
+
+  /**
+   * Whether the prompt names the character (or an alias) as a whole word,
+   * capitalized ("Anna", "ANNA"; "a bob haircut" is not BOB)
+   */
+  mentions(prompt, character) {
+    const text = String(prompt || '');
+
+    return [character.name, ...(character.aliases || [])]
+      .filter(name => name.length >= MIN_NAME_LENGTH)
+      .some(name => [...text.matchAll(new RegExp(`(^|[^\\p{L}\\p{N}])(${this.escape(name)})(?=$|[^\\p{L}\\p{N}])`, 'giu'))]
+        .some(match => match[2][0] === match[2][0].toUpperCase()));
+  }
+
+  /**
+   * Prompt with the looks written in after it; looks the prompt already
+   * carries (storyboard frames) are not repeated
+   */
+  applyLooks(prompt, looks) {
+    const lines = looks
+      .filter(look => !prompt.includes(look.description))
+      .map(look => `${look.name}: ${this.describe(look)}`);
+
+    return lines.length > 0 ? `${prompt}\n\n${lines.join('\n')}` : prompt;
+  }
+
+  /**
+   * "Late 30s, cropped grey hair. Wardrobe: navy pea coat. Style: 35mm film still."
+   */
+  describe(look) {
+    return `${[
+      look.description,
+      look.wardrobe && `Wardrobe: ${look.wardrobe}`,
+      look.style && `Style: ${look.style}`,
+    ].filter(Boolean).map(part => part.trim().replace(/[.\s]+$/, '')).join('. ')}.`;
+  }
+
+  /**
+   * Generation settings the looks fix: their reference images (the looks
+   * the generation is for first), and the seed of the first look that has one
+   */
+  settings(looks) {
+    const references = new Map();
+    looks.flatMap(look => look.references).forEach(reference => {
+      if (!references.has(reference.url)) references.set(reference.url, reference);
+    });
+
+    return {
+      references: [...references.values()],
+      seed: looks.find(look => look.seed !== null && look.seed !== undefined)?.seed ?? null,
+    };
+  }
+
+  escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new CharacterLookService();
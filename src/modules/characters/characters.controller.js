@@ -0,0 +1,166 @@
+const charactersService = require('./characters.service');
+
+class CharactersController {
+  /**
+   * Get characters of a script
+   * GET /api/characters/script/:scriptId
+   */
+  async getCharacters(req, res, next) {
+    try {
+      const characters = await charactersService.getCharacters(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Characters retrieved successfully',
+        data: characters,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get likely duplicate characters to merge
+   * GET /api/characters/script/:scriptId/duplicates
+   */
+  async getDuplicateSuggestions(req, res, next) {
+    try {
+      const suggestions = await charactersService.getDuplicateSuggestions(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Duplicate suggestions retrieved successfully',
+        data: suggestions,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get single character
+   * GET /api/characters/:id
+   */
+  async getCharacter(req, res, next) {
+    try {
+      const character = await charactersService.getCharacter(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Character retrieved successfully',
+        data: character,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Merge other characters into this one
+   * POST /api/characters/:id/merge
+   */
+  async mergeCharacters(req, res, next) {
+    try {
+      const result = await charactersService.mergeCharacters(req.params.id, req.body?.characterIds, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Characters merged successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Split an alias out into its own character
+   * POST /api/characters/:id/split
+   */
+  async splitCharacter(req, res, next) {
+    try {
+      const result = await charactersService.splitCharacter(req.params.id, req.body || {}, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Character split successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a character's look profile
+   * GET /api/characters/:id/look
+   */
+  async getLook(req, res, next) {
+    try {
+      const look = await charactersService.getLook(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Look retrieved successfully',
+        data: look,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create or update a character's look profile
+   * PUT /api/characters/:id/look
+   */
+  async updateLook(req, res, next) {
+    try {
+      const look = await charactersService.updateLook(req.params.id, req.user.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Look saved successfully',
+        data: look,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Generate the look's description with AI
+   * POST /api/characters/:id/look/generate
+   */
+  async generateLook(req, res, next) {
+    try {
+      const look = await charactersService.generateLook(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Look generated successfully',
+        data: look,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a character's look profile
+   * DELETE /api/characters/:id/look
+   */
+  async deleteLook(req, res, next) {
+    try {
+      const result = await charactersService.deleteLook(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CharactersController();
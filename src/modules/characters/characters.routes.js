@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const charactersController = require('./characters.controller');
+const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole, fromParam, fromRecord } = require('../../shared/middleware/permission.middleware');
+
+// Roles each route needs on the script of the character
+const canViewScript = requireScriptRole('VIEWER', fromParam('scriptId'));
+const canView = requireScriptRole('VIEWER', fromRecord('character', 'id'));
+const canEdit = requireScriptRole('EDITOR', fromRecord('character', 'id'));
+
+// All routes require authentication
+router.use(authenticateJWT);
+
+// Get characters of a script
+router.get('/script/:scriptId', canViewScript, charactersController.getCharacters.bind(charactersController));
+
+// Suggested duplicates (extensions, qualifiers, spelling variants)
+router.get('/script/:scriptId/duplicates', canViewScript, charactersController.getDuplicateSuggestions.bind(charactersController));
+
+// Get character by ID
+router.get('/:id', canView, charactersController.getCharacter.bind(charactersController));
+
+// Merge characters into this one (their names become aliases)
+router.post('/:id/merge', canEdit, charactersController.mergeCharacters.bind(charactersController));
+
+// Split an alias back out into its own character
+router.post('/:id/split', canEdit, charactersController.splitCharacter.bind(charactersController));
+
+// Look profile used by every generation of the character
+router.get('/:id/look', canView, charactersController.getLook.bind(charactersController));
+router.put('/:id/look', canEdit, charactersController.updateLook.bind(charactersController));
+router.delete('/:id/look', canEdit, charactersController.deleteLook.bind(charactersController));
+router.post('/:id/look/generate', canEdit, charactersController.generateLook.bind(charactersController));
+
+module.exports = router;
@@ -0,0 +1,459 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError } = require('../../shared/utils/errors');
+const scriptService = require('../scripts/script.service');
+const scriptVersionService = require('../scripts/script-version.service');
+const scriptAnalysisService = require('../scripts/script-analysis.service');
+const { normalizeCharacterName } = require('../scripts/parsers/character-names');
+const mediaAIService = require('../../services/mediaAIService');
+const geminiService = require('../../services/gemini.service');
+
+// Words that qualify a name without changing who it is ("YOUNG JOHN", "DR. SMITH", "JOHN'S VOICE")
+const NAME_QUALIFIERS = new Set([
+  'YOUNG', 'YOUNGER', 'OLD', 'OLDER', 'LITTLE', 'ADULT', 'TEEN', 'TEENAGE', 'BABY',
+  'MR', 'MRS', 'MS', 'MISS', 'DR', 'SIR', 'VOICE', 'THE',
+]);
+
+// Names compared by edit distance must be at least this long ("AL" vs "ED")
+const MIN_SPELLING_LENGTH = 4;
+const SPELLING_THRESHOLD = 0.75;
+
+const MERGE_TIMEOUT_MS = 30000;
+
+// Assets that can be approved as a look's reference images
+const REFERENCE_TYPES = ['IMAGE', 'CHARACTER', 'COSTUME', 'STORYBOARD'];
+const MAX_SEED = 2147483647;
+
+/**
+ * Character aliases. Cue extensions are normalized away by the parsers;
+ * other names for the same person are merged by hand (with suggestions)
+ * and kept as aliases so reanalysis keeps counting them towards the
+ * surviving character.
+ */
+class CharactersService {
+  /**
+   * Characters of a script, most lines first
+   */
+  async getCharacters(scriptId, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    return prisma.character.findMany({
+      where: { scriptId },
+      orderBy: { lines: 'desc' },
+    });
+  }
+
+  /**
+   * Single character with its look and AI generations
+   */
+  async getCharacter(characterId, userId) {
+    const character = await prisma.character.findUnique({
+      where: { id: characterId },
+      include: {
+        look: true,
+        aiGenerations: {
+          select: {
+            id: true,
+            type: true,
+            status: true,
+            outputUrl: true,
+            thumbnailUrl: true,
+            createdAt: true,
+          },
+          orderBy: { createdAt: 'desc' },
+        },
+      },
+    });
+
+    if (!character) {
+      throw new NotFoundError('Character not found');
+    }
+
+    await scriptService.getScriptById(character.scriptId, userId);
+    return character;
+  }
+
+  /**
+   * Pairs of characters that are probably the same person, best first
+   */
+  async getDuplicateSuggestions(scriptId, userId) {
+    const characters = await this.getCharacters(scriptId, userId);
+    return this.suggestDuplicates(characters);
+  }
+
+  suggestDuplicates(characters) {
+    const suggestions = [];
+
+    characters.forEach((first, index) => {
+      characters.slice(index + 1).forEach(second => {
+        const match = this.compareNames(first.name, second.name);
+        if (!match) return;
+
+        // The character with more dialogue is suggested as the survivor
+        const [target, source] = second.lines > first.lines ? [second, first] : [first, second];
+        suggestions.push({
+          target: { id: target.id, name: target.name, lines: target.lines },
+          source: { id: source.id, name: source.name, lines: source.lines },
+          ...match,
+        });
+      });
+    });
+
+    return suggestions.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Why two names may belong to one character, or null
+   * @returns {{ reason: 'extension'|'qualifier'|'partial'|'spelling', score: number }|null}
+   */
+  compareNames(a, b) {
+    if (normalizeCharacterName(a) === normalizeCharacterName(b)) {
+      return { reason: 'extension', score: 1 };
+    }
+
+    const left = this.nameTokens(a);
+    const right = this.nameTokens(b);
+
+    // Numbered extras ("GUARD #1", "GUARD #2") are different people
+    const numbers = tokens => tokens.filter(token => /^\d+$/.test(token)).join(' ');
+    if (numbers(left) !== numbers(right)) return null;
+
+    const core = tokens => tokens.filter(token => !NAME_QUALIFIERS.has(token));
+    const coreLeft = core(left);
+    const coreRight = core(right);
+    if (coreLeft.length > 0 && coreLeft.join(' ') === coreRight.join(' ')) {
+      return { reason: 'qualifier', score: 0.9 };
+    }
+
+    const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+    if (shorter.length > 0 && shorter.every(token => longer.includes(token))) {
+      return { reason: 'partial', score: 0.75 };
+    }
+
+    const compactLeft = left.join(' ');
+    const compactRight = right.join(' ');
+    if (Math.min(compactLeft.length, compactRight.length) >= MIN_SPELLING_LENGTH) {
+      const similarity = 1 - this.editDistance(compactLeft, compactRight) / Math.max(compactLeft.length, compactRight.length);
+      if (similarity >= SPELLING_THRESHOLD) {
+        return { reason: 'spelling', score: Math.round(similarity * 0.8 * 100) / 100 };
+      }
+    }
+
+    return null;
+  }
+
+  nameTokens(name) {
+    return normalizeCharacterName(name).replace(/'S\b/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Edit distance counting a swap of two adjacent letters as one edit
+   * ("JONH" -> "JOHN")
+   */
+  editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        d[i][j] = Math.min(
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1,
+          d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return d[a.length][b.length];
+  }
+
+  /**
+   * Merge characters into one. Their names become aliases of the surviving
+   * character, which takes over their dialogue, scenes and AI generations.
+   */
+  async mergeCharacters(characterId, sourceIds, userId) {
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      throw new BadRequestError('characterIds must be a non-empty array');
+    }
+
+    const target = await this.getCharacter(characterId, userId);
+    const ids = [...new Set(sourceIds)];
+    if (ids.includes(target.id)) {
+      throw new BadRequestError('A character cannot be merged into itself');
+    }
+
+    const sources = await prisma.character.findMany({
+      where: { id: { in: ids }, scriptId: target.scriptId },
+    });
+    if (sources.length !== ids.length) {
+      throw new NotFoundError('Character not found in this script');
+    }
+
+    await this.ensureSceneDialogue(target.scriptId, userId);
+
+    const aliases = [...new Set([
+      ...(target.aliases || []),
+      ...sources.flatMap(source => [source.name, ...(source.aliases || [])]),
+    ])].filter(alias => alias !== target.name);
+    const metadata = Object.assign({}, ...sources.map(source => source.metadata || {}), target.metadata || {});
+
+    const result = await this.rebuildCharacters(target.scriptId, async (tx) => {
+      await tx.aIGeneration.updateMany({
+        where: { characterId: { in: ids } },
+        data: { characterId: target.id },
+      });
+      await tx.scriptElement.updateMany({
+        where: { characterId: { in: ids } },
+        data: { characterId: target.id, name: target.name },
+      });
+      // The survivor keeps its own look, or takes over a merged one
+      if (!target.look) {
+        const look = await tx.characterLook.findFirst({ where: { characterId: { in: ids } } });
+        if (look) {
+          await tx.characterLook.update({ where: { id: look.id }, data: { characterId: target.id } });
+        }
+      }
+      await tx.character.deleteMany({ where: { id: { in: ids } } });
+      await tx.character.update({
+        where: { id: target.id },
+        data: {
+          aliases,
+          description: target.description || sources.find(source => source.description)?.description || null,
+          metadata: Object.keys(metadata).length > 0 ? metadata : Prisma.DbNull,
+        },
+      });
+    });
+
+    const names = sources.map(source => source.name).join(', ');
+    console.log(`🧬 Merged ${names} into ${target.name}`);
+
+    const version = await scriptVersionService.createVersion(target.scriptId, userId, {
+      message: `Merged ${names} into ${target.name}`,
+      source: 'update',
+    });
+
+    return {
+      character: result.characters.find(character => character.id === target.id) || null,
+      changes: result.changes,
+      version: version.version,
+    };
+  }
+
+  /**
+   * Split an alias back out into its own character. Its cues stop counting
+   * towards the original; AI generations listed in `generationIds` move
+   * to the new character.
+   */
+  async splitCharacter(characterId, { alias, generationIds = [] } = {}, userId) {
+    const name = normalizeCharacterName(alias);
+    if (!name) {
+      throw new BadRequestError('alias is required');
+    }
+    if (!Array.isArray(generationIds)) {
+      throw new BadRequestError('generationIds must be an array');
+    }
+
+    const character = await this.getCharacter(characterId, userId);
+    if (!(character.aliases || []).includes(name)) {
+      throw new BadRequestError(`${character.name} has no alias "${name}"`);
+    }
+
+    await this.ensureSceneDialogue(character.scriptId, userId);
+
+    const result = await this.rebuildCharacters(character.scriptId, async (tx) => {
+      await tx.character.update({
+        where: { id: character.id },
+        data: { aliases: character.aliases.filter(existing => existing !== name) },
+      });
+    }, async (tx, characters) => {
+      const split = characters.find(candidate => candidate.name === name);
+      if (!split) {
+        throw new BadRequestError(`"${name}" has no cues left in the script`);
+      }
+
+      if (generationIds.length > 0) {
+        await tx.aIGeneration.updateMany({
+          where: { id: { in: generationIds }, characterId: character.id },
+          data: { characterId: split.id },
+        });
+      }
+    });
+
+    console.log(`✂️ Split ${name} from ${character.name}`);
+
+    const version = await scriptVersionService.createVersion(character.scriptId, userId, {
+      message: `Split ${name} from ${character.name}`,
+      source: 'update',
+    });
+
+    return {
+      character: result.characters.find(candidate => candidate.id === character.id) || null,
+      split: result.characters.find(candidate => candidate.name === name),
+      changes: result.changes,
+      version: version.version,
+    };
+  }
+
+  /**
+   * Look profile of a character with its reference images (null when it
+   * has none yet)
+   */
+  async getLook(characterId, userId) {
+    const character = await this.getCharacter(characterId, userId);
+    return this.presentLook(character, character.look);
+  }
+
+  /**
+   * Create or update a character's look: description, wardrobe, approved
+   * reference images (AIAsset ids), seed and style
+   */
+  async updateLook(characterId, userId, data) {
+    const character = await this.getCharacter(characterId, userId);
+    const update = {};
+
+    if (data.description !== undefined) {
+      update.description = String(data.description || '').trim();
+      if (!update.description) throw new BadRequestError('description cannot be empty');
+    }
+    if (!character.look && !update.description) {
+      throw new BadRequestError('description is required (or generate one)');
+    }
+
+    ['wardrobe', 'style'].forEach(field => {
+      if (data[field] !== undefined) update[field] = data[field] ? String(data[field]).trim() : null;
+    });
+
+    if (data.seed !== undefined) {
+      const seed = data.seed === null || data.seed === '' ? null : Number(data.seed);
+      if (seed !== null && (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)) {
+        throw new BadRequestError(`seed must be a whole number between 0 and ${MAX_SEED}`);
+      }
+      update.seed = seed;
+    }
+
+    if (data.referenceAssetIds !== undefined) {
+      update.referenceAssetIds = await this.checkReferences(character.scriptId, data.referenceAssetIds);
+    }
+
+    const look = await prisma.characterLook.upsert({
+      where: { characterId },
+      create: { characterId, ...update },
+      update,
+    });
+
+    return this.presentLook(character, look);
+  }
+
+  /**
+   * (Re)write the look's description with Gemini from the character and
+   * the script; wardrobe, references and settings are kept
+   */
+  async generateLook(characterId, userId) {
+    const character = await this.getCharacter(characterId, userId);
+    const summary = await mediaAIService.getScriptSummary(character.scriptId);
+    const description = await geminiService.generateCharacterVisualDescription(character, summary);
+
+    const look = await prisma.characterLook.upsert({
+      where: { characterId },
+      create: { characterId, description },
+      update: { description },
+    });
+
+    console.log(`🪞 Generated look for ${character.name}`);
+    return this.presentLook(character, look);
+  }
+
+  async deleteLook(characterId, userId) {
+    const character = await this.getCharacter(characterId, userId);
+    if (!character.look) {
+      throw new NotFoundError(`${character.name} has no look`);
+    }
+
+    await prisma.characterLook.delete({ where: { characterId } });
+    return { message: 'Look deleted successfully' };
+  }
+
+  async presentLook(character, look) {
+    if (!look) return null;
+
+    const assets = look.referenceAssetIds.length > 0
+      ? await prisma.aIAsset.findMany({
+        where: { id: { in: look.referenceAssetIds } },
+        select: { id: true, type: true, name: true, url: true, thumbnailUrl: true },
+      })
+      : [];
+    const byId = new Map(assets.map(asset => [asset.id, asset]));
+
+    return {
+      characterId: character.id,
+      name: character.name,
+      description: look.description,
+      wardrobe: look.wardrobe,
+      style: look.style,
+      seed: look.seed,
+      referenceAssets: look.referenceAssetIds.map(id => byId.get(id)).filter(Boolean),
+      updatedAt: look.updatedAt,
+    };
+  }
+
+  async checkReferences(scriptId, assetIds) {
+    if (assetIds === null) return [];
+    if (!Array.isArray(assetIds)) {
+      throw new BadRequestError('referenceAssetIds must be an array');
+    }
+
+    const ids = [...new Set(assetIds)];
+    const assets = await prisma.aIAsset.findMany({
+      where: { id: { in: ids }, scriptId },
+      select: { id: true, type: true },
+    });
+
+    if (assets.length !== ids.length) {
+      throw new NotFoundError('Reference image not found in this script');
+    }
+    if (assets.some(asset => !REFERENCE_TYPES.includes(asset.type))) {
+      throw new BadRequestError(`Reference images must be ${REFERENCE_TYPES.join(', ')} assets`);
+    }
+    return ids;
+  }
+
+  /**
+   * Scenes saved before per-scene dialogue was stored are reanalyzed first,
+   * so character totals can be rebuilt from the scenes
+   */
+  async ensureSceneDialogue(scriptId, userId) {
+    const stale = await prisma.scene.count({
+      where: { scriptId, dialogue: { equals: Prisma.DbNull } },
+    });
+
+    if (stale > 0) {
+      await scriptService.reanalyzeScript(scriptId, userId);
+    }
+  }
+
+  /**
+   * Run `prepare`, then recount every character from the scenes' cast and
+   * dialogue (honouring aliases), then `finish`, in one transaction
+   */
+  async rebuildCharacters(scriptId, prepare, finish = null) {
+    return prisma.$transaction(async (tx) => {
+      await prepare(tx);
+
+      const scenes = await tx.scene.findMany({
+        where: { scriptId },
+        orderBy: { sceneNumber: 'asc' },
+      });
+      const changes = { added: [], removed: [], modified: [] };
+      const characters = await scriptAnalysisService.syncCharacters(tx, scriptId, scenes, changes);
+
+      if (finish) await finish(tx, characters);
+
+      return { characters, changes };
+    }, { timeout: MERGE_TIMEOUT_MS });
+  }
+}
+
+module.exports = new CharactersService();
@@ -0,0 +1,222 @@
+const collaborationService = require('./collaboration.service');
+const invitationService = require('./invitation.service');
+const presenceService = require('./presence.service');
+const yjsProvider = require('./yjs.provider');
+
+/**
+ * Carry a collaborator's new role, or their removal (no role), over to
+ * the sockets they have open in the script
+ */
+async function updateSocketAccess(scriptId, userId, role) {
+  await yjsProvider.updateAccess(scriptId, userId, role);
+  await presenceService.updateAccess(scriptId, userId, role);
+}
+
+class CollaborationController {
+  /**
+   * Who is in a script right now: user, viewing or editing, page, scene
+   * and whether they are idle
+   * GET /api/collaboration/:scriptId/presence
+   */
+  async getPresence(req, res, next) {
+    try {
+      const presence = await presenceService.getPresence(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Presence retrieved successfully',
+        data: presence,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Owner and collaborators of a script with their roles
+   * GET /api/collaboration/:scriptId/collaborators
+   */
+  async getCollaborators(req, res, next) {
+    try {
+      const collaborators = await collaborationService.getCollaborators(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Collaborators retrieved successfully',
+        data: collaborators,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change a collaborator's role
+   * PATCH /api/collaboration/:scriptId/collaborators/:userId
+   * Body: { role }
+   */
+  async updateCollaborator(req, res, next) {
+    try {
+      const collaborator = await collaborationService.updateCollaboratorRole(
+        req.params.scriptId,
+        req.params.userId,
+        req.user.id,
+        req.body?.role
+      );
+      await updateSocketAccess(req.params.scriptId, req.params.userId, collaborator.role);
+
+      res.json({
+        success: true,
+        message: 'Collaborator updated successfully',
+        data: collaborator,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a collaborator, or leave the script (own user id)
+   * DELETE /api/collaboration/:scriptId/collaborators/:userId
+   */
+  async removeCollaborator(req, res, next) {
+    try {
+      const result = await collaborationService.removeCollaborator(req.params.scriptId, req.params.userId, req.user.id);
+      await updateSocketAccess(req.params.scriptId, req.params.userId, null);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Invitations of a script
+   * GET /api/collaboration/:scriptId/invitations
+   */
+  async getInvitations(req, res, next) {
+    try {
+      const invitations = await invitationService.getInvitations(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Invitations retrieved successfully',
+        data: invitations,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Invite someone by email; returns the link to send them
+   * POST /api/collaboration/:scriptId/invitations
+   * Body: { email, role? }
+   */
+  async invite(req, res, next) {
+    try {
+      const invitation = await invitationService.invite(req.params.scriptId, req.user.id, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation created successfully',
+        data: invitation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   * DELETE /api/collaboration/:scriptId/invitations/:invitationId
+   */
+  async revokeInvitation(req, res, next) {
+    try {
+      const result = await invitationService.revoke(req.params.scriptId, req.params.invitationId, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Pending invitations for the current user
+   * GET /api/collaboration/invitations
+   */
+  async getMyInvitations(req, res, next) {
+    try {
+      const invitations = await invitationService.getMyInvitations(req.user);
+
+      res.json({
+        success: true,
+        message: 'Invitations retrieved successfully',
+        data: invitations,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Invitation behind a token
+   * GET /api/collaboration/invitations/:token
+   */
+  async getInvitation(req, res, next) {
+    try {
+      const invitation = await invitationService.getInvitation(req.params.token, req.user);
+
+      res.json({
+        success: true,
+        message: 'Invitation retrieved successfully',
+        data: invitation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept an invitation and join the script
+   * POST /api/collaboration/invitations/:token/accept
+   */
+  async acceptInvitation(req, res, next) {
+    try {
+      const result = await invitationService.accept(req.params.token, req.user);
+
+      res.json({
+        success: true,
+        message: 'Invitation accepted',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Decline an invitation
+   * POST /api/collaboration/invitations/:token/decline
+   */
+  async declineInvitation(req, res, next) {
+    try {
+      const result = await invitationService.decline(req.params.token, req.user);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CollaborationController();
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const collaborationController = require('./collaboration.controller');
+const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole } = require('../../shared/middleware/permission.middleware');
+
+// Roles each route needs on the script
+const canView = requireScriptRole('VIEWER');
+const canAdmin = requireScriptRole('ADMIN');
+
+// All routes require authentication
+router.use(authenticateJWT);
+
+// Invitations sent to the current user; accept or decline by token
+router.get('/invitations', collaborationController.getMyInvitations.bind(collaborationController));
+router.get('/invitations/:token', collaborationController.getInvitation.bind(collaborationController));
+router.post('/invitations/:token/accept', collaborationController.acceptInvitation.bind(collaborationController));
+router.post('/invitations/:token/decline', collaborationController.declineInvitation.bind(collaborationController));
+
+// Who is in a script (for clients without a socket)
+router.get('/:scriptId/presence', canView, collaborationController.getPresence.bind(collaborationController));
+
+// Collaborators and their roles (anyone can remove themselves)
+router.get('/:scriptId/collaborators', canView, collaborationController.getCollaborators.bind(collaborationController));
+router.patch('/:scriptId/collaborators/:userId', canAdmin, collaborationController.updateCollaborator.bind(collaborationController));
+router.delete('/:scriptId/collaborators/:userId', canView, collaborationController.removeCollaborator.bind(collaborationController));
+
+// Invite by email, list and revoke invitations
+router.get('/:scriptId/invitations', canAdmin, collaborationController.getInvitations.bind(collaborationController));
+router.post('/:scriptId/invitations', canAdmin, collaborationController.invite.bind(collaborationController));
+router.delete('/:scriptId/invitations/:invitationId', canAdmin, collaborationController.revokeInvitation.bind(collaborationController));
+
+module.exports = router;
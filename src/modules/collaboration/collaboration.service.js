@@ -0,0 +1,184 @@
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, ForbiddenError } = require('../../shared/utils/errors');
+const scriptService = require('../scripts/script.service');
+const scriptRevisionService = require('../scripts/script-revision.service');
+const scriptVersionService = require('../scripts/script-version.service');
+const permissionService = require('./permission.service');
+const commentAnchorService = require('../comments/comment-anchor.service');
+
+const USER_SELECT = { id: true, name: true, email: true, avatar: true };
+
+/**
+ * Who works on a script and the storage side of live page editing:
+ * collaborators and their roles, who may open a script's shared document,
+ * the page text it starts from, and saving merged page text back the way
+ * a page edit through the API is saved (formatted lines, and revision
+ * marks and A/B pages once the script is locked).
+ */
+class CollaborationService {
+  /**
+   * Owner and collaborators of a script with their roles
+   */
+  async getCollaborators(scriptId, userId) {
+    await permissionService.requireRole(scriptId, userId, 'VIEWER');
+
+    const script = await prisma.script.findUnique({
+      where: { id: scriptId },
+      select: {
+        owner: { select: USER_SELECT },
+        createdAt: true,
+        collaborators: {
+          orderBy: { addedAt: 'asc' },
+          include: { user: { select: USER_SELECT } },
+        },
+      },
+    });
+
+    return [
+      { user: script.owner, role: 'OWNER', addedAt: script.createdAt },
+      ...script.collaborators.map(collaborator => ({
+        user: collaborator.user,
+        role: collaborator.role,
+        addedAt: collaborator.addedAt,
+      })),
+    ];
+  }
+
+  /**
+   * Change a collaborator's role. Admins manage editors and viewers; only
+   * the owner makes or changes admins.
+   */
+  async updateCollaboratorRole(scriptId, collaboratorId, userId, role) {
+    const { role: managerRole } = await permissionService.requireRole(scriptId, userId, 'ADMIN');
+    const collaborator = await this.findCollaborator(scriptId, collaboratorId);
+    const newRole = permissionService.grantableRole(role, managerRole);
+
+    if (collaborator.role === 'ADMIN' && managerRole !== 'OWNER') {
+      throw new ForbiddenError('Only the owner can change an admin');
+    }
+
+    const updated = await prisma.scriptCollaborator.update({
+      where: { id: collaborator.id },
+      data: { role: newRole },
+      include: { user: { select: USER_SELECT } },
+    });
+
+    console.log(`🔑 ${updated.user.email} is now ${newRole} on script ${scriptId}`);
+    return { user: updated.user, role: updated.role, addedAt: updated.addedAt };
+  }
+
+  /**
+   * Remove a collaborator; anyone can leave a script themselves
+   */
+  async removeCollaborator(scriptId, collaboratorId, userId) {
+    const { role: managerRole } = await permissionService.requireRole(scriptId, userId, 'VIEWER');
+    const collaborator = await this.findCollaborator(scriptId, collaboratorId);
+
+    if (collaboratorId !== userId) {
+      if (!permissionService.can(managerRole, 'ADMIN')) {
+        throw new ForbiddenError('This needs admin access to the script');
+      }
+      if (collaborator.role === 'ADMIN' && managerRole !== 'OWNER') {
+        throw new ForbiddenError('Only the owner can remove an admin');
+      }
+    }
+
+    await prisma.scriptCollaborator.delete({ where: { id: collaborator.id } });
+
+    return { message: collaboratorId === userId ? 'You left the script' : 'Collaborator removed' };
+  }
+
+  async findCollaborator(scriptId, collaboratorId) {
+    const collaborator = await prisma.scriptCollaborator.findUnique({
+      where: { scriptId_userId: { scriptId, userId: collaboratorId } },
+    });
+
+    if (!collaborator) {
+      throw new NotFoundError('Collaborator not found');
+    }
+    return collaborator;
+  }
+
+  /**
+   * Script a user may join for live editing; viewers follow along read-only
+   * @returns {Promise<{ role: string, readOnly: boolean }>}
+   */
+  async openScript(scriptId, userId) {
+    const { role } = await permissionService.requireRole(scriptId, userId, 'VIEWER');
+
+    return {
+      role,
+      readOnly: !permissionService.can(role, 'EDITOR'),
+    };
+  }
+
+  /**
+   * Pages in order with the text a shared document starts from
+   */
+  loadPages(scriptId) {
+    return prisma.scriptPage.findMany({
+      where: { scriptId },
+      orderBy: { pageNumber: 'asc' },
+      select: { id: true, pageNumber: true, pageLabel: true, rawText: true },
+    });
+  }
+
+  /**
+   * Save edited page text. Pages deleted meanwhile are skipped; pages whose
+   * text did not change are not written.
+   * @param {Map<string, string>} texts - page id -> text
+   * @returns {Promise<number[]>} numbers of the pages saved
+   */
+  async savePages(scriptId, texts) {
+    const [script, pages] = await Promise.all([
+      prisma.script.findUnique({
+        where: { id: scriptId },
+        select: { id: true, isLocked: true, parsedContent: true },
+      }),
+      prisma.scriptPage.findMany({
+        where: { scriptId, id: { in: [...texts.keys()] } },
+        select: { id: true, pageNumber: true, rawText: true, formatted: true },
+      }),
+    ]);
+    if (!script) return [];
+
+    const saved = [];
+    const previous = new Map();
+    for (const page of pages) {
+      const text = texts.get(page.id);
+      if (text === page.rawText) continue;
+
+      const formatted = scriptService.reformatPage(page.formatted, text);
+      if (script.isLocked) {
+        await scriptRevisionService.applyLockedEdit(scriptId, page.pageNumber, formatted);
+      } else {
+        await prisma.scriptPage.update({
+          where: { id: page.id },
+          data: { rawText: text, formatted },
+        });
+      }
+      saved.push(page.pageNumber);
+      previous.set(page.pageNumber, page.rawText);
+    }
+
+    if (saved.length > 0) {
+      await scriptService.discardSourceDocument(script);
+      await commentAnchorService.reanchor(scriptId, previous);
+    }
+    return saved;
+  }
+
+  /**
+   * Version for a live editing session once its last editor leaves
+   */
+  async closeSession(scriptId, authorId, pageNumbers) {
+    const pages = [...new Set(pageNumbers)].sort((a, b) => a - b);
+
+    return scriptVersionService.createVersion(scriptId, authorId, {
+      message: `Edited ${pages.length === 1 ? 'page' : 'pages'} ${pages.join(', ')} together`,
+      source: 'page_edit',
+    });
+  }
+}
+
+module.exports = new CollaborationService();
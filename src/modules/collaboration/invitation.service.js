@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { prisma } = require('../../config/database.config');
+const { clientUrl } = require('../../config/app.config');
+const { NotFoundError, BadRequestError, ConflictError, ForbiddenError } = require('../../shared/utils/errors');
+const permissionService = require('./permission.service');
+
+const INVITATION_TTL_DAYS = 7;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const INVITATION_INCLUDE = {
+  script: { select: { id: true, title: true } },
+  invitedBy: { select: { id: true, name: true, email: true, avatar: true } },
+};
+
+/**
+ * Invitations to collaborate on a script. Admins invite an email address
+ * with a role; the person signed in with that address accepts (becoming a
+ * ScriptCollaborator) or declines through the invitation's token within
+ * INVITATION_TTL_DAYS. Inviting the same address again while an invitation
+ * is pending renews it with a new token. There is no mail service yet, so
+ * the link to send is returned as acceptUrl.
+ */
+class InvitationService {
+  /**
+   * Invite an email address to a script; only the owner can invite admins
+   * @param {object} data - email, role (VIEWER by default)
+   */
+  async invite(scriptId, userId, data) {
+    const { role: inviterRole } = await permissionService.requireRole(scriptId, userId, 'ADMIN');
+
+    const email = String(data.email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      throw new BadRequestError('A valid email is required');
+    }
+
+    const role = permissionService.grantableRole(data.role || 'VIEWER', inviterRole);
+
+    const [script, invitee] = await Promise.all([
+      prisma.script.findUnique({ where: { id: scriptId }, select: { ownerId: true } }),
+      prisma.user.findFirst({ where: { email: { equals: email, mode: 'insensitive' } }, select: { id: true } }),
+    ]);
+
+    if (invitee && invitee.id === script.ownerId) {
+      throw new ConflictError('This person owns the script');
+    }
+    if (invitee && await prisma.scriptCollaborator.findUnique({ where: { scriptId_userId: { scriptId, userId: invitee.id } } })) {
+      throw new ConflictError('This person is already a collaborator');
+    }
+
+    const pending = await prisma.scriptInvitation.findFirst({
+      where: { scriptId, email, status: 'PENDING' },
+    });
+    const terms = {
+      role,
+      token: crypto.randomBytes(24).toString('base64url'),
+      invitedById: userId,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    };
+
+    const invitation = pending
+      ? await prisma.scriptInvitation.update({ where: { id: pending.id }, data: terms, include: INVITATION_INCLUDE })
+      : await prisma.scriptInvitation.create({ data: { scriptId, email, ...terms }, include: INVITATION_INCLUDE });
+
+    console.log(`✉️ Invited ${email} to script ${scriptId} as ${role}`);
+    return { ...this.present(invitation), token: invitation.token, acceptUrl: this.acceptUrl(invitation.token) };
+  }
+
+  /**
+   * Invitations of a script, newest first
+   */
+  async getInvitations(scriptId, userId) {
+    await permissionService.requireRole(scriptId, userId, 'ADMIN');
+
+    const invitations = await prisma.scriptInvitation.findMany({
+      where: { scriptId },
+      orderBy: { createdAt: 'desc' },
+      include: INVITATION_INCLUDE,
+    });
+
+    return invitations.map(invitation => this.present(invitation));
+  }
+
+  /**
+   * Withdraw a pending invitation; its token stops working
+   */
+  async revoke(scriptId, invitationId, userId) {
+    await permissionService.requireRole(scriptId, userId, 'ADMIN');
+
+    const invitation = await prisma.scriptInvitation.findFirst({
+      where: { id: invitationId, scriptId },
+    });
+
+    if (!invitation) {
+      throw new NotFoundError('Invitation not found');
+    }
+    if (invitation.status !== 'PENDING') {
+      throw new BadRequestError(`Invitation was already ${invitation.status.toLowerCase()}`);
+    }
+
+    await prisma.scriptInvitation.update({
+      where: { id: invitationId },
+      data: { status: 'REVOKED', respondedAt: new Date() },
+    });
+
+    return { message: 'Invitation revoked' };
+  }
+
+  /**
+   * Pending invitations sent to the user's email
+   */
+  async getMyInvitations(user) {
+    const invitations = await prisma.scriptInvitation.findMany({
+      where: {
+        email: user.email.toLowerCase(),
+        status: 'PENDING',
+        expiresAt: { gt: new Date() },
+      },
+      orderBy: { createdAt: 'desc' },
+      include: INVITATION_INCLUDE,
+    });
+
+    return invitations.map(invitation => this.present(invitation));
+  }
+
+  /**
+   * Invitation behind a token, for the page that accepts or declines it
+   */
+  async getInvitation(token, user) {
+    const invitation = await this.findInvitation(token, user);
+    return this.present(invitation);
+  }
+
+  /**
+   * Join the script with the invited role
+   */
+  async accept(token, user) {
+    const invitation = await this.findPending(token, user);
+
+    const collaborator = await prisma.$transaction(async (tx) => {
+      await tx.scriptInvitation.update({
+        where: { id: invitation.id },
+        data: { status: 'ACCEPTED', respondedAt: new Date() },
+      });
+
+      return tx.scriptCollaborator.upsert({
+        where: { scriptId_userId: { scriptId: invitation.scriptId, userId: user.id } },
+        create: { scriptId: invitation.scriptId, userId: user.id, role: invitation.role },
+        // Someone who joined meanwhile keeps their role
+        update: {},
+      });
+    });
+
+    console.log(`🤝 ${user.email} joined script ${invitation.scriptId} as ${invitation.role}`);
+    return { scriptId: invitation.scriptId, role: collaborator.role };
+  }
+
+  async decline(token, user) {
+    const invitation = await this.findPending(token, user);
+
+    await prisma.scriptInvitation.update({
+      where: { id: invitation.id },
+      data: { status: 'DECLINED', respondedAt: new Date() },
+    });
+
+    return { message: 'Invitation declined' };
+  }
+
+  /**
+   * Invitation behind a token, if it was sent to the user's email
+   */
+  async findInvitation(token, user) {
+    const invitation = token
+      ? await prisma.scriptInvitation.findUnique({ where: { token }, include: INVITATION_INCLUDE })
+      : null;
+
+    if (!invitation) {
+      throw new NotFoundError('Invitation not found');
+    }
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw new ForbiddenError('This invitation was sent to another email address');
+    }
+
+    return invitation;
+  }
+
+  async findPending(token, user) {
+    const invitation = await this.findInvitation(token, user);
+
+    if (invitation.status !== 'PENDING') {
+      throw new BadRequestError(`Invitation was already ${invitation.status.toLowerCase()}`);
+    }
+    if (invitation.expiresAt < new Date()) {
+      throw new BadRequestError('Invitation has expired');
+    }
+
+    const owner = await prisma.script.findFirst({
+      where: { id: invitation.scriptId, ownerId: user.id },
+      select: { id: true },
+    });
+    if (owner) {
+      throw new ConflictError('You own this script');
+    }
+
+    return invitation;
+  }
+
+  present(invitation) {
+    return {
+      id: invitation.id,
+      scriptId: invitation.scriptId,
+      script: invitation.script,
+      email: invitation.email,
+      role: invitation.role,
+      status: invitation.status === 'PENDING' && invitation.expiresAt < new Date() ? 'EXPIRED' : invitation.status,
+      invitedBy: invitation.invitedBy,
+      expiresAt: invitation.expiresAt,
+      respondedAt: invitation.respondedAt,
+      createdAt: invitation.createdAt,
+    };
+  }
+
+  acceptUrl(token) {
+    return `${clientUrl}/invitations/${token}`;
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,84 @@
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError, ForbiddenError } = require('../../shared/utils/errors');
+
+// What each role may do includes everything the roles below it may do
+const ROLE_RANK = {
+  VIEWER: 1, // read, export
+  EDITOR: 2, // change pages, scenes, breakdown, schedule, budget; run AI
+  ADMIN: 3, // lock and revise, script settings, invite and manage collaborators
+  OWNER: 4, // delete the script
+};
+
+// Roles a collaborator can hold (CollaboratorRole)
+const GRANTABLE_ROLES = ['VIEWER', 'EDITOR', 'ADMIN'];
+
+/**
+ * Per-script permissions: a user's role on a script is OWNER for its
+ * owner, their ScriptCollaborator role otherwise. Routes check it through
+ * requireScriptRole (permission.middleware), sockets and services through
+ * requireRole.
+ */
+class PermissionService {
+  /**
+   * Role of a user on a script, or null without access
+   */
+  async getRole(scriptId, userId) {
+    if (!scriptId || !userId) return null;
+
+    const script = await prisma.script.findUnique({
+      where: { id: scriptId },
+      select: {
+        ownerId: true,
+        collaborators: {
+          where: { userId },
+          select: { role: true },
+        },
+      },
+    });
+
+    if (!script) return null;
+    if (script.ownerId === userId) return 'OWNER';
+    return script.collaborators[0]?.role || null;
+  }
+
+  /**
+   * Check a user has at least `role` on a script. Scripts they cannot see
+   * at all are reported missing, as getScriptById does.
+   * @returns {Promise<{ scriptId: string, role: string }>}
+   */
+  async requireRole(scriptId, userId, role = 'VIEWER') {
+    const current = await this.getRole(scriptId, userId);
+
+    if (!current) {
+      throw new NotFoundError('Script not found');
+    }
+    if (!this.can(current, role)) {
+      throw new ForbiddenError(`This needs ${role.toLowerCase()} access to the script`);
+    }
+
+    return { scriptId, role: current };
+  }
+
+  /**
+   * Collaborator role someone with `grantorRole` may give; ADMIN only by
+   * the owner, and nobody can be made OWNER
+   */
+  grantableRole(value, grantorRole) {
+    const role = String(value || '').toUpperCase();
+
+    if (!GRANTABLE_ROLES.includes(role)) {
+      throw new BadRequestError(`role must be one of ${GRANTABLE_ROLES.join(', ')}`);
+    }
+    if (role === 'ADMIN' && grantorRole !== 'OWNER') {
+      throw new ForbiddenError('Only the owner can make admins');
+    }
+
+    return role;
+  }
+
+  can(role, required) {
+    return (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,330 @@
+const { redisClient } = require('../../config/redis.config');
+const { BadRequestError } = require('../../shared/utils/errors');
+const permissionService = require('./permission.service');
+
+// Connections refresh their entry this often; one not refreshed for
+// STALE_MS belonged to a server instance that went away
+const HEARTBEAT_MS = 30000;
+const STALE_MS = 90000;
+
+// Nobody has typed, moved or edited for this long
+const IDLE_MS = 2 * 60 * 1000;
+
+// Activity is written at most this often per connection while someone types
+const ACTIVITY_WRITE_MS = 15000;
+
+const CHANNEL = 'presence:events';
+
+const MODES = ['viewing', 'editing'];
+
+/**
+ * Who is in a script: one entry per socket with the user, whether they
+ * are viewing or editing, the page and scene they are on, and when they
+ * last did something (idle after IDLE_MS). Entries live in Redis so every
+ * server instance sees the same people; join, move, idle and leave events
+ * go out over Redis pub/sub and each instance passes them on to its own
+ * sockets in the script's presence room. Without Redis, presence is kept
+ * and sent per instance.
+ *
+ * Keys: presence:script:<id> (hash, socket id -> entry) and
+ * presence:script:<id>:seen (sorted set, socket id -> last heartbeat).
+ */
+class PresenceService {
+  constructor() {
+    this.io = null;
+    this.subscriber = null;
+    this.heartbeat = null;
+    // Entries of this instance's sockets, by script then socket id
+    this.local = new Map();
+  }
+
+  attach(io) {
+    this.io = io;
+
+    if (typeof redisClient.duplicate === 'function') {
+      this.subscriber = redisClient.duplicate();
+      this.subscriber.on('error', (error) => {
+        console.error('❌ Presence subscriber error:', error.message);
+      });
+      this.subscriber.on('message', (channel, message) => this.deliver(message));
+      this.subscriber.subscribe(CHANNEL).catch(() => {
+        console.log('⚠️  Presence events stay on this server (Redis not available)');
+      });
+    }
+
+    this.heartbeat = setInterval(() => {
+      this.beat().catch(error => console.error('❌ Presence heartbeat failed:', error.message));
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  roomName(scriptId) {
+    return `presence:script:${scriptId}`;
+  }
+
+  /**
+   * Put a socket in a script, or change how it is there (viewing/editing,
+   * where). Others get presence:join the first time, presence:move after.
+   * @param {object} [data] - mode, pageId, pageNumber, sceneId
+   */
+  async enter(socket, scriptId, data = {}) {
+    const location = this.parseLocation(data);
+    const mode = data.mode === undefined ? null : this.parseMode(data.mode);
+
+    const entries = this.localEntries(scriptId);
+    const previous = entries.get(socket.id);
+    const now = Date.now();
+    const user = socket.data.user;
+
+    const entry = {
+      socketId: socket.id,
+      userId: user.id,
+      name: user.name,
+      email: user.email,
+      avatar: user.avatar,
+      mode: mode || previous?.mode || 'viewing',
+      pageId: previous?.pageId || null,
+      pageNumber: previous?.pageNumber ?? null,
+      sceneId: previous?.sceneId || null,
+      joinedAt: previous?.joinedAt || new Date(now).toISOString(),
+      lastActiveAt: new Date(now).toISOString(),
+      ...location,
+    };
+
+    entries.set(socket.id, entry);
+    socket.join(this.roomName(scriptId));
+    await this.store(scriptId, entry);
+
+    await this.publish(scriptId, previous ? 'presence:move' : 'presence:join', this.present(entry, now));
+    return this.present(entry, now);
+  }
+
+  /**
+   * Take a socket out of a script
+   */
+  async leave(socket, scriptId) {
+    const entries = this.local.get(scriptId);
+    const entry = entries?.get(socket.id);
+    if (!entry) return;
+
+    entries.delete(socket.id);
+    if (entries.size === 0) this.local.delete(scriptId);
+    socket.leave(this.roomName(scriptId));
+
+    await this.unstore(scriptId, [socket.id]);
+    await this.publish(scriptId, 'presence:leave', { socketId: socket.id, userId: entry.userId });
+  }
+
+  /**
+   * Apply a user's new role on a script to their sockets here: with no
+   * role (removed from the script) they leave it and stop getting its
+   * presence and comment events; without edit access they are viewing
+   */
+  async updateAccess(scriptId, userId, role) {
+    const entries = [...(this.local.get(scriptId)?.values() || [])].filter(entry => entry.userId === userId);
+    if (!this.io || entries.length === 0) return;
+
+    for (const entry of entries) {
+      const socket = this.io.sockets.sockets.get(entry.socketId);
+      if (!socket) continue;
+
+      if (!role) {
+        await this.leave(socket, scriptId);
+      } else if (entry.mode === 'editing' && !permissionService.can(role, 'EDITOR')) {
+        await this.enter(socket, scriptId, { mode: 'viewing' });
+      }
+    }
+  }
+
+  /**
+   * Note that a socket did something (edited, moved its cursor); an idle
+   * connection is announced active again
+   */
+  async touch(socket, scriptId) {
+    const entry = this.local.get(scriptId)?.get(socket.id);
+    if (!entry) return;
+
+    const now = Date.now();
+    const last = Date.parse(entry.lastActiveAt);
+    if (now - last < ACTIVITY_WRITE_MS) return;
+
+    const wasIdle = now - last > IDLE_MS;
+    entry.lastActiveAt = new Date(now).toISOString();
+    await this.store(scriptId, entry);
+
+    if (wasIdle) {
+      await this.publish(scriptId, 'presence:idle', { socketId: socket.id, userId: entry.userId, idle: false });
+    }
+  }
+
+  /**
+   * Scripts a socket is present in
+   */
+  joinedScripts(socket) {
+    return [...this.local.entries()]
+      .filter(([, entries]) => entries.has(socket.id))
+      .map(([scriptId]) => scriptId);
+  }
+
+  /**
+   * Everyone in a script right now, across server instances
+   */
+  async getPresence(scriptId, userId) {
+    await permissionService.requireRole(scriptId, userId);
+
+    const now = Date.now();
+    const entries = await this.listEntries(scriptId);
+
+    return entries
+      .map(entry => this.present(entry, now))
+      .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+  }
+
+  async listEntries(scriptId) {
+    if (!this.redisReady()) {
+      return [...(this.local.get(scriptId)?.values() || [])];
+    }
+
+    const key = this.roomName(scriptId);
+    const [stored, stale] = await Promise.all([
+      redisClient.hgetall(key),
+      redisClient.zrangebyscore(`${key}:seen`, '-inf', Date.now() - STALE_MS),
+    ]);
+
+    // Sockets of an instance that stopped without saying goodbye
+    if (stale.length > 0) {
+      await this.unstore(scriptId, stale);
+    }
+
+    return Object.entries(stored)
+      .filter(([socketId]) => !stale.includes(socketId))
+      .map(([, value]) => JSON.parse(value));
+  }
+
+  /**
+   * Heartbeat of this instance's sockets; connections that just went idle
+   * are announced
+   */
+  async beat() {
+    const now = Date.now();
+
+    for (const [scriptId, entries] of this.local.entries()) {
+      if (this.redisReady()) {
+        const key = this.roomName(scriptId);
+        const pipeline = redisClient.pipeline();
+        entries.forEach((entry, socketId) => pipeline.zadd(`${key}:seen`, now, socketId));
+        pipeline.pexpire(key, STALE_MS * 2);
+        pipeline.pexpire(`${key}:seen`, STALE_MS * 2);
+        await pipeline.exec();
+      }
+
+      for (const entry of entries.values()) {
+        const since = now - Date.parse(entry.lastActiveAt);
+        if (since > IDLE_MS && since <= IDLE_MS + HEARTBEAT_MS) {
+          await this.publish(scriptId, 'presence:idle', { socketId: entry.socketId, userId: entry.userId, idle: true });
+        }
+      }
+    }
+  }
+
+  async store(scriptId, entry) {
+    if (!this.redisReady()) return;
+
+    const key = this.roomName(scriptId);
+    try {
+      await redisClient.multi()
+        .hset(key, entry.socketId, JSON.stringify(entry))
+        .zadd(`${key}:seen`, Date.now(), entry.socketId)
+        .pexpire(key, STALE_MS * 2)
+        .pexpire(`${key}:seen`, STALE_MS * 2)
+        .exec();
+    } catch (error) {
+      console.error('❌ Saving presence failed:', error.message);
+    }
+  }
+
+  async unstore(scriptId, socketIds) {
+    if (!this.redisReady()) return;
+
+    const key = this.roomName(scriptId);
+    try {
+      await redisClient.multi()
+        .hdel(key, ...socketIds)
+        .zrem(`${key}:seen`, ...socketIds)
+        .exec();
+    } catch (error) {
+      console.error('❌ Removing presence failed:', error.message);
+    }
+  }
+
+  /**
+   * Send an event to everyone in the script, on every instance
+   */
+  async publish(scriptId, event, payload) {
+    const message = JSON.stringify({ scriptId, event, payload });
+
+    if (this.redisReady() && this.subscriber?.status === 'ready') {
+      try {
+        await redisClient.publish(CHANNEL, message);
+        return;
+      } catch (error) {
+        console.error('❌ Publishing presence failed:', error.message);
+      }
+    }
+    this.deliver(message);
+  }
+
+  deliver(message) {
+    if (!this.io) return;
+
+    const { scriptId, event, payload } = JSON.parse(message);
+    this.io.to(this.roomName(scriptId)).emit(event, { scriptId, ...payload });
+  }
+
+  present(entry, now = Date.now()) {
+    return { ...entry, idle: now - Date.parse(entry.lastActiveAt) > IDLE_MS };
+  }
+
+  /**
+   * Page and scene fields a client sent; only the ones present are returned
+   */
+  parseLocation(data) {
+    const location = {};
+
+    ['pageId', 'sceneId'].forEach(field => {
+      if (data[field] === undefined) return;
+      if (data[field] !== null && typeof data[field] !== 'string') {
+        throw new BadRequestError(`${field} must be a string`);
+      }
+      location[field] = data[field] || null;
+    });
+
+    if (data.pageNumber !== undefined) {
+      const pageNumber = data.pageNumber === null ? null : Number(data.pageNumber);
+      if (pageNumber !== null && (!Number.isInteger(pageNumber) || pageNumber < 1)) {
+        throw new BadRequestError('pageNumber must be a positive whole number');
+      }
+      location.pageNumber = pageNumber;
+    }
+
+    return location;
+  }
+
+  parseMode(mode) {
+    if (!MODES.includes(mode)) {
+      throw new BadRequestError(`mode must be one of ${MODES.join(', ')}`);
+    }
+    return mode;
+  }
+
+  localEntries(scriptId) {
+    if (!this.local.has(scriptId)) this.local.set(scriptId, new Map());
+    return this.local.get(scriptId);
+  }
+
+  redisReady() {
+    return redisClient.status === 'ready';
+  }
+}
+
+module.exports = new PresenceService();
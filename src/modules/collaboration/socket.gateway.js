@@ -0,0 +1,161 @@
+const { findTokenUser } = require('../../shared/middleware/auth.middleware');
+const { UnauthorizedError } = require('../../shared/utils/errors');
+const collaborationService = require('./collaboration.service');
+const presenceService = require('./presence.service');
+const yjsProvider = require('./yjs.provider');
+
+/**
+ * Authenticate a socket with the same JWT the API takes, sent as
+ * `auth: { token }` or an `Authorization: Bearer` header
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const header = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth?.token
+      || (header && header.startsWith('Bearer ') ? header.split(' ')[1] : null);
+
+    if (!token) {
+      return next(new UnauthorizedError('No token provided'));
+    }
+
+    const user = await findTokenUser(token);
+    if (!user) {
+      return next(new UnauthorizedError('Invalid token or user not found'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+  }
+}
+
+/**
+ * Reply to an event's acknowledgement callback, when the client sent one
+ */
+function reply(ack, body) {
+  if (typeof ack === 'function') ack(body);
+}
+
+/**
+ * Live page editing. A client joins a script with
+ * `collab:join (scriptId, ack)` and gets { session, readOnly, pages };
+ * then `collab:message (scriptId, Uint8Array)` carries y-websocket sync
+ * and awareness messages both ways until `collab:leave` or disconnect.
+ * When pages are edited over the API or a version is restored, the room
+ * gets `collab:pages (scriptId, { session, pages })` with the page list.
+ * A collaborator whose role changes gets `collab:access (scriptId,
+ * { role, readOnly })`; one removed from the script (role null) is taken
+ * out of its document and presence.
+ *
+ * Presence. `presence:join (scriptId, { pageId, pageNumber, sceneId }, ack)`
+ * puts a viewer in a script (joining the editor does too, as an editor)
+ * and acks with everyone there; `presence:move` reports a new page or
+ * scene and `presence:leave` leaves. Everyone in the script gets
+ * presence:join, presence:move, presence:idle and presence:leave.
+ *
+ * Comments. Comments are written over the REST API; everyone in the
+ * script gets comment:created, comment:updated and comment:deleted, and
+ * comment:anchors when page edits move the text threads are anchored to.
+ */
+function initializeSocketIO(io) {
+  yjsProvider.attach(io);
+  presenceService.attach(io);
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+    console.log(`🔌 Socket connected: ${user.email}`);
+
+    socket.on('collab:join', async (scriptId, ack) => {
+      try {
+        const { readOnly } = await collaborationService.openScript(scriptId, user.id);
+        const data = await yjsProvider.join(socket, scriptId, { readOnly });
+        await presenceService.enter(socket, scriptId, { mode: readOnly ? 'viewing' : 'editing' });
+
+        reply(ack, { success: true, message: 'Joined script', data });
+      } catch (error) {
+        console.error(`❌ ${user.email} could not join script ${scriptId}:`, error.message);
+        reply(ack, { success: false, message: error.isOperational ? error.message : 'Could not join script' });
+      }
+    });
+
+    socket.on('collab:message', (scriptId, message) => {
+      try {
+        yjsProvider.handleMessage(socket, scriptId, message);
+      } catch (error) {
+        console.error(`❌ Bad collaboration message from ${user.email}:`, error.message);
+      }
+      presenceService.touch(socket, scriptId).catch(() => {});
+    });
+
+    socket.on('collab:leave', async (scriptId, ack) => {
+      try {
+        await yjsProvider.leave(socket, scriptId);
+        if (presenceService.joinedScripts(socket).includes(scriptId)) {
+          await presenceService.enter(socket, scriptId, { mode: 'viewing' });
+        }
+        reply(ack, { success: true, message: 'Left script' });
+      } catch (error) {
+        console.error(`❌ ${user.email} could not leave script ${scriptId}:`, error.message);
+        reply(ack, { success: false, message: 'Could not leave script' });
+      }
+    });
+
+    socket.on('presence:join', async (scriptId, location, ack) => {
+      if (typeof location === 'function') [location, ack] = [{}, location];
+      try {
+        await collaborationService.openScript(scriptId, user.id);
+        await presenceService.enter(socket, scriptId, location || {});
+        const data = await presenceService.getPresence(scriptId, user.id);
+
+        reply(ack, { success: true, message: 'Presence retrieved successfully', data });
+      } catch (error) {
+        reply(ack, { success: false, message: error.isOperational ? error.message : 'Could not join script' });
+      }
+    });
+
+    socket.on('presence:move', async (scriptId, location, ack) => {
+      try {
+        if (!presenceService.joinedScripts(socket).includes(scriptId)) {
+          return reply(ack, { success: false, message: 'Join the script first' });
+        }
+
+        const data = await presenceService.enter(socket, scriptId, location || {});
+        reply(ack, { success: true, message: 'Location updated', data });
+      } catch (error) {
+        reply(ack, { success: false, message: error.isOperational ? error.message : 'Could not update location' });
+      }
+    });
+
+    socket.on('presence:leave', async (scriptId, ack) => {
+      try {
+        await presenceService.leave(socket, scriptId);
+        reply(ack, { success: true, message: 'Left script' });
+      } catch (error) {
+        console.error(`❌ ${user.email} could not leave presence of script ${scriptId}:`, error.message);
+        reply(ack, { success: false, message: 'Could not leave script' });
+      }
+    });
+
+    socket.on('disconnect', async () => {
+      for (const scriptId of yjsProvider.joinedScripts(socket)) {
+        try {
+          await yjsProvider.leave(socket, scriptId);
+        } catch (error) {
+          console.error(`❌ Closing script ${scriptId} for ${user.email} failed:`, error.message);
+        }
+      }
+      for (const scriptId of presenceService.joinedScripts(socket)) {
+        try {
+          await presenceService.leave(socket, scriptId);
+        } catch (error) {
+          console.error(`❌ Removing ${user.email} from presence of script ${scriptId} failed:`, error.message);
+        }
+      }
+      console.log(`🔌 Socket disconnected: ${user.email}`);
+    });
+  });
+}
+
+module.exports = { initializeSocketIO };
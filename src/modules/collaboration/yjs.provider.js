@@ -0,0 +1,415 @@
+const { randomUUID } = require('crypto');
+const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+const collaborationService = require('./collaboration.service');
+const permissionService = require('./permission.service');
+
+// Message types of the y-websocket protocol, which clients speak over the socket
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+
+// Merged text is written back at most this often while people type
+const PERSIST_INTERVAL_MS = 5000;
+
+// Transaction origins of changes that do not come from an editor
+const LOAD_ORIGIN = 'load';
+const PERSIST_ORIGIN = 'persist';
+
+/**
+ * Shared Yjs documents, one per script open for live editing. Each page is
+ * a Y.Text named after its ScriptPage id, filled from rawText when the
+ * first editor joins. Sync and awareness (cursors, selections) messages
+ * are relayed between the sockets in the script's room; edited pages are
+ * saved every PERSIST_INTERVAL_MS and once more when the last editor
+ * leaves, and the session becomes a script version.
+ *
+ * A document lives only while someone has it open. Clients start from an
+ * empty Y.Doc for every session id they are given, since a document loaded
+ * again from the database does not share history with an older one.
+ * Pages changed over the API while a document is open are written into it
+ * (see reload), so the next save does not put the old text back.
+ */
+class YjsProvider {
+  constructor() {
+    this.io = null;
+    this.rooms = new Map();
+    this.loading = new Map();
+  }
+
+  attach(io) {
+    this.io = io;
+  }
+
+  roomName(scriptId) {
+    return `script:${scriptId}`;
+  }
+
+  /**
+   * Add a socket to a script's document and start syncing it
+   * @returns {Promise<object>} { session, readOnly, pages }
+   */
+  async join(socket, scriptId, { readOnly = false } = {}) {
+    const room = await this.openRoom(scriptId);
+
+    if (!room.sockets.has(socket.id)) {
+      room.sockets.set(socket.id, { socket, readOnly, clientIds: new Set() });
+    }
+    socket.join(room.name);
+
+    // Server's state vector first, then everyone's cursors
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeSyncStep1(encoder, room.doc);
+    this.send(socket, scriptId, encoding.toUint8Array(encoder));
+
+    const states = [...room.awareness.getStates().keys()];
+    if (states.length > 0) {
+      this.send(socket, scriptId, this.awarenessMessage(room.awareness, states));
+    }
+
+    console.log(`✍️ ${socket.data.user.email} joined script ${scriptId}${readOnly ? ' (read-only)' : ''}`);
+
+    return {
+      session: room.session,
+      readOnly,
+      pages: [...room.pages.values()],
+    };
+  }
+
+  /**
+   * Apply a sync or awareness message from a socket. Updates from
+   * read-only sockets are dropped.
+   */
+  handleMessage(socket, scriptId, message) {
+    const room = this.rooms.get(scriptId);
+    const member = room?.sockets.get(socket.id);
+    if (!member) return;
+
+    const decoder = decoding.createDecoder(new Uint8Array(message));
+    const type = decoding.readVarUint(decoder);
+
+    if (type === MESSAGE_SYNC) {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+
+      const syncType = decoding.readVarUint(decoder);
+      if (syncType === syncProtocol.messageYjsSyncStep1) {
+        syncProtocol.readSyncStep1(decoder, encoder, room.doc);
+      } else if (!member.readOnly) {
+        syncProtocol.readSyncStep2(decoder, room.doc, socket);
+      }
+
+      if (encoding.length(encoder) > 1) {
+        this.send(socket, scriptId, encoding.toUint8Array(encoder));
+      }
+    } else if (type === MESSAGE_AWARENESS) {
+      awarenessProtocol.applyAwarenessUpdate(room.awareness, decoding.readVarUint8Array(decoder), socket);
+    }
+  }
+
+  /**
+   * Remove a socket from a script's document: its cursors disappear, and
+   * the document is saved and closed when nobody is left
+   */
+  async leave(socket, scriptId) {
+    const room = this.rooms.get(scriptId);
+    const member = room?.sockets.get(socket.id);
+    if (!member) return;
+
+    room.sockets.delete(socket.id);
+    socket.leave(room.name);
+    awarenessProtocol.removeAwarenessStates(room.awareness, [...member.clientIds], null);
+
+    if (room.sockets.size === 0) {
+      await this.closeRoom(room);
+    }
+  }
+
+  /**
+   * Apply a user's new role on a script to their sockets in its document:
+   * they become read-only or may write again, or, with no role (removed
+   * from the script), leave it. Each of them gets collab:access.
+   * @param {string|null} role
+   */
+  async updateAccess(scriptId, userId, role) {
+    const room = this.rooms.get(scriptId);
+    if (!room) return;
+
+    const readOnly = !permissionService.can(role, 'EDITOR');
+    const members = [...room.sockets.values()].filter(member => member.socket.data.user.id === userId);
+
+    for (const member of members) {
+      if (role) {
+        member.readOnly = readOnly;
+      } else {
+        await this.leave(member.socket, scriptId);
+      }
+      member.socket.emit('collab:access', scriptId, { role, readOnly });
+    }
+  }
+
+  /**
+   * Scripts a socket has joined
+   */
+  joinedScripts(socket) {
+    return [...this.rooms.values()]
+      .filter(room => room.sockets.has(socket.id))
+      .map(room => room.scriptId);
+  }
+
+  /**
+   * Open documents share one load, so editors joining together get the same one
+   */
+  async openRoom(scriptId) {
+    if (this.rooms.has(scriptId)) return this.rooms.get(scriptId);
+
+    if (!this.loading.has(scriptId)) {
+      this.loading.set(scriptId, this.loadRoom(scriptId)
+        .then(room => {
+          this.rooms.set(scriptId, room);
+          return room;
+        })
+        .finally(() => this.loading.delete(scriptId)));
+    }
+
+    return this.loading.get(scriptId);
+  }
+
+  async loadRoom(scriptId) {
+    const pages = await collaborationService.loadPages(scriptId);
+    const doc = new Y.Doc();
+    const awareness = new awarenessProtocol.Awareness(doc);
+    awareness.setLocalState(null);
+
+    const room = {
+      scriptId,
+      name: this.roomName(scriptId),
+      session: randomUUID(),
+      doc,
+      awareness,
+      pages: new Map(),
+      // Page id -> rawText as last read from or written to the database
+      stored: new Map(),
+      sockets: new Map(),
+      dirty: new Set(),
+      // The session's version is credited to whoever edited last
+      lastEditor: null,
+      saved: [],
+      timer: null,
+      saving: Promise.resolve(),
+    };
+
+    doc.transact(() => {
+      pages.forEach(page => this.addPage(room, page));
+    }, LOAD_ORIGIN);
+
+    doc.on('update', (update, origin) => this.onUpdate(room, update, origin));
+    awareness.on('update', (changes, origin) => this.onAwareness(room, changes, origin));
+
+    console.log(`📝 Opened live document for script ${scriptId} (${pages.length} pages)`);
+    return room;
+  }
+
+  addPage(room, page) {
+    room.pages.set(page.id, { id: page.id, pageNumber: page.pageNumber, pageLabel: page.pageLabel });
+    room.stored.set(page.id, page.rawText || '');
+
+    const text = room.doc.getText(page.id);
+    text.insert(0, page.rawText || '');
+    text.observe(event => {
+      if (event.transaction.origin === LOAD_ORIGIN || event.transaction.origin === PERSIST_ORIGIN) return;
+      room.dirty.add(page.id);
+    });
+  }
+
+  onUpdate(room, update, origin) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    this.broadcast(room, encoding.toUint8Array(encoder), origin);
+
+    if (origin?.data?.user) {
+      room.lastEditor = origin.data.user.id;
+    }
+    if (room.dirty.size > 0 && !room.timer) {
+      room.timer = setTimeout(() => {
+        room.timer = null;
+        this.persist(room);
+      }, PERSIST_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Relay cursor changes; client ids a socket adds are removed for it when
+   * it leaves
+   */
+  onAwareness(room, { added, updated, removed }, origin) {
+    const member = origin && room.sockets.get(origin.id);
+    if (member) {
+      added.forEach(clientId => member.clientIds.add(clientId));
+      removed.forEach(clientId => member.clientIds.delete(clientId));
+    }
+
+    const changed = [...added, ...updated, ...removed];
+    this.broadcast(room, this.awarenessMessage(room.awareness, changed), origin);
+  }
+
+  awarenessMessage(awareness, clientIds) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, clientIds));
+    return encoding.toUint8Array(encoder);
+  }
+
+  /**
+   * Save the pages edited since the last save. Saves run one at a time;
+   * pages that fail to save are tried again with the next one.
+   */
+  persist(room) {
+    room.saving = room.saving.then(async () => {
+      if (room.dirty.size === 0) return;
+
+      const texts = new Map([...room.dirty].map(pageId => [pageId, room.doc.getText(pageId).toString()]));
+      room.dirty.clear();
+
+      try {
+        const saved = await collaborationService.savePages(room.scriptId, texts);
+        if (saved.length > 0) {
+          room.saved.push(...saved);
+          await this.refreshPages(room, texts);
+        }
+      } catch (error) {
+        console.error(`❌ Saving live edits of script ${room.scriptId} failed:`, error.message);
+        texts.forEach((text, pageId) => room.dirty.add(pageId));
+      }
+    });
+
+    return room.saving;
+  }
+
+  /**
+   * Bring the document in line with the stored pages after a save. On a
+   * locked script a save can move lines onto A/B pages, or add pages;
+   * pages edited again since the save are left for the next one.
+   */
+  async refreshPages(room, texts) {
+    const pages = await collaborationService.loadPages(room.scriptId);
+
+    room.doc.transact(() => {
+      pages.forEach(page => {
+        if (!room.pages.has(page.id)) {
+          this.addPage(room, page);
+          return;
+        }
+
+        room.pages.set(page.id, { id: page.id, pageNumber: page.pageNumber, pageLabel: page.pageLabel });
+        room.stored.set(page.id, page.rawText || '');
+        const text = room.doc.getText(page.id);
+        const sent = texts.get(page.id) ?? text.toString();
+        if (room.dirty.has(page.id) || text.toString() !== sent || sent === page.rawText) return;
+
+        text.delete(0, text.length);
+        text.insert(0, page.rawText);
+      });
+    }, PERSIST_ORIGIN);
+  }
+
+  /**
+   * Bring an open document in line with pages changed outside it (page
+   * edits over the API, restoring a version). A page whose stored text
+   * changed takes that text, dropping live edits to it not saved yet;
+   * other pages keep theirs. Everyone in the room gets the page list as
+   * collab:pages, since a restore replaces every page.
+   */
+  async reload(scriptId) {
+    const room = this.rooms.get(scriptId) || await this.loading.get(scriptId);
+    if (!room) return;
+
+    room.saving = room.saving.then(async () => {
+      try {
+        const pages = await collaborationService.loadPages(scriptId);
+        const ids = new Set(pages.map(page => page.id));
+
+        room.doc.transact(() => {
+          [...room.pages.keys()].filter(pageId => !ids.has(pageId)).forEach(pageId => {
+            room.pages.delete(pageId);
+            room.stored.delete(pageId);
+            room.dirty.delete(pageId);
+          });
+
+          pages.forEach(page => {
+            if (!room.pages.has(page.id)) {
+              this.addPage(room, page);
+              return;
+            }
+
+            room.pages.set(page.id, { id: page.id, pageNumber: page.pageNumber, pageLabel: page.pageLabel });
+            const rawText = page.rawText || '';
+            if (room.stored.get(page.id) === rawText) return;
+
+            room.stored.set(page.id, rawText);
+            room.dirty.delete(page.id);
+            const text = room.doc.getText(page.id);
+            text.delete(0, text.length);
+            text.insert(0, rawText);
+          });
+        }, PERSIST_ORIGIN);
+
+        if (this.io) {
+          this.io.to(room.name).emit('collab:pages', scriptId, {
+            session: room.session,
+            pages: [...room.pages.values()],
+          });
+        }
+      } catch (error) {
+        console.error(`❌ Reloading live document of script ${scriptId} failed:`, error.message);
+      }
+    });
+
+    return room.saving;
+  }
+
+  async closeRoom(room) {
+    clearTimeout(room.timer);
+    room.timer = null;
+    await this.persist(room);
+
+    // Someone joined while the last edits were saved
+    if (room.sockets.size > 0) return;
+
+    this.rooms.delete(room.scriptId);
+    room.awareness.destroy();
+    room.doc.destroy();
+
+    if (room.saved.length > 0) {
+      try {
+        await collaborationService.closeSession(room.scriptId, room.lastEditor, room.saved);
+      } catch (error) {
+        console.error(`❌ Versioning live edits of script ${room.scriptId} failed:`, error.message);
+      }
+    }
+
+    console.log(`📕 Closed live document for script ${room.scriptId}`);
+  }
+
+  /**
+   * Send to everyone in the room but the socket the change came from
+   */
+  broadcast(room, message, origin) {
+    if (!this.io) return;
+
+    const target = origin && room.sockets.has(origin.id)
+      ? origin.to(room.name)
+      : this.io.to(room.name);
+    target.emit('collab:message', room.scriptId, message);
+  }
+
+  send(socket, scriptId, message) {
+    socket.emit('collab:message', scriptId, message);
+  }
+}
+
+module.exports = new YjsProvider();
@@ -0,0 +1,130 @@
+const { prisma } = require('../../config/database.config');
+const presenceService = require('../collaboration/presence.service');
+
+/**
+ * Keeps comment threads on the text they were made on. A thread anchors
+ * to characters [startOffset, endOffset) of a page's rawText and keeps
+ * that text as its quote. After pages change, an anchor first moves with
+ * the edit around it (text before and after the edited span keeps its
+ * place); if the quote is not there, it is looked up on the page nearest
+ * the old position, then on the nearest other pages (locked scripts push
+ * overflow onto A/B pages and renumber the pages after them). When the
+ * quote is gone, the anchor collapses to where it was and is detached.
+ */
+class CommentAnchorService {
+  /**
+   * Move the anchors of a script's threads after its pages changed and
+   * send the ones that moved as comment:anchors
+   * @param {string} scriptId
+   * @param {Map<number, string>} [previous] - rawText of the edited pages before the edit, by page number
+   * @returns {Promise<Array>} moved anchors
+   */
+  async reanchor(scriptId, previous = new Map()) {
+    const comments = await prisma.comment.findMany({
+      where: { scriptId, parentId: null, quote: { not: null } },
+      select: {
+        id: true,
+        pageNumber: true,
+        startOffset: true,
+        endOffset: true,
+        quote: true,
+        detached: true,
+      },
+    });
+    if (comments.length === 0) return [];
+
+    const pages = await prisma.scriptPage.findMany({
+      where: { scriptId },
+      orderBy: { pageNumber: 'asc' },
+      select: { pageNumber: true, rawText: true },
+    });
+
+    const moved = [];
+    for (const comment of comments) {
+      const anchor = this.locate(comment, pages, previous.get(comment.pageNumber));
+      const same = anchor.pageNumber === comment.pageNumber
+        && anchor.startOffset === comment.startOffset
+        && anchor.endOffset === comment.endOffset
+        && anchor.detached === comment.detached;
+      if (same) continue;
+
+      await prisma.comment.update({ where: { id: comment.id }, data: anchor });
+      moved.push({ id: comment.id, ...anchor });
+    }
+
+    if (moved.length > 0) {
+      console.log(`📌 Moved ${moved.length} comment anchor(s) in script ${scriptId}`);
+      await presenceService.publish(scriptId, 'comment:anchors', { anchors: moved });
+    }
+    return moved;
+  }
+
+  /**
+   * Where a thread's quote is now
+   * @param {string} [before] - the page's text before it was edited
+   */
+  locate(comment, pages, before) {
+    const page = pages.find(candidate => candidate.pageNumber === comment.pageNumber);
+    const estimate = page && before !== undefined
+      ? this.shift(before, page.rawText || '', comment.startOffset, comment.endOffset)
+      : { start: comment.startOffset, end: comment.endOffset };
+
+    if (page && (page.rawText || '').slice(estimate.start, estimate.end) === comment.quote) {
+      return this.anchor(page.pageNumber, estimate.start, estimate.end, false);
+    }
+
+    const nearest = [...pages].sort((a, b) => (
+      Math.abs(a.pageNumber - comment.pageNumber) - Math.abs(b.pageNumber - comment.pageNumber)
+      || a.pageNumber - b.pageNumber
+    ));
+    for (const candidate of nearest) {
+      const start = this.nearestOccurrence(candidate.rawText || '', comment.quote, estimate.start);
+      if (start !== -1) {
+        return this.anchor(candidate.pageNumber, start, start + comment.quote.length, false);
+      }
+    }
+
+    const point = Math.min(Math.max(estimate.start, 0), (page?.rawText || '').length);
+    return this.anchor(comment.pageNumber, point, point, true);
+  }
+
+  /**
+   * Offsets in `after` for a range of `before`. The common start and end
+   * of the two texts bound the edit; offsets inside it move to its start.
+   */
+  shift(before, after, start, end) {
+    const shortest = Math.min(before.length, after.length);
+
+    let prefix = 0;
+    while (prefix < shortest && before[prefix] === after[prefix]) prefix++;
+
+    let suffix = 0;
+    while (
+      suffix < shortest - prefix
+      && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+    ) suffix++;
+
+    const delta = after.length - before.length;
+    const move = (offset) => {
+      if (offset <= prefix) return offset;
+      if (offset >= before.length - suffix) return offset + delta;
+      return prefix;
+    };
+
+    return { start: move(start), end: move(end) };
+  }
+
+  nearestOccurrence(text, quote, position) {
+    let best = -1;
+    for (let index = text.indexOf(quote); index !== -1; index = text.indexOf(quote, index + 1)) {
+      if (best === -1 || Math.abs(index - position) < Math.abs(best - position)) best = index;
+    }
+    return best;
+  }
+
+  anchor(pageNumber, startOffset, endOffset, detached) {
+    return { pageNumber, startOffset, endOffset, detached };
+  }
+}
+
+module.exports = new CommentAnchorService();
@@ -0,0 +1,162 @@
+const commentsService = require('./comments.service');
+
+class CommentsController {
+  /**
+   * Threads of a script with their replies
+   * GET /api/comments/script/:scriptId
+   * Query: status, type, priority, sceneId, pageNumber, tag, assignedToId, mentioned ("me" for the current user)
+   */
+  async getThreads(req, res, next) {
+    try {
+      const me = value => (value === 'me' ? req.user.id : value);
+      const threads = await commentsService.getThreads(req.params.scriptId, req.user.id, {
+        status: req.query.status,
+        type: req.query.type,
+        priority: req.query.priority,
+        sceneId: req.query.sceneId,
+        pageNumber: req.query.pageNumber,
+        tag: req.query.tag,
+        assignedToId: me(req.query.assignedToId),
+        mentioned: me(req.query.mentioned),
+      });
+
+      res.json({
+        success: true,
+        message: 'Comments retrieved successfully',
+        data: threads,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start a thread
+   * POST /api/comments/script/:scriptId
+   * Body: { content, type?, priority?, tags?, assignedToId?, sceneId?, pageNumber?, startOffset?, endOffset? }
+   */
+  async createThread(req, res, next) {
+    try {
+      const thread = await commentsService.createThread(req.params.scriptId, req.user.id, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Comment created successfully',
+        data: thread,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a thread with its replies
+   * GET /api/comments/:id
+   */
+  async getThread(req, res, next) {
+    try {
+      const thread = await commentsService.getThread(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Comment retrieved successfully',
+        data: thread,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reply to a thread
+   * POST /api/comments/:id/replies
+   * Body: { content }
+   */
+  async reply(req, res, next) {
+    try {
+      const reply = await commentsService.reply(req.params.id, req.user.id, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Reply created successfully',
+        data: reply,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edit a comment
+   * PATCH /api/comments/:id
+   * Body: { content?, type?, status?, priority?, tags?, assignedToId? }
+   */
+  async updateComment(req, res, next) {
+    try {
+      const comment = await commentsService.updateComment(req.params.id, req.user.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Comment updated successfully',
+        data: comment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Resolve a thread
+   * POST /api/comments/:id/resolve
+   */
+  async resolve(req, res, next) {
+    try {
+      const thread = await commentsService.resolve(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Thread resolved',
+        data: thread,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reopen a thread
+   * POST /api/comments/:id/reopen
+   */
+  async reopen(req, res, next) {
+    try {
+      const thread = await commentsService.reopen(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Thread reopened',
+        data: thread,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a comment
+   * DELETE /api/comments/:id
+   */
+  async deleteComment(req, res, next) {
+    try {
+      const result = await commentsService.deleteComment(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CommentsController();
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const commentsController = require('./comments.controller');
+const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole, fromParam, fromRecord } = require('../../shared/middleware/permission.middleware');
+
+// Any collaborator can comment; authorship and roles are checked per action
+const canViewScript = requireScriptRole('VIEWER', fromParam('scriptId'));
+const canView = requireScriptRole('VIEWER', fromRecord('comment', 'id'));
+
+// All routes require authentication
+router.use(authenticateJWT);
+
+// Threads of a script (?status=&type=&priority=&sceneId=&pageNumber=&tag=&assignedToId=&mentioned=me)
+router.get('/script/:scriptId', canViewScript, commentsController.getThreads.bind(commentsController));
+
+// Start a thread, optionally on a scene and a span of a page
+router.post('/script/:scriptId', canViewScript, commentsController.createThread.bind(commentsController));
+
+// Get a thread with its replies
+router.get('/:id', canView, commentsController.getThread.bind(commentsController));
+
+// Reply to a thread
+router.post('/:id/replies', canView, commentsController.reply.bind(commentsController));
+
+// Edit a comment, or a thread's type, status, priority, tags and assignee
+router.patch('/:id', canView, commentsController.updateComment.bind(commentsController));
+
+// Resolve / reopen a thread
+router.post('/:id/resolve', canView, commentsController.resolve.bind(commentsController));
+router.post('/:id/reopen', canView, commentsController.reopen.bind(commentsController));
+
+// Delete a comment (a thread with its replies)
+router.delete('/:id', canView, commentsController.deleteComment.bind(commentsController));
+
+module.exports = router;
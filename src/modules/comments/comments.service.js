@@ -0,0 +1,392 @@
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError, ForbiddenError } = require('../../shared/utils/errors');
+const permissionService = require('../collaboration/permission.service');
+const presenceService = require('../collaboration/presence.service');
+
+const COMMENT_TYPES = ['GENERAL', 'NOTE', 'SUGGESTION', 'QUESTION', 'ISSUE'];
+const COMMENT_STATUSES = ['OPEN', 'IN_PROGRESS', 'RESOLVED'];
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const MAX_CONTENT_LENGTH = 10000;
+const MAX_TAGS = 20;
+
+// @name, not the middle of an email address
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.-]*\w)/g;
+
+const USER_SELECT = { id: true, name: true, username: true, email: true, avatar: true };
+
+const COMMENT_INCLUDE = {
+  author: { select: USER_SELECT },
+  mentions: { select: USER_SELECT },
+  scene: { select: { id: true, sceneNumber: true, sceneLabel: true, heading: true } },
+};
+
+const THREAD_INCLUDE = {
+  ...COMMENT_INCLUDE,
+  replies: {
+    orderBy: { createdAt: 'asc' },
+    include: COMMENT_INCLUDE,
+  },
+};
+
+/**
+ * Comment threads on a script. A thread is a top-level comment with a
+ * type, status, priority, tags and an optional assignee, about a scene
+ * and/or a span of a page (see comment-anchor.service); replies are
+ * plain comments under it. @username in the text mentions people who
+ * can see the script. Everyone in the script (presence room) gets
+ * comment:created, comment:updated and comment:deleted.
+ *
+ * Any collaborator can comment and reply; authors edit their own
+ * comments, editors can also change the type, status, priority, tags and
+ * assignee of any thread, admins can delete any comment.
+ */
+class CommentsService {
+  /**
+   * Threads of a script, newest first
+   * @param {object} filters - status, type, priority, sceneId, pageNumber, tag,
+   *   assignedToId, mentioned (user id)
+   */
+  async getThreads(scriptId, userId, filters = {}) {
+    await permissionService.requireRole(scriptId, userId);
+
+    const where = { scriptId, parentId: null };
+    if (filters.status) where.status = this.parseChoice(filters.status, COMMENT_STATUSES, 'status');
+    if (filters.type) where.type = this.parseChoice(filters.type, COMMENT_TYPES, 'type');
+    if (filters.priority) where.priority = this.parseChoice(filters.priority, PRIORITIES, 'priority');
+    if (filters.sceneId) where.sceneId = filters.sceneId;
+    if (filters.pageNumber !== undefined) where.pageNumber = this.parsePageNumber(filters.pageNumber);
+    if (filters.tag) where.tags = { has: String(filters.tag) };
+    if (filters.assignedToId) where.assignedToId = filters.assignedToId;
+    if (filters.mentioned) {
+      // Mentioned in the thread or in one of its replies
+      where.OR = [
+        { mentions: { some: { id: filters.mentioned } } },
+        { replies: { some: { mentions: { some: { id: filters.mentioned } } } } },
+      ];
+    }
+
+    const threads = await prisma.comment.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      include: THREAD_INCLUDE,
+    });
+
+    return threads;
+  }
+
+  /**
+   * A thread with its replies (the thread of a reply for a reply id)
+   */
+  async getThread(commentId, userId) {
+    const comment = await this.findComment(commentId);
+    await permissionService.requireRole(comment.scriptId, userId);
+
+    return this.loadThread(comment.parentId || comment.id);
+  }
+
+  /**
+   * Start a thread
+   * @param {object} data - content, type, priority, tags, assignedToId,
+   *   sceneId, pageNumber, startOffset, endOffset
+   */
+  async createThread(scriptId, userId, data) {
+    await permissionService.requireRole(scriptId, userId);
+
+    const content = this.parseContent(data.content);
+    const fields = {
+      type: data.type === undefined ? 'GENERAL' : this.parseChoice(data.type, COMMENT_TYPES, 'type'),
+      priority: data.priority === undefined ? 'MEDIUM' : this.parseChoice(data.priority, PRIORITIES, 'priority'),
+      tags: data.tags === undefined ? [] : this.parseTags(data.tags),
+    };
+
+    if (data.assignedToId) {
+      fields.assignedToId = await this.parseMember(scriptId, data.assignedToId, 'assignedToId');
+    }
+
+    if (data.sceneId) {
+      const scene = await prisma.scene.findFirst({
+        where: { id: data.sceneId, scriptId },
+        select: { id: true },
+      });
+      if (!scene) {
+        throw new NotFoundError('Scene not found in this script');
+      }
+      fields.sceneId = scene.id;
+    }
+
+    const anchor = await this.parseAnchor(scriptId, data);
+    const mentions = await this.findMentions(scriptId, content);
+
+    const thread = await prisma.comment.create({
+      data: {
+        scriptId,
+        authorId: userId,
+        content,
+        ...fields,
+        ...anchor,
+        mentions: { connect: mentions.map(id => ({ id })) },
+      },
+      include: THREAD_INCLUDE,
+    });
+
+    await presenceService.publish(scriptId, 'comment:created', { comment: thread });
+    return thread;
+  }
+
+  /**
+   * Reply to a thread (replying to a reply adds to its thread)
+   */
+  async reply(commentId, userId, data) {
+    const parent = await this.findComment(commentId);
+    await permissionService.requireRole(parent.scriptId, userId);
+
+    const thread = parent.parentId ? await this.findComment(parent.parentId) : parent;
+    const content = this.parseContent(data.content);
+    const mentions = await this.findMentions(thread.scriptId, content);
+
+    const reply = await prisma.comment.create({
+      data: {
+        scriptId: thread.scriptId,
+        sceneId: thread.sceneId,
+        parentId: thread.id,
+        authorId: userId,
+        content,
+        mentions: { connect: mentions.map(id => ({ id })) },
+      },
+      include: COMMENT_INCLUDE,
+    });
+
+    await presenceService.publish(thread.scriptId, 'comment:created', { comment: reply });
+
+    // A reply to a resolved thread opens it again
+    if (thread.status === 'RESOLVED') {
+      await prisma.comment.update({ where: { id: thread.id }, data: { status: 'OPEN' } });
+      await this.publishThread(thread, 'comment:updated');
+    }
+
+    return reply;
+  }
+
+  /**
+   * Edit a comment: its author changes anything, editors anything but
+   * the text; type, status, priority, tags and assignee are thread fields
+   * @param {object} data - content, type, status, priority, tags, assignedToId
+   */
+  async updateComment(commentId, userId, data) {
+    const comment = await this.findComment(commentId);
+    const { role } = await permissionService.requireRole(comment.scriptId, userId);
+    const isAuthor = comment.authorId === userId;
+
+    const update = {};
+    if (data.content !== undefined) {
+      if (!isAuthor) {
+        throw new ForbiddenError('Only the author can edit a comment');
+      }
+      update.content = this.parseContent(data.content);
+      const mentions = await this.findMentions(comment.scriptId, update.content);
+      update.mentions = { set: mentions.map(id => ({ id })) };
+    }
+
+    const threadFields = ['type', 'status', 'priority', 'tags', 'assignedToId']
+      .filter(field => data[field] !== undefined);
+    if (threadFields.length > 0) {
+      if (comment.parentId) {
+        throw new BadRequestError(`${threadFields.join(', ')} can only be set on a thread`);
+      }
+      if (!isAuthor && !permissionService.can(role, 'EDITOR')) {
+        throw new ForbiddenError('This needs editor access to the script');
+      }
+
+      if (data.type !== undefined) update.type = this.parseChoice(data.type, COMMENT_TYPES, 'type');
+      if (data.status !== undefined) update.status = this.parseChoice(data.status, COMMENT_STATUSES, 'status');
+      if (data.priority !== undefined) update.priority = this.parseChoice(data.priority, PRIORITIES, 'priority');
+      if (data.tags !== undefined) update.tags = this.parseTags(data.tags);
+      if (data.assignedToId !== undefined) {
+        update.assignedToId = data.assignedToId
+          ? await this.parseMember(comment.scriptId, data.assignedToId, 'assignedToId')
+          : null;
+      }
+    }
+
+    await prisma.comment.update({ where: { id: commentId }, data: update });
+    return this.publishThread(comment, 'comment:updated');
+  }
+
+  /**
+   * Resolve a thread
+   */
+  async resolve(commentId, userId) {
+    return this.updateComment(await this.threadId(commentId), userId, { status: 'RESOLVED' });
+  }
+
+  /**
+   * Reopen a resolved thread
+   */
+  async reopen(commentId, userId) {
+    return this.updateComment(await this.threadId(commentId), userId, { status: 'OPEN' });
+  }
+
+  /**
+   * Delete a comment; a thread goes with its replies
+   */
+  async deleteComment(commentId, userId) {
+    const comment = await this.findComment(commentId);
+    const { role } = await permissionService.requireRole(comment.scriptId, userId);
+
+    if (comment.authorId !== userId && !permissionService.can(role, 'ADMIN')) {
+      throw new ForbiddenError('Only the author or an admin can delete a comment');
+    }
+
+    await prisma.comment.delete({ where: { id: commentId } });
+
+    await presenceService.publish(comment.scriptId, 'comment:deleted', {
+      commentId,
+      parentId: comment.parentId,
+    });
+    return { message: comment.parentId ? 'Reply deleted successfully' : 'Thread deleted successfully' };
+  }
+
+  /**
+   * Users @mentioned in a text who can see the script
+   * @returns {Promise<string[]>} user ids
+   */
+  async findMentions(scriptId, content) {
+    const names = [...new Set([...content.matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase()))];
+    if (names.length === 0) return [];
+
+    const users = await prisma.user.findMany({
+      where: {
+        OR: names.map(name => ({ username: { equals: name, mode: 'insensitive' } })),
+        AND: [{
+          OR: [
+            { ownedScripts: { some: { id: scriptId } } },
+            { collaborations: { some: { scriptId } } },
+          ],
+        }],
+      },
+      select: { id: true },
+    });
+
+    return users.map(user => user.id);
+  }
+
+  /**
+   * Page span a thread is about; offsets are optional (whole page) but
+   * come together, and are stored with the text they cover
+   */
+  async parseAnchor(scriptId, data) {
+    if (data.pageNumber === undefined || data.pageNumber === null) {
+      if (data.startOffset !== undefined || data.endOffset !== undefined) {
+        throw new BadRequestError('pageNumber is required with startOffset and endOffset');
+      }
+      return {};
+    }
+
+    const pageNumber = this.parsePageNumber(data.pageNumber);
+    const page = await prisma.scriptPage.findUnique({
+      where: { scriptId_pageNumber: { scriptId, pageNumber } },
+      select: { rawText: true },
+    });
+    if (!page) {
+      throw new NotFoundError('Page not found');
+    }
+
+    if (data.startOffset === undefined && data.endOffset === undefined) {
+      return { pageNumber };
+    }
+
+    const text = page.rawText || '';
+    const startOffset = Number(data.startOffset);
+    const endOffset = Number(data.endOffset);
+    if (
+      !Number.isInteger(startOffset) || !Number.isInteger(endOffset)
+      || startOffset < 0 || endOffset <= startOffset || endOffset > text.length
+    ) {
+      throw new BadRequestError(`startOffset and endOffset must be a range within the page (0-${text.length})`);
+    }
+
+    return { pageNumber, startOffset, endOffset, quote: text.slice(startOffset, endOffset) };
+  }
+
+  async parseMember(scriptId, userId, field) {
+    const role = await permissionService.getRole(scriptId, String(userId));
+    if (!role) {
+      throw new BadRequestError(`${field} must be someone with access to the script`);
+    }
+    return String(userId);
+  }
+
+  parseContent(content) {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text) {
+      throw new BadRequestError('content is required');
+    }
+    if (text.length > MAX_CONTENT_LENGTH) {
+      throw new BadRequestError(`content must be at most ${MAX_CONTENT_LENGTH} characters`);
+    }
+    return text;
+  }
+
+  parseChoice(value, choices, field) {
+    const choice = String(value).toUpperCase();
+    if (!choices.includes(choice)) {
+      throw new BadRequestError(`${field} must be one of ${choices.join(', ')}`);
+    }
+    return choice;
+  }
+
+  parseTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      throw new BadRequestError('tags must be an array of strings');
+    }
+
+    const unique = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+    if (unique.length > MAX_TAGS) {
+      throw new BadRequestError(`At most ${MAX_TAGS} tags`);
+    }
+    return unique;
+  }
+
+  parsePageNumber(value) {
+    const pageNumber = Number(value);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      throw new BadRequestError('pageNumber must be a positive whole number');
+    }
+    return pageNumber;
+  }
+
+  async findComment(commentId) {
+    const comment = await prisma.comment.findUnique({ where: { id: commentId } });
+    if (!comment) {
+      throw new NotFoundError('Comment not found');
+    }
+    return comment;
+  }
+
+  async threadId(commentId) {
+    const comment = await this.findComment(commentId);
+    return comment.parentId || comment.id;
+  }
+
+  async loadThread(threadId) {
+    return prisma.comment.findUnique({
+      where: { id: threadId },
+      include: THREAD_INCLUDE,
+    });
+  }
+
+  /**
+   * Send the changed comment (a thread with its replies) to the script
+   */
+  async publishThread(comment, event) {
+    const updated = comment.parentId
+      ? await prisma.comment.findUnique({ where: { id: comment.id }, include: COMMENT_INCLUDE })
+      : await this.loadThread(comment.id);
+
+    await presenceService.publish(comment.scriptId, event, { comment: updated });
+    return updated;
+  }
+}
+
+module.exports = new CommentsService();
@@ -0,0 +1,214 @@
+const exportService = require('./export.service');
+
+class ExportController {
+  /**
+   * Download script as Fountain
+   * GET /api/export/:scriptId/fountain
+   */
+  async exportFountain(req, res, next) {
+    try {
+      const { filename, content } = await exportService.exportFountain(req.params.scriptId, req.user.id);
+
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download script as Final Draft
+   * GET /api/export/:scriptId/fdx
+   */
+  async exportFdx(req, res, next) {
+    try {
+      const { filename, content } = await exportService.exportFdx(req.params.scriptId, req.user.id);
+
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queue a screenplay PDF export
+   * POST /api/export/:scriptId/pdf
+   */
+  async exportPdf(req, res, next) {
+    try {
+      const job = await exportService.queuePdfExport(req.params.scriptId, req.user.id, req.body || {});
+
+      res.status(202).json({
+        success: true,
+        message: 'PDF export queued',
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download the Day Out of Days as CSV
+   * GET /api/export/:scriptId/dood/csv
+   */
+  async exportDoodCsv(req, res, next) {
+    try {
+      const { filename, content } = await exportService.exportDoodCsv(req.params.scriptId, req.user.id);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queue a Day Out of Days PDF export
+   * POST /api/export/:scriptId/dood/pdf
+   */
+  async exportDoodPdf(req, res, next) {
+    try {
+      const job = await exportService.queueDoodPdf(req.params.scriptId, req.user.id);
+
+      res.status(202).json({
+        success: true,
+        message: 'DOOD PDF export queued',
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queue a call sheet PDF export
+   * POST /api/export/:scriptId/call-sheets/:day/pdf
+   */
+  async exportCallSheetPdf(req, res, next) {
+    try {
+      const job = await exportService.queueCallSheetPdf(req.params.scriptId, req.params.day, req.user.id);
+
+      res.status(202).json({
+        success: true,
+        message: 'Call sheet PDF export queued',
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queue actor sides
+   * POST /api/export/:scriptId/sides
+   * Body: { sceneIds } or { day, characterId? }, plus recipient / recipients
+   */
+  async exportSides(req, res, next) {
+    try {
+      const result = await exportService.queueSidesPdf(req.params.scriptId, req.user.id, req.body || {});
+
+      res.status(202).json({
+        success: true,
+        message: 'Sides export queued',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download the shot list as CSV
+   * GET /api/export/:scriptId/shots/csv?sceneIds=a,b
+   */
+  async exportShotListCsv(req, res, next) {
+    try {
+      const sceneIds = req.query.sceneIds ? String(req.query.sceneIds).split(',').filter(Boolean) : null;
+      const { filename, content } = await exportService.exportShotListCsv(req.params.scriptId, req.user.id, sceneIds);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queue a shot list PDF export
+   * POST /api/export/:scriptId/shots/pdf
+   * Body: { sceneIds? }
+   */
+  async exportShotListPdf(req, res, next) {
+    try {
+      const job = await exportService.queueShotListPdf(req.params.scriptId, req.user.id, req.body?.sceneIds ?? null);
+
+      res.status(202).json({
+        success: true,
+        message: 'Shot list PDF export queued',
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queue a storyboard sheet PDF export
+   * POST /api/export/:scriptId/storyboards/:storyboardId/pdf
+   */
+  async exportStoryboardPdf(req, res, next) {
+    try {
+      const job = await exportService.queueStoryboardPdf(req.params.scriptId, req.params.storyboardId, req.user.id);
+
+      res.status(202).json({
+        success: true,
+        message: 'Storyboard PDF export queued',
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get export job status
+   * GET /api/export/jobs/:jobId
+   */
+  async getExportJob(req, res, next) {
+    try {
+      const job = await exportService.getExportJob(req.params.jobId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Export job retrieved successfully',
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download the file of a completed export job
+   * GET /api/export/jobs/:jobId/download
+   */
+  async downloadExport(req, res, next) {
+    try {
+      const file = await exportService.getExportFile(req.params.jobId, req.user.id);
+
+      res.download(file.path, file.downloadName, (error) => {
+        if (error && !res.headersSent) next(error);
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ExportController();
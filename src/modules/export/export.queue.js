@@ -0,0 +1,27 @@
+const { Queue } = require('bullmq');
+const { queueConnection } = require('../../config/redis.config');
+
+const EXPORT_QUEUE = 'script-export';
+
+let exportQueue = null;
+
+/**
+ * Export job queue (processed by src/workers/export.worker.js).
+ * Created on first use so the API starts without Redis.
+ */
+function getExportQueue() {
+  if (!exportQueue) {
+    exportQueue = new Queue(EXPORT_QUEUE, {
+      connection: queueConnection,
+      defaultJobOptions: {
+        attempts: 2,
+        backoff: { type: 'exponential', delay: 5000 },
+        removeOnComplete: { age: 24 * 3600 },
+        removeOnFail: { age: 7 * 24 * 3600 },
+      },
+    });
+  }
+  return exportQueue;
+}
+
+module.exports = { EXPORT_QUEUE, getExportQueue };
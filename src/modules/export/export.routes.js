@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const exportController = require('./export.controller');
+const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole } = require('../../shared/middleware/permission.middleware');
+
+// Any collaborator may export; jobs belong to the user who queued them
+const canView = requireScriptRole('VIEWER');
+
+// All routes require authentication
+router.use(authenticateJWT);
+
+// Download script as Fountain
+router.get('/:scriptId/fountain', canView, exportController.exportFountain.bind(exportController));
+
+// Download script as Final Draft (.fdx)
+router.get('/:scriptId/fdx', canView, exportController.exportFdx.bind(exportController));
+
+// Queue screenplay PDF export (rendered by the export worker)
+router.post('/:scriptId/pdf', canView, exportController.exportPdf.bind(exportController));
+
+// Day Out of Days as CSV, or queued as PDF
+router.get('/:scriptId/dood/csv', canView, exportController.exportDoodCsv.bind(exportController));
+router.post('/:scriptId/dood/pdf', canView, exportController.exportDoodPdf.bind(exportController));
+
+// Queue a call sheet PDF for a shoot day
+router.post('/:scriptId/call-sheets/:day/pdf', canView, exportController.exportCallSheetPdf.bind(exportController));
+
+// Queue actor sides (scene ids or a shoot day, one PDF per recipient)
+router.post('/:scriptId/sides', canView, exportController.exportSides.bind(exportController));
+
+// Shot list as CSV, or queued as PDF (whole script, or sceneIds)
+router.get('/:scriptId/shots/csv', canView, exportController.exportShotListCsv.bind(exportController));
+router.post('/:scriptId/shots/pdf', canView, exportController.exportShotListPdf.bind(exportController));
+
+// Queue a storyboard sheet PDF
+router.post('/:scriptId/storyboards/:storyboardId/pdf', canView, exportController.exportStoryboardPdf.bind(exportController));
+
+// Export job status
+router.get('/jobs/:jobId', exportController.getExportJob.bind(exportController));
+
+// Download finished export
+router.get('/jobs/:jobId/download', exportController.downloadExport.bind(exportController));
+
+module.exports = router;
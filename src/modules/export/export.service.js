@@ -0,0 +1,642 @@
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { prisma } = require('../../config/database.config');
+const { getFilePath } = require('../../config/storage.config');
+const { NotFoundError, BadRequestError, ForbiddenError } = require('../../shared/utils/errors');
+const scriptService = require('../scripts/script.service');
+const scriptShareService = require('../scripts/script-share.service');
+const layout = require('../scripts/parsers/layout');
+const { getExportQueue } = require('./export.queue');
+const fountainWriter = require('./writers/fountain.writer');
+const fdxWriter = require('./writers/fdx.writer');
+const pdfWriter = require('./writers/pdf.writer');
+const doodWriter = require('./writers/dood.writer');
+const callSheetWriter = require('./writers/call-sheet.writer');
+const shotListWriter = require('./writers/shot-list.writer');
+const storyboardWriter = require('./writers/storyboard.writer');
+const scheduleService = require('../schedule/schedule.service');
+const doodService = require('../schedule/dood.service');
+const callSheetService = require('../schedule/call-sheet.service');
+const shotListService = require('../scenes/shot-list.service');
+const storyboardsService = require('../storyboards/storyboards.service');
+
+class ExportService {
+  /**
+   * Export a script as Fountain.
+   * Fountain uploads are re-emitted from their stored document model;
+   * other formats are rebuilt from the stored pages.
+   */
+  async exportFountain(scriptId, userId) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const document = script.parsedContent?.format === 'fountain'
+      ? script.parsedContent
+      : await this.buildDocument(script);
+
+    console.log(`📤 Exporting Fountain: ${script.title}`);
+
+    return {
+      filename: `${this.safeFilename(script.title)}.fountain`,
+      content: fountainWriter.write(document),
+    };
+  }
+
+  /**
+   * Export a script as Final Draft XML, built from the stored pages (so
+   * page editor changes are included) plus Scene and Character records
+   */
+  async exportFdx(scriptId, userId) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const source = script.parsedContent?.format === 'fdx' ? script.parsedContent : {};
+
+    console.log(`📤 Exporting FDX: ${script.title}`);
+
+    // Production revision sets are written with their sequence as the FDX ID
+    const revisions = await this.getRevisions(script.id);
+    const sequences = new Map(revisions.map(revision => [revision.id, revision.sequence]));
+    const elements = (await this.getElements(script.id)).map(element => (
+      sequences.has(element.revisionId) ? { ...element, revisionId: sequences.get(element.revisionId) } : element
+    ));
+
+    const content = fdxWriter.write({
+      title: script.title,
+      elements,
+      scenes: script.scenes,
+      characters: script.characters,
+      titlePage: source.titlePage,
+      titleEntries: this.getTitleEntries(script),
+      revisions: revisions.length > 0 ? this.toFdxRevisions(revisions) : source.revisions,
+      smartType: source.smartType,
+    });
+
+    return {
+      filename: `${this.safeFilename(script.title)}.fdx`,
+      content,
+    };
+  }
+
+  /**
+   * Queue a screenplay PDF; rendering runs in export.worker.js
+   */
+  async queuePdfExport(scriptId, userId, options = {}) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const changedPagesOnly = options.changedPagesOnly === true;
+
+    // Revision pages for distribution: one set's changed pages only
+    let revisionId = null;
+    if (changedPagesOnly || options.revisionId) {
+      const revisions = await this.getRevisions(script.id);
+      const revision = options.revisionId
+        ? revisions.find(candidate => candidate.id === options.revisionId)
+        : revisions[revisions.length - 1];
+
+      if (!revision) {
+        throw new BadRequestError(options.revisionId ? 'Revision not found' : 'Script has no revisions');
+      }
+      revisionId = revision.id;
+    }
+
+    const job = await getExportQueue().add('pdf', {
+      scriptId: script.id,
+      userId,
+      options: {
+        titlePage: options.titlePage === undefined ? !changedPagesOnly : options.titlePage !== false,
+        sceneNumbers: options.sceneNumbers !== false,
+        watermark: options.watermark ? String(options.watermark).slice(0, 80) : null,
+        revisionMarks: options.revisionMarks !== false,
+        revisionId,
+        changedPagesOnly,
+      },
+    });
+
+    console.log(`📥 Queued PDF export ${job.id} for script ${script.id}`);
+    return { jobId: job.id, status: 'queued' };
+  }
+
+  /**
+   * Queue the screenplay PDF of a share link, stamped with its watermark;
+   * the job belongs to the link instead of a user
+   * @param {object} visitor - ip, userAgent for the link's access log
+   */
+  async queueSharedPdf(token, access, visitor) {
+    const link = await scriptShareService.authorize(token, access);
+    await scriptShareService.record(link, 'PDF', visitor);
+
+    const job = await getExportQueue().add('pdf', {
+      scriptId: link.scriptId,
+      userId: null,
+      shareId: link.id,
+      options: {
+        titlePage: true,
+        sceneNumbers: true,
+        watermark: link.watermark,
+        revisionMarks: true,
+        revisionId: null,
+        changedPagesOnly: false,
+      },
+    });
+
+    console.log(`📥 Queued shared PDF export ${job.id} for script ${link.scriptId}`);
+    return { jobId: job.id, status: 'queued' };
+  }
+
+  /**
+   * Status of a share link's PDF export
+   */
+  async getSharedExportJob(token, access, jobId) {
+    const link = await scriptShareService.authorize(token, access);
+    return this.getExportJob(jobId, null, link.id);
+  }
+
+  async getSharedExportFile(token, access, jobId) {
+    const link = await scriptShareService.authorize(token, access);
+    return this.getExportFile(jobId, null, link.id);
+  }
+
+  /**
+   * Render a queued PDF export to the exports directory (worker side)
+   */
+  async renderPdf({ scriptId, userId, shareId = null, options = {} }, onProgress = null) {
+    const script = shareId
+      ? await this.getSharedScript(scriptId, shareId)
+      : await scriptService.getScriptById(scriptId, userId);
+    const pages = await prisma.scriptPage.findMany({
+      where: { scriptId },
+      orderBy: { pageNumber: 'asc' },
+    });
+
+    if (pages.length === 0) {
+      throw new BadRequestError('Script has no pages to export');
+    }
+
+    const { revisionId, changedPagesOnly, ...renderOptions } = options;
+    const revisions = await this.getRevisions(scriptId);
+    const revision = revisions.find(candidate => candidate.id === revisionId) || null;
+    const onlyPages = changedPagesOnly
+      ? pages.filter(page => page.revisionId === revisionId).map(page => page.pageNumber)
+      : null;
+
+    if (onlyPages && onlyPages.length === 0) {
+      throw new BadRequestError(`No pages changed in ${revision?.name || 'this revision'}`);
+    }
+
+    const buffer = await pdfWriter.render({
+      title: script.title,
+      titleEntries: this.getTitleEntries(script),
+      pages,
+      scenes: script.scenes,
+      revisions,
+    }, {
+      ...renderOptions,
+      onlyPages,
+      onPage: onProgress ? (rendered, total) => onProgress(Math.round((rendered / total) * 100)) : null,
+    });
+
+    const filename = `${uuidv4()}.pdf`;
+    await fs.writeFile(getFilePath(filename, 'exports'), buffer);
+
+    const suffix = onlyPages ? `_${this.safeFilename(revision.name)}_pages` : '';
+    console.log(`✅ PDF export written: ${filename} (${onlyPages ? onlyPages.length : pages.length} pages)`);
+    return {
+      filename,
+      downloadName: `${this.safeFilename(script.title)}${suffix}.pdf`,
+      size: buffer.length,
+    };
+  }
+
+  /**
+   * Day Out of Days as CSV
+   */
+  async exportDoodCsv(scriptId, userId) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const report = await doodService.getReport(scriptId, userId);
+
+    console.log(`📤 Exporting DOOD CSV: ${script.title}`);
+
+    return {
+      filename: `${this.safeFilename(script.title)}_DOOD.csv`,
+      content: doodWriter.csv(report),
+    };
+  }
+
+  /**
+   * Queue a Day Out of Days PDF; rendering runs in export.worker.js
+   */
+  async queueDoodPdf(scriptId, userId) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const job = await getExportQueue().add('dood-pdf', { scriptId: script.id, userId });
+
+    console.log(`📥 Queued DOOD PDF export ${job.id} for script ${script.id}`);
+    return { jobId: job.id, status: 'queued' };
+  }
+
+  /**
+   * Render a queued DOOD PDF to the exports directory (worker side)
+   */
+  async renderDoodPdf({ scriptId, userId }) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const report = await doodService.getReport(scriptId, userId);
+
+    if (report.days.length === 0) {
+      throw new BadRequestError('No scenes are scheduled yet');
+    }
+
+    const buffer = await doodWriter.render(report, { title: script.title });
+    const filename = `${uuidv4()}.pdf`;
+    await fs.writeFile(getFilePath(filename, 'exports'), buffer);
+
+    console.log(`✅ DOOD PDF written: ${filename} (${report.cast.length} cast, ${report.days.length} days)`);
+    return {
+      filename,
+      downloadName: `${this.safeFilename(script.title)}_DOOD.pdf`,
+      size: buffer.length,
+    };
+  }
+
+  /**
+   * Queue a call sheet PDF for one shoot day
+   */
+  async queueCallSheetPdf(scriptId, day, userId) {
+    const sheet = await callSheetService.getCallSheet(scriptId, day, userId);
+    const job = await getExportQueue().add('call-sheet-pdf', { scriptId: sheet.script.id, userId, day: sheet.day });
+
+    console.log(`📥 Queued call sheet PDF ${job.id} for day ${sheet.day} of script ${sheet.script.id}`);
+    return { jobId: job.id, status: 'queued' };
+  }
+
+  /**
+   * Print a queued call sheet from its HTML page (worker side)
+   */
+  async renderCallSheetPdf({ scriptId, userId, day }) {
+    const sheet = await callSheetService.getCallSheet(scriptId, day, userId);
+    const buffer = await callSheetWriter.pdf(sheet);
+
+    const filename = `${uuidv4()}.pdf`;
+    await fs.writeFile(getFilePath(filename, 'exports'), buffer);
+
+    console.log(`✅ Call sheet PDF written: ${filename} (day ${day})`);
+    return {
+      filename,
+      downloadName: `${this.safeFilename(sheet.script.title)}_Call_Sheet_Day_${day}.pdf`,
+      size: buffer.length,
+    };
+  }
+
+  /**
+   * Queue actor sides: the pages of the given scenes (sceneIds, or a
+   * shoot day's scenes, narrowed to one character's with characterId),
+   * one PDF per recipient watermark
+   */
+  async queueSidesPdf(scriptId, userId, options = {}) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const { scenes, label, character } = await this.resolveSidesScenes(script, options);
+
+    const recipients = Array.isArray(options.recipients) && options.recipients.length > 0
+      ? options.recipients
+      : [options.recipient || character?.name || null];
+
+    const jobs = [];
+    for (const recipient of recipients) {
+      const watermark = recipient ? String(recipient).slice(0, 80) : null;
+      const job = await getExportQueue().add('sides-pdf', {
+        scriptId: script.id,
+        userId,
+        options: { sceneIds: scenes.map(scene => scene.id), label, watermark },
+      });
+      jobs.push({ jobId: job.id, recipient: watermark, status: 'queued' });
+    }
+
+    console.log(`📥 Queued ${jobs.length} sides export(s) for script ${script.id}: ${label}`);
+    return {
+      label,
+      scenes: scenes.map(scene => scene.sceneLabel || String(scene.sceneNumber)),
+      jobs,
+    };
+  }
+
+  /**
+   * Scenes for sides, in script order
+   */
+  async resolveSidesScenes(script, { sceneIds, day, characterId } = {}) {
+    let scenes;
+    let label;
+
+    if (day !== undefined && day !== null) {
+      const board = await scheduleService.buildBoard(script.id);
+      const boardDay = board.days[Number(day) - 1];
+      if (!boardDay) {
+        throw new NotFoundError(`Shoot day ${day} is not on the schedule`);
+      }
+
+      const ids = new Set(board.strips
+        .filter(strip => strip.type === 'SCENE' && strip.day === boardDay.day)
+        .map(strip => strip.scene.id));
+      scenes = script.scenes.filter(scene => ids.has(scene.id));
+      label = `Day ${boardDay.day}${boardDay.date ? ` (${boardDay.date})` : ''}`;
+    } else {
+      if (!Array.isArray(sceneIds) || sceneIds.length === 0) {
+        throw new BadRequestError('sceneIds or day is required');
+      }
+
+      scenes = script.scenes.filter(scene => sceneIds.includes(scene.id));
+      if (scenes.length !== new Set(sceneIds).size) {
+        throw new NotFoundError('Scene not found in this script');
+      }
+      label = `Sc. ${scenes.map(scene => scene.sceneLabel || scene.sceneNumber).join(', ')}`;
+    }
+
+    let character = null;
+    if (characterId) {
+      character = script.characters.find(candidate => candidate.id === characterId);
+      if (!character) {
+        throw new NotFoundError('Character not found in this script');
+      }
+      scenes = scenes.filter(scene => (character.sceneIds || []).includes(scene.id));
+    }
+
+    if (scenes.length === 0) {
+      throw new BadRequestError(character ? `${character.name} is not in any of these scenes` : 'No scenes to print');
+    }
+
+    return { scenes, label, character };
+  }
+
+  /**
+   * Render queued sides to the exports directory (worker side)
+   */
+  async renderSidesPdf({ scriptId, userId, options = {} }) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const pages = await prisma.scriptPage.findMany({
+      where: { scriptId },
+      orderBy: { pageNumber: 'asc' },
+    });
+
+    // Scenes removed since the job was queued are skipped
+    const keepScenes = script.scenes
+      .map((scene, index) => (options.sceneIds.includes(scene.id) ? index : -1))
+      .filter(index => index !== -1);
+    if (keepScenes.length === 0) {
+      throw new BadRequestError('None of the scenes exist anymore');
+    }
+
+    // A scene runs from its page to the page the next scene starts on
+    const lastPage = pages.length > 0 ? pages[pages.length - 1].pageNumber : 1;
+    const onlyPages = keepScenes.flatMap(index => {
+      const start = script.scenes[index].page || 1;
+      const end = script.scenes[index + 1]?.page || lastPage;
+      return Array.from({ length: Math.max(end - start, 0) + 1 }, (_, offset) => start + offset);
+    });
+
+    const buffer = await pdfWriter.render({
+      title: script.title,
+      pages,
+      scenes: script.scenes,
+      revisions: await this.getRevisions(scriptId),
+    }, {
+      titlePage: false,
+      watermark: options.watermark,
+      onlyPages,
+      keepScenes,
+      header: `${script.title} - SIDES - ${options.label}`,
+    });
+
+    const filename = `${uuidv4()}.pdf`;
+    await fs.writeFile(getFilePath(filename, 'exports'), buffer);
+
+    const recipient = options.watermark ? `_${this.safeFilename(options.watermark)}` : '';
+    console.log(`✅ Sides written: ${filename} (${options.label})`);
+    return {
+      filename,
+      downloadName: `${this.safeFilename(script.title)}_Sides_${this.safeFilename(options.label)}${recipient}.pdf`,
+      size: buffer.length,
+    };
+  }
+
+  /**
+   * Shot list as CSV, for the whole script or the given scenes
+   */
+  async exportShotListCsv(scriptId, userId, sceneIds = null) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const scenes = await shotListService.getScriptShots(scriptId, userId, sceneIds);
+
+    console.log(`📤 Exporting shot list CSV: ${script.title}`);
+
+    return {
+      filename: `${this.safeFilename(script.title)}_Shot_List.csv`,
+      content: shotListWriter.csv(scenes),
+    };
+  }
+
+  /**
+   * Queue a shot list PDF; rendering runs in export.worker.js
+   */
+  async queueShotListPdf(scriptId, userId, sceneIds = null) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const scenes = await shotListService.getScriptShots(scriptId, userId, sceneIds);
+
+    if (!scenes.some(scene => scene.shots.length > 0)) {
+      throw new BadRequestError('No shots have been planned for these scenes yet');
+    }
+
+    const job = await getExportQueue().add('shot-list-pdf', { scriptId: script.id, userId, sceneIds });
+
+    console.log(`📥 Queued shot list PDF export ${job.id} for script ${script.id}`);
+    return { jobId: job.id, status: 'queued' };
+  }
+
+  /**
+   * Render a queued shot list PDF to the exports directory (worker side)
+   */
+  async renderShotListPdf({ scriptId, userId, sceneIds = null }) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const scenes = await shotListService.getScriptShots(scriptId, userId, sceneIds);
+
+    const buffer = await shotListWriter.render(scenes, { title: script.title });
+    const filename = `${uuidv4()}.pdf`;
+    await fs.writeFile(getFilePath(filename, 'exports'), buffer);
+
+    const shots = scenes.reduce((sum, scene) => sum + scene.shots.length, 0);
+    console.log(`✅ Shot list PDF written: ${filename} (${shots} shots)`);
+    return {
+      filename,
+      downloadName: `${this.safeFilename(script.title)}_Shot_List.pdf`,
+      size: buffer.length,
+    };
+  }
+
+  /**
+   * Queue a storyboard sheet PDF; frames still generating print as empty
+   * panels
+   */
+  async queueStoryboardPdf(scriptId, storyboardId, userId) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const storyboard = await storyboardsService.getStoryboard(storyboardId, userId);
+
+    if (storyboard.scriptId !== script.id) {
+      throw new NotFoundError('Storyboard not found in this script');
+    }
+
+    const job = await getExportQueue().add('storyboard-pdf', { scriptId: script.id, userId, storyboardId });
+
+    console.log(`📥 Queued storyboard PDF ${job.id} for scene ${storyboard.scene.sceneNumber} of script ${script.id}`);
+    return { jobId: job.id, status: 'queued', progress: storyboard.progress };
+  }
+
+  /**
+   * Render a queued storyboard sheet to the exports directory (worker side)
+   */
+  async renderStoryboardPdf({ scriptId, userId, storyboardId }) {
+    const script = await scriptService.getScriptById(scriptId, userId);
+    const storyboard = await storyboardsService.getStoryboard(storyboardId, userId);
+
+    const frames = await Promise.all(storyboard.frames.map(async frame => ({
+      ...frame,
+      image: frame.asset?.filePath ? await fs.readFile(frame.asset.filePath).catch(() => null) : null,
+    })));
+
+    const buffer = await storyboardWriter.render({ ...storyboard, frames }, { title: script.title });
+    const filename = `${uuidv4()}.pdf`;
+    await fs.writeFile(getFilePath(filename, 'exports'), buffer);
+
+    const scene = storyboard.scene.sceneLabel || storyboard.scene.sceneNumber;
+    console.log(`✅ Storyboard PDF written: ${filename} (scene ${scene}, ${frames.length} frames)`);
+    return {
+      filename,
+      downloadName: `${this.safeFilename(script.title)}_Storyboard_Scene_${this.safeFilename(String(scene))}.pdf`,
+      size: buffer.length,
+    };
+  }
+
+  /**
+   * Status of an export job started by this user (or through this share link)
+   */
+  async getExportJob(jobId, userId, shareId = null) {
+    const job = await getExportQueue().getJob(jobId);
+    const owned = shareId ? job?.data.shareId === shareId : job?.data.userId === userId;
+    if (!job || !owned) {
+      throw new NotFoundError('Export job not found');
+    }
+
+    const state = await job.getState();
+    return {
+      jobId: job.id,
+      type: job.name,
+      scriptId: job.data.scriptId,
+      state,
+      progress: job.progress || 0,
+      result: state === 'completed' ? job.returnvalue : null,
+      error: state === 'failed' ? job.failedReason : null,
+    };
+  }
+
+  /**
+   * File of a completed export job
+   */
+  async getExportFile(jobId, userId, shareId = null) {
+    const job = await this.getExportJob(jobId, userId, shareId);
+    if (job.state !== 'completed' || !job.result) {
+      throw new BadRequestError(`Export is not ready (${job.state})`);
+    }
+
+    return {
+      path: getFilePath(job.result.filename, 'exports'),
+      downloadName: job.result.downloadName,
+    };
+  }
+
+  /**
+   * Script behind a share link that still serves its viewers (not revoked
+   * or expired since the job was queued, as the share service checks)
+   */
+  async getSharedScript(scriptId, shareId) {
+    const link = await prisma.scriptShareLink.findFirst({
+      where: { id: shareId, scriptId },
+    });
+
+    if (!link) {
+      throw new NotFoundError('Share link not found');
+    }
+    if (!scriptShareService.serves(link)) {
+      throw new ForbiddenError('This link is no longer active');
+    }
+
+    return prisma.script.findUnique({
+      where: { id: scriptId },
+      include: {
+        scenes: {
+          orderBy: { sceneNumber: 'asc' },
+        },
+      },
+    });
+  }
+
+  /**
+   * Document model from stored pages
+   */
+  async buildDocument(script) {
+    return {
+      format: 'fountain',
+      titlePage: this.getTitleEntries(script),
+      elements: await this.getElements(script.id),
+    };
+  }
+
+  /**
+   * Layout elements rebuilt from ScriptPage.formatted
+   */
+  async getElements(scriptId) {
+    const pages = await prisma.scriptPage.findMany({
+      where: { scriptId },
+      orderBy: { pageNumber: 'asc' },
+    });
+
+    return layout.elementsFromPages(pages);
+  }
+
+  /**
+   * Production revision sets in issue order
+   */
+  async getRevisions(scriptId) {
+    return prisma.scriptRevision.findMany({
+      where: { scriptId },
+      orderBy: { sequence: 'asc' },
+    });
+  }
+
+  /**
+   * ScriptRevision rows -> the writer's { activeSet, sets } shape
+   */
+  toFdxRevisions(revisions) {
+    return {
+      activeSet: revisions[revisions.length - 1].sequence,
+      sets: revisions.map(revision => ({
+        id: revision.sequence,
+        name: revision.name,
+        color: '#000000',
+        pageColor: revision.pageColor,
+        mark: revision.mark,
+        fullRevision: false,
+      })),
+    };
+  }
+
+  /**
+   * Stored title page, or one made from the script title and author
+   */
+  getTitleEntries(script) {
+    if (Array.isArray(script.titlePage) && script.titlePage.length > 0) {
+      return script.titlePage;
+    }
+
+    const titlePage = [{ key: 'Title', value: [script.title] }];
+    if (script.metadata?.author) {
+      titlePage.push({ key: 'Author', value: [script.metadata.author] });
+    }
+    return titlePage;
+  }
+
+  safeFilename(title) {
+    return String(title || 'script').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '_') || 'script';
+  }
+}
+
+module.exports = new ExportService();
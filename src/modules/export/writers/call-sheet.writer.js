@@ -0,0 +1,221 @@
+const puppeteer = require('puppeteer-core');
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 10px; color: #111; margin: 0; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #111; padding-bottom: 8px; }
+  header h1 { font-size: 18px; margin: 0 0 4px; }
+  header .call { text-align: center; }
+  header .call strong { display: block; font-size: 22px; }
+  header .day { text-align: right; }
+  h2 { font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; background: #111; color: #fff; padding: 3px 6px; margin: 14px 0 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #999; padding: 3px 5px; text-align: left; vertical-align: top; }
+  th { background: #eee; font-size: 9px; text-transform: uppercase; }
+  td.number, th.number { width: 40px; text-align: center; }
+  td.pages, th.pages { width: 50px; text-align: center; }
+  .columns { display: flex; gap: 12px; }
+  .columns > section { flex: 1; }
+  .notes { white-space: pre-wrap; border: 1px solid #999; padding: 6px; min-height: 32px; }
+  .empty { color: #777; font-style: italic; }
+  .total td { font-weight: bold; }
+`;
+
+/**
+ * Renders a call sheet (callSheetService.buildCallSheet) as an HTML page,
+ * which is also what the read-only share link serves, and prints that
+ * page to PDF with headless Chrome (CHROME_EXECUTABLE_PATH).
+ */
+class CallSheetWriter {
+  /**
+   * @param {object} sheet
+   * @returns {string}
+   */
+  html(sheet) {
+    const title = `${sheet.script.title} - Call Sheet Day ${sheet.day}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escape(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <div>
+    <h1>${this.escape(sheet.script.title)}</h1>
+    <div>Call Sheet</div>
+  </div>
+  <div class="call">
+    General Crew Call
+    <strong>${this.escape(sheet.generalCall || 'TBA')}</strong>
+  </div>
+  <div class="day">
+    <strong>Day ${sheet.day} of ${sheet.totalDays}</strong><br>
+    ${this.escape(sheet.date ? this.formatDate(sheet.date) : 'Date TBA')}
+  </div>
+</header>
+${this.scenesTable(sheet)}
+${this.castTable(sheet)}
+${this.locationsTable(sheet)}
+<div class="columns">
+  <section>${this.elementsTable('Props', sheet.props)}</section>
+  <section>${this.elementsTable('Wardrobe', sheet.wardrobe)}</section>
+</div>
+<div class="columns">
+  <section>
+    <h2>Weather</h2>
+    <div class="notes">${this.escape(sheet.weather || '')}</div>
+  </section>
+  <section>
+    <h2>Notes</h2>
+    <div class="notes">${this.escape(sheet.notes || '')}</div>
+  </section>
+</div>
+${this.advanceTable(sheet.advance)}
+</body>
+</html>
+`;
+  }
+
+  scenesTable(sheet) {
+    const rows = sheet.scenes.map(scene => `
+    <tr>
+      <td class="number" style="background: ${this.escape(scene.color)}">${this.escape(scene.sceneLabel)}</td>
+      <td><strong>${this.escape(scene.heading)}</strong>${scene.synopsis ? `<br>${this.escape(scene.synopsis)}` : ''}</td>
+      <td>${this.escape(scene.daypart)}</td>
+      <td>${this.escape(scene.cast.join(', '))}</td>
+      <td class="pages">${this.escape(scene.pages)}</td>
+    </tr>`).join('');
+
+    return `<h2>Scenes</h2>
+<table>
+  <tr><th class="number">Sc.</th><th>Set / Synopsis</th><th>D/N</th><th>Cast</th><th class="pages">Pages</th></tr>${rows}
+  <tr class="total"><td colspan="4">Total pages</td><td class="pages">${this.escape(sheet.pages)}</td></tr>
+</table>`;
+  }
+
+  castTable(sheet) {
+    const rows = sheet.cast.map(member => `
+    <tr>
+      <td class="number">${member.castNumber}</td>
+      <td>${this.escape(member.name)}</td>
+      <td class="number">${this.escape(member.status)}</td>
+      <td>${this.escape(member.scenes.join(', '))}</td>
+      <td>${this.escape(member.call || '')}</td>
+      <td>${this.escape(member.makeup || '')}</td>
+      <td>${this.escape(member.onSet || '')}</td>
+      <td>${this.escape(member.notes || '')}</td>
+    </tr>`).join('');
+
+    return `<h2>Cast</h2>
+<table>
+  <tr><th class="number">#</th><th>Character</th><th class="number">Status</th><th>Scenes</th><th>Call</th><th>Makeup</th><th>On Set</th><th>Notes</th></tr>${rows || '<tr><td colspan="8" class="empty">No cast called</td></tr>'}
+</table>`;
+  }
+
+  locationsTable(sheet) {
+    const rows = sheet.locations.map(location => `
+    <tr>
+      <td>${this.escape(location.set)}</td>
+      <td>${this.escape(location.scenes.join(', '))}</td>
+      <td>${this.escape(location.address || '')}</td>
+      <td>${this.escape(location.parking || '')}</td>
+      <td>${this.escape(location.hospital || '')}</td>
+    </tr>`).join('');
+
+    return `<h2>Locations</h2>
+<table>
+  <tr><th>Set</th><th>Scenes</th><th>Address</th><th>Parking</th><th>Nearest Hospital</th></tr>${rows}
+</table>`;
+  }
+
+  elementsTable(title, items) {
+    const rows = items.map(item => `
+    <tr>
+      <td>${this.escape(item.name)}${item.quantity > 1 ? ` (x${item.quantity})` : ''}</td>
+      <td>${this.escape(item.scenes.join(', '))}</td>
+    </tr>`).join('');
+
+    return `<h2>${this.escape(title)}</h2>
+<table>
+  <tr><th>Item</th><th>Scenes</th></tr>${rows || '<tr><td colspan="2" class="empty">None</td></tr>'}
+</table>`;
+  }
+
+  advanceTable(advance) {
+    if (!advance) {
+      return '<h2>Advance Schedule</h2>\n<div class="notes">Last day of shooting</div>';
+    }
+
+    const rows = advance.scenes.map(scene => `
+    <tr>
+      <td class="number">${this.escape(scene.sceneLabel)}</td>
+      <td>${this.escape(scene.heading)}</td>
+      <td>${this.escape(scene.daypart)}</td>
+      <td>${this.escape(scene.cast.join(', '))}</td>
+      <td class="pages">${this.escape(scene.pages)}</td>
+    </tr>`).join('');
+
+    const date = advance.date ? ` - ${this.formatDate(advance.date)}` : '';
+    return `<h2>Advance Schedule: Day ${advance.day}${this.escape(date)}</h2>
+<table>
+  <tr><th class="number">Sc.</th><th>Set</th><th>D/N</th><th>Cast</th><th class="pages">Pages</th></tr>${rows}
+  <tr class="total"><td colspan="4">Total pages</td><td class="pages">${this.escape(advance.pages)}</td></tr>
+</table>`;
+  }
+
+  /**
+   * Print the call sheet page to a Letter PDF
+   * @returns {Promise<Buffer>}
+   */
+  async pdf(sheet) {
+    if (!process.env.CHROME_EXECUTABLE_PATH) {
+      throw new Error('CHROME_EXECUTABLE_PATH is not set; call sheet PDFs need a Chrome or Chromium binary');
+    }
+
+    const browser = await puppeteer.launch({
+      executablePath: process.env.CHROME_EXECUTABLE_PATH,
+      args: ['--no-sandbox', '--disable-dev-shm-usage'],
+    });
+
+    try {
+      const page = await browser.newPage();
+      await page.setContent(this.html(sheet), { waitUntil: 'load' });
+      const pdf = await page.pdf({
+        format: 'Letter',
+        printBackground: true,
+        margin: { top: '0.5in', right: '0.5in', bottom: '0.5in', left: '0.5in' },
+      });
+      return Buffer.from(pdf);
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * "2025-12-03" -> "Wednesday, December 3, 2025"
+   */
+  formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC',
+    });
+  }
+
+  escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = new CallSheetWriter();
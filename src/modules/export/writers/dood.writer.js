@@ -0,0 +1,189 @@
+const PDFDocument = require('pdfkit');
+
+// US Letter landscape in points
+const PAGE_WIDTH = 11 * 72;
+const PAGE_HEIGHT = 8.5 * 72;
+const MARGIN = 36;
+
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+const FONT_SIZE = 7;
+
+const NUMBER_WIDTH = 20;
+const NAME_WIDTH = 110;
+const DAY_WIDTH = 24;
+const TOTAL_WIDTH = 28;
+const ROW_HEIGHT = 14;
+const HEADER_HEIGHT = 30;
+const TITLE_HEIGHT = 30;
+const LEGEND_HEIGHT = 24;
+
+const TOTAL_COLUMNS = [
+  { key: 'travel', label: 'Travel' },
+  { key: 'work', label: 'Work' },
+  { key: 'hold', label: 'Hold' },
+  { key: 'idle', label: 'Idle' },
+  { key: 'start', label: 'Start' },
+  { key: 'finish', label: 'Finish' },
+  { key: 'total', label: 'Total' },
+];
+
+const DAYS_PER_PAGE = Math.floor((PAGE_WIDTH - 2 * MARGIN - NUMBER_WIDTH - NAME_WIDTH - TOTAL_COLUMNS.length * TOTAL_WIDTH) / DAY_WIDTH);
+const ROWS_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN - TITLE_HEIGHT - HEADER_HEIGHT - LEGEND_HEIGHT) / ROW_HEIGHT);
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Writes a Day Out of Days report (doodService.getReport) as CSV or as a
+ * landscape PDF grid. Long schedules continue on further pages, each
+ * repeating the cast names and totals.
+ */
+class DoodWriter {
+  /**
+   * @param {object} report - { days, cast, codes }
+   * @returns {string}
+   */
+  csv(report) {
+    const header = [
+      '#',
+      'Character',
+      ...report.days.map(day => (day.date ? `Day ${day.day} (${day.date})` : `Day ${day.day}`)),
+      ...TOTAL_COLUMNS.map(column => column.label),
+    ];
+
+    const rows = report.cast.map(member => [
+      member.castNumber,
+      member.name,
+      ...member.codes,
+      ...TOTAL_COLUMNS.map(column => member[column.key]),
+    ]);
+
+    return `${[header, ...rows].map(row => row.map(value => this.csvField(value)).join(',')).join('\r\n')}\r\n`;
+  }
+
+  csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * @param {object} report - { days, cast, codes }
+   * @param {object} [options]
+   * @param {string} [options.title]
+   * @returns {Promise<Buffer>}
+   */
+  render(report, { title = 'Untitled' } = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        layout: 'landscape',
+        margin: 0,
+        autoFirstPage: false,
+        info: { Title: `${title} - Day Out of Days`, Creator: 'MovAI' },
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        const dayChunks = this.chunk(report.days, DAYS_PER_PAGE);
+        const rowChunks = this.chunk(report.cast, ROWS_PER_PAGE);
+        const pageCount = dayChunks.length * rowChunks.length;
+        let pageNumber = 0;
+
+        dayChunks.forEach(days => {
+          rowChunks.forEach(cast => {
+            doc.addPage();
+            pageNumber++;
+            this.renderPage(doc, { title, days, cast, codes: report.codes, pageNumber, pageCount });
+          });
+        });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  renderPage(doc, { title, days, cast, codes, pageNumber, pageCount }) {
+    doc.font(BOLD_FONT).fontSize(12).fillColor('black');
+    doc.text(`${title} - Day Out of Days`, MARGIN, MARGIN, { lineBreak: false });
+    doc.font(FONT).fontSize(FONT_SIZE);
+    doc.text(`Page ${pageNumber} of ${pageCount}`, PAGE_WIDTH - MARGIN - 60, MARGIN + 3, { width: 60, align: 'right', lineBreak: false });
+
+    const top = MARGIN + TITLE_HEIGHT;
+    const dayX = MARGIN + NUMBER_WIDTH + NAME_WIDTH;
+    const totalX = dayX + days.length * DAY_WIDTH;
+
+    // Header: day number with weekday and date below
+    doc.font(BOLD_FONT);
+    this.cell(doc, '#', MARGIN, top, NUMBER_WIDTH, HEADER_HEIGHT);
+    this.cell(doc, 'Character', MARGIN + NUMBER_WIDTH, top, NAME_WIDTH, HEADER_HEIGHT, 'left');
+    days.forEach((day, index) => {
+      const label = day.date ? `${day.day}\n${this.formatDate(day.date)}` : String(day.day);
+      this.cell(doc, label, dayX + index * DAY_WIDTH, top, DAY_WIDTH, HEADER_HEIGHT);
+    });
+    TOTAL_COLUMNS.forEach((column, index) => {
+      this.cell(doc, column.label, totalX + index * TOTAL_WIDTH, top, TOTAL_WIDTH, HEADER_HEIGHT);
+    });
+
+    doc.font(FONT);
+    cast.forEach((member, row) => {
+      const y = top + HEADER_HEIGHT + row * ROW_HEIGHT;
+      const offset = days.length > 0 ? days[0].day - 1 : 0;
+
+      this.cell(doc, String(member.castNumber), MARGIN, y, NUMBER_WIDTH, ROW_HEIGHT);
+      this.cell(doc, member.name, MARGIN + NUMBER_WIDTH, y, NAME_WIDTH, ROW_HEIGHT, 'left');
+      days.forEach((day, index) => {
+        this.cell(doc, member.codes[offset + index] || '', dayX + index * DAY_WIDTH, y, DAY_WIDTH, ROW_HEIGHT);
+      });
+      TOTAL_COLUMNS.forEach((column, index) => {
+        this.cell(doc, String(member[column.key] ?? ''), totalX + index * TOTAL_WIDTH, y, TOTAL_WIDTH, ROW_HEIGHT);
+      });
+    });
+
+    const legend = Object.entries(codes).map(([code, label]) => `${code} = ${label}`).join('   ');
+    doc.text(legend, MARGIN, PAGE_HEIGHT - MARGIN - LEGEND_HEIGHT / 2, {
+      width: PAGE_WIDTH - 2 * MARGIN,
+      lineBreak: false,
+    });
+  }
+
+  /**
+   * Bordered cell with vertically centered text
+   */
+  cell(doc, text, x, y, width, height, align = 'center') {
+    doc.rect(x, y, width, height).lineWidth(0.5).stroke('#9E9E9E');
+
+    const lines = String(text).split('\n').length;
+    const textHeight = lines * doc.currentLineHeight();
+    doc.fillColor('black').text(String(text), x + 2, y + (height - textHeight) / 2, {
+      width: width - 4,
+      height,
+      align,
+      ellipsis: true,
+      lineGap: 0,
+    });
+  }
+
+  /**
+   * "2025-12-03" -> "Wed\n12/3" (two lines of a day column header)
+   */
+  formatDate(date) {
+    const value = new Date(`${date}T00:00:00Z`);
+    return `${WEEKDAYS[value.getUTCDay()]}\n${value.getUTCMonth() + 1}/${value.getUTCDate()}`;
+  }
+
+  chunk(items, size) {
+    if (items.length === 0) return [[]];
+
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+  }
+}
+
+module.exports = new DoodWriter();
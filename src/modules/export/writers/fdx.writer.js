@@ -0,0 +1,243 @@
+const xml2js = require('xml2js');
+
+// Layout element types -> Final Draft paragraph types
+const PARAGRAPH_TYPES = {
+  scene_heading: 'Scene Heading',
+  action: 'Action',
+  character: 'Character',
+  parenthetical: 'Parenthetical',
+  dialogue: 'Dialogue',
+  transition: 'Transition',
+  shot: 'Shot',
+  lyrics: 'Lyrics',
+  centered: 'Action',
+};
+
+// Summary the parsers give scenes they could not summarize
+const PLACEHOLDER_SUMMARY = 'No summary available';
+
+/**
+ * Builds a FinalDraft XML document (Version 5, as written by Final Draft 10+).
+ *
+ * Input:
+ *   {
+ *     elements,        // layout elements rebuilt from ScriptPage.formatted
+ *     scenes,          // Scene records in order (numbers, SceneProperties, notes)
+ *     characters,      // Character records (SmartType cast list)
+ *     titlePage,       // [{ text, alignment }] paragraphs, or
+ *     titleEntries,    // [{ key, value: [lines] }] (Fountain style) when no paragraphs
+ *     revisions,       // { activeSet, sets } from ScriptRevision rows or an imported FDX
+ *     smartType,       // imported SmartType lists (locations, extensions, ...)
+ *   }
+ */
+class FdxWriter {
+  write(script) {
+    const document = {
+      FinalDraft: {
+        $: { DocumentType: 'Script', Template: 'No', Version: '5' },
+        Content: { Paragraph: this.buildContent(script) },
+        TitlePage: { Content: { Paragraph: this.buildTitlePage(script) } },
+        SmartType: this.buildSmartType(script),
+      },
+    };
+
+    const revisions = this.buildRevisions(script.revisions);
+    if (revisions) document.FinalDraft.Revisions = revisions;
+
+    const builder = new xml2js.Builder({
+      xmldec: { version: '1.0', encoding: 'UTF-8', standalone: false },
+      renderOpts: { pretty: true, indent: '  ', newline: '\n' },
+    });
+    return builder.buildObject(document);
+  }
+
+  /**
+   * Script body; dual dialogue blocks are wrapped in <DualDialogue>
+   */
+  buildContent({ elements = [], scenes = [] }) {
+    const paragraphs = [];
+    let sceneIndex = 0;
+    let dualBlock = null;
+    let startsNewPage = false;
+
+    elements.forEach(element => {
+      if (element.type === 'page_break') {
+        startsNewPage = true;
+        return;
+      }
+      if (!PARAGRAPH_TYPES[element.type]) return;
+
+      let paragraph;
+      if (element.type === 'scene_heading') {
+        paragraph = this.sceneHeading(element, scenes[sceneIndex], sceneIndex);
+        sceneIndex++;
+      } else {
+        paragraph = this.paragraph(element);
+      }
+      if (startsNewPage) {
+        paragraph.$.StartsNewPage = 'Yes';
+        startsNewPage = false;
+      }
+
+      if (element.dual) {
+        // A left-column cue always opens a new block
+        if (!dualBlock || (element.type === 'character' && element.dual === 'left')) {
+          dualBlock = { DualDialogue: { Paragraph: [] } };
+          paragraphs.push(dualBlock);
+        }
+        dualBlock.DualDialogue.Paragraph.push(paragraph);
+        return;
+      }
+
+      dualBlock = null;
+      paragraphs.push(paragraph);
+    });
+
+    return paragraphs;
+  }
+
+  paragraph(element) {
+    const attrs = { Type: PARAGRAPH_TYPES[element.type] };
+    if (element.type === 'centered') attrs.Alignment = 'Center';
+
+    return {
+      $: attrs,
+      Text: element.revisionId
+        ? { _: element.text, $: { RevisionID: String(element.revisionId) } }
+        : element.text,
+    };
+  }
+
+  /**
+   * Scene heading with its number, SceneProperties and notes
+   */
+  sceneHeading(element, scene, index) {
+    const paragraph = this.paragraph(element);
+    paragraph.$.Number = String(element.sceneNumber || scene?.sceneLabel || scene?.sceneNumber || index + 1);
+
+    if (scene) {
+      const properties = {};
+      const length = this.formatEighths(scene.lengthEighths);
+      const page = scene.pageLabel || scene.page;
+      if (length) properties.Length = length;
+      if (page) properties.Page = String(page);
+      if (scene.color) properties.Color = this.expandColor(scene.color);
+      paragraph.SceneProperties = { $: properties };
+      if (scene.summary && scene.summary !== PLACEHOLDER_SUMMARY) {
+        paragraph.SceneProperties.Summary = { Paragraph: { Text: scene.summary } };
+      }
+      if (scene.notes) {
+        paragraph.ScriptNote = { Paragraph: { Text: scene.notes } };
+      }
+    }
+
+    // <SceneProperties> precedes <Text> in Final Draft files
+    const { $, Text, ...rest } = paragraph;
+    return { $, ...rest, Text };
+  }
+
+  /**
+   * Imported paragraphs verbatim, otherwise a standard layout from
+   * Fountain-style keys: centered title block, contact bottom left,
+   * draft date bottom right
+   */
+  buildTitlePage({ titlePage, titleEntries = [], title }) {
+    const toParagraph = ({ text, alignment }) => ({
+      $: { Alignment: alignment.charAt(0).toUpperCase() + alignment.slice(1) },
+      Text: text,
+    });
+
+    if (Array.isArray(titlePage) && titlePage.length > 0) {
+      return titlePage.map(toParagraph);
+    }
+
+    const lines = (key) => (titleEntries.find(entry => entry.key.toLowerCase() === key)?.value || [])
+      .map(value => this.plainTitleText(value));
+    const titleLines = lines('title').length > 0 ? lines('title') : [title || 'Untitled'];
+    const authors = [...lines('author'), ...lines('authors')];
+
+    const paragraphs = [];
+    const add = (text, alignment) => paragraphs.push({ text, alignment });
+
+    titleLines.forEach(line => add(line, 'center'));
+    if (lines('credit').length > 0 || authors.length > 0) {
+      add('', 'center');
+      lines('credit').forEach(line => add(line, 'center'));
+      authors.forEach(line => add(line, 'center'));
+    }
+    if (lines('source').length > 0) {
+      add('', 'center');
+      lines('source').forEach(line => add(line, 'center'));
+    }
+    lines('contact').forEach(line => add(line, 'left'));
+    lines('draft date').forEach(line => add(line, 'right'));
+
+    return paragraphs.map(toParagraph);
+  }
+
+  /**
+   * SmartType lists; characters come from the Character records
+   */
+  buildSmartType({ characters = [], smartType = {}, scenes = [] }) {
+    const unique = (values) => [...new Set(values.filter(Boolean))];
+    const locations = unique([...(smartType.locations || []), ...scenes.map(scene => scene.location)]);
+    const times = unique([...(smartType.timesOfDay || []), ...scenes.map(scene => scene.timeOfDay)]);
+
+    return {
+      Characters: { Character: unique(characters.map(char => char.name)) },
+      Extensions: { Extension: smartType.extensions || ['(V.O.)', '(O.S.)', "(CONT'D)"] },
+      SceneIntros: { SceneIntro: smartType.sceneIntros || ['INT', 'EXT', 'INT./EXT', 'EXT./INT'] },
+      Locations: { Location: locations },
+      TimesOfDay: { $: { Separator: ' - ' }, TimeOfDay: times },
+      Transitions: { Transition: smartType.transitions || ['CUT TO:', 'FADE OUT.', 'DISSOLVE TO:'] },
+    };
+  }
+
+  buildRevisions(revisions) {
+    if (!revisions || !revisions.sets || revisions.sets.length === 0) return null;
+
+    return {
+      $: { ActiveSet: String(revisions.activeSet || revisions.sets[revisions.sets.length - 1].id) },
+      Revision: revisions.sets.map(set => ({
+        $: {
+          Color: this.expandColor(set.color || '#000000'),
+          FullRevision: set.fullRevision ? 'Yes' : 'No',
+          ID: String(set.id),
+          Mark: set.mark || '*',
+          Name: set.name,
+          PageColor: this.expandColor(set.pageColor || '#FFFFFF'),
+          Style: '',
+        },
+      })),
+    };
+  }
+
+  /**
+   * 11 -> "1 3/8"
+   */
+  /**
+   * Title page values may carry Fountain emphasis markers
+   */
+  plainTitleText(text) {
+    return String(text || '').replace(/(\*{1,3}|_)(\S[^\n]*?\S|\S)\1/g, '$2').trim();
+  }
+
+  formatEighths(eighths) {
+    if (!eighths) return '';
+    const pages = Math.floor(eighths / 8);
+    const rest = eighths % 8;
+    if (!rest) return String(pages);
+    return pages ? `${pages} ${rest}/8` : `${rest}/8`;
+  }
+
+  /**
+   * "#RRGGBB" -> Final Draft's 16-bit "#RRRRGGGGBBBB"
+   */
+  expandColor(color) {
+    const hex = String(color).replace(/^#/, '');
+    if (hex.length !== 6) return `#${hex}`;
+    return `#${hex.match(/../g).map(channel => channel + channel).join('')}`.toUpperCase();
+  }
+}
+
+module.exports = new FdxWriter();
@@ -0,0 +1,117 @@
+const SCENE_HEADING = /^(INT|EXT|EST|INT\.?\/EXT|INT\.? EXT|I\/E)[. ]/i;
+
+// Elements written directly under a character cue (no blank line)
+const DIALOGUE_BLOCK_TYPES = ['parenthetical', 'dialogue'];
+
+/**
+ * Writes normalized Fountain from the document model produced by the
+ * Fountain parser (Script.parsedContent) or from layout elements rebuilt
+ * from stored pages.
+ *
+ * Output is stable: parse(write(doc)) yields the same document, so a
+ * Fountain upload round-trips through the database unchanged apart from
+ * whitespace normalization.
+ */
+class FountainWriter {
+  /**
+   * @param {object} document - { titlePage: [{ key, value: [lines] }], elements }
+   * @returns {string}
+   */
+  write(document) {
+    const blocks = [];
+
+    const titlePage = this.writeTitlePage(document.titlePage || []);
+    if (titlePage) blocks.push(titlePage);
+
+    let previous = null;
+    let body = '';
+    (document.elements || []).forEach(element => {
+      const text = this.writeElement(element);
+      if (text === null) return;
+
+      const joined = previous && this.continuesDialogue(previous, element);
+      body += body ? (joined ? '\n' : '\n\n') + text : text;
+      previous = element;
+    });
+    if (body) blocks.push(body);
+
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  /**
+   * `Key: value`, or `Key:` followed by indented lines for multi-line values
+   */
+  writeTitlePage(entries) {
+    return entries.map(({ key, value }) => {
+      const lines = Array.isArray(value) ? value : String(value || '').split('\n');
+      if (lines.length === 1) return `${key}: ${lines[0]}`;
+      return [`${key}:`, ...lines.map(line => `    ${line}`)].join('\n');
+    }).join('\n');
+  }
+
+  continuesDialogue(previous, element) {
+    if (element.type === 'lyrics') return !!element.inDialogue;
+    return DIALOGUE_BLOCK_TYPES.includes(element.type) &&
+      ['character', 'parenthetical', 'dialogue', 'lyrics'].includes(previous.type);
+  }
+
+  /**
+   * One element -> Fountain source (null to skip)
+   */
+  writeElement(element) {
+    const text = String(element.text || '');
+
+    switch (element.type) {
+      case 'scene_heading': {
+        const forced = element.forced || !SCENE_HEADING.test(text);
+        const number = element.sceneNumber ? ` #${element.sceneNumber}#` : '';
+        return `${forced ? '.' : ''}${text}${number}`;
+      }
+      case 'character': {
+        const forced = element.forced || /[a-z]/.test(text.replace(/\(.*\)\s*$/, ''));
+        return `${forced ? '@' : ''}${text}${element.dual === 'right' ? ' ^' : ''}`;
+      }
+      case 'parenthetical':
+        return /^\(.*\)$/.test(text.trim()) ? text.trim() : `(${text.trim()})`;
+      case 'dialogue':
+        // Empty lines inside a speech are kept with two spaces
+        return text.split('\n').map(line => line || '  ').join('\n');
+      case 'lyrics':
+        return text.split('\n').map(line => `~${line}`).join('\n');
+      case 'transition': {
+        const forced = element.forced || !(/TO:$/.test(text) && text === text.toUpperCase());
+        return forced ? `> ${text}` : text;
+      }
+      case 'centered':
+        return text.split('\n').map(line => `> ${line} <`).join('\n');
+      case 'section':
+        return `${'#'.repeat(element.depth || 1)} ${text}`;
+      case 'synopsis':
+        return `= ${text}`;
+      case 'note':
+        return `[[${text}]]`;
+      case 'boneyard':
+        return `/*${text}*/`;
+      case 'page_break':
+        return '===';
+      case 'shot':
+        return text.toUpperCase();
+      case 'action':
+      default:
+        return element.forced || this.needsForcedAction(text) ? `!${text}` : text;
+    }
+  }
+
+  /**
+   * Action text that would otherwise read back as another element
+   */
+  needsForcedAction(text) {
+    const first = text.split('\n')[0].trim();
+    if (SCENE_HEADING.test(first) || /^[.>@~=#]/.test(first) || /^\[\[|^\/\*/.test(first)) return true;
+    if (/TO:$/.test(first) && first === first.toUpperCase() && !text.includes('\n')) return true;
+    // Uppercase first line followed by more lines reads as a character cue
+    return text.includes('\n') && /[A-Z]/.test(first) && !/[a-z]/.test(first);
+  }
+}
+
+module.exports = new FountainWriter();
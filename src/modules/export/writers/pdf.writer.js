@@ -0,0 +1,449 @@
+const PDFDocument = require('pdfkit');
+const { SCREENPLAY_PAGE, ELEMENT_LAYOUT } = require('../../../shared/constants');
+const layout = require('../../scripts/parsers/layout');
+
+// US Letter in points; Courier 12pt is 10 characters and 6 lines per inch
+const POINTS_PER_INCH = 72;
+const PAGE_WIDTH = 8.5 * POINTS_PER_INCH;
+const PAGE_HEIGHT = 11 * POINTS_PER_INCH;
+const CHAR_WIDTH = POINTS_PER_INCH / SCREENPLAY_PAGE.CHARS_PER_INCH;
+const LINE_HEIGHT = POINTS_PER_INCH / SCREENPLAY_PAGE.LINES_PER_INCH;
+const LEFT_MARGIN = 1.5 * POINTS_PER_INCH;
+const TOP_MARGIN = 1 * POINTS_PER_INCH;
+const RIGHT_EDGE = LEFT_MARGIN + SCREENPLAY_PAGE.CHARS_PER_LINE * CHAR_WIDTH;
+const PAGE_NUMBER_Y = 0.5 * POINTS_PER_INCH;
+const LEFT_SCENE_NUMBER_X = 0.75 * POINTS_PER_INCH;
+const RIGHT_SCENE_NUMBER_X = 7.375 * POINTS_PER_INCH;
+const REVISION_MARK_X = 7.875 * POINTS_PER_INCH;
+
+const FONT = 'Courier';
+const FONT_SIZE = 12;
+
+// Types that make up a speech (continued across pages with MORE / CONT'D)
+const SPEECH_TYPES = ['dialogue', 'parenthetical', 'lyrics'];
+
+// Side-by-side dual dialogue columns (characters from the left margin)
+const DUAL_COLUMNS = { left: 0, right: 31 };
+const DUAL_LAYOUT = {
+  character: { indent: 8, width: 20 },
+  parenthetical: { indent: 3, width: 22 },
+  dialogue: { indent: 0, width: 28 },
+  lyrics: { indent: 0, width: 28 },
+};
+
+/**
+ * Renders stored script pages (ScriptPage.formatted) as an industry
+ * standard screenplay PDF. Pagination is taken from the stored pages, so
+ * page numbers match what the app shows; speeches that break across a
+ * page get (MORE) and a CONT'D cue. Revised lines get their revision
+ * set's mark in the right margin and revised pages its name in the header.
+ * Sides keep only some scenes: their pages are printed with every line of
+ * the other scenes struck through.
+ */
+class PdfWriter {
+  /**
+   * @param {object} script
+   * @param {string} script.title
+   * @param {Array} script.titleEntries - [{ key, value: [lines] }]
+   * @param {Array} script.pages - [{ pageNumber, formatted }]
+   * @param {Array} [script.scenes] - Scene records in order (number labels)
+   * @param {Array} [script.revisions] - ScriptRevision rows (marks, header names)
+   * @param {object} [options]
+   * @param {boolean} [options.titlePage=true]
+   * @param {boolean} [options.sceneNumbers=true]
+   * @param {boolean} [options.revisionMarks=true] - Marks beside revised lines
+   * @param {string} [options.watermark] - Text stamped across every page
+   * @param {number[]} [options.onlyPages] - Page numbers to print (revision pages)
+   * @param {number[]} [options.keepScenes] - Scene indexes (script order) left
+   *   readable; lines of other scenes are struck through (sides)
+   * @param {string} [options.header] - Text at the top left of every page
+   * @param {function} [options.onPage] - (rendered, total) progress callback
+   * @returns {Promise<Buffer>}
+   */
+  render(script, options = {}) {
+    const {
+      titlePage = true,
+      sceneNumbers = true,
+      revisionMarks = true,
+      watermark = null,
+      onlyPages = null,
+      keepScenes = null,
+      header = null,
+      onPage = null,
+    } = options;
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: 0,
+        autoFirstPage: false,
+        info: { Title: script.title || 'Untitled', Creator: 'MovAI' },
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        doc.font(FONT).fontSize(FONT_SIZE);
+
+        if (titlePage) {
+          this.renderTitlePage(doc, script);
+          if (watermark) this.renderWatermark(doc, watermark);
+        }
+
+        // Pagination (and MORE / CONT'D) always comes from the whole script
+        const pages = this.preparePages(script.pages || []);
+        const keep = keepScenes ? new Set(keepScenes) : null;
+        const lineScenes = keep ? this.lineScenes(pages) : null;
+        const printed = pages.filter(page => (
+          (!onlyPages || onlyPages.includes(page.pageNumber))
+          && (!keep || lineScenes.get(page).some(index => keep.has(index)))
+        ));
+        const sceneLabels = (script.scenes || []).map(scene => scene.sceneLabel || String(scene.sceneNumber));
+        const revisions = new Map((script.revisions || []).map(revision => [revision.id, revision]));
+        let sceneIndex = 0;
+
+        pages.forEach(page => {
+          if (!printed.includes(page)) {
+            sceneIndex += page.lines.filter((line, i) => this.startsScene(line, page.lines[i - 1])).length;
+            return;
+          }
+
+          doc.addPage();
+          doc.font(FONT).fontSize(FONT_SIZE).fillColor('black');
+
+          if (header) {
+            doc.text(header, LEFT_MARGIN, PAGE_NUMBER_Y, { lineBreak: false });
+          }
+
+          if (page.pageNumber > 1 || page.pageLabel) {
+            const label = `${page.pageLabel || page.pageNumber}.`;
+            const labelX = RIGHT_EDGE - label.length * CHAR_WIDTH;
+            doc.text(label, labelX, PAGE_NUMBER_Y, { lineBreak: false });
+
+            const revision = revisions.get(page.revisionId);
+            if (revision) {
+              const header = `${revision.name} (${this.formatDate(revision.issuedAt)})`;
+              doc.text(header, labelX - (header.length + 3) * CHAR_WIDTH, PAGE_NUMBER_Y, { lineBreak: false });
+            }
+          }
+
+          sceneIndex = this.renderLines(doc, page.lines, {
+            sceneNumbers,
+            sceneLabels,
+            sceneIndex,
+            revisions: revisionMarks ? revisions : new Map(),
+            struck: keep ? lineScenes.get(page).map(index => !keep.has(index)) : null,
+          });
+
+          if (watermark) this.renderWatermark(doc, watermark);
+          if (onPage) onPage(printed.indexOf(page) + 1, printed.length);
+        });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Normalize stored pages and add (MORE) / CONT'D where a speech
+   * runs over a page break
+   */
+  preparePages(pages) {
+    const prepared = [...pages]
+      .sort((a, b) => a.pageNumber - b.pageNumber)
+      .map(page => ({
+        pageNumber: page.pageNumber,
+        pageLabel: page.pageLabel || null,
+        revisionId: page.revisionId || null,
+        lines: this.pageLines(page),
+      }));
+
+    let speaker = null;
+    prepared.forEach((page, index) => {
+      page.lines.forEach(line => {
+        if (line.type === 'character') speaker = line.text;
+      });
+
+      const next = prepared[index + 1];
+      if (!next || !speaker) return;
+
+      const last = [...page.lines].reverse().find(line => line.text.trim());
+      const first = next.lines.find(line => line.text.trim());
+      if (!last || !first) return;
+      if (!SPEECH_TYPES.includes(last.type) || !SPEECH_TYPES.includes(first.type)) return;
+      if (/^\(MORE\)$/i.test(last.text.trim())) return;
+
+      const name = layout.cleanCharacterName(speaker);
+      page.lines.push(this.cueLine('(MORE)', last.dual));
+      next.lines.unshift(this.cueLine(`${name} (CONT'D)`, first.dual));
+    });
+
+    return prepared;
+  }
+
+  /**
+   * Stored formatted lines, or the raw text as action when a page was
+   * never formatted
+   */
+  pageLines(page) {
+    const formatted = Array.isArray(page.formatted) ? page.formatted : (page.formattedLines || []);
+    if (formatted.length > 0) {
+      return formatted.map(line => ({ ...line, text: String(line.text || '') }));
+    }
+
+    return String(page.rawText || '').split('\n').map(text => ({
+      type: text.trim() ? 'action' : 'empty',
+      text: text.trim(),
+    }));
+  }
+
+  cueLine(text, dual) {
+    const line = { type: 'character', text, continuation: true };
+    if (dual) line.dual = dual;
+    return line;
+  }
+
+  /**
+   * Scene index (script order) of every line, per page; lines before the
+   * first heading are -1
+   */
+  lineScenes(pages) {
+    const scenes = new Map();
+    let index = -1;
+
+    pages.forEach(page => {
+      scenes.set(page, page.lines.map((line, i) => {
+        if (this.startsScene(line, page.lines[i - 1])) index++;
+        return index;
+      }));
+    });
+
+    return scenes;
+  }
+
+  /**
+   * Draw one page of lines; returns the updated scene index
+   */
+  renderLines(doc, lines, context) {
+    let row = 0;
+    let sceneIndex = context.sceneIndex;
+    let previous = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Dual dialogue: gather the block and draw both columns side by side
+      if (line.dual) {
+        const block = [];
+        while (i < lines.length && (lines[i].dual || (lines[i].type === 'empty' && lines[i + 1]?.dual))) {
+          block.push(lines[i]);
+          i++;
+        }
+        i--;
+        const mark = this.revisionMark(block, context.revisions);
+        if (mark) doc.text(mark, REVISION_MARK_X, TOP_MARGIN + row * LINE_HEIGHT, { lineBreak: false });
+        const rows = this.renderDualBlock(doc, block, row);
+        if (context.struck?.[i]) {
+          for (let r = row; r < row + rows; r++) this.strikeThrough(doc, LEFT_MARGIN, TOP_MARGIN + r * LINE_HEIGHT, RIGHT_EDGE - LEFT_MARGIN);
+        }
+        row += rows;
+        previous = block[block.length - 1];
+        continue;
+      }
+
+      const y = TOP_MARGIN + row * LINE_HEIGHT;
+      row++;
+      if (line.type === 'empty' || !line.text.trim()) {
+        previous = line;
+        continue;
+      }
+
+      const text = line.text.trim();
+      const x = this.lineX(line, text);
+      doc.text(text, x, y, { lineBreak: false });
+      if (context.struck?.[i]) this.strikeThrough(doc, x, y, text.length * CHAR_WIDTH);
+
+      const mark = this.revisionMark([line], context.revisions);
+      if (mark) doc.text(mark, REVISION_MARK_X, y, { lineBreak: false });
+
+      // Scene numbers in both margins, on the first line of the heading
+      if (this.startsScene(line, previous)) {
+        const label = line.sceneNumber || context.sceneLabels[sceneIndex] || String(sceneIndex + 1);
+        sceneIndex++;
+        if (context.sceneNumbers) {
+          doc.text(label, LEFT_SCENE_NUMBER_X, y, { lineBreak: false });
+          doc.text(label, RIGHT_SCENE_NUMBER_X, y, { lineBreak: false });
+        }
+      }
+
+      previous = line;
+    }
+
+    return sceneIndex;
+  }
+
+  strikeThrough(doc, x, y, width) {
+    const middle = y + LINE_HEIGHT / 2;
+    doc.save();
+    doc.moveTo(x, middle).lineTo(x + width, middle).lineWidth(0.75).stroke('black');
+    doc.restore();
+  }
+
+  startsScene(line, previous) {
+    return line.type === 'scene_heading' && previous?.type !== 'scene_heading';
+  }
+
+  /**
+   * Mark of the newest revision set among the lines, if any
+   */
+  revisionMark(lines, revisions) {
+    const marked = lines
+      .map(line => revisions.get(line.revisionId))
+      .filter(Boolean)
+      .sort((a, b) => b.sequence - a.sequence);
+
+    return marked.length > 0 ? marked[0].mark || '*' : null;
+  }
+
+  /**
+   * Revision header date, e.g. 10/19/26
+   */
+  formatDate(date) {
+    const value = new Date(date);
+    const pad = number => String(number).padStart(2, '0');
+    return `${pad(value.getMonth() + 1)}/${pad(value.getDate())}/${String(value.getFullYear()).slice(-2)}`;
+  }
+
+  /**
+   * Horizontal position from the element type (standard margins)
+   */
+  lineX(line, text) {
+    const spec = ELEMENT_LAYOUT[line.type] || ELEMENT_LAYOUT.action;
+
+    if (line.continuation && line.type === 'character') {
+      return LEFT_MARGIN + ELEMENT_LAYOUT.character.indent * CHAR_WIDTH;
+    }
+    if (spec.alignment === 'right') {
+      return RIGHT_EDGE - text.length * CHAR_WIDTH;
+    }
+    if (line.type === 'centered') {
+      return LEFT_MARGIN + Math.max(0, (SCREENPLAY_PAGE.CHARS_PER_LINE - text.length) / 2) * CHAR_WIDTH;
+    }
+    return LEFT_MARGIN + spec.indent * CHAR_WIDTH;
+  }
+
+  /**
+   * Re-wrap each side of a dual dialogue block to half width and draw the
+   * columns next to each other; returns the rows used
+   */
+  renderDualBlock(doc, block, startRow) {
+    const columns = { left: [], right: [] };
+
+    ['left', 'right'].forEach(side => {
+      let element = null;
+      block.filter(line => line.dual === side && line.text.trim()).forEach(line => {
+        if (element && element.type === line.type && line.type !== 'character') {
+          element.text += ` ${line.text.trim()}`;
+        } else {
+          element = { type: line.type, text: line.text.trim() };
+          columns[side].push(element);
+        }
+      });
+    });
+
+    let rows = 0;
+    Object.entries(columns).forEach(([side, elements]) => {
+      let row = 0;
+      elements.forEach(element => {
+        const spec = DUAL_LAYOUT[element.type] || DUAL_LAYOUT.dialogue;
+        const text = element.type === 'character' ? element.text.toUpperCase() : element.text;
+        layout.wrapText(text, spec.width).forEach(line => {
+          const x = LEFT_MARGIN + (DUAL_COLUMNS[side] + spec.indent) * CHAR_WIDTH;
+          doc.text(line, x, TOP_MARGIN + (startRow + row) * LINE_HEIGHT, { lineBreak: false });
+          row++;
+        });
+      });
+      rows = Math.max(rows, row);
+    });
+
+    return rows;
+  }
+
+  /**
+   * Title centered a third of the way down, credit and authors below it,
+   * contact details bottom left and draft date bottom right
+   */
+  renderTitlePage(doc, script) {
+    doc.addPage();
+    doc.font(FONT).fontSize(FONT_SIZE).fillColor('black');
+
+    const entries = script.titleEntries || [];
+    const lines = (...keys) => entries
+      .filter(entry => keys.includes(entry.key.toLowerCase()))
+      .flatMap(entry => entry.value)
+      .map(value => this.plainTitleText(value));
+
+    const centered = (text, row) => {
+      const x = (PAGE_WIDTH - text.length * CHAR_WIDTH) / 2;
+      doc.text(text, Math.max(LEFT_MARGIN, x), TOP_MARGIN + row * LINE_HEIGHT, { lineBreak: false });
+    };
+
+    let row = 18;
+    const title = lines('title');
+    (title.length > 0 ? title : [script.title || 'Untitled']).forEach(text => centered(text.toUpperCase(), row++));
+
+    row += 3;
+    lines('credit').forEach(text => centered(text, row++));
+    if (lines('credit').length > 0) row++;
+    lines('author', 'authors').forEach(text => centered(text, row++));
+
+    const source = lines('source');
+    if (source.length > 0) {
+      row += 3;
+      source.forEach(text => centered(text, row++));
+    }
+
+    const contact = lines('contact');
+    const bottom = SCREENPLAY_PAGE.LINES_PER_PAGE - 1;
+    contact.forEach((text, index) => {
+      doc.text(text, LEFT_MARGIN, TOP_MARGIN + (bottom - contact.length + 1 + index) * LINE_HEIGHT, { lineBreak: false });
+    });
+
+    const draft = lines('draft date');
+    draft.forEach((text, index) => {
+      doc.text(text, RIGHT_EDGE - text.length * CHAR_WIDTH, TOP_MARGIN + (bottom - draft.length + 1 + index) * LINE_HEIGHT, { lineBreak: false });
+    });
+  }
+
+  /**
+   * Title page values may carry Fountain emphasis markers
+   */
+  plainTitleText(text) {
+    return String(text || '').replace(/(\*{1,3}|_)(\S[^\n]*?\S|\S)\1/g, '$2').trim();
+  }
+
+  /**
+   * Large translucent diagonal recipient text across the page
+   */
+  renderWatermark(doc, watermark) {
+    const size = Math.max(24, Math.min(72, Math.floor(900 / Math.max(String(watermark).length, 1))));
+
+    doc.save();
+    doc.rotate(-45, { origin: [PAGE_WIDTH / 2, PAGE_HEIGHT / 2] });
+    doc.font(`${FONT}-Bold`).fontSize(size).fillColor('black').fillOpacity(0.1);
+    doc.text(String(watermark), 0, PAGE_HEIGHT / 2 - size / 2, {
+      width: PAGE_WIDTH,
+      align: 'center',
+      lineBreak: false,
+    });
+    doc.restore();
+    doc.font(FONT).fontSize(FONT_SIZE).fillOpacity(1);
+  }
+}
+
+module.exports = new PdfWriter();
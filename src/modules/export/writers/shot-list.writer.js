@@ -0,0 +1,201 @@
+const PDFDocument = require('pdfkit');
+
+// US Letter landscape in points
+const PAGE_WIDTH = 11 * 72;
+const PAGE_HEIGHT = 8.5 * 72;
+const MARGIN = 36;
+
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+const FONT_SIZE = 8;
+
+const TITLE_HEIGHT = 30;
+const SCENE_HEIGHT = 18;
+const HEADER_HEIGHT = 14;
+const MIN_ROW_HEIGHT = 14;
+const CELL_PADDING = 3;
+
+// Description takes whatever width the other columns leave
+const COLUMNS = [
+  { key: 'number', label: 'Shot', width: 36 },
+  { key: 'size', label: 'Size', width: 30 },
+  { key: 'angle', label: 'Angle', width: 70 },
+  { key: 'movement', label: 'Movement', width: 70 },
+  { key: 'lens', label: 'Lens', width: 40 },
+  { key: 'equipment', label: 'Equipment', width: 90 },
+  { key: 'characters', label: 'Characters', width: 90 },
+  { key: 'description', label: 'Description', width: null },
+  { key: 'setupMinutes', label: 'Setup', width: 36 },
+];
+const FIXED_WIDTH = COLUMNS.reduce((sum, column) => sum + (column.width || 0), 0);
+COLUMNS.find(column => column.width === null).width = PAGE_WIDTH - 2 * MARGIN - FIXED_WIDTH;
+
+/**
+ * Writes shot lists (shotListService.getScriptShots) as CSV or as a
+ * landscape PDF table, one block per scene with its total setup time.
+ * Rows grow to fit their description; a scene that does not fit continues
+ * on the next page under its heading again.
+ */
+class ShotListWriter {
+  /**
+   * @param {object[]} scenes - scenes with their shots
+   * @returns {string}
+   */
+  csv(scenes) {
+    const header = ['Scene', 'Shot', 'Size', 'Angle', 'Movement', 'Lens', 'Equipment', 'Characters', 'Description', 'Setup (min)', 'Storyboard'];
+
+    const rows = scenes.flatMap(scene => scene.shots.map(shot => [
+      scene.sceneLabel || scene.sceneNumber,
+      shot.number,
+      shot.size,
+      shot.angle,
+      shot.movement,
+      shot.lens,
+      shot.equipment.join('; '),
+      shot.characters.join('; '),
+      shot.description,
+      shot.setupMinutes,
+      shot.storyboard?.url,
+    ]));
+
+    return `${[header, ...rows].map(row => row.map(value => this.csvField(value)).join(',')).join('\r\n')}\r\n`;
+  }
+
+  csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * @param {object[]} scenes - scenes with their shots
+   * @param {object} [options]
+   * @param {string} [options.title]
+   * @returns {Promise<Buffer>}
+   */
+  render(scenes, { title = 'Untitled' } = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        layout: 'landscape',
+        margin: 0,
+        autoFirstPage: false,
+        bufferPages: true,
+        info: { Title: `${title} - Shot List`, Creator: 'MovAI' },
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        let y = this.addPage(doc, title);
+
+        scenes.filter(scene => scene.shots.length > 0).forEach(scene => {
+          doc.font(FONT).fontSize(FONT_SIZE);
+          const rows = scene.shots.map(shot => ({ shot, height: this.rowHeight(doc, shot) }));
+
+          // Keep a scene heading with at least its first shot
+          if (y + SCENE_HEIGHT + HEADER_HEIGHT + rows[0].height > PAGE_HEIGHT - MARGIN) {
+            y = this.addPage(doc, title);
+          }
+          y = this.sceneHeader(doc, scene, y);
+
+          rows.forEach(({ shot, height }) => {
+            if (y + height > PAGE_HEIGHT - MARGIN) {
+              y = this.sceneHeader(doc, scene, this.addPage(doc, title), true);
+            }
+            this.row(doc, shot, y, height);
+            y += height;
+          });
+
+          y += SCENE_HEIGHT / 2;
+        });
+
+        this.pageNumbers(doc);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  addPage(doc, title) {
+    doc.addPage();
+    doc.font(BOLD_FONT).fontSize(12).fillColor('black');
+    doc.text(`${title} - Shot List`, MARGIN, MARGIN, { lineBreak: false });
+    return MARGIN + TITLE_HEIGHT;
+  }
+
+  /**
+   * Scene heading and column headers; returns the y of the first row
+   */
+  sceneHeader(doc, scene, y, continued = false) {
+    const setup = scene.setupMinutes ? `   Setup ${this.formatMinutes(scene.setupMinutes)}` : '';
+
+    doc.font(BOLD_FONT).fontSize(FONT_SIZE + 1).fillColor('black');
+    doc.text(
+      `${scene.sceneLabel || scene.sceneNumber}. ${scene.heading}${continued ? ' (cont.)' : ''}   ${scene.shots.length} shots${setup}`,
+      MARGIN,
+      y + 4,
+      { width: PAGE_WIDTH - 2 * MARGIN, lineBreak: false, ellipsis: true },
+    );
+
+    y += SCENE_HEIGHT;
+    doc.font(BOLD_FONT).fontSize(FONT_SIZE);
+    let x = MARGIN;
+    COLUMNS.forEach(column => {
+      doc.rect(x, y, column.width, HEADER_HEIGHT).fillAndStroke('#EEEEEE', '#9E9E9E');
+      doc.fillColor('black').text(column.label, x + CELL_PADDING, y + CELL_PADDING, { width: column.width - 2 * CELL_PADDING, lineBreak: false });
+      x += column.width;
+    });
+
+    return y + HEADER_HEIGHT;
+  }
+
+  row(doc, shot, y, height) {
+    doc.font(FONT).fontSize(FONT_SIZE);
+    let x = MARGIN;
+
+    COLUMNS.forEach(column => {
+      doc.rect(x, y, column.width, height).lineWidth(0.5).stroke('#9E9E9E');
+      doc.fillColor('black').text(this.value(shot, column.key), x + CELL_PADDING, y + CELL_PADDING, {
+        width: column.width - 2 * CELL_PADDING,
+      });
+      x += column.width;
+    });
+  }
+
+  rowHeight(doc, shot) {
+    const height = Math.max(...COLUMNS.map(column => doc.heightOfString(this.value(shot, column.key), {
+      width: column.width - 2 * CELL_PADDING,
+    })));
+    return Math.max(MIN_ROW_HEIGHT, Math.ceil(height) + 2 * CELL_PADDING);
+  }
+
+  value(shot, key) {
+    if (key === 'equipment' || key === 'characters') return shot[key].join(', ');
+    if (key === 'setupMinutes') return shot.setupMinutes === null ? '' : this.formatMinutes(shot.setupMinutes);
+    return shot[key] || '';
+  }
+
+  pageNumbers(doc) {
+    const { start, count } = doc.bufferedPageRange();
+
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      doc.font(FONT).fontSize(FONT_SIZE).fillColor('black');
+      doc.text(`Page ${i - start + 1} of ${count}`, PAGE_WIDTH - MARGIN - 60, MARGIN + 3, { width: 60, align: 'right', lineBreak: false });
+    }
+  }
+
+  /**
+   * 95 -> "1h 35m"
+   */
+  formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+  }
+}
+
+module.exports = new ShotListWriter();
@@ -0,0 +1,126 @@
+const PDFDocument = require('pdfkit');
+
+// US Letter landscape in points
+const PAGE_WIDTH = 11 * 72;
+const PAGE_HEIGHT = 8.5 * 72;
+const MARGIN = 36;
+
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+const FONT_SIZE = 8;
+
+const HEADER_HEIGHT = 44;
+const COLUMNS = 3;
+const ROWS = 2;
+const GUTTER = 18;
+const CAPTION_HEIGHT = 44;
+
+const FRAME_WIDTH = (PAGE_WIDTH - 2 * MARGIN - (COLUMNS - 1) * GUTTER) / COLUMNS;
+const FRAME_HEIGHT = FRAME_WIDTH * 9 / 16;
+const CELL_HEIGHT = FRAME_HEIGHT + CAPTION_HEIGHT;
+const ROW_GAP = (PAGE_HEIGHT - 2 * MARGIN - HEADER_HEIGHT - ROWS * CELL_HEIGHT) / (ROWS - 1);
+
+/**
+ * Writes a storyboard (storyboardsService.getStoryboard) as a landscape
+ * PDF sheet: six 16:9 frames a page in reading order, each with its
+ * number and caption underneath. Frames without an image yet are left as
+ * empty panels marked with their status.
+ */
+class StoryboardWriter {
+  /**
+   * @param {object} storyboard - frames carry `image` (Buffer) once drawn
+   * @param {object} [options]
+   * @param {string} [options.title]
+   * @returns {Promise<Buffer>}
+   */
+  render(storyboard, { title = 'Untitled' } = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        layout: 'landscape',
+        margin: 0,
+        autoFirstPage: false,
+        info: { Title: `${title} - Storyboard`, Creator: 'MovAI' },
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        const pages = this.chunk(storyboard.frames, COLUMNS * ROWS);
+
+        pages.forEach((frames, index) => {
+          doc.addPage();
+          this.header(doc, storyboard, { title, pageNumber: index + 1, pageCount: pages.length });
+
+          frames.forEach((frame, slot) => {
+            const x = MARGIN + (slot % COLUMNS) * (FRAME_WIDTH + GUTTER);
+            const y = MARGIN + HEADER_HEIGHT + Math.floor(slot / COLUMNS) * (CELL_HEIGHT + ROW_GAP);
+            this.frame(doc, frame, x, y);
+          });
+        });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  header(doc, storyboard, { title, pageNumber, pageCount }) {
+    const scene = storyboard.scene;
+
+    doc.font(BOLD_FONT).fontSize(12).fillColor('black');
+    doc.text(`${title} - Storyboard`, MARGIN, MARGIN, { lineBreak: false });
+    doc.font(FONT).fontSize(FONT_SIZE);
+    doc.text(`Page ${pageNumber} of ${pageCount}`, PAGE_WIDTH - MARGIN - 60, MARGIN + 3, { width: 60, align: 'right', lineBreak: false });
+
+    doc.font(BOLD_FONT).fontSize(FONT_SIZE + 1);
+    doc.text(`${scene.sceneLabel || scene.sceneNumber}. ${scene.heading}`, MARGIN, MARGIN + 18, {
+      width: PAGE_WIDTH - 2 * MARGIN,
+      lineBreak: false,
+      ellipsis: true,
+    });
+  }
+
+  frame(doc, frame, x, y) {
+    if (frame.image) {
+      try {
+        doc.image(frame.image, x, y, { fit: [FRAME_WIDTH, FRAME_HEIGHT], align: 'center', valign: 'center' });
+      } catch (error) {
+        // Unreadable image: leave the panel empty
+        this.placeholder(doc, 'Image unavailable', x, y);
+      }
+    } else {
+      this.placeholder(doc, frame.status === 'FAILED' ? 'Not generated' : 'Pending', x, y);
+    }
+    doc.rect(x, y, FRAME_WIDTH, FRAME_HEIGHT).lineWidth(0.75).stroke('#424242');
+
+    doc.font(BOLD_FONT).fontSize(FONT_SIZE).fillColor('black');
+    doc.text(String(frame.position + 1), x, y + FRAME_HEIGHT + 4, { width: 16, lineBreak: false });
+    doc.font(FONT);
+    doc.text(frame.caption, x + 16, y + FRAME_HEIGHT + 4, {
+      width: FRAME_WIDTH - 16,
+      height: CAPTION_HEIGHT - 6,
+      ellipsis: true,
+    });
+  }
+
+  placeholder(doc, text, x, y) {
+    doc.rect(x, y, FRAME_WIDTH, FRAME_HEIGHT).fill('#F5F5F5');
+    doc.font(FONT).fontSize(FONT_SIZE).fillColor('#9E9E9E');
+    doc.text(text, x, y + FRAME_HEIGHT / 2 - 4, { width: FRAME_WIDTH, align: 'center', lineBreak: false });
+  }
+
+  chunk(items, size) {
+    if (items.length === 0) return [[]];
+
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+  }
+}
+
+module.exports = new StoryboardWriter();
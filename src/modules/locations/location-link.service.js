@@ -0,0 +1,159 @@
+const { prisma } = require('../../config/database.config');
+const { splitLocation, locationKey } = require('./location-names');
+
+// Site details a sub-set takes from its set when it has none of its own
+const SITE_FIELDS = ['address', 'contactName', 'contactPhone', 'contactEmail', 'parking', 'hospital', 'permits', 'availability'];
+
+// Headings without a usable location stay unlinked
+const UNKNOWN_KEYS = new Set(['', 'UNKNOWN']);
+
+/**
+ * Links scenes to Location records by their heading: spellings that share
+ * a locationKey, or match an alias, resolve to one record; new places are
+ * created as a set with sub-sets ("HOUSE - KITCHEN"). Also resolves the
+ * full names and site details other modules read.
+ */
+class LocationLinkService {
+  /**
+   * Link scenes to locations, creating missing ones. Without sceneIds only
+   * unlinked scenes are linked; listed scenes are linked again from their
+   * current heading.
+   * @returns {Promise<number>} scenes whose location changed
+   */
+  async linkScenes(client, scriptId, sceneIds = null) {
+    const scenes = await client.scene.findMany({
+      where: sceneIds ? { scriptId, id: { in: sceneIds } } : { scriptId, locationId: null },
+      select: { id: true, location: true, locationId: true },
+    });
+    if (scenes.length === 0) return 0;
+
+    const locations = await client.location.findMany({ where: { scriptId } });
+    const index = this.buildIndex(locations);
+    let linked = 0;
+
+    for (const scene of scenes) {
+      const parts = splitLocation(scene.location);
+      const location = UNKNOWN_KEYS.has(locationKey(parts.join(' ')))
+        ? null
+        : await this.findOrCreate(client, scriptId, parts, index);
+
+      if ((location?.id || null) === scene.locationId) continue;
+
+      await client.scene.update({
+        where: { id: scene.id },
+        data: { locationId: location?.id || null },
+      });
+      linked++;
+    }
+
+    if (linked > 0) {
+      console.log(`📍 Linked ${linked} scenes of script ${scriptId} to locations`);
+    }
+    return linked;
+  }
+
+  /**
+   * locationKey -> location, for full names and then aliases (an alias is
+   * a deliberate merge, so it wins); sub-sets also under their parent's id
+   */
+  buildIndex(locations) {
+    const byId = new Map(locations.map(location => [location.id, location]));
+    const index = new Map();
+
+    locations.forEach(location => {
+      index.set(locationKey(this.fullName(location, byId)), location);
+      index.set(this.childKey(location.parentId, location.name), location);
+    });
+    locations.forEach(location => {
+      (location.aliases || []).forEach(alias => index.set(locationKey(alias), location));
+    });
+
+    return index;
+  }
+
+  /**
+   * The location of a heading's set and sub-sets, creating each missing
+   * level under the one before. A level is found by its full name, or by
+   * name under the level above (which may have matched through an alias).
+   */
+  async findOrCreate(client, scriptId, parts, index) {
+    let parent = null;
+
+    for (let depth = 1; depth <= parts.length; depth++) {
+      const key = locationKey(parts.slice(0, depth).join(' '));
+      const childKey = this.childKey(parent?.id, parts[depth - 1]);
+      let location = index.get(key) || index.get(childKey);
+
+      if (!location) {
+        location = await client.location.create({
+          data: { scriptId, parentId: parent?.id || null, name: parts[depth - 1] },
+        });
+        index.set(key, location);
+        index.set(childKey, location);
+      }
+
+      parent = location;
+    }
+
+    return parent;
+  }
+
+  childKey(parentId, name) {
+    return `${parentId || ''}/${locationKey(name)}`;
+  }
+
+  /**
+   * Every location of a script by id, with fullName, its top-level set
+   * (setId, setName) and site details inherited from the set
+   */
+  async loadSites(scriptId, client = prisma) {
+    const locations = await client.location.findMany({ where: { scriptId } });
+    const byId = new Map(locations.map(location => [location.id, location]));
+
+    return new Map(locations.map(location => {
+      const set = this.chain(location, byId)[0];
+      return [location.id, {
+        ...location,
+        fullName: this.fullName(location, byId),
+        setId: set.id,
+        setName: set.name,
+        site: this.siteDetails(location, byId),
+      }];
+    }));
+  }
+
+  /**
+   * "JOHN'S APARTMENT - KITCHEN"
+   */
+  fullName(location, byId) {
+    return this.chain(location, byId).map(level => level.name).join(' - ');
+  }
+
+  siteDetails(location, byId) {
+    const chain = this.chain(location, byId).reverse();
+    return Object.fromEntries(SITE_FIELDS.map(field => [
+      field,
+      chain.map(level => level[field]).find(value => value !== null && value !== undefined) ?? null,
+    ]));
+  }
+
+  /**
+   * The set, its sub-sets down to `location` (a broken parent ends the
+   * chain rather than looping)
+   */
+  chain(location, byId) {
+    const chain = [location];
+    const seen = new Set([location.id]);
+    let parent = location.parentId ? byId.get(location.parentId) : null;
+
+    while (parent && !seen.has(parent.id)) {
+      chain.unshift(parent);
+      seen.add(parent.id);
+      parent = parent.parentId ? byId.get(parent.parentId) : null;
+    }
+
+    return chain;
+  }
+}
+
+module.exports = new LocationLinkService();
@@ -0,0 +1,66 @@
+// Abbreviations spelled out when comparing locations ("APT." = "APARTMENT")
+const ABBREVIATIONS = {
+  APT: 'APARTMENT',
+  APTS: 'APARTMENTS',
+  AVE: 'AVENUE',
+  BLDG: 'BUILDING',
+  BLVD: 'BOULEVARD',
+  DEPT: 'DEPARTMENT',
+  HQ: 'HEADQUARTERS',
+  HOSP: 'HOSPITAL',
+  HWY: 'HIGHWAY',
+  OFC: 'OFFICE',
+  RD: 'ROAD',
+  RM: 'ROOM',
+  RESTO: 'RESTAURANT',
+};
+
+const IGNORED_WORDS = new Set(['THE']);
+
+// "HOUSE - KITCHEN" is the KITCHEN sub-set of HOUSE
+const SUB_SET_SEPARATOR = /\s+[-–—]+\s+/;
+
+/**
+ * Location as displayed: straight quotes, no parentheticals, upper case
+ *   "John's apartment (flashback)" -> "JOHN'S APARTMENT"
+ */
+function normalizeLocationName(text) {
+  return String(text || '')
+    .replace(/â€™/g, "'")
+    .replace(/[‘’]/g, "'")
+    .replace(/\([^)]*\)/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-–—.,:]+|[\s\-–—.,:]+$/g, '')
+    .toUpperCase();
+}
+
+/**
+ * Set and sub-sets of a location as written in a heading:
+ *   "JOHN'S APARTMENT - KITCHEN" -> ["JOHN'S APARTMENT", "KITCHEN"]
+ */
+function splitLocation(text) {
+  return String(text || '')
+    .split(SUB_SET_SEPARATOR)
+    .map(normalizeLocationName)
+    .filter(Boolean);
+}
+
+/**
+ * Key two spellings of one place share; separators, punctuation,
+ * possessives and abbreviations do not count:
+ *   "JOHN'S APARTMENT - KITCHEN" and "JOHN'S APT. KITCHEN"
+ *   -> "JOHNS APARTMENT KITCHEN"
+ */
+function locationKey(text) {
+  const words = normalizeLocationName(text).replace(/'/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .map(word => ABBREVIATIONS[word] || word)
+    .filter(word => !IGNORED_WORDS.has(word))
+    .join(' ');
+}
+
+module.exports = {
+  normalizeLocationName,
+  splitLocation,
+  locationKey,
+};
@@ -0,0 +1,148 @@
+const locationsService = require('./locations.service');
+
+class LocationsController {
+  /**
+   * Get the locations of a script as sets and sub-sets
+   * GET /api/locations/script/:scriptId
+   */
+  async getLocations(req, res, next) {
+    try {
+      const locations = await locationsService.getLocations(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Locations retrieved successfully',
+        data: locations,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a location (name, parentId, site details)
+   * POST /api/locations/script/:scriptId
+   */
+  async createLocation(req, res, next) {
+    try {
+      const location = await locationsService.createLocation(req.params.scriptId, req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Location created successfully',
+        data: location,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Link unlinked scenes to locations from their headings
+   * POST /api/locations/script/:scriptId/sync
+   */
+  async syncLocations(req, res, next) {
+    try {
+      const result = await locationsService.syncLocations(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Locations synced successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Link a scene to a location (locationId, null to unlink)
+   * PUT /api/locations/scenes/:sceneId
+   */
+  async setSceneLocation(req, res, next) {
+    try {
+      const scene = await locationsService.setSceneLocation(req.params.sceneId, req.user.id, req.body?.locationId ?? null);
+
+      res.json({
+        success: true,
+        message: 'Scene location updated successfully',
+        data: scene,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a location with its site details, sub-sets and scenes
+   * GET /api/locations/:id
+   */
+  async getLocation(req, res, next) {
+    try {
+      const location = await locationsService.getLocation(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Location retrieved successfully',
+        data: location,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a location (name, parentId, aliases, site details, permits, availability)
+   * PATCH /api/locations/:id
+   */
+  async updateLocation(req, res, next) {
+    try {
+      const location = await locationsService.updateLocation(req.params.id, req.user.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Location updated successfully',
+        data: location,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a location without scenes
+   * DELETE /api/locations/:id
+   */
+  async deleteLocation(req, res, next) {
+    try {
+      const result = await locationsService.deleteLocation(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Merge locations into this one (their names become aliases)
+   * POST /api/locations/:id/merge
+   */
+  async mergeLocations(req, res, next) {
+    try {
+      const location = await locationsService.mergeLocations(req.params.id, req.body?.locationIds, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Locations merged successfully',
+        data: location,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new LocationsController();
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const locationsController = require('./locations.controller');
+const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole, fromParam, fromRecord } = require('../../shared/middleware/permission.middleware');
+
+// Roles each route needs on the script of the location or scene
+const canViewScript = requireScriptRole('VIEWER', fromParam('scriptId'));
+const canEditScript = requireScriptRole('EDITOR', fromParam('scriptId'));
+const canEditScene = requireScriptRole('EDITOR', fromRecord('scene', 'sceneId'));
+const canView = requireScriptRole('VIEWER', fromRecord('location', 'id'));
+const canEdit = requireScriptRole('EDITOR', fromRecord('location', 'id'));
+
+// All routes require authentication
+router.use(authenticateJWT);
+
+// Locations of a script; link unlinked scenes from their headings
+router.get('/script/:scriptId', canViewScript, locationsController.getLocations.bind(locationsController));
+router.post('/script/:scriptId', canEditScript, locationsController.createLocation.bind(locationsController));
+router.post('/script/:scriptId/sync', canEditScript, locationsController.syncLocations.bind(locationsController));
+
+// Link a scene to a location by hand
+router.put('/scenes/:sceneId', canEditScene, locationsController.setSceneLocation.bind(locationsController));
+
+// Get / update / delete a location
+router.get('/:id', canView, locationsController.getLocation.bind(locationsController));
+router.patch('/:id', canEdit, locationsController.updateLocation.bind(locationsController));
+router.delete('/:id', canEdit, locationsController.deleteLocation.bind(locationsController));
+
+// Merge locations into this one (their names become aliases)
+router.post('/:id/merge', canEdit, locationsController.mergeLocations.bind(locationsController));
+
+module.exports = router;
@@ -0,0 +1,391 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError, ConflictError } = require('../../shared/utils/errors');
+const scriptService = require('../scripts/script.service');
+const locationLinkService = require('./location-link.service');
+const { normalizeLocationName, locationKey } = require('./location-names');
+
+const TEXT_FIELDS = ['description', 'address', 'contactName', 'contactPhone', 'contactEmail', 'parking', 'hospital', 'notes'];
+const PERMIT_FIELDS = ['type', 'number', 'status', 'expiresOn', 'notes'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const SCENE_SELECT = {
+  id: true,
+  sceneNumber: true,
+  sceneLabel: true,
+  heading: true,
+  location: true,
+  locationId: true,
+};
+
+const MERGE_TIMEOUT_MS = 30000;
+
+/**
+ * Locations of a script as sets and sub-sets. Scenes are linked from their
+ * headings (locationLinkService); spellings the key does not catch are
+ * merged by hand and kept as aliases, so later headings written that way
+ * land on the same record.
+ */
+class LocationsService {
+  /**
+   * Location tree with scene counts, and scenes not linked to any location
+   */
+  async getLocations(scriptId, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    const [sites, scenes] = await Promise.all([
+      locationLinkService.loadSites(scriptId),
+      prisma.scene.findMany({
+        where: { scriptId },
+        orderBy: { sceneNumber: 'asc' },
+        select: SCENE_SELECT,
+      }),
+    ]);
+
+    const nodes = new Map([...sites.values()].map(site => [site.id, {
+      ...this.present(site),
+      sceneIds: scenes.filter(scene => scene.locationId === site.id).map(scene => scene.id),
+      children: [],
+    }]));
+
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = node.parentId && nodes.get(node.parentId);
+      (parent ? parent.children : roots).push(node);
+    });
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const sort = list => list.sort(byName).forEach(node => sort(node.children));
+    sort(roots);
+
+    return {
+      locations: roots,
+      unlinkedScenes: scenes.filter(scene => !scene.locationId),
+    };
+  }
+
+  /**
+   * Location with its site details (inherited from the set where blank),
+   * sub-sets and scenes
+   */
+  async getLocation(locationId, userId) {
+    const location = await this.findLocation(locationId, userId);
+    const sites = await locationLinkService.loadSites(location.scriptId);
+
+    const scenes = await prisma.scene.findMany({
+      where: { locationId },
+      orderBy: { sceneNumber: 'asc' },
+      select: SCENE_SELECT,
+    });
+
+    return {
+      ...this.present(sites.get(locationId)),
+      children: [...sites.values()]
+        .filter(site => site.parentId === locationId)
+        .map(site => ({ id: site.id, name: site.name, fullName: site.fullName })),
+      scenes,
+    };
+  }
+
+  async createLocation(scriptId, userId, data) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    const name = normalizeLocationName(data.name);
+    if (!name) {
+      throw new BadRequestError('name is required');
+    }
+
+    const parentId = data.parentId ? (await this.findParent(scriptId, data.parentId)).id : null;
+    await this.assertUniqueName(scriptId, null, parentId, name);
+
+    const location = await prisma.location.create({
+      data: {
+        scriptId,
+        parentId,
+        name,
+        ...this.parseDetails(data),
+      },
+    });
+
+    return this.getLocation(location.id, userId);
+  }
+
+  /**
+   * Update name, parent set, aliases and site details
+   */
+  async updateLocation(locationId, userId, data) {
+    const location = await this.findLocation(locationId, userId);
+    const update = this.parseDetails(data);
+
+    if (data.name !== undefined) {
+      update.name = normalizeLocationName(data.name);
+      if (!update.name) throw new BadRequestError('name cannot be empty');
+    }
+
+    if (data.parentId !== undefined) {
+      update.parentId = data.parentId ? (await this.findParent(location.scriptId, data.parentId, locationId)).id : null;
+    }
+
+    if (data.aliases !== undefined) {
+      if (!Array.isArray(data.aliases)) {
+        throw new BadRequestError('aliases must be an array of location names');
+      }
+      update.aliases = [...new Set(data.aliases.map(normalizeLocationName).filter(Boolean))];
+    }
+
+    if (update.name !== undefined || update.parentId !== undefined) {
+      await this.assertUniqueName(
+        location.scriptId,
+        locationId,
+        update.parentId !== undefined ? update.parentId : location.parentId,
+        update.name || location.name,
+      );
+    }
+
+    await prisma.location.update({ where: { id: locationId }, data: update });
+    return this.getLocation(locationId, userId);
+  }
+
+  /**
+   * Delete a location no scene is linked to; its sub-sets move up to its
+   * parent
+   */
+  async deleteLocation(locationId, userId) {
+    const location = await this.findLocation(locationId, userId);
+
+    const scenes = await prisma.scene.count({ where: { locationId } });
+    if (scenes > 0) {
+      throw new ConflictError(`${location.name} is the location of ${scenes} scenes; merge it into another location instead`);
+    }
+
+    await prisma.$transaction([
+      prisma.location.updateMany({
+        where: { parentId: locationId },
+        data: { parentId: location.parentId },
+      }),
+      prisma.location.delete({ where: { id: locationId } }),
+    ]);
+
+    return { message: 'Location deleted successfully' };
+  }
+
+  /**
+   * Merge locations into one. Their full names and aliases become aliases
+   * of the surviving location, which takes over their scenes and sub-sets
+   * and any site details it does not have.
+   */
+  async mergeLocations(locationId, sourceIds, userId) {
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      throw new BadRequestError('locationIds must be a non-empty array');
+    }
+
+    const target = await this.findLocation(locationId, userId);
+    const ids = [...new Set(sourceIds)];
+    if (ids.includes(target.id)) {
+      throw new BadRequestError('A location cannot be merged into itself');
+    }
+
+    const sites = await locationLinkService.loadSites(target.scriptId);
+    const sources = ids.map(id => sites.get(id));
+    if (sources.some(source => !source)) {
+      throw new NotFoundError('Location not found in this script');
+    }
+    if (sources.some(source => locationLinkService.chain(sites.get(target.id), sites).some(level => level.id === source.id))) {
+      throw new BadRequestError('A location cannot be merged into one of its own sub-sets');
+    }
+
+    const aliases = [...new Set([
+      ...(target.aliases || []),
+      ...sources.flatMap(source => [source.fullName, ...(source.aliases || [])]),
+    ])].filter(alias => locationKey(alias) !== locationKey(sites.get(target.id).fullName));
+
+    const details = Object.fromEntries([...TEXT_FIELDS, 'permits', 'availability']
+      .filter(field => target[field] === null)
+      .map(field => [field, sources.map(source => source[field]).find(value => value !== null)])
+      .filter(([, value]) => value !== undefined));
+
+    await prisma.$transaction(async (tx) => {
+      await tx.scene.updateMany({
+        where: { locationId: { in: ids } },
+        data: { locationId: target.id },
+      });
+      await tx.location.updateMany({
+        where: { parentId: { in: ids }, id: { notIn: ids } },
+        data: { parentId: target.id },
+      });
+      await tx.location.deleteMany({ where: { id: { in: ids } } });
+      await tx.location.update({
+        where: { id: target.id },
+        data: { aliases, ...details },
+      });
+    }, { timeout: MERGE_TIMEOUT_MS });
+
+    console.log(`📍 Merged ${sources.map(source => source.fullName).join(', ')} into ${target.name}`);
+    return this.getLocation(target.id, userId);
+  }
+
+  /**
+   * Link a scene to a location by hand (null to unlink). The heading's
+   * spelling becomes an alias so other scenes written that way follow.
+   */
+  async setSceneLocation(sceneId, userId, locationId) {
+    const scene = await prisma.scene.findUnique({
+      where: { id: sceneId },
+      select: { ...SCENE_SELECT, scriptId: true },
+    });
+    if (!scene) {
+      throw new NotFoundError('Scene not found');
+    }
+
+    const script = await scriptService.getScriptById(scene.scriptId, userId);
+
+    if (locationId) {
+      const location = await prisma.location.findFirst({ where: { id: locationId, scriptId: script.id } });
+      if (!location) {
+        throw new NotFoundError('Location not found in this script');
+      }
+
+      const alias = normalizeLocationName(scene.location);
+      const sites = await locationLinkService.loadSites(script.id);
+      if (alias && locationKey(alias) !== locationKey(sites.get(locationId).fullName) && !location.aliases.includes(alias)) {
+        await prisma.location.update({
+          where: { id: locationId },
+          data: { aliases: [...location.aliases, alias] },
+        });
+      }
+    }
+
+    return prisma.scene.update({
+      where: { id: sceneId },
+      data: { locationId: locationId || null },
+      select: SCENE_SELECT,
+    });
+  }
+
+  /**
+   * Link every unlinked scene of a script from its heading
+   */
+  async syncLocations(scriptId, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    const linked = await prisma.$transaction(
+      tx => locationLinkService.linkScenes(tx, scriptId),
+      { timeout: MERGE_TIMEOUT_MS },
+    );
+
+    return { linked };
+  }
+
+  present(site) {
+    return {
+      id: site.id,
+      scriptId: site.scriptId,
+      parentId: site.parentId,
+      name: site.name,
+      fullName: site.fullName,
+      setId: site.setId,
+      setName: site.setName,
+      aliases: site.aliases,
+      description: site.description,
+      notes: site.notes,
+      ...site.site,
+      permits: site.site.permits || [],
+      availability: site.site.availability || [],
+    };
+  }
+
+  async findLocation(locationId, userId) {
+    const location = await prisma.location.findUnique({ where: { id: locationId } });
+
+    if (!location) {
+      throw new NotFoundError('Location not found');
+    }
+
+    await scriptService.getScriptById(location.scriptId, userId);
+    return location;
+  }
+
+  /**
+   * Parent set of the same script that is not the location itself or one
+   * of its sub-sets
+   */
+  async findParent(scriptId, parentId, locationId = null) {
+    const sites = await locationLinkService.loadSites(scriptId);
+    const parent = sites.get(parentId);
+
+    if (!parent) {
+      throw new NotFoundError('Parent location not found in this script');
+    }
+    if (locationId && locationLinkService.chain(parent, sites).some(level => level.id === locationId)) {
+      throw new BadRequestError('A location cannot be placed under itself or one of its sub-sets');
+    }
+
+    return parent;
+  }
+
+  async assertUniqueName(scriptId, locationId, parentId, name) {
+    const siblings = await prisma.location.findMany({
+      where: { scriptId, parentId, ...(locationId ? { id: { not: locationId } } : {}) },
+      select: { name: true },
+    });
+
+    if (siblings.some(sibling => locationKey(sibling.name) === locationKey(name))) {
+      throw new ConflictError(`${name} already exists here; merge the locations instead`);
+    }
+  }
+
+  /**
+   * Site details from a request body: text fields, permits and
+   * availability windows
+   */
+  parseDetails(data) {
+    const details = {};
+
+    TEXT_FIELDS.forEach(field => {
+      if (data[field] === undefined) return;
+      details[field] = data[field] ? String(data[field]).trim() : null;
+    });
+
+    if (data.permits !== undefined) details.permits = this.parsePermits(data.permits);
+    if (data.availability !== undefined) details.availability = this.parseAvailability(data.availability);
+
+    return details;
+  }
+
+  parsePermits(value) {
+    if (value === null) return Prisma.DbNull;
+    if (!Array.isArray(value)) {
+      throw new BadRequestError('permits must be an array');
+    }
+
+    return value.map(permit => {
+      if (!permit?.type || !String(permit.type).trim()) {
+        throw new BadRequestError('Every permit needs a type');
+      }
+      if (permit.expiresOn && !this.isDate(permit.expiresOn)) {
+        throw new BadRequestError('permit expiresOn must be a date like 2025-12-31');
+      }
+      return Object.fromEntries(PERMIT_FIELDS.map(field => [field, permit[field] ? String(permit[field]).trim() : null]));
+    });
+  }
+
+  parseAvailability(value) {
+    if (value === null) return Prisma.DbNull;
+    if (!Array.isArray(value)) {
+      throw new BadRequestError('availability must be an array of { from, to } date ranges');
+    }
+
+    return value.map(window => {
+      if (!this.isDate(window?.from) || !this.isDate(window?.to) || window.from > window.to) {
+        throw new BadRequestError('availability windows need from and to dates like 2025-12-01, from before to');
+      }
+      return { from: window.from, to: window.to, notes: window.notes ? String(window.notes).trim() : null };
+    });
+  }
+
+  isDate(value) {
+    return DATE_PATTERN.test(String(value || '')) && !Number.isNaN(Date.parse(value));
+  }
+}
+
+module.exports = new LocationsService();
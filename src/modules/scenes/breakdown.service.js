@@ -0,0 +1,126 @@
+const { suggestElements } = require('../scripts/parsers/breakdown-elements');
+
+/**
+ * Breakdown element bookkeeping shared by upload, reanalysis and version
+ * restore: parser suggestions and keeping tagged ranges on edited text.
+ * Every method takes the Prisma client (or transaction) to run on.
+ */
+class BreakdownService {
+  /**
+   * Store parser suggestions for the given scenes (every scene of the script
+   * when sceneIds is null). Unreviewed parser suggestions are replaced;
+   * elements already confirmed or rejected in a scene are not suggested again.
+   * @returns {Promise<number>} suggestions created
+   */
+  async suggestFromParser(client, scriptId, sceneIds = null) {
+    if (Array.isArray(sceneIds) && sceneIds.length === 0) return 0;
+
+    const [scenes, characters] = await Promise.all([
+      client.scene.findMany({
+        where: sceneIds ? { scriptId, id: { in: sceneIds } } : { scriptId },
+        select: { id: true, sceneText: true, actors: true, dialogue: true },
+      }),
+      client.character.findMany({
+        where: { scriptId },
+        select: { id: true, name: true, aliases: true },
+      }),
+    ]);
+    if (scenes.length === 0) return 0;
+
+    const ids = scenes.map(scene => scene.id);
+    await client.scriptElement.deleteMany({
+      where: { sceneId: { in: ids }, source: 'PARSER', status: 'SUGGESTED' },
+    });
+
+    const existing = await client.scriptElement.findMany({
+      where: { sceneId: { in: ids } },
+      select: { sceneId: true, category: true, name: true },
+    });
+    const taken = new Set(existing.map(element => this.elementKey(element.sceneId, element)));
+
+    // Cues under an alias are tagged as the character they were merged into
+    const byName = new Map(characters.flatMap(character => [
+      [character.name, character],
+      ...(character.aliases || []).map(alias => [alias, character]),
+    ]));
+
+    const data = scenes.flatMap(scene => (
+      suggestElements(scene.sceneText, { actors: scene.actors, dialogue: scene.dialogue || [] })
+        .map(element => {
+          const character = element.category === 'CAST' ? byName.get(element.name) : null;
+          return {
+            ...element,
+            name: character ? character.name : element.name,
+            characterId: character ? character.id : null,
+          };
+        })
+        .filter(element => {
+          const key = this.elementKey(scene.id, element);
+          if (taken.has(key)) return false;
+          taken.add(key);
+          return true;
+        })
+        .map(element => ({
+          ...element,
+          scriptId,
+          sceneId: scene.id,
+          source: 'PARSER',
+          status: 'SUGGESTED',
+        }))
+    ));
+
+    if (data.length > 0) {
+      await client.scriptElement.createMany({ data });
+    }
+
+    return data.length;
+  }
+
+  elementKey(sceneId, { category, name }) {
+    return `${sceneId}:${category}:${String(name).toUpperCase()}`;
+  }
+
+  /**
+   * Move tagged ranges onto the scenes' current text. A tag keeps the
+   * occurrence of its text nearest to where it was; when the text is gone
+   * the element stays but loses its range.
+   */
+  async reanchorElements(client, sceneIds) {
+    if (sceneIds.length === 0) return;
+
+    const elements = await client.scriptElement.findMany({
+      where: { sceneId: { in: sceneIds }, text: { not: null } },
+      include: { scene: { select: { sceneText: true } } },
+    });
+
+    for (const element of elements) {
+      const range = this.locate(element.scene.sceneText, element.text, element.startOffset);
+      if (range.startOffset === element.startOffset && range.endOffset === element.endOffset) continue;
+
+      await client.scriptElement.update({
+        where: { id: element.id },
+        data: range,
+      });
+    }
+  }
+
+  /**
+   * Range of the occurrence of `text` closest to offset `near`
+   */
+  locate(sceneText, text, near) {
+    const source = String(sceneText || '');
+    let best = -1;
+    let index = text ? source.indexOf(text) : -1;
+
+    while (index !== -1) {
+      if (best === -1 || Math.abs(index - (near || 0)) < Math.abs(best - (near || 0))) best = index;
+      index = source.indexOf(text, index + 1);
+    }
+
+    return best === -1
+      ? { startOffset: null, endOffset: null }
+      : { startOffset: best, endOffset: best + text.length };
+  }
+}
+
+module.exports = new BreakdownService();
@@ -0,0 +1,268 @@
+const scenesService = require('./scenes.service');
+const shotListService = require('./shot-list.service');
+
+class ScenesController {
+  /**
+   * Get scenes of a script
+   * GET /api/scenes/script/:scriptId
+   */
+  async getScenes(req, res, next) {
+    try {
+      const scenes = await scenesService.getScenes(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Scenes retrieved successfully',
+        data: scenes,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get breakdown elements across a script, by category
+   * GET /api/scenes/script/:scriptId/elements?category=PROPS&status=CONFIRMED
+   */
+  async getScriptElements(req, res, next) {
+    try {
+      const filters = {
+        category: req.query.category,
+        status: req.query.status,
+      };
+
+      const elements = await scenesService.getScriptElements(req.params.scriptId, req.user.id, filters);
+
+      res.json({
+        success: true,
+        message: 'Breakdown elements retrieved successfully',
+        data: elements,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get single scene with its breakdown elements
+   * GET /api/scenes/:id
+   */
+  async getScene(req, res, next) {
+    try {
+      const scene = await scenesService.getScene(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Scene retrieved successfully',
+        data: scene,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get breakdown elements of a scene
+   * GET /api/scenes/:id/elements?category=PROPS&status=SUGGESTED
+   */
+  async getSceneElements(req, res, next) {
+    try {
+      const filters = {
+        category: req.query.category,
+        status: req.query.status,
+      };
+
+      const elements = await scenesService.getSceneElements(req.params.id, req.user.id, filters);
+
+      res.json({
+        success: true,
+        message: 'Scene elements retrieved successfully',
+        data: elements,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Tag a breakdown element in a scene
+   * POST /api/scenes/:id/elements
+   */
+  async createElement(req, res, next) {
+    try {
+      const element = await scenesService.createElement(req.params.id, req.user.id, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Element tagged successfully',
+        data: element,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Suggest breakdown elements for a scene (parser keywords, optionally AI)
+   * POST /api/scenes/:id/elements/suggest
+   */
+  async suggestElements(req, res, next) {
+    try {
+      const ai = req.body?.ai === true || req.query.ai === 'true';
+
+      const suggestions = await scenesService.suggestElements(req.params.id, req.user.id, { ai });
+
+      res.json({
+        success: true,
+        message: 'Suggestions generated successfully',
+        data: suggestions,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a breakdown element
+   * PATCH /api/scenes/elements/:elementId
+   */
+  async updateElement(req, res, next) {
+    try {
+      const element = await scenesService.updateElement(req.params.elementId, req.user.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Element updated successfully',
+        data: element,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a breakdown element
+   * DELETE /api/scenes/elements/:elementId
+   */
+  async deleteElement(req, res, next) {
+    try {
+      const result = await scenesService.deleteElement(req.params.elementId, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the shot list of a scene
+   * GET /api/scenes/:id/shots
+   */
+  async getShots(req, res, next) {
+    try {
+      const shots = await shotListService.getShots(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Shots retrieved successfully',
+        data: shots,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a shot to a scene
+   * POST /api/scenes/:id/shots
+   */
+  async createShot(req, res, next) {
+    try {
+      const shot = await shotListService.createShot(req.params.id, req.user.id, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Shot created successfully',
+        data: shot,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reorder (and renumber) the shots of a scene
+   * PUT /api/scenes/:id/shots/order
+   */
+  async reorderShots(req, res, next) {
+    try {
+      const shots = await shotListService.reorderShots(req.params.id, req.user.id, req.body?.shotIds);
+
+      res.json({
+        success: true,
+        message: 'Shots reordered successfully',
+        data: shots,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Draft a first pass of the shot list with AI
+   * POST /api/scenes/:id/shots/draft
+   */
+  async draftShots(req, res, next) {
+    try {
+      const shots = await shotListService.draftShots(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Shot list drafted successfully',
+        data: shots,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a shot
+   * PATCH /api/scenes/shots/:shotId
+   */
+  async updateShot(req, res, next) {
+    try {
+      const shot = await shotListService.updateShot(req.params.shotId, req.user.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Shot updated successfully',
+        data: shot,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a shot
+   * DELETE /api/scenes/shots/:shotId
+   */
+  async deleteShot(req, res, next) {
+    try {
+      const result = await shotListService.deleteShot(req.params.shotId, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ScenesController();
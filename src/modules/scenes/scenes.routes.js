@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const scenesController = require('./scenes.controller');
+const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole, fromParam, fromRecord } = require('../../shared/middleware/permission.middleware');
+
+// Roles each route needs on the script of the scene, element or shot
+const canViewScript = requireScriptRole('VIEWER', fromParam('scriptId'));
+const canView = requireScriptRole('VIEWER', fromRecord('scene', 'id'));
+const canEdit = requireScriptRole('EDITOR', fromRecord('scene', 'id'));
+const canEditElement = requireScriptRole('EDITOR', fromRecord('scriptElement', 'elementId'));
+const canEditShot = requireScriptRole('EDITOR', fromRecord('shot', 'shotId'));
+
+// All routes require authentication
+router.use(authenticateJWT);
+
+// Get scenes of a script
+router.get('/script/:scriptId', canViewScript, scenesController.getScenes.bind(scenesController));
+
+// Breakdown elements across the script, grouped by category
+router.get('/script/:scriptId/elements', canViewScript, scenesController.getScriptElements.bind(scenesController));
+
+// Update / delete a breakdown element
+router.patch('/elements/:elementId', canEditElement, scenesController.updateElement.bind(scenesController));
+router.delete('/elements/:elementId', canEditElement, scenesController.deleteElement.bind(scenesController));
+
+// Update / delete a shot
+router.patch('/shots/:shotId', canEditShot, scenesController.updateShot.bind(scenesController));
+router.delete('/shots/:shotId', canEditShot, scenesController.deleteShot.bind(scenesController));
+
+// Get scene by ID (with its breakdown elements)
+router.get('/:id', canView, scenesController.getScene.bind(scenesController));
+
+// Breakdown elements of a scene
+router.get('/:id/elements', canView, scenesController.getSceneElements.bind(scenesController));
+router.post('/:id/elements', canEdit, scenesController.createElement.bind(scenesController));
+
+// Parser (and optionally AI) suggestions for a scene
+router.post('/:id/elements/suggest', canEdit, scenesController.suggestElements.bind(scenesController));
+
+// Shot list of a scene: add, reorder, AI first pass
+router.get('/:id/shots', canView, scenesController.getShots.bind(scenesController));
+router.post('/:id/shots', canEdit, scenesController.createShot.bind(scenesController));
+router.put('/:id/shots/order', canEdit, scenesController.reorderShots.bind(scenesController));
+router.post('/:id/shots/draft', canEdit, scenesController.draftShots.bind(scenesController));
+
+module.exports = router;
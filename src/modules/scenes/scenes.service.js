@@ -0,0 +1,382 @@
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError, ConflictError } = require('../../shared/utils/errors');
+const { BREAKDOWN_CATEGORIES } = require('../../shared/constants');
+const scriptService = require('../scripts/script.service');
+const breakdownService = require('./breakdown.service');
+const geminiService = require('../../services/gemini.service');
+
+const CATEGORIES = Object.keys(BREAKDOWN_CATEGORIES);
+const ELEMENT_STATUSES = ['SUGGESTED', 'CONFIRMED', 'REJECTED'];
+
+const ELEMENT_ORDER = [{ category: 'asc' }, { startOffset: 'asc' }, { name: 'asc' }];
+
+const SCENE_SUMMARY_SELECT = {
+  id: true,
+  sceneNumber: true,
+  sceneLabel: true,
+  heading: true,
+};
+
+/**
+ * Scenes and their breakdown elements (cast, props, wardrobe, vehicles...).
+ * Elements are tagged on a range of Scene.sceneText; parser and AI
+ * suggestions stay SUGGESTED until someone confirms or rejects them.
+ */
+class ScenesService {
+  /**
+   * Scenes of a script in order
+   */
+  async getScenes(scriptId, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    return prisma.scene.findMany({
+      where: { scriptId },
+      orderBy: { sceneNumber: 'asc' },
+      include: {
+        _count: {
+          select: { elements: true },
+        },
+      },
+    });
+  }
+
+  /**
+   * Single scene with its breakdown elements
+   */
+  async getScene(sceneId, userId) {
+    await this.findScene(sceneId, userId);
+
+    return prisma.scene.findUnique({
+      where: { id: sceneId },
+      include: {
+        elements: {
+          where: { status: { not: 'REJECTED' } },
+          orderBy: ELEMENT_ORDER,
+        },
+      },
+    });
+  }
+
+  /**
+   * Scene the user can access (owner or collaborator)
+   */
+  async findScene(sceneId, userId) {
+    const scene = await prisma.scene.findUnique({ where: { id: sceneId } });
+
+    if (!scene) {
+      throw new NotFoundError('Scene not found');
+    }
+
+    await scriptService.getScriptById(scene.scriptId, userId);
+    return scene;
+  }
+
+  /**
+   * Breakdown elements of one scene
+   * @param {object} [filters] - category, status (rejected elements only when asked for)
+   */
+  async getSceneElements(sceneId, userId, filters = {}) {
+    await this.findScene(sceneId, userId);
+
+    return prisma.scriptElement.findMany({
+      where: { sceneId, ...this.elementFilters(filters) },
+      orderBy: ELEMENT_ORDER,
+    });
+  }
+
+  /**
+   * Breakdown elements across the script, grouped by category and then by
+   * element name with the scenes each one appears in
+   */
+  async getScriptElements(scriptId, userId, filters = {}) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    const elements = await prisma.scriptElement.findMany({
+      where: { scriptId, ...this.elementFilters(filters) },
+      include: { scene: { select: SCENE_SUMMARY_SELECT } },
+      orderBy: { name: 'asc' },
+    });
+
+    const groups = new Map();
+    elements.forEach(element => {
+      const key = `${element.category}:${element.name.toUpperCase()}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          category: element.category,
+          name: element.name,
+          characterId: element.characterId,
+          quantity: 0,
+          elementIds: [],
+          scenes: [],
+        });
+      }
+
+      const group = groups.get(key);
+      // Quantity is what one scene needs at once, not the sum over scenes
+      group.quantity = Math.max(group.quantity, element.quantity);
+      group.elementIds.push(element.id);
+      if (!group.scenes.some(scene => scene.id === element.scene.id)) group.scenes.push(element.scene);
+    });
+
+    return CATEGORIES
+      .map(category => ({
+        category,
+        ...BREAKDOWN_CATEGORIES[category],
+        elements: [...groups.values()]
+          .filter(group => group.category === category)
+          .map(group => ({
+            ...group,
+            scenes: group.scenes.sort((a, b) => a.sceneNumber - b.sceneNumber),
+          })),
+      }))
+      .filter(category => category.elements.length > 0);
+  }
+
+  elementFilters({ category, status } = {}) {
+    const where = {};
+
+    if (category) {
+      where.category = this.parseCategory(category);
+    }
+
+    if (status) {
+      const value = String(status).toUpperCase();
+      if (!ELEMENT_STATUSES.includes(value)) {
+        throw new BadRequestError(`status must be one of ${ELEMENT_STATUSES.join(', ')}`);
+      }
+      where.status = value;
+    } else {
+      where.status = { not: 'REJECTED' };
+    }
+
+    return where;
+  }
+
+  /**
+   * Tag an element in a scene. Tagging something that was suggested
+   * confirms the suggestion instead of adding a second element.
+   */
+  async createElement(sceneId, userId, data) {
+    const scene = await this.findScene(sceneId, userId);
+    const category = this.parseCategory(data.category);
+    const range = this.parseRange(scene, data.startOffset, data.endOffset);
+    const name = String(data.name || range.text || '').trim();
+
+    if (!name) {
+      throw new BadRequestError('name or a text range is required');
+    }
+
+    const element = {
+      category,
+      name,
+      quantity: this.parseQuantity(data.quantity),
+      notes: data.notes || null,
+      characterId: await this.checkCharacter(scene.scriptId, data.characterId),
+      ...range,
+    };
+
+    const existing = await prisma.scriptElement.findFirst({
+      where: { sceneId, category, name: { equals: name, mode: 'insensitive' } },
+    });
+
+    if (existing?.status === 'CONFIRMED') {
+      throw new ConflictError(`${name} is already tagged in this scene`);
+    }
+
+    if (existing) {
+      return prisma.scriptElement.update({
+        where: { id: existing.id },
+        data: {
+          ...element,
+          ...(range.text === null && { text: existing.text, startOffset: existing.startOffset, endOffset: existing.endOffset }),
+          status: 'CONFIRMED',
+        },
+      });
+    }
+
+    return prisma.scriptElement.create({
+      data: {
+        scriptId: scene.scriptId,
+        sceneId,
+        ...element,
+        source: 'MANUAL',
+        status: 'CONFIRMED',
+      },
+    });
+  }
+
+  /**
+   * Update an element (confirm / reject a suggestion, recategorize,
+   * rename, retag its range)
+   */
+  async updateElement(elementId, userId, data) {
+    const element = await this.findElement(elementId, userId);
+    const update = {};
+
+    if (data.category !== undefined) update.category = this.parseCategory(data.category);
+    if (data.quantity !== undefined) update.quantity = this.parseQuantity(data.quantity);
+    if (data.notes !== undefined) update.notes = data.notes || null;
+
+    if (data.name !== undefined) {
+      update.name = String(data.name || '').trim();
+      if (!update.name) throw new BadRequestError('name cannot be empty');
+    }
+
+    if (data.status !== undefined) {
+      update.status = String(data.status).toUpperCase();
+      if (!ELEMENT_STATUSES.includes(update.status)) {
+        throw new BadRequestError(`status must be one of ${ELEMENT_STATUSES.join(', ')}`);
+      }
+    }
+
+    if (data.characterId !== undefined) {
+      update.characterId = await this.checkCharacter(element.scriptId, data.characterId);
+    }
+
+    if (data.startOffset !== undefined || data.endOffset !== undefined) {
+      Object.assign(update, this.parseRange(element.scene, data.startOffset, data.endOffset));
+    }
+
+    return prisma.scriptElement.update({
+      where: { id: elementId },
+      data: update,
+    });
+  }
+
+  async deleteElement(elementId, userId) {
+    await this.findElement(elementId, userId);
+    await prisma.scriptElement.delete({ where: { id: elementId } });
+
+    return { message: 'Element deleted successfully' };
+  }
+
+  async findElement(elementId, userId) {
+    const element = await prisma.scriptElement.findUnique({
+      where: { id: elementId },
+      include: { scene: true },
+    });
+
+    if (!element) {
+      throw new NotFoundError('Element not found');
+    }
+
+    await scriptService.getScriptById(element.scriptId, userId);
+    return element;
+  }
+
+  /**
+   * Suggest elements for a scene from the parser keywords and, when asked,
+   * from Gemini. Returns the scene's open suggestions.
+   */
+  async suggestElements(sceneId, userId, { ai = false } = {}) {
+    const scene = await this.findScene(sceneId, userId);
+
+    await breakdownService.suggestFromParser(prisma, scene.scriptId, [scene.id]);
+    if (ai) {
+      await this.suggestWithAi(scene);
+    }
+
+    return prisma.scriptElement.findMany({
+      where: { sceneId, status: 'SUGGESTED' },
+      orderBy: ELEMENT_ORDER,
+    });
+  }
+
+  async suggestWithAi(scene) {
+    // Cast comes from the dialogue cues, not the model
+    const categories = CATEGORIES.filter(category => category !== 'CAST');
+    const result = await geminiService.suggestBreakdownElements(scene, categories);
+
+    await prisma.scriptElement.deleteMany({
+      where: { sceneId: scene.id, source: 'AI', status: 'SUGGESTED' },
+    });
+
+    const existing = await prisma.scriptElement.findMany({
+      where: { sceneId: scene.id },
+      select: { category: true, name: true },
+    });
+    const taken = new Set(existing.map(element => breakdownService.elementKey(scene.id, element)));
+
+    const data = [];
+    (result.elements || []).forEach(suggestion => {
+      const category = String(suggestion.category || '').toUpperCase();
+      const name = String(suggestion.name || '').trim();
+      if (!categories.includes(category) || !name) return;
+
+      const key = breakdownService.elementKey(scene.id, { category, name });
+      if (taken.has(key)) return;
+      taken.add(key);
+
+      // Text the model did not copy exactly is dropped rather than guessed
+      const range = breakdownService.locate(scene.sceneText, String(suggestion.text || ''), 0);
+      data.push({
+        scriptId: scene.scriptId,
+        sceneId: scene.id,
+        category,
+        name,
+        quantity: Math.max(1, parseInt(suggestion.quantity, 10) || 1),
+        text: range.startOffset === null ? null : suggestion.text,
+        ...range,
+        source: 'AI',
+        status: 'SUGGESTED',
+      });
+    });
+
+    if (data.length > 0) {
+      await prisma.scriptElement.createMany({ data });
+    }
+
+    console.log(`🤖 ${data.length} AI breakdown suggestions for scene ${scene.sceneNumber}`);
+  }
+
+  parseCategory(value) {
+    const category = String(value || '').toUpperCase().replace(/[\s-]+/g, '_');
+    if (!CATEGORIES.includes(category)) {
+      throw new BadRequestError(`category must be one of ${CATEGORIES.join(', ')}`);
+    }
+    return category;
+  }
+
+  parseQuantity(value) {
+    if (value === undefined || value === null) return 1;
+
+    const quantity = Number(value);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new BadRequestError('quantity must be a positive integer');
+    }
+    return quantity;
+  }
+
+  /**
+   * Tagged range within the scene text; no offsets means an untagged element
+   */
+  parseRange(scene, startOffset, endOffset) {
+    if ((startOffset === undefined || startOffset === null) && (endOffset === undefined || endOffset === null)) {
+      return { text: null, startOffset: null, endOffset: null };
+    }
+
+    const start = Number(startOffset);
+    const end = Number(endOffset);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > scene.sceneText.length) {
+      throw new BadRequestError(`startOffset and endOffset must select text within the scene (0-${scene.sceneText.length})`);
+    }
+
+    return { text: scene.sceneText.slice(start, end), startOffset: start, endOffset: end };
+  }
+
+  async checkCharacter(scriptId, characterId) {
+    if (!characterId) return null;
+
+    const character = await prisma.character.findFirst({
+      where: { id: characterId, scriptId },
+      select: { id: true },
+    });
+
+    if (!character) {
+      throw new NotFoundError('Character not found in this script');
+    }
+    return character.id;
+  }
+}
+
+module.exports = new ScenesService();
@@ -0,0 +1,367 @@
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError } = require('../../shared/utils/errors');
+const scriptService = require('../scripts/script.service');
+const scenesService = require('./scenes.service');
+const geminiService = require('../../services/gemini.service');
+
+const SHOT_SIZES = ['WS', 'MS', 'CU', 'ECU'];
+const TEXT_FIELDS = ['angle', 'movement', 'lens', 'description'];
+
+// Shot letters skip I and O, which read as 1 and 0 on a slate
+const SHOT_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+// Frames a shot can use as its storyboard
+const STORYBOARD_TYPES = ['STORYBOARD', 'IMAGE'];
+
+const SHOT_INCLUDE = {
+  storyboard: {
+    select: { id: true, name: true, url: true, thumbnailUrl: true },
+  },
+};
+
+const SHOTS_TIMEOUT_MS = 30000;
+
+/**
+ * Shot lists: the camera setups covering each scene. Shots are numbered
+ * from their order in the scene ("12A", "12B"...), so reordering or
+ * deleting renumbers the rest. AI drafts stay source AI until someone
+ * edits them; drafting again replaces the untouched ones.
+ */
+class ShotListService {
+  /**
+   * Shots of a scene in order
+   */
+  async getShots(sceneId, userId) {
+    await scenesService.findScene(sceneId, userId);
+    return this.listShots(prisma, sceneId);
+  }
+
+  /**
+   * Scenes of a script in order with their shots and character names, for
+   * the shot list export
+   * @param {string[]} [sceneIds] - only these scenes
+   */
+  async getScriptShots(scriptId, userId, sceneIds = null) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    if (sceneIds !== null && (!Array.isArray(sceneIds) || sceneIds.length === 0)) {
+      throw new BadRequestError('sceneIds must be a non-empty array');
+    }
+
+    const [scenes, characters] = await Promise.all([
+      prisma.scene.findMany({
+        where: { scriptId, ...(sceneIds && { id: { in: sceneIds } }) },
+        orderBy: { sceneNumber: 'asc' },
+        select: {
+          id: true,
+          sceneNumber: true,
+          sceneLabel: true,
+          heading: true,
+          shots: {
+            orderBy: { position: 'asc' },
+            include: SHOT_INCLUDE,
+          },
+        },
+      }),
+      prisma.character.findMany({
+        where: { scriptId },
+        select: { id: true, name: true },
+      }),
+    ]);
+
+    if (sceneIds && scenes.length !== new Set(sceneIds).size) {
+      throw new NotFoundError('Scene not found in this script');
+    }
+
+    const names = new Map(characters.map(character => [character.id, character.name]));
+
+    return scenes.map(scene => ({
+      ...scene,
+      setupMinutes: scene.shots.reduce((sum, shot) => sum + (shot.setupMinutes || 0), 0),
+      shots: scene.shots.map(shot => ({
+        ...shot,
+        characters: shot.characterIds.map(id => names.get(id)).filter(Boolean),
+      })),
+    }));
+  }
+
+  /**
+   * Add a shot to a scene, at the end or at `position`
+   */
+  async createShot(sceneId, userId, data) {
+    const scene = await scenesService.findScene(sceneId, userId);
+    const shot = await this.parseShot(scene.scriptId, data);
+
+    return prisma.$transaction(async (tx) => {
+      const shots = await this.listShots(tx, sceneId);
+      const position = data.position === undefined || data.position === null
+        ? shots.length
+        : this.parsePosition(data.position, shots.length);
+
+      const created = await tx.shot.create({
+        data: {
+          scriptId: scene.scriptId,
+          sceneId,
+          number: '',
+          position,
+          ...shot,
+          source: 'MANUAL',
+        },
+      });
+
+      shots.splice(position, 0, created);
+      await this.numberShots(tx, scene, shots);
+
+      return tx.shot.findUnique({ where: { id: created.id }, include: SHOT_INCLUDE });
+    }, { timeout: SHOTS_TIMEOUT_MS });
+  }
+
+  /**
+   * Update a shot; an AI draft that is edited becomes a manual shot
+   */
+  async updateShot(shotId, userId, data) {
+    const shot = await this.findShot(shotId, userId);
+    const update = await this.parseShot(shot.scriptId, data);
+
+    return prisma.shot.update({
+      where: { id: shotId },
+      data: { ...update, source: 'MANUAL' },
+      include: SHOT_INCLUDE,
+    });
+  }
+
+  async deleteShot(shotId, userId) {
+    const shot = await this.findShot(shotId, userId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.shot.delete({ where: { id: shotId } });
+      await this.numberShots(tx, shot.scene, await this.listShots(tx, shot.sceneId));
+    }, { timeout: SHOTS_TIMEOUT_MS });
+
+    return { message: 'Shot deleted successfully' };
+  }
+
+  /**
+   * Put a scene's shots in the given order and renumber them. shotIds must
+   * list every shot of the scene exactly once.
+   */
+  async reorderShots(sceneId, userId, shotIds) {
+    const scene = await scenesService.findScene(sceneId, userId);
+
+    if (!Array.isArray(shotIds)) {
+      throw new BadRequestError('shotIds must be an array');
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const shots = await this.listShots(tx, sceneId);
+      const byId = new Map(shots.map(shot => [shot.id, shot]));
+
+      if (shotIds.length !== shots.length || new Set(shotIds).size !== shots.length || !shotIds.every(id => byId.has(id))) {
+        throw new BadRequestError('shotIds must list every shot of the scene exactly once');
+      }
+
+      await this.numberShots(tx, scene, shotIds.map(id => byId.get(id)));
+      return this.listShots(tx, sceneId);
+    }, { timeout: SHOTS_TIMEOUT_MS });
+  }
+
+  /**
+   * Draft a first pass of coverage from the scene text with Gemini. Earlier
+   * drafts nobody edited are replaced; the new shots follow the manual ones.
+   */
+  async draftShots(sceneId, userId) {
+    const scene = await scenesService.findScene(sceneId, userId);
+    const characters = await prisma.character.findMany({
+      where: { scriptId: scene.scriptId },
+      select: { id: true, name: true, aliases: true, sceneIds: true },
+    });
+
+    const inScene = characters.filter(character => (character.sceneIds || []).includes(scene.id));
+    const result = await geminiService.suggestShots(scene, inScene, SHOT_SIZES);
+
+    const byName = new Map();
+    characters.forEach(character => {
+      [character.name, ...(character.aliases || [])].forEach(name => byName.set(name.toUpperCase(), character.id));
+    });
+
+    const drafts = (result.shots || [])
+      .filter(suggestion => suggestion && typeof suggestion === 'object')
+      .map(suggestion => ({
+        size: SHOT_SIZES.includes(String(suggestion.size || '').toUpperCase()) ? String(suggestion.size).toUpperCase() : null,
+        ...Object.fromEntries(TEXT_FIELDS.map(field => [field, this.text(suggestion[field])])),
+        equipment: this.list(suggestion.equipment),
+        setupMinutes: Number.isFinite(Number(suggestion.setupMinutes)) && Number(suggestion.setupMinutes) > 0
+          ? Math.round(Number(suggestion.setupMinutes))
+          : null,
+        // Names the model made up are dropped rather than guessed
+        characterIds: [...new Set(this.list(suggestion.characters)
+          .map(name => byName.get(name.toUpperCase()))
+          .filter(Boolean))],
+      }))
+      .filter(draft => draft.size || draft.description);
+
+    const shots = await prisma.$transaction(async (tx) => {
+      await tx.shot.deleteMany({ where: { sceneId, source: 'AI' } });
+
+      const kept = await this.listShots(tx, sceneId);
+      const created = [];
+      for (const draft of drafts) {
+        created.push(await tx.shot.create({
+          data: {
+            scriptId: scene.scriptId,
+            sceneId,
+            number: '',
+            position: kept.length + created.length,
+            ...draft,
+            source: 'AI',
+          },
+        }));
+      }
+
+      await this.numberShots(tx, scene, [...kept, ...created]);
+      return this.listShots(tx, sceneId);
+    }, { timeout: SHOTS_TIMEOUT_MS });
+
+    console.log(`🎥 ${drafts.length} AI shots drafted for scene ${scene.sceneNumber}`);
+    return shots;
+  }
+
+  async findShot(shotId, userId) {
+    const shot = await prisma.shot.findUnique({
+      where: { id: shotId },
+      include: { scene: true },
+    });
+
+    if (!shot) {
+      throw new NotFoundError('Shot not found');
+    }
+
+    await scriptService.getScriptById(shot.scriptId, userId);
+    return shot;
+  }
+
+  listShots(client, sceneId) {
+    return client.shot.findMany({
+      where: { sceneId },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+      include: SHOT_INCLUDE,
+    });
+  }
+
+  /**
+   * Save positions and numbers for shots in their new order
+   */
+  async numberShots(client, scene, shots) {
+    for (const [position, shot] of shots.entries()) {
+      const number = this.shotNumber(scene, position);
+      if (shot.position === position && shot.number === number) continue;
+
+      await client.shot.update({
+        where: { id: shot.id },
+        data: { position, number },
+      });
+    }
+  }
+
+  /**
+   * "12A" for the first shot of scene 12; after Z the letters double
+   * ("12AA", "12BB"...)
+   */
+  shotNumber(scene, position) {
+    const letter = SHOT_LETTERS[position % SHOT_LETTERS.length];
+    const repeat = Math.floor(position / SHOT_LETTERS.length) + 1;
+    return `${scene.sceneLabel || scene.sceneNumber}${letter.repeat(repeat)}`;
+  }
+
+  /**
+   * Shot fields from a request body; only the fields present are returned
+   */
+  async parseShot(scriptId, data) {
+    const shot = {};
+
+    if (data.size !== undefined) {
+      shot.size = data.size ? String(data.size).toUpperCase() : null;
+      if (shot.size && !SHOT_SIZES.includes(shot.size)) {
+        throw new BadRequestError(`size must be one of ${SHOT_SIZES.join(', ')}`);
+      }
+    }
+
+    TEXT_FIELDS.forEach(field => {
+      if (data[field] !== undefined) shot[field] = this.text(data[field]);
+    });
+
+    if (data.equipment !== undefined) {
+      if (data.equipment !== null && !Array.isArray(data.equipment)) {
+        throw new BadRequestError('equipment must be an array');
+      }
+      shot.equipment = this.list(data.equipment);
+    }
+
+    if (data.setupMinutes !== undefined) {
+      const minutes = data.setupMinutes === null || data.setupMinutes === '' ? null : Number(data.setupMinutes);
+      if (minutes !== null && (!Number.isInteger(minutes) || minutes < 0)) {
+        throw new BadRequestError('setupMinutes must be a whole number of minutes');
+      }
+      shot.setupMinutes = minutes;
+    }
+
+    if (data.characterIds !== undefined) {
+      shot.characterIds = await this.checkCharacters(scriptId, data.characterIds);
+    }
+
+    if (data.storyboardAssetId !== undefined) {
+      shot.storyboardAssetId = await this.checkStoryboard(scriptId, data.storyboardAssetId);
+    }
+
+    return shot;
+  }
+
+  parsePosition(value, length) {
+    const position = Number(value);
+    if (!Number.isInteger(position) || position < 0 || position > length) {
+      throw new BadRequestError(`position must be between 0 and ${length}`);
+    }
+    return position;
+  }
+
+  async checkCharacters(scriptId, characterIds) {
+    if (characterIds === null) return [];
+    if (!Array.isArray(characterIds)) {
+      throw new BadRequestError('characterIds must be an array');
+    }
+
+    const ids = [...new Set(characterIds)];
+    const found = await prisma.character.count({ where: { scriptId, id: { in: ids } } });
+    if (found !== ids.length) {
+      throw new NotFoundError('Character not found in this script');
+    }
+    return ids;
+  }
+
+  async checkStoryboard(scriptId, assetId) {
+    if (!assetId) return null;
+
+    const asset = await prisma.aIAsset.findFirst({
+      where: { id: assetId, scriptId },
+      select: { id: true, type: true },
+    });
+
+    if (!asset) {
+      throw new NotFoundError('Storyboard frame not found in this script');
+    }
+    if (!STORYBOARD_TYPES.includes(asset.type)) {
+      throw new BadRequestError(`A storyboard frame must be a ${STORYBOARD_TYPES.join(' or ')} asset`);
+    }
+    return asset.id;
+  }
+
+  text(value) {
+    return value === null || value === undefined || !String(value).trim() ? null : String(value).trim();
+  }
+
+  list(value) {
+    return Array.isArray(value) ? [...new Set(value.map(item => this.text(item)).filter(Boolean))] : [];
+  }
+}
+
+module.exports = new ShotListService();
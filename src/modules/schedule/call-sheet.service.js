@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../config/database.config');
+const { apiUrl } = require('../../config/app.config');
+const { NotFoundError, BadRequestError } = require('../../shared/utils/errors');
+const scriptService = require('../scripts/script.service');
+const scheduleService = require('./schedule.service');
+const doodService = require('./dood.service');
+const locationLinkService = require('../locations/location-link.service');
+const callSheetWriter = require('../export/writers/call-sheet.writer');
+
+// Breakdown categories printed on the call sheet
+const SHEET_CATEGORIES = ['PROPS', 'WARDROBE'];
+
+const CAST_CALL_FIELDS = ['call', 'makeup', 'onSet'];
+const LOCATION_FIELDS = ['address', 'parking', 'hospital', 'notes'];
+// Filled from the set's Location record when the day does not override them
+const SITE_FIELDS = ['address', 'parking', 'hospital'];
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Call sheets: the scenes, cast and breakdown of a shoot day come from
+ * the stripboard, addresses from the Location records; call times,
+ * address overrides, weather and notes are stored per day. A call sheet
+ * can be shared read-only through a token link.
+ */
+class CallSheetService {
+  async getCallSheet(scriptId, day, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+    return this.buildCallSheet(scriptId, this.parseDay(day));
+  }
+
+  /**
+   * Save call times, location details, weather and notes for a day
+   */
+  async updateCallSheet(scriptId, day, userId, data) {
+    await scriptService.getScriptById(scriptId, userId);
+    const number = this.parseDay(day);
+    const board = await this.findDay(scriptId, number);
+    const update = {};
+
+    if (data.generalCall !== undefined) update.generalCall = this.parseTime(data.generalCall, 'generalCall');
+    if (data.weather !== undefined) update.weather = data.weather ? String(data.weather).trim() : null;
+    if (data.notes !== undefined) update.notes = data.notes ? String(data.notes).trim() : null;
+
+    if (data.castCalls !== undefined) {
+      update.castCalls = await this.parseCastCalls(scriptId, data.castCalls);
+    }
+
+    if (data.locations !== undefined) {
+      update.locations = this.parseLocations(data.locations);
+    }
+
+    await prisma.callSheet.upsert({
+      where: { scheduleId_day: { scheduleId: board.scheduleId, day: number } },
+      create: { scheduleId: board.scheduleId, day: number, ...update },
+      update,
+    });
+
+    return this.buildCallSheet(scriptId, number);
+  }
+
+  /**
+   * Read-only link to a day's call sheet (the same link until revoked)
+   */
+  async shareCallSheet(scriptId, day, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+    const number = this.parseDay(day);
+    const board = await this.findDay(scriptId, number);
+
+    const existing = await prisma.callSheet.findUnique({
+      where: { scheduleId_day: { scheduleId: board.scheduleId, day: number } },
+    });
+    const shareToken = existing?.shareToken || crypto.randomBytes(24).toString('base64url');
+
+    await prisma.callSheet.upsert({
+      where: { scheduleId_day: { scheduleId: board.scheduleId, day: number } },
+      create: { scheduleId: board.scheduleId, day: number, shareToken },
+      update: { shareToken },
+    });
+
+    console.log(`🔗 Shared call sheet for day ${number} of script ${scriptId}`);
+    return { shareToken, url: this.shareUrl(shareToken) };
+  }
+
+  async revokeShare(scriptId, day, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+    const number = this.parseDay(day);
+    const board = await this.findDay(scriptId, number);
+
+    await prisma.callSheet.updateMany({
+      where: { scheduleId: board.scheduleId, day: number },
+      data: { shareToken: null },
+    });
+
+    return { message: 'Share link revoked' };
+  }
+
+  /**
+   * Call sheet behind a share link (no login)
+   */
+  async getSharedCallSheet(token) {
+    const sheet = token ? await prisma.callSheet.findUnique({
+      where: { shareToken: token },
+      include: { schedule: { select: { scriptId: true } } },
+    }) : null;
+
+    if (!sheet) {
+      throw new NotFoundError('Call sheet not found');
+    }
+
+    return this.buildCallSheet(sheet.schedule.scriptId, sheet.day);
+  }
+
+  /**
+   * The call sheet as the HTML page the PDF is printed from
+   */
+  toHtml(sheet) {
+    return callSheetWriter.html(sheet);
+  }
+
+  shareUrl(token) {
+    return `${apiUrl}/api/schedule/call-sheets/shared/${token}`;
+  }
+
+  async findDay(scriptId, day) {
+    const board = await scheduleService.buildBoard(scriptId);
+    if (!board.days[day - 1]) {
+      throw new NotFoundError(`Shoot day ${day} is not on the schedule`);
+    }
+    return board;
+  }
+
+  /**
+   * Everything printed on the call sheet of `day`
+   */
+  async buildCallSheet(scriptId, day) {
+    const board = await this.findDay(scriptId, day);
+    const boardDay = board.days[day - 1];
+    const scenes = this.dayScenes(board, day);
+
+    const [script, stored, characters, elements, sites] = await Promise.all([
+      prisma.script.findUnique({
+        where: { id: scriptId },
+        select: { id: true, title: true },
+      }),
+      prisma.callSheet.findUnique({
+        where: { scheduleId_day: { scheduleId: board.scheduleId, day } },
+      }),
+      prisma.character.findMany({
+        where: { scriptId },
+        orderBy: { lines: 'desc' },
+        select: { id: true, name: true, sceneIds: true },
+      }),
+      // Only confirmed tags: unreviewed suggestions do not go to set
+      prisma.scriptElement.findMany({
+        where: {
+          sceneId: { in: scenes.map(scene => scene.id) },
+          category: { in: SHEET_CATEGORIES },
+          status: 'CONFIRMED',
+        },
+        orderBy: { name: 'asc' },
+      }),
+      locationLinkService.loadSites(scriptId),
+    ]);
+
+    const castCalls = stored?.castCalls || {};
+    const locations = stored?.locations || {};
+    const generalCall = stored?.generalCall || null;
+    const labels = new Map(scenes.map(scene => [scene.id, this.sceneLabel(scene)]));
+
+    // Status of each actor today comes from the Day Out of Days
+    const dood = doodService.buildReport(board, characters);
+    const cast = dood.cast
+      .filter(member => member.codes[day - 1])
+      .map(member => ({
+        characterId: member.id,
+        castNumber: member.castNumber,
+        name: member.name,
+        status: member.codes[day - 1],
+        scenes: scenes.filter(scene => scene.cast.includes(member.name)).map(scene => labels.get(scene.id)),
+        call: castCalls[member.id]?.call || generalCall,
+        makeup: castCalls[member.id]?.makeup || null,
+        onSet: castCalls[member.id]?.onSet || null,
+        notes: castCalls[member.id]?.notes || null,
+      }));
+
+    return {
+      script,
+      day,
+      date: boardDay.date,
+      totalDays: board.days.length,
+      generalCall,
+      scenes: scenes.map(scene => ({
+        id: scene.id,
+        sceneLabel: labels.get(scene.id),
+        heading: scene.heading,
+        set: scene.set,
+        intExt: scene.intExt,
+        daypart: scene.daypart,
+        color: scene.color,
+        synopsis: scene.summary,
+        eighths: scene.eighths,
+        pages: scene.pages,
+        cast: dood.cast.filter(member => scene.cast.includes(member.name)).map(member => member.castNumber),
+      })),
+      pages: boardDay.pages,
+      cast,
+      locations: boardDay.locations.map(set => {
+        const setScenes = scenes.filter(scene => scene.set === set);
+        const site = sites.get(setScenes.find(scene => scene.setId)?.setId)?.site || {};
+
+        return {
+          set,
+          scenes: setScenes.map(scene => labels.get(scene.id)),
+          ...Object.fromEntries(LOCATION_FIELDS.map(field => [
+            field,
+            locations[set]?.[field] || (SITE_FIELDS.includes(field) ? site[field] : null) || null,
+          ])),
+        };
+      }),
+      ...Object.fromEntries(SHEET_CATEGORIES.map(category => [
+        category.toLowerCase(),
+        this.groupElements(elements.filter(element => element.category === category), labels),
+      ])),
+      weather: stored?.weather || null,
+      notes: stored?.notes || null,
+      advance: this.advanceSchedule(board, day + 1),
+      shared: Boolean(stored?.shareToken),
+    };
+  }
+
+  dayScenes(board, day) {
+    return board.strips
+      .filter(strip => strip.type === 'SCENE' && strip.day === day)
+      .map(strip => strip.scene);
+  }
+
+  /**
+   * One line per item with the scenes it is needed in
+   */
+  groupElements(elements, labels) {
+    const items = new Map();
+
+    elements.forEach(element => {
+      const key = element.name.toUpperCase();
+      if (!items.has(key)) items.set(key, { name: element.name, quantity: 0, scenes: [], notes: [] });
+
+      const item = items.get(key);
+      item.quantity = Math.max(item.quantity, element.quantity);
+      if (!item.scenes.includes(labels.get(element.sceneId))) item.scenes.push(labels.get(element.sceneId));
+      if (element.notes && !item.notes.includes(element.notes)) item.notes.push(element.notes);
+    });
+
+    return [...items.values()];
+  }
+
+  /**
+   * Scenes of the next shoot day, or null after the last day
+   */
+  advanceSchedule(board, day) {
+    const boardDay = board.days[day - 1];
+    if (!boardDay) return null;
+
+    return {
+      day,
+      date: boardDay.date,
+      pages: boardDay.pages,
+      scenes: this.dayScenes(board, day).map(scene => ({
+        sceneLabel: this.sceneLabel(scene),
+        heading: scene.heading,
+        set: scene.set,
+        daypart: scene.daypart,
+        pages: scene.pages,
+        cast: scene.cast,
+      })),
+    };
+  }
+
+  sceneLabel(scene) {
+    return scene.sceneLabel || String(scene.sceneNumber);
+  }
+
+  parseDay(value) {
+    const day = Number(value);
+    if (!Number.isInteger(day) || day < 1) {
+      throw new BadRequestError('day must be a shoot day number (1, 2, ...)');
+    }
+    return day;
+  }
+
+  parseTime(value, field) {
+    if (value === null || value === '') return null;
+    if (!TIME_PATTERN.test(String(value))) {
+      throw new BadRequestError(`${field} must be a time like 07:30`);
+    }
+    return String(value).padStart(5, '0');
+  }
+
+  /**
+   * { [characterId]: { call, makeup, onSet, notes } } for characters of the script
+   */
+  async parseCastCalls(scriptId, value) {
+    if (value === null) return Prisma.DbNull;
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new BadRequestError('castCalls must be an object keyed by character id');
+    }
+
+    const ids = Object.keys(value);
+    const found = await prisma.character.count({ where: { id: { in: ids }, scriptId } });
+    if (found !== ids.length) {
+      throw new NotFoundError('Character not found in this script');
+    }
+
+    return Object.fromEntries(ids.map(id => {
+      const calls = value[id] || {};
+      return [id, {
+        ...Object.fromEntries(CAST_CALL_FIELDS.map(field => [field, this.parseTime(calls[field] ?? null, `castCalls.${field}`)])),
+        notes: calls.notes ? String(calls.notes).trim() : null,
+      }];
+    }));
+  }
+
+  /**
+   * { [set]: { address, parking, hospital, notes } }; sets as on the board
+   */
+  parseLocations(value) {
+    if (value === null) return Prisma.DbNull;
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new BadRequestError('locations must be an object keyed by set name');
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([set, details]) => [
+      scheduleService.setName(set),
+      Object.fromEntries(LOCATION_FIELDS.map(field => [field, details?.[field] ? String(details[field]).trim() : null])),
+    ]));
+  }
+}
+
+module.exports = new CallSheetService();
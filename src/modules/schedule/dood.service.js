@@ -0,0 +1,139 @@
+const { prisma } = require('../../config/database.config');
+const { DOOD } = require('../../shared/constants');
+const scriptService = require('../scripts/script.service');
+const scheduleService = require('./schedule.service');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * Day Out of Days: for every character, a code per shoot day from the
+ * days their scenes (Character.sceneIds) sit on the stripboard. Days
+ * between start and finish are holds unless the gap is long enough to
+ * drop the actor and pick them up again.
+ */
+class DoodService {
+  /**
+   * DOOD grid of a script: { days, cast, codes }
+   */
+  async getReport(scriptId, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    const [board, characters] = await Promise.all([
+      scheduleService.buildBoard(scriptId),
+      prisma.character.findMany({
+        where: { scriptId },
+        orderBy: { lines: 'desc' },
+        select: { id: true, name: true, sceneIds: true },
+      }),
+    ]);
+
+    return this.buildReport(board, characters);
+  }
+
+  buildReport(board, characters) {
+    const sceneDays = new Map(board.strips
+      .filter(strip => strip.type === 'SCENE' && strip.day)
+      .map(strip => [strip.scene.id, strip.day]));
+    const days = board.days.map(day => ({ day: day.day, date: day.date }));
+    const travel = new Set(board.settings.travelCharacterIds || []);
+
+    return {
+      days,
+      cast: characters.map((character, index) => ({
+        id: character.id,
+        castNumber: index + 1,
+        name: character.name,
+        ...this.castRow(character, days, sceneDays, travel.has(character.id)),
+      })),
+      codes: DOOD.CODES,
+    };
+  }
+
+  castRow(character, days, sceneDays, travels) {
+    const sceneIds = character.sceneIds || [];
+    const workDays = [...new Set(sceneIds.filter(id => sceneDays.has(id)).map(id => sceneDays.get(id)))]
+      .sort((a, b) => a - b);
+    const codes = days.map(() => '');
+    const row = {
+      codes,
+      start: null,
+      finish: null,
+      work: workDays.length,
+      hold: 0,
+      idle: 0,
+      travel: 0,
+      drop: null,
+      total: 0,
+      unscheduledScenes: sceneIds.filter(id => !sceneDays.has(id)).length,
+    };
+    if (workDays.length === 0) return row;
+
+    const start = workDays[0];
+    const finish = workDays[workDays.length - 1];
+    const drop = this.findDrop(workDays, days);
+    const working = new Set(workDays);
+
+    for (let day = start; day <= finish; day++) {
+      if (working.has(day)) {
+        codes[day - 1] = [
+          day === start ? 'S' : drop && day === drop.pickupDay ? 'P' : '',
+          'W',
+          drop && day === drop.dropDay ? 'D' : day === finish ? 'F' : '',
+        ].join('');
+      } else if (drop && day > drop.dropDay && day < drop.pickupDay) {
+        row.idle++;
+      } else {
+        codes[day - 1] = 'H';
+        row.hold++;
+      }
+    }
+
+    // Travel lands on the day before start and after finish; outside the
+    // schedule it still counts
+    if (travels) {
+      [start - 1, finish + 1].forEach(day => {
+        if (day >= 1 && day <= days.length) codes[day - 1] = 'T';
+        row.travel++;
+      });
+    }
+
+    return {
+      ...row,
+      start,
+      finish,
+      drop,
+      total: row.work + row.hold + row.travel,
+    };
+  }
+
+  /**
+   * The longest gap between work days that allows a drop/pickup, or null
+   */
+  findDrop(workDays, days) {
+    let drop = null;
+
+    workDays.slice(1).forEach((day, index) => {
+      const previous = workDays[index];
+      const gap = this.gapDays(days, previous, day);
+      if (gap >= DOOD.DROP_PICKUP_MIN_DAYS && (!drop || gap > drop.gap)) {
+        drop = { dropDay: previous, pickupDay: day, gap };
+      }
+    });
+
+    return drop;
+  }
+
+  /**
+   * Days off between two shoot days: calendar days when the schedule has
+   * dates, shoot days otherwise
+   */
+  gapDays(days, from, to) {
+    const [first, second] = [days[from - 1]?.date, days[to - 1]?.date];
+    if (first && second) {
+      return Math.round((Date.parse(second) - Date.parse(first)) / DAY_MS) - 1;
+    }
+    return to - from - 1;
+  }
+}
+
+module.exports = new DoodService();
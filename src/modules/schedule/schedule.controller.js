@@ -0,0 +1,284 @@
+const scheduleService = require('./schedule.service');
+const doodService = require('./dood.service');
+const callSheetService = require('./call-sheet.service');
+
+class ScheduleController {
+  /**
+   * Get the stripboard of a script (days, strips, unscheduled scenes)
+   * GET /api/schedule/:scriptId
+   */
+  async getBoard(req, res, next) {
+    try {
+      const board = await scheduleService.getBoard(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Schedule retrieved successfully',
+        data: board,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the Day Out of Days grid for the cast
+   * GET /api/schedule/:scriptId/dood
+   */
+  async getDood(req, res, next) {
+    try {
+      const report = await doodService.getReport(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Day Out of Days retrieved successfully',
+        data: report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the call sheet of a shoot day (?format=html for the printable page)
+   * GET /api/schedule/:scriptId/call-sheets/:day
+   */
+  async getCallSheet(req, res, next) {
+    try {
+      const sheet = await callSheetService.getCallSheet(req.params.scriptId, req.params.day, req.user.id);
+
+      if (req.query.format === 'html') {
+        return res.type('html').send(callSheetService.toHtml(sheet));
+      }
+
+      res.json({
+        success: true,
+        message: 'Call sheet retrieved successfully',
+        data: sheet,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update call times, locations, weather and notes of a call sheet
+   * PATCH /api/schedule/:scriptId/call-sheets/:day
+   */
+  async updateCallSheet(req, res, next) {
+    try {
+      const sheet = await callSheetService.updateCallSheet(req.params.scriptId, req.params.day, req.user.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Call sheet updated successfully',
+        data: sheet,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create (or get) the read-only share link of a call sheet
+   * POST /api/schedule/:scriptId/call-sheets/:day/share
+   */
+  async shareCallSheet(req, res, next) {
+    try {
+      const share = await callSheetService.shareCallSheet(req.params.scriptId, req.params.day, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Call sheet shared successfully',
+        data: share,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke the share link of a call sheet
+   * DELETE /api/schedule/:scriptId/call-sheets/:day/share
+   */
+  async revokeCallSheetShare(req, res, next) {
+    try {
+      const result = await callSheetService.revokeShare(req.params.scriptId, req.params.day, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Shared call sheet page (no login; ?format=json for the data)
+   * GET /api/schedule/call-sheets/shared/:token
+   */
+  async getSharedCallSheet(req, res, next) {
+    try {
+      const sheet = await callSheetService.getSharedCallSheet(req.params.token);
+
+      if (req.query.format === 'json') {
+        return res.json({
+          success: true,
+          message: 'Call sheet retrieved successfully',
+          data: sheet,
+        });
+      }
+
+      res.type('html').send(callSheetService.toHtml(sheet));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update start date, days off and pages per day
+   * PATCH /api/schedule/:scriptId
+   */
+  async updateSettings(req, res, next) {
+    try {
+      const board = await scheduleService.updateSettings(req.params.scriptId, req.user.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Schedule settings updated successfully',
+        data: board,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lay out every scene in script order
+   * POST /api/schedule/:scriptId/generate
+   */
+  async generateBoard(req, res, next) {
+    try {
+      const board = await scheduleService.generateBoard(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Schedule generated successfully',
+        data: board,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Regroup the board by location and cast
+   * POST /api/schedule/:scriptId/auto-group
+   */
+  async autoGroup(req, res, next) {
+    try {
+      const board = await scheduleService.autoGroup(req.params.scriptId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Schedule grouped successfully',
+        data: board,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a scene strip, day break or banner
+   * POST /api/schedule/:scriptId/strips
+   */
+  async addStrip(req, res, next) {
+    try {
+      const board = await scheduleService.addStrip(req.params.scriptId, req.user.id, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Strip added successfully',
+        data: board,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reorder the whole board
+   * PUT /api/schedule/:scriptId/order
+   */
+  async reorderStrips(req, res, next) {
+    try {
+      const board = await scheduleService.reorderStrips(req.params.scriptId, req.user.id, req.body?.stripIds);
+
+      res.json({
+        success: true,
+        message: 'Schedule reordered successfully',
+        data: board,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Move a strip to a position
+   * POST /api/schedule/strips/:stripId/move
+   */
+  async moveStrip(req, res, next) {
+    try {
+      const board = await scheduleService.moveStrip(req.params.stripId, req.user.id, req.body?.position);
+
+      res.json({
+        success: true,
+        message: 'Strip moved successfully',
+        data: board,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a banner or day break
+   * PATCH /api/schedule/strips/:stripId
+   */
+  async updateStrip(req, res, next) {
+    try {
+      const board = await scheduleService.updateStrip(req.params.stripId, req.user.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Strip updated successfully',
+        data: board,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a strip (a scene goes back to unscheduled)
+   * DELETE /api/schedule/strips/:stripId
+   */
+  async deleteStrip(req, res, next) {
+    try {
+      const board = await scheduleService.deleteStrip(req.params.stripId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Strip removed successfully',
+        data: board,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ScheduleController();
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const scheduleController = require('./schedule.controller');
+const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole, fromParam, fromRecord } = require('../../shared/middleware/permission.middleware');
+
+// Roles each route needs on the script of the board or strip
+const canView = requireScriptRole('VIEWER', fromParam('scriptId'));
+const canEdit = requireScriptRole('EDITOR', fromParam('scriptId'));
+const canEditStrip = requireScriptRole('EDITOR', fromRecord('scheduleStrip', 'stripId', 'schedule.scriptId'));
+
+// Public: call sheet behind a share link
+router.get('/call-sheets/shared/:token', scheduleController.getSharedCallSheet.bind(scheduleController));
+
+// All other routes require authentication
+router.use(authenticateJWT);
+
+// Update / move / remove a strip
+router.patch('/strips/:stripId', canEditStrip, scheduleController.updateStrip.bind(scheduleController));
+router.post('/strips/:stripId/move', canEditStrip, scheduleController.moveStrip.bind(scheduleController));
+router.delete('/strips/:stripId', canEditStrip, scheduleController.deleteStrip.bind(scheduleController));
+
+// Stripboard of a script and its settings
+router.get('/:scriptId', canView, scheduleController.getBoard.bind(scheduleController));
+router.patch('/:scriptId', canEdit, scheduleController.updateSettings.bind(scheduleController));
+
+// Day Out of Days for the cast
+router.get('/:scriptId/dood', canView, scheduleController.getDood.bind(scheduleController));
+
+// Call sheets per shoot day and their share links
+router.get('/:scriptId/call-sheets/:day', canView, scheduleController.getCallSheet.bind(scheduleController));
+router.patch('/:scriptId/call-sheets/:day', canEdit, scheduleController.updateCallSheet.bind(scheduleController));
+router.post('/:scriptId/call-sheets/:day/share', canEdit, scheduleController.shareCallSheet.bind(scheduleController));
+router.delete('/:scriptId/call-sheets/:day/share', canEdit, scheduleController.revokeCallSheetShare.bind(scheduleController));
+
+// Build the board in script order, or grouped by location and cast
+router.post('/:scriptId/generate', canEdit, scheduleController.generateBoard.bind(scheduleController));
+router.post('/:scriptId/auto-group', canEdit, scheduleController.autoGroup.bind(scheduleController));
+
+// Add strips and reorder the board (drag and drop)
+router.post('/:scriptId/strips', canEdit, scheduleController.addStrip.bind(scheduleController));
+router.put('/:scriptId/order', canEdit, scheduleController.reorderStrips.bind(scheduleController));
+
+module.exports = router;
@@ -0,0 +1,666 @@
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError, ConflictError } = require('../../shared/utils/errors');
+const { STRIP_COLORS } = require('../../shared/constants');
+const scriptService = require('../scripts/script.service');
+const scriptTimingService = require('../scripts/script-timing.service');
+const locationLinkService = require('../locations/location-link.service');
+
+const STRIP_TYPES = ['SCENE', 'DAY_BREAK', 'BANNER'];
+const NIGHT_TIMES = ['NIGHT', 'EVENING', 'DUSK'];
+const DAY_TIMES = ['DAY', 'MORNING', 'DAWN', 'AFTERNOON'];
+
+// Auto-grouping ends a day at a location change once it is this full
+const FILL_BEFORE_MOVE = 0.75;
+
+const BOARD_TIMEOUT_MS = 30000;
+
+const SCENE_SELECT = {
+  id: true,
+  sceneNumber: true,
+  sceneLabel: true,
+  heading: true,
+  location: true,
+  locationId: true,
+  intExt: true,
+  timeOfDay: true,
+  actors: true,
+  summary: true,
+  lengthEighths: true,
+  duration: true,
+};
+
+/**
+ * Stripboard: one strip per scheduled scene, banners, and day breaks that
+ * end each shoot day. Strip positions are the board order (0, 1, 2...);
+ * scenes without a strip are unscheduled. Scene strips take their color
+ * from INT/EXT and DAY/NIGHT, their length from Scene.lengthEighths, and
+ * their set from the scene's Location (the top-level set).
+ */
+class ScheduleService {
+  /**
+   * Board with days, strips, unscheduled scenes and totals
+   */
+  async getBoard(scriptId, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+    return this.buildBoard(scriptId);
+  }
+
+  /**
+   * Schedule settings: startDate, daysOff (weekdays, 0 = Sunday), the
+   * target page count per day (targetEighths, or targetPages) and the
+   * cast who travel in (travelCharacterIds)
+   */
+  async updateSettings(scriptId, userId, data) {
+    await scriptService.getScriptById(scriptId, userId);
+    const update = {};
+
+    if (data.startDate !== undefined) {
+      update.startDate = data.startDate ? new Date(data.startDate) : null;
+      if (update.startDate && Number.isNaN(update.startDate.getTime())) {
+        throw new BadRequestError('startDate must be a valid date');
+      }
+    }
+
+    if (data.daysOff !== undefined) {
+      const daysOff = Array.isArray(data.daysOff) ? [...new Set(data.daysOff.map(Number))] : null;
+      if (!daysOff || daysOff.some(day => !Number.isInteger(day) || day < 0 || day > 6) || daysOff.length === 7) {
+        throw new BadRequestError('daysOff must be an array of weekdays (0-6) that leaves at least one shooting day');
+      }
+      update.daysOff = daysOff.sort();
+    }
+
+    const targetEighths = data.targetEighths !== undefined
+      ? Number(data.targetEighths)
+      : data.targetPages !== undefined ? Math.round(Number(data.targetPages) * 8) : undefined;
+    if (targetEighths !== undefined) {
+      if (!Number.isInteger(targetEighths) || targetEighths < 1) {
+        throw new BadRequestError('targetEighths must be a positive integer (targetPages a positive number)');
+      }
+      update.targetEighths = targetEighths;
+    }
+
+    if (data.travelCharacterIds !== undefined) {
+      const ids = Array.isArray(data.travelCharacterIds) ? [...new Set(data.travelCharacterIds)] : null;
+      const found = ids && await prisma.character.count({ where: { id: { in: ids }, scriptId } });
+      if (!ids || found !== ids.length) {
+        throw new BadRequestError('travelCharacterIds must be an array of characters in this script');
+      }
+      update.travelCharacterIds = ids;
+    }
+
+    await prisma.shootingSchedule.upsert({
+      where: { scriptId },
+      create: { scriptId, ...update },
+      update,
+    });
+
+    return this.buildBoard(scriptId);
+  }
+
+  /**
+   * Lay every scene out in script order, breaking days at the target page count
+   */
+  async generateBoard(scriptId, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    return this.rebuildBoard(scriptId, (scenes, schedule) => (
+      this.fillDays(scenes, schedule.targetEighths, { breakAtMoves: false })
+    ));
+  }
+
+  /**
+   * Rebuild the board grouped by location (DAY before NIGHT at each set),
+   * sets ordered so consecutive ones share as much cast as possible, and
+   * days broken at a location change when they are nearly full. Banners
+   * are dropped: their place on the old board means nothing on the new one.
+   */
+  async autoGroup(scriptId, userId) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    return this.rebuildBoard(scriptId, (scenes, schedule) => (
+      this.fillDays(this.groupScenes(scenes), schedule.targetEighths, { breakAtMoves: true })
+    ));
+  }
+
+  /**
+   * Add a strip (SCENE with sceneId, DAY_BREAK or BANNER) at `position`,
+   * or at the end of the board
+   */
+  async addStrip(scriptId, userId, data) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    const type = String(data.type || '').toUpperCase().replace(/[\s-]+/g, '_');
+    if (!STRIP_TYPES.includes(type)) {
+      throw new BadRequestError(`type must be one of ${STRIP_TYPES.join(', ')}`);
+    }
+
+    const strip = { type, text: null, color: null, sceneId: null };
+    if (type === 'SCENE') {
+      const scene = await prisma.scene.findFirst({
+        where: { id: data.sceneId || '', scriptId },
+        select: { id: true, sceneNumber: true },
+      });
+      if (!scene) {
+        throw new NotFoundError('Scene not found in this script');
+      }
+      strip.sceneId = scene.id;
+    } else {
+      strip.text = data.text ? String(data.text).trim() : null;
+      if (type === 'BANNER') strip.color = this.parseColor(data.color);
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const schedule = await this.ensureSchedule(tx, scriptId);
+      const strips = await this.getStrips(tx, schedule.id);
+
+      if (strip.sceneId && strips.some(existing => existing.sceneId === strip.sceneId)) {
+        throw new ConflictError('Scene is already on the board');
+      }
+
+      const created = await tx.scheduleStrip.create({
+        data: { scheduleId: schedule.id, ...strip, position: strips.length },
+      });
+      const position = this.parsePosition(data.position, strips.length);
+      strips.splice(position, 0, created);
+      await this.placeStrips(tx, strips);
+    }, { timeout: BOARD_TIMEOUT_MS });
+
+    return this.buildBoard(scriptId);
+  }
+
+  /**
+   * Put the whole board in the given order (drag and drop). stripIds must
+   * list every strip on the board exactly once.
+   */
+  async reorderStrips(scriptId, userId, stripIds) {
+    await scriptService.getScriptById(scriptId, userId);
+
+    if (!Array.isArray(stripIds)) {
+      throw new BadRequestError('stripIds must be an array');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const schedule = await this.ensureSchedule(tx, scriptId);
+      const strips = await this.getStrips(tx, schedule.id);
+      const byId = new Map(strips.map(strip => [strip.id, strip]));
+
+      if (stripIds.length !== strips.length || new Set(stripIds).size !== strips.length || !stripIds.every(id => byId.has(id))) {
+        throw new BadRequestError('stripIds must list every strip on the board exactly once');
+      }
+
+      await this.placeStrips(tx, stripIds.map(id => byId.get(id)));
+    }, { timeout: BOARD_TIMEOUT_MS });
+
+    return this.buildBoard(scriptId);
+  }
+
+  /**
+   * Move one strip to `position` (0 = top of the board)
+   */
+  async moveStrip(stripId, userId, position) {
+    const strip = await this.findStrip(stripId, userId);
+
+    await prisma.$transaction(async (tx) => {
+      const strips = await this.getStrips(tx, strip.scheduleId);
+      const index = strips.findIndex(existing => existing.id === stripId);
+      const [moved] = strips.splice(index, 1);
+
+      strips.splice(this.parsePosition(position, strips.length, true), 0, moved);
+      await this.placeStrips(tx, strips);
+    }, { timeout: BOARD_TIMEOUT_MS });
+
+    return this.buildBoard(strip.schedule.scriptId);
+  }
+
+  /**
+   * Change a banner's text / color or a day break's note
+   */
+  async updateStrip(stripId, userId, data) {
+    const strip = await this.findStrip(stripId, userId);
+
+    if (strip.type === 'SCENE') {
+      throw new BadRequestError('Scene strips take their text and color from the scene');
+    }
+
+    const update = {};
+    if (data.text !== undefined) update.text = data.text ? String(data.text).trim() : null;
+    if (data.color !== undefined) {
+      if (strip.type !== 'BANNER') {
+        throw new BadRequestError('Only banners can change color');
+      }
+      update.color = this.parseColor(data.color);
+    }
+
+    await prisma.scheduleStrip.update({
+      where: { id: stripId },
+      data: update,
+    });
+
+    return this.buildBoard(strip.schedule.scriptId);
+  }
+
+  /**
+   * Remove a strip; a scene strip's scene goes back to unscheduled
+   */
+  async deleteStrip(stripId, userId) {
+    const strip = await this.findStrip(stripId, userId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.scheduleStrip.delete({ where: { id: stripId } });
+      await this.placeStrips(tx, await this.getStrips(tx, strip.scheduleId));
+    }, { timeout: BOARD_TIMEOUT_MS });
+
+    return this.buildBoard(strip.schedule.scriptId);
+  }
+
+  async findStrip(stripId, userId) {
+    const strip = await prisma.scheduleStrip.findUnique({
+      where: { id: stripId },
+      include: { schedule: { select: { scriptId: true } } },
+    });
+
+    if (!strip) {
+      throw new NotFoundError('Strip not found');
+    }
+
+    await scriptService.getScriptById(strip.schedule.scriptId, userId);
+    return strip;
+  }
+
+  async ensureSchedule(client, scriptId) {
+    return client.shootingSchedule.upsert({
+      where: { scriptId },
+      create: { scriptId },
+      update: {},
+    });
+  }
+
+  async getStrips(client, scheduleId) {
+    return client.scheduleStrip.findMany({
+      where: { scheduleId },
+      orderBy: { position: 'asc' },
+    });
+  }
+
+  /**
+   * Renumber strips 0..n in the given order (only the ones that moved)
+   */
+  async placeStrips(client, strips) {
+    for (const [position, strip] of strips.entries()) {
+      if (strip.position === position) continue;
+
+      await client.scheduleStrip.update({
+        where: { id: strip.id },
+        data: { position },
+      });
+    }
+  }
+
+  /**
+   * Replace the board with the days `plan(scenes, schedule)` returns, each
+   * day followed by a day break
+   */
+  async rebuildBoard(scriptId, plan) {
+    const { days, moves } = await prisma.$transaction(async (tx) => {
+      const schedule = await this.ensureSchedule(tx, scriptId);
+      const { scenes } = await this.loadBoard(tx, scriptId, schedule.id);
+      const planned = plan(scenes, schedule);
+
+      await tx.scheduleStrip.deleteMany({ where: { scheduleId: schedule.id } });
+
+      const data = [];
+      planned.forEach(day => {
+        day.forEach(scene => data.push({ type: 'SCENE', sceneId: scene.id }));
+        data.push({ type: 'DAY_BREAK' });
+      });
+
+      if (data.length > 0) {
+        await tx.scheduleStrip.createMany({
+          data: data.map((strip, position) => ({ scheduleId: schedule.id, ...strip, position })),
+        });
+      }
+
+      return {
+        days: planned.length,
+        moves: planned.reduce((sum, day) => sum + this.countMoves(day), 0),
+      };
+    }, { timeout: BOARD_TIMEOUT_MS });
+
+    console.log(`🗓️ Scheduled script ${scriptId}: ${days} shoot days, ${moves} company moves`);
+    return this.buildBoard(scriptId);
+  }
+
+  async buildBoard(scriptId, client = prisma) {
+    const schedule = await this.ensureSchedule(client, scriptId);
+    const { strips, scenes, sites } = await this.loadBoard(client, scriptId, schedule.id);
+    return this.layout(schedule, strips, scenes, sites);
+  }
+
+  /**
+   * Strips and every scene of the script as strip cards (cast resolved
+   * through character aliases, color from INT/EXT and DAY/NIGHT), and the
+   * script's locations by id
+   */
+  async loadBoard(client, scriptId, scheduleId) {
+    const [strips, scenes, characters, sites] = await Promise.all([
+      this.getStrips(client, scheduleId),
+      client.scene.findMany({
+        where: { scriptId },
+        orderBy: { sceneNumber: 'asc' },
+        select: SCENE_SELECT,
+      }),
+      client.character.findMany({
+        where: { scriptId },
+        select: { name: true, aliases: true },
+      }),
+      locationLinkService.loadSites(scriptId, client),
+    ]);
+
+    const aliasOf = new Map(characters.flatMap(character => [
+      [character.name, character.name],
+      ...(character.aliases || []).map(alias => [alias, character.name]),
+    ]));
+    const dayparts = this.dayparts(scenes);
+
+    return {
+      strips,
+      sites,
+      scenes: scenes.map((scene, index) => {
+        const eighths = scene.lengthEighths || 0;
+        const site = sites.get(scene.locationId);
+        return {
+          id: scene.id,
+          sceneNumber: scene.sceneNumber,
+          sceneLabel: scene.sceneLabel,
+          heading: scene.heading,
+          location: scene.location,
+          locationId: scene.locationId,
+          setId: site ? site.setId : null,
+          set: site ? site.setName : this.setName(scene.location),
+          intExt: scene.intExt,
+          timeOfDay: scene.timeOfDay,
+          summary: scene.summary,
+          daypart: dayparts[index],
+          color: STRIP_COLORS[`${/EXT/i.test(scene.intExt || '') ? 'EXT' : 'INT'}_${dayparts[index]}`],
+          eighths,
+          pages: scriptTimingService.formatEighths(eighths),
+          duration: scene.duration || 0,
+          cast: [...new Set((scene.actors || []).map(actor => aliasOf.get(actor) || actor))],
+        };
+      }),
+    };
+  }
+
+  /**
+   * Group the board into shoot days: a day runs up to and including its
+   * day break; scenes after the last break make an open last day (banners
+   * alone do not)
+   */
+  layout(schedule, strips, scenes, sites = new Map()) {
+    const byId = new Map(scenes.map(scene => [scene.id, scene]));
+    const days = [];
+    let current = [];
+
+    const cards = strips.map(strip => {
+      const card = {
+        id: strip.id,
+        type: strip.type,
+        position: strip.position,
+        text: strip.text,
+        color: strip.color,
+        day: days.length + 1,
+      };
+
+      if (strip.type === 'SCENE') {
+        card.scene = byId.get(strip.sceneId);
+        card.color = card.scene.color;
+      } else if (strip.type === 'BANNER') {
+        card.color = strip.color || STRIP_COLORS.BANNER;
+      } else {
+        card.color = STRIP_COLORS.DAY_BREAK;
+        card.text = strip.text || `End of Day ${days.length + 1}`;
+      }
+
+      current.push(card);
+      if (strip.type === 'DAY_BREAK') {
+        days.push(current);
+        current = [];
+      }
+      return card;
+    });
+    if (current.some(card => card.type === 'SCENE')) {
+      days.push(current);
+    } else {
+      current.forEach(card => { card.day = null; });
+    }
+
+    const dates = this.shootDates(schedule, days.length);
+    const summaries = days.map((day, index) => this.summarizeDay(index + 1, dates[index], day, sites));
+
+    const scheduled = new Set(strips.map(strip => strip.sceneId).filter(Boolean));
+    const unscheduled = scenes.filter(scene => !scheduled.has(scene.id));
+    const scheduledEighths = summaries.reduce((sum, day) => sum + day.eighths, 0);
+    const unscheduledEighths = unscheduled.reduce((sum, scene) => sum + scene.eighths, 0);
+
+    return {
+      scheduleId: schedule.id,
+      settings: {
+        startDate: schedule.startDate,
+        daysOff: schedule.daysOff,
+        targetEighths: schedule.targetEighths,
+        targetPages: scriptTimingService.formatEighths(schedule.targetEighths),
+        travelCharacterIds: schedule.travelCharacterIds,
+      },
+      days: summaries,
+      strips: cards,
+      unscheduled,
+      totals: {
+        days: summaries.length,
+        scenes: scheduled.size,
+        eighths: scheduledEighths,
+        pages: scriptTimingService.formatEighths(scheduledEighths),
+        unscheduledScenes: unscheduled.length,
+        unscheduledPages: scriptTimingService.formatEighths(unscheduledEighths),
+        companyMoves: summaries.reduce((sum, day) => sum + day.companyMoves, 0),
+      },
+    };
+  }
+
+  summarizeDay(number, date, strips, sites = new Map()) {
+    const scenes = strips.filter(strip => strip.type === 'SCENE').map(strip => strip.scene);
+    const eighths = scenes.reduce((sum, scene) => sum + scene.eighths, 0);
+    const dayBreak = strips.find(strip => strip.type === 'DAY_BREAK');
+
+    return {
+      day: number,
+      date,
+      dayBreakId: dayBreak ? dayBreak.id : null,
+      stripIds: strips.map(strip => strip.id),
+      scenes: scenes.length,
+      eighths,
+      pages: scriptTimingService.formatEighths(eighths),
+      duration: scenes.reduce((sum, scene) => sum + scene.duration, 0),
+      cast: [...new Set(scenes.flatMap(scene => scene.cast))].sort(),
+      locations: [...new Set(scenes.map(scene => scene.set))],
+      // Sets shot on a date outside their site's availability windows
+      unavailableLocations: date
+        ? [...new Set(scenes.filter(scene => !this.isAvailable(sites.get(scene.locationId), date)).map(scene => scene.set))]
+        : [],
+      companyMoves: this.countMoves(scenes),
+    };
+  }
+
+  isAvailable(site, date) {
+    const windows = site?.site.availability || [];
+    return windows.length === 0 || windows.some(window => window.from <= date && date <= window.to);
+  }
+
+  /**
+   * Order scenes for auto-grouping: scenes at one set stay together (DAY
+   * before NIGHT), each next set is the one sharing the most cast with the
+   * last, and scenes within a group follow their cast from one to the next
+   */
+  groupScenes(scenes) {
+    const sets = new Map();
+    scenes.forEach(scene => {
+      if (!sets.has(scene.set)) sets.set(scene.set, []);
+      sets.get(scene.set).push(scene);
+    });
+
+    const remaining = [...sets.values()].map(setScenes => ({
+      scenes: setScenes,
+      cast: new Set(setScenes.flatMap(scene => scene.cast)),
+      eighths: setScenes.reduce((sum, scene) => sum + scene.eighths, 0),
+    }));
+
+    const ordered = [];
+    let previous = null;
+    while (remaining.length > 0) {
+      let best = 0;
+      remaining.forEach((group, index) => {
+        const score = previous ? this.overlap(previous.cast, group.cast) : 0;
+        const bestScore = previous ? this.overlap(previous.cast, remaining[best].cast) : 0;
+        if (score > bestScore || (score === bestScore && group.eighths > remaining[best].eighths)) best = index;
+      });
+
+      previous = remaining.splice(best, 1)[0];
+      ['DAY', 'NIGHT'].forEach(daypart => {
+        ordered.push(...this.chainByCast(previous.scenes.filter(scene => scene.daypart === daypart)));
+      });
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Nearest-neighbour chain by shared cast, starting from the biggest cast
+   * (ties keep script order)
+   */
+  chainByCast(scenes) {
+    const remaining = [...scenes];
+    const chain = [];
+
+    while (remaining.length > 0) {
+      let best = 0;
+      remaining.forEach((scene, index) => {
+        const last = chain[chain.length - 1];
+        const score = last ? this.overlap(new Set(last.cast), new Set(scene.cast)) : scene.cast.length;
+        const bestScore = last ? this.overlap(new Set(last.cast), new Set(remaining[best].cast)) : remaining[best].cast.length;
+        if (score > bestScore) best = index;
+      });
+      chain.push(remaining.splice(best, 1)[0]);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Split ordered scenes into days of about `targetEighths`. With
+   * breakAtMoves a day also ends at a location change once it is
+   * FILL_BEFORE_MOVE full, saving the move for the next morning.
+   */
+  fillDays(scenes, targetEighths, { breakAtMoves = false } = {}) {
+    const days = [];
+    let day = [];
+    let eighths = 0;
+
+    scenes.forEach(scene => {
+      const last = day[day.length - 1];
+      const full = eighths > 0 && eighths + scene.eighths > targetEighths;
+      const move = breakAtMoves && last && last.set !== scene.set && eighths >= targetEighths * FILL_BEFORE_MOVE;
+
+      if (full || move) {
+        days.push(day);
+        day = [];
+        eighths = 0;
+      }
+
+      day.push(scene);
+      eighths += scene.eighths;
+    });
+    if (day.length > 0) days.push(day);
+
+    return days;
+  }
+
+  /**
+   * Jaccard similarity of two cast sets
+   */
+  overlap(a, b) {
+    if (a.size === 0 && b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(name => { if (b.has(name)) shared++; });
+    return shared / (a.size + b.size - shared);
+  }
+
+  /**
+   * Location changes between consecutive scenes of a day
+   */
+  countMoves(scenes) {
+    return scenes.filter((scene, index) => index > 0 && scene.set !== scenes[index - 1].set).length;
+  }
+
+  /**
+   * The set a scene is shot at: "HOUSE - KITCHEN" is shot at HOUSE
+   */
+  setName(location) {
+    return String(location || '').split(/\s+[-–—]\s+/)[0].trim().toUpperCase() || 'UNKNOWN';
+  }
+
+  /**
+   * DAY or NIGHT per scene; CONTINUOUS, LATER, SAME TIME... carry over
+   * from the scene before in script order
+   */
+  dayparts(scenes) {
+    let previous = 'DAY';
+
+    return scenes.map(scene => {
+      const time = String(scene.timeOfDay || '').toUpperCase();
+      if (NIGHT_TIMES.some(value => time.includes(value))) previous = 'NIGHT';
+      else if (DAY_TIMES.some(value => time.includes(value))) previous = 'DAY';
+      return previous;
+    });
+  }
+
+  /**
+   * Calendar date (YYYY-MM-DD) of each shoot day, skipping days off;
+   * null without a start date
+   */
+  shootDates(schedule, count) {
+    if (!schedule.startDate) return Array(count).fill(null);
+
+    const daysOff = new Set(schedule.daysOff || []);
+    const date = new Date(schedule.startDate);
+    const dates = [];
+
+    while (dates.length < count) {
+      if (!daysOff.has(date.getUTCDay())) dates.push(date.toISOString().slice(0, 10));
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+
+    return dates;
+  }
+
+  parsePosition(value, length, required = false) {
+    if (value === undefined || value === null) {
+      if (required) throw new BadRequestError('position is required');
+      return length;
+    }
+
+    const position = Number(value);
+    if (!Number.isInteger(position) || position < 0) {
+      throw new BadRequestError('position must be a non-negative integer');
+    }
+    return Math.min(position, length);
+  }
+
+  parseColor(value) {
+    if (!value) return null;
+    if (!/^#[0-9A-F]{6}$/i.test(value)) {
+      throw new BadRequestError('color must be a hex color like #FFCC80');
+    }
+    return value.toUpperCase();
+  }
+}
+
+module.exports = new ScheduleService();
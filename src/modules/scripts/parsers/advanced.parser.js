@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const { PDFParse } = require('pdf-parse');
+const { normalizeCharacterName } = require('./character-names');
+const { suggestElements } = require('./breakdown-elements');
 
 /**
  * 🔥 ULTIMATE PRODUCTION-GRADE SCRIPT PARSER WITH FORMATTING
@@ -31,32 +33,7 @@ class AdvancedScriptParser {
       console.log(`✅ PDF loaded: ${totalPages} pages, ${text.length} chars`);
       console.log(`📊 First 200 chars:`, text.substring(0, 200));
       
-      // Step 1: Extract and analyze each page individually
-      const textPages = this.extractTextPages(text, totalPages);
-      console.log(`📖 Extracted ${textPages.length} text pages`);
-      
-      // Step 2: Analyze each page for formatting
-      const analyzedPages = this.analyzePages(textPages);
-      console.log(`🔍 Analyzed ${analyzedPages.length} pages`);
-      
-      // Step 3: Parse scenes ACROSS pages (not per-page)
-      const scenes = this.parseScenes(analyzedPages);
-      console.log(`🎬 Parsed ${scenes.length} scenes`);
-      
-      // Step 4: Extract character data with full dialogue
-      const characters = this.extractCharacters(scenes);
-      console.log(`👥 Found ${characters.length} characters`);
-      
-      // Step 5: Generate metadata
-      const metadata = this.generateMetadata(analyzedPages, scenes, characters);
-      console.log(`✅ Analysis complete!`);
-      
-      return {
-        textPages: analyzedPages, // Return analyzed pages with formatting
-        scenes,
-        characters,
-        metadata,
-      };
+      return this.parseText(text, totalPages);
       
     } catch (error) {
       console.error('❌ Parsing error:', error);
@@ -64,6 +41,53 @@ class AdvancedScriptParser {
     }
   }
 
+  /**
+   * Parse a plain-text screenplay (e.g. a PDF text export) with the same
+   * layout heuristics used for PDFs
+   */
+  async parseTextFile(filePath) {
+    console.log('📄 Parsing text screenplay:', filePath);
+    
+    const text = (await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, '');
+    const formFeedPages = text.split('\f').filter(p => p.trim()).length;
+    const lineCount = text.split('\n').length;
+    const totalPages = formFeedPages > 1 ? formFeedPages : Math.max(1, Math.ceil(lineCount / 55));
+    
+    return this.parseText(text, totalPages);
+  }
+
+  /**
+   * Run the page/format/scene pipeline on already-extracted text
+   */
+  parseText(text, totalPages) {
+    // Step 1: Extract and analyze each page individually
+    const textPages = this.extractTextPages(text, totalPages);
+    console.log(`📖 Extracted ${textPages.length} text pages`);
+    
+    // Step 2: Analyze each page for formatting
+    const analyzedPages = this.analyzePages(textPages);
+    console.log(`🔍 Analyzed ${analyzedPages.length} pages`);
+    
+    // Step 3: Parse scenes ACROSS pages (not per-page)
+    const scenes = this.parseScenes(analyzedPages);
+    console.log(`🎬 Parsed ${scenes.length} scenes`);
+    
+    // Step 4: Extract character data with full dialogue
+    const characters = this.extractCharacters(scenes);
+    console.log(`👥 Found ${characters.length} characters`);
+    
+    // Step 5: Generate metadata
+    const metadata = this.generateMetadata(analyzedPages, scenes, characters);
+    console.log(`✅ Analysis complete!`);
+    
+    return {
+      textPages: analyzedPages, // Return analyzed pages with formatting
+      scenes,
+      characters,
+      metadata,
+    };
+  }
+
   /**
    * ✅ ENHANCED: Extract text pages with better PDF page detection
    */
@@ -785,11 +809,7 @@ class AdvancedScriptParser {
   }
 
   cleanCharacterName(line) {
-    return line
-      .replace(/\([^)]*\)/g, '')
-      .replace(/\s+/g, ' ')
-      .replace(/â€™/g, "'")
-      .trim();
+    return normalizeCharacterName(line);
   }
 
   isParenthetical(line) {
@@ -813,26 +833,11 @@ class AdvancedScriptParser {
     return transitions.some(t => line.toUpperCase().includes(t));
   }
 
+  // Vehicles, wardrobe, set dressing etc. are breakdown elements of their own
   extractProps(lines) {
-    const props = new Set();
-    const propKeywords = [
-      'glasses', 'phone', 'bottle', 'gun', 'knife', 'car', 'train', 'computer', 
-      'scanner', 'qr', 'kiosk', 'robot', 'tray', 'lift', 'elevator', 'apron', 
-      'luggage', 'locker', 'juice', 'beer', 'metro', 'sofa', 'camera', 'dress',
-      'frame', 'machine', 'caviar', 'vending', 'jet', 'airhostess', 'ticket',
-      'passport', 'bag', 'wallet', 'keys', 'door', 'window', 'table', 'chair'
-    ];
-    
-    lines.forEach(line => {
-      const lowerLine = line.toLowerCase();
-      propKeywords.forEach(prop => {
-        if (new RegExp(`\\b${prop}\\b`, 'i').test(lowerLine)) {
-          props.add(prop.charAt(0).toUpperCase() + prop.slice(1));
-        }
-      });
-    });
-    
-    return Array.from(props);
+    return suggestElements(lines.join('\n'))
+      .filter(element => element.category === 'PROPS')
+      .map(element => element.name);
   }
 
   generateSceneSummary(scene) {
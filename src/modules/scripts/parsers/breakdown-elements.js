@@ -0,0 +1,117 @@
+// Whole-word keywords per breakdown category (plurals also match)
+const CATEGORY_KEYWORDS = {
+  PROPS: [
+    'glasses', 'phone', 'cellphone', 'bottle', 'gun', 'pistol', 'rifle', 'revolver', 'knife', 'sword',
+    'computer', 'laptop', 'scanner', 'QR code', 'tray', 'luggage', 'suitcase', 'juice', 'beer', 'wine',
+    'camera', 'frame', 'caviar', 'ticket', 'passport', 'bag', 'backpack', 'wallet', 'keys', 'letter',
+    'envelope', 'book', 'notebook', 'newspaper', 'cigarette', 'lighter', 'cup', 'mug', 'umbrella',
+    'flashlight', 'photo', 'photograph', 'money', 'briefcase', 'necklace', 'map', 'robot',
+  ],
+  SET_DRESSING: [
+    'sofa', 'couch', 'table', 'chair', 'bed', 'desk', 'lamp', 'curtains', 'painting', 'bookshelf',
+    'locker', 'kiosk', 'vending machine', 'poster', 'rug', 'mirror', 'television', 'TV',
+  ],
+  VEHICLES: [
+    'car', 'truck', 'van', 'taxi', 'cab', 'bus', 'motorcycle', 'bike', 'bicycle', 'scooter', 'train',
+    'metro', 'tram', 'helicopter', 'plane', 'airplane', 'jet', 'boat', 'ship', 'ambulance', 'police car',
+    'limo', 'limousine', 'tractor', 'jeep', 'SUV', 'elevator',
+  ],
+  ANIMALS: [
+    'dog', 'puppy', 'cat', 'kitten', 'horse', 'bird', 'pigeon', 'crow', 'parrot', 'cow', 'goat', 'sheep',
+    'pig', 'chicken', 'snake', 'rat', 'mouse', 'fish', 'monkey', 'elephant',
+  ],
+  WARDROBE: [
+    'dress', 'suit', 'uniform', 'jacket', 'coat', 'apron', 'hat', 'cap', 'tuxedo', 'gown', 'saree', 'sari',
+    'shirt', 'boots', 'scarf', 'hoodie', 'costume', 'mask', 'veil',
+  ],
+  MAKEUP: [
+    'blood', 'bloody', 'bleeding', 'wound', 'scar', 'bruise', 'bruised', 'tattoo', 'wig', 'beard',
+    'mustache', 'moustache', 'makeup', 'prosthetic', 'black eye', 'sweat', 'sweaty',
+  ],
+  EXTRAS: [
+    'crowd', 'passengers', 'pedestrians', 'commuters', 'customers', 'guests', 'students', 'soldiers',
+    'waiters', 'onlookers', 'shoppers', 'tourists', 'audience', 'dancers', 'villagers', 'patrons',
+    'air hostess', 'airhostess', 'staff', 'people',
+  ],
+  STUNTS: [
+    'fight', 'punch', 'kick', 'tackle', 'chase', 'crashes', 'leaps', 'dives', 'stabs', 'brawl',
+  ],
+  SFX: [
+    'explosion', 'explodes', 'fire', 'flames', 'smoke', 'rain', 'snow', 'fog', 'gunshot', 'gunfire',
+    'sparks', 'storm', 'lightning', 'shatters', 'wind',
+  ],
+  VFX: [
+    'hologram', 'holographic', 'portal', 'teleports', 'levitates', 'disintegrates', 'spaceship', 'dragon',
+    'ghost', 'CGI', 'morphs', 'force field',
+  ],
+  SOUND: [
+    'music', 'song', 'ringtone', 'siren', 'alarm', 'doorbell', 'knock', 'knocking', 'radio', 'announcement',
+  ],
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const KEYWORD_PATTERNS = Object.entries(CATEGORY_KEYWORDS).flatMap(([category, keywords]) => (
+  keywords.map(keyword => ({
+    category,
+    name: keyword.charAt(0).toUpperCase() + keyword.slice(1),
+    pattern: new RegExp(`\\b${escapeRegExp(keyword).replace(/ /g, '\\s+')}(?:e?s)?\\b`, 'i'),
+  }))
+));
+
+const squash = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Breakdown elements suggested by keyword for one scene:
+ *   [{ category, name, text, startOffset, endOffset }]
+ * Offsets index into `sceneText`. Speaking characters become CAST (without
+ * a range when their name never appears in the text). Lines that are part
+ * of the dialogue are skipped: "I lost my phone" puts no phone on screen.
+ * @param {string} sceneText
+ * @param {object} [options]
+ * @param {string[]} [options.actors] - Speaking characters
+ * @param {{ character: string, text: string }[]} [options.dialogue]
+ */
+function suggestElements(sceneText, { actors = [], dialogue = [] } = {}) {
+  const text = String(sceneText || '');
+  const suggestions = [];
+  const seen = new Set();
+
+  const add = (category, name, start, length) => {
+    const key = `${category}:${name.toUpperCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    suggestions.push(start === null
+      ? { category, name, text: null, startOffset: null, endOffset: null }
+      : { category, name, text: text.slice(start, start + length), startOffset: start, endOffset: start + length });
+  };
+
+  actors.forEach(actor => {
+    const match = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegExp(actor)})(?![\\p{L}\\p{N}])`, 'iu').exec(text);
+    add('CAST', actor, match ? match.index + match[1].length : null, actor.length);
+  });
+
+  const spoken = (dialogue || []).map(line => squash(line.text)).filter(Boolean);
+  let offset = 0;
+
+  text.split('\n').forEach(line => {
+    const content = squash(line);
+    const isDialogue = content.length > 0 && spoken.some(speech => speech.includes(content));
+
+    if (!isDialogue) {
+      KEYWORD_PATTERNS.forEach(({ category, name, pattern }) => {
+        const match = pattern.exec(line);
+        if (match) add(category, name, offset + match.index, match[0].length);
+      });
+    }
+
+    offset += line.length + 1;
+  });
+
+  return suggestions;
+}
+
+module.exports = {
+  CATEGORY_KEYWORDS,
+  suggestElements,
+};
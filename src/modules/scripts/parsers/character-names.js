@@ -0,0 +1,34 @@
+// Cue extensions that are sometimes written without parentheses
+// ("JOHN CONT'D", "MARY V.O."); parenthesized ones are always dropped
+const BARE_EXTENSION = /[\s\-–—,]+(CONT['’]?D|CONT\.?|CONTINUED|CONTINUING|V\.\s?O\.?|VO|O\.\s?S\.?|O\.\s?C\.?|PRE-?LAP|FILTERED)\.?$/i;
+
+/**
+ * Canonical character name for a cue line:
+ *   "John (V.O.) (CONT'D)" -> "JOHN"
+ *   "MARY CONT'D"          -> "MARY"
+ *   "BOB ^"                -> "BOB"   (dual dialogue marker)
+ * Every parser keys characters on this, so extensions never create
+ * a second character.
+ */
+function normalizeCharacterName(cue) {
+  let name = String(cue || '')
+    .replace(/â€™/g, "'")
+    .replace(/[‘’]/g, "'")
+    .replace(/\([^)]*\)/g, '')
+    .replace(/\([^)]*$/, '')
+    .replace(/\^\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  let previous;
+  do {
+    previous = name;
+    name = name.replace(BARE_EXTENSION, '').replace(/[:\s]+$/, '').trim();
+  } while (name !== previous && name.length > 0);
+
+  return name.toUpperCase();
+}
+
+module.exports = {
+  normalizeCharacterName,
+};
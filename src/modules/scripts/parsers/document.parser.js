@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const { PDFParse } = require('pdf-parse');
+const { normalizeCharacterName } = require('./character-names');
 
 class DocumentBasedScriptParser {
   async parse(filePath) {
@@ -264,7 +265,7 @@ class DocumentBasedScriptParser {
   }
 
   cleanCharacterName(line) {
-    return line.replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+    return normalizeCharacterName(line);
   }
 
   extractPropsFromLine(line) {
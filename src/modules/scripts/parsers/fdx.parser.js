@@ -1,6 +1,49 @@
 const fs = require('fs').promises;
 const xml2js = require('xml2js');
+const layout = require('./layout');
 
+// Final Draft paragraph types -> layout element types
+const PARAGRAPH_TYPES = {
+  'Scene Heading': 'scene_heading',
+  'Action': 'action',
+  'General': 'action',
+  'Character': 'character',
+  'Parenthetical': 'parenthetical',
+  'Dialogue': 'dialogue',
+  'Transition': 'transition',
+  'Shot': 'shot',
+  'Lyrics': 'lyrics',
+  'New Act': 'centered',
+  'End of Act': 'centered',
+};
+
+// SmartType list elements -> keys in the parsed smartType object
+const SMART_TYPE_LISTS = {
+  Characters: ['Character', 'characters'],
+  Extensions: ['Extension', 'extensions'],
+  SceneIntros: ['SceneIntro', 'sceneIntros'],
+  Locations: ['Location', 'locations'],
+  TimesOfDay: ['TimeOfDay', 'timesOfDay'],
+  Transitions: ['Transition', 'transitions'],
+};
+
+/**
+ * Final Draft (.fdx) parser.
+ *
+ * Besides the paragraphs themselves it reads scene numbers and
+ * SceneProperties (length, page, color, summary), DualDialogue blocks,
+ * revision marks and the Revisions sets, the TitlePage, the SmartType
+ * lists and ScriptNotes. Everything that has no place in the page layout
+ * is returned in `document` (stored in Script.parsedContent):
+ *
+ *   {
+ *     format: 'fdx',
+ *     titlePage: [{ text, alignment }],
+ *     revisions: { activeSet, sets: [{ id, name, color, pageColor, mark, fullRevision }] },
+ *     smartType: { characters, extensions, sceneIntros, locations, timesOfDay, transitions },
+ *     scriptNotes: [{ id, text, color, range, sceneNumber }]
+ *   }
+ */
 class FDXParser {
   async parse(filePath) {
     try {
@@ -12,15 +55,35 @@ class FDXParser {
       const content_data = fdx.Content[0];
       const paragraphs = content_data.Paragraph || [];
 
-      const scenes = this.extractScenes(paragraphs);
-      const characters = this.extractCharacters(paragraphs);
+      const revisions = this.extractRevisions(fdx.Revisions?.[0]);
+      const smartType = this.extractSmartType(fdx.SmartType?.[0]);
+      const titleParagraphs = this.extractTitleParagraphs(fdx.TitlePage?.[0]);
+      const titlePage = this.toTitlePageEntries(titleParagraphs);
+
+      const elements = this.extractElements(paragraphs, revisions);
+      const scriptNotes = this.placeScriptNotes(fdx.ScriptNotes?.[0], elements);
+
+      const titleEntry = titlePage.find(entry => entry.key === 'Title');
+      const authorEntry = titlePage.find(entry => entry.key === 'Author');
+      const parsed = layout.build(elements, {
+        title: titleEntry ? titleEntry.value.join(' ') : 'Untitled',
+        author: authorEntry ? authorEntry.value.join(' ') : undefined,
+        revisionSets: revisions.sets.length,
+      });
 
+      parsed.characters = this.mergeCastList(parsed.characters, smartType.characters);
+
+      console.log(`✅ FDX parsed: ${parsed.scenes.length} scenes, ${parsed.characters.length} characters`);
       return {
-        metadata: {
-          title: fdx.DocumentType?.[0] || 'Untitled',
+        ...parsed,
+        titlePage,
+        document: {
+          format: 'fdx',
+          titlePage: titleParagraphs,
+          revisions,
+          smartType,
+          scriptNotes,
         },
-        scenes,
-        characters,
       };
     } catch (error) {
       console.error('FDX parsing error:', error);
@@ -28,91 +91,306 @@ class FDXParser {
     }
   }
 
-  extractScenes(paragraphs) {
-    const scenes = [];
-    let currentScene = null;
-    let sceneNumber = 0;
+  /**
+   * Text runs; styled runs come through xml2js as `{ _: text, $: attrs }`
+   */
+  getRuns(para) {
+    return (para.Text || []).map(run => (
+      typeof run === 'string'
+        ? { text: run, attrs: {} }
+        : { text: run?._ || '', attrs: run?.$ || {} }
+    ));
+  }
 
-    paragraphs.forEach(para => {
-      const type = para.$.Type;
-      const text = para.Text ? para.Text.join(' ').trim() : '';
+  /**
+   * Paragraph text
+   */
+  getText(para) {
+    return this.getRuns(para).map(run => run.text).join('').trim();
+  }
 
-      if (type === 'Scene Heading') {
-        // Save previous scene
-        if (currentScene) {
-          scenes.push(currentScene);
-        }
+  /**
+   * Paragraphs -> layout elements using the native Final Draft types.
+   * Returns elements with sceneNumber, sceneProperties, dual, revisionId and
+   * non-printing `note` elements for inline ScriptNotes. Each element also
+   * gets a non-enumerable `offset` (its character position in the document,
+   * used to anchor ranged ScriptNotes) that never reaches formatted lines.
+   */
+  extractElements(paragraphs, revisions = { sets: [] }) {
+    const elements = [];
+    let offset = 0;
 
-        sceneNumber++;
-        const match = text.match(/^(INT|EXT|INT\/EXT)[\.\s]+(.+?)[\s\-]+(DAY|NIGHT|DAWN|DUSK|MORNING|AFTERNOON|EVENING)?/i);
+    const addParagraph = (para, dual = null) => {
+      const text = this.getText(para);
+      const paragraphOffset = offset;
+      offset += text.length + 1;
+      if (!text) return;
 
-        let intExt = 'INT';
-        let location = text;
-        let timeOfDay = 'DAY';
+      const type = PARAGRAPH_TYPES[para.$?.Type] || 'action';
+      const element = { type, text };
 
-        if (match) {
-          intExt = match[1].toUpperCase();
-          location = match[2].trim();
-          timeOfDay = match[3] ? match[3].toUpperCase() : 'DAY';
-        }
+      if (type === 'scene_heading') {
+        if (para.$?.Number) element.sceneNumber = para.$.Number;
+        const properties = this.extractSceneProperties(para.SceneProperties?.[0]);
+        if (properties) element.sceneProperties = properties;
+      }
+      if (dual) element.dual = dual;
 
-        currentScene = {
-          sceneNumber,
-          heading: text,
-          intExt,
-          location,
-          timeOfDay,
-          text: '',
-          actors: [],
-          props: [],
-        };
-      } else if (currentScene) {
-        currentScene.text += text + '\n';
-
-        if (type === 'Character') {
-          const characterName = text.trim();
-          if (!currentScene.actors.includes(characterName)) {
-            currentScene.actors.push(characterName);
-          }
-        }
+      // Newest revision set touching any run of the paragraph
+      const revisionId = this.getRevisionId(para, revisions);
+      if (revisionId) element.revisionId = revisionId;
+
+      if (para.$?.StartsNewPage === 'Yes' && elements.length > 0) {
+        elements.push({ type: 'page_break' });
+      }
+
+      Object.defineProperty(element, 'offset', { value: paragraphOffset });
+      elements.push(element);
+
+      (para.ScriptNote || []).forEach(note => {
+        const noteText = this.getNoteText(note);
+        if (noteText) elements.push({ type: 'note', text: noteText });
+      });
+    };
+
+    paragraphs.forEach(para => {
+      if (para.DualDialogue) {
+        // First speaker is the left column, the next cue starts the right one
+        let cues = 0;
+        (para.DualDialogue[0].Paragraph || []).forEach(inner => {
+          if (inner.$?.Type === 'Character') cues++;
+          addParagraph(inner, cues > 1 ? 'right' : 'left');
+        });
+        return;
       }
+      addParagraph(para);
     });
 
-    // Add last scene
-    if (currentScene) {
-      scenes.push(currentScene);
+    return elements;
+  }
+
+  /**
+   * SceneProperties -> { lengthEighths, pageLabel, color, title, summary }
+   */
+  extractSceneProperties(properties) {
+    if (!properties) return null;
+    const attrs = properties.$ || {};
+    const summary = (properties.Summary?.[0]?.Paragraph || [])
+      .map(para => this.getText(para))
+      .filter(Boolean)
+      .join('\n');
+
+    return {
+      lengthEighths: this.parseEighths(attrs.Length),
+      pageLabel: attrs.Page || null,
+      color: this.normalizeColor(attrs.Color),
+      title: attrs.Title || null,
+      summary: summary || null,
+    };
+  }
+
+  /**
+   * "1 3/8" -> 11, "4/8" -> 4, "2" -> 16
+   */
+  parseEighths(length) {
+    if (!length) return null;
+    const match = String(length).trim().match(/^(?:(\d+)\s*)?(?:(\d+)\/8)?$/);
+    if (!match || (!match[1] && !match[2])) return null;
+    return (parseInt(match[1] || '0', 10) * 8) + parseInt(match[2] || '0', 10);
+  }
+
+  /**
+   * Final Draft writes 16-bit channels ("#RRRRGGGGBBBB"); use "#RRGGBB"
+   */
+  normalizeColor(color) {
+    if (!color) return null;
+    const hex = String(color).replace(/^#/, '');
+    if (hex.length === 12) {
+      return `#${hex.slice(0, 2)}${hex.slice(4, 6)}${hex.slice(8, 10)}`.toUpperCase();
     }
+    return `#${hex}`.toUpperCase();
+  }
+
+  /**
+   * <Revisions ActiveSet> with its <Revision> sets
+   */
+  extractRevisions(revisions) {
+    if (!revisions) return { activeSet: null, sets: [] };
 
-    return scenes;
+    return {
+      activeSet: revisions.$?.ActiveSet || null,
+      sets: (revisions.Revision || []).map(set => ({
+        id: set.$?.ID,
+        name: set.$?.Name || `Revision ${set.$?.ID}`,
+        color: this.normalizeColor(set.$?.Color),
+        pageColor: this.normalizeColor(set.$?.PageColor),
+        mark: set.$?.Mark || '*',
+        fullRevision: set.$?.FullRevision === 'Yes',
+      })),
+    };
   }
 
-  extractCharacters(paragraphs) {
-    const characterMap = new Map();
-    let lastCharacter = null;
+  /**
+   * Latest revision set (by position in <Revisions>) marked on a paragraph
+   */
+  getRevisionId(para, revisions) {
+    const ids = this.getRuns(para)
+      .map(run => run.attrs.RevisionID)
+      .filter(id => id && id !== '0');
+    if (ids.length === 0) return null;
 
-    paragraphs.forEach(para => {
-      const type = para.$.Type;
-      const text = para.Text ? para.Text.join(' ').trim() : '';
-
-      if (type === 'Character') {
-        lastCharacter = text.trim();
-        
-        if (!characterMap.has(lastCharacter)) {
-          characterMap.set(lastCharacter, {
-            name: lastCharacter,
-            lines: 0,
-            scenes: 0,
-            dialogue: [],
-          });
+    const order = revisions.sets.map(set => set.id);
+    return ids.reduce((latest, id) => (order.indexOf(id) > order.indexOf(latest) ? id : latest));
+  }
+
+  /**
+   * <SmartType> lists (characters, extensions, locations, ...)
+   */
+  extractSmartType(smartType) {
+    const lists = {};
+
+    Object.entries(SMART_TYPE_LISTS).forEach(([listName, [itemName, key]]) => {
+      const items = smartType?.[listName]?.[0]?.[itemName] || [];
+      lists[key] = items
+        .map(item => String(typeof item === 'string' ? item : item?._ || '').trim())
+        .filter(Boolean);
+    });
+
+    return lists;
+  }
+
+  /**
+   * Title page paragraphs in order, blank ones kept as spacing
+   */
+  extractTitleParagraphs(titlePage) {
+    const paragraphs = titlePage?.Content?.[0]?.Paragraph || [];
+    return paragraphs.map(para => ({
+      text: this.getText(para),
+      alignment: (para.$?.Alignment || 'Left').toLowerCase(),
+    }));
+  }
+
+  /**
+   * Title page paragraphs -> Fountain-style `[{ key, value: [lines] }]`.
+   * Centered blocks read as title / credit / author / source; left-aligned
+   * text is the contact block and right-aligned text the draft date.
+   */
+  toTitlePageEntries(paragraphs) {
+    const entries = [];
+    const add = (key, text) => {
+      const entry = entries.find(e => e.key === key);
+      if (entry) entry.value.push(text);
+      else entries.push({ key, value: [text] });
+    };
+
+    let centered = 'Title';
+    let previousBlank = false;
+    paragraphs.forEach(({ text, alignment }) => {
+      if (!text) {
+        previousBlank = true;
+        return;
+      }
+
+      if (alignment === 'center') {
+        if (/\bby$/i.test(text) && text.split(/\s+/).length <= 4) {
+          add('Credit', text);
+          centered = 'Author';
+        } else if (/^(based on|adapted from)/i.test(text)) {
+          add('Source', text);
+          centered = 'Source';
+        } else if (centered === 'Title' && entries.some(e => e.key === 'Title') && previousBlank) {
+          add('Notes', text);
+        } else {
+          add(centered, text);
         }
-      } else if (type === 'Dialogue' && lastCharacter) {
-        const char = characterMap.get(lastCharacter);
-        char.lines++;
-        char.dialogue.push(text);
+      } else if (alignment === 'right') {
+        add('Draft date', text);
+      } else {
+        add('Contact', text);
       }
+      previousBlank = false;
+    });
+
+    return entries;
+  }
+
+  /**
+   * Paragraph text of a <ScriptNote>
+   */
+  getNoteText(note) {
+    return (note.Paragraph || []).map(para => this.getText(para)).filter(Boolean).join('\n');
+  }
+
+  /**
+   * Ranged <ScriptNotes> are anchored by character offset; insert each as a
+   * non-printing note after the paragraph it starts in so it lands on the
+   * right scene, and return the full list for the document model.
+   */
+  placeScriptNotes(scriptNotes, elements) {
+    const notes = (scriptNotes?.ScriptNote || []).map(note => {
+      const [start, end] = String(note.$?.Range || '').split(',').map(n => parseInt(n, 10));
+      return {
+        id: note.$?.ID || null,
+        text: this.getNoteText(note),
+        color: this.normalizeColor(note.$?.Color),
+        range: Number.isFinite(start) ? [start, Number.isFinite(end) ? end : start] : null,
+        sceneNumber: null,
+      };
+    }).filter(note => note.text);
+
+    // Insert from the last note backwards so earlier indexes stay valid
+    [...notes].reverse().forEach(note => {
+      if (!note.range) return;
+      let anchor = -1;
+      elements.forEach((element, index) => {
+        if (element.offset !== undefined && element.offset <= note.range[0]) anchor = index;
+      });
+      if (anchor >= 0) elements.splice(anchor + 1, 0, { type: 'note', text: note.text });
+    });
+
+    // Record the scene each note belongs to
+    let scene = null;
+    let sceneIndex = 0;
+    elements.forEach(element => {
+      if (element.type === 'scene_heading') {
+        sceneIndex++;
+        scene = element.sceneNumber || String(sceneIndex);
+      }
+      if (element.offset === undefined) return;
+      notes.forEach(note => {
+        if (note.range && element.offset <= note.range[0]) note.sceneNumber = scene;
+      });
+    });
+
+    return notes;
+  }
+
+  /**
+   * Add SmartType characters that never speak (non-speaking cast) and
+   * flag which speaking characters are in the cast list
+   */
+  mergeCastList(characters, castList = []) {
+    const names = new Set(characters.map(char => char.name));
+
+    characters.forEach(char => {
+      char.metadata = { ...(char.metadata || {}), inCastList: castList.some(name => layout.cleanCharacterName(name) === char.name) };
+    });
+
+    castList.forEach(name => {
+      const cleaned = layout.cleanCharacterName(name);
+      if (!cleaned || names.has(cleaned)) return;
+      names.add(cleaned);
+      characters.push({
+        name: cleaned,
+        lines: 0,
+        scenes: 0,
+        dialogue: [],
+        sceneIds: [],
+        metadata: { inCastList: true, nonSpeaking: true },
+      });
     });
 
-    return Array.from(characterMap.values());
+    return characters;
   }
 }
 
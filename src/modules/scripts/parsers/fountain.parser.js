@@ -1,117 +1,311 @@
 const fs = require('fs').promises;
-const fountain = require('fountain-js');
+const layout = require('./layout');
 
+const SCENE_HEADING = /^(INT|EXT|EST|INT\.?\/EXT|INT\.? EXT|I\/E)[. ]/i;
+const SCENE_NUMBER = /\s*#([\w.-]+)#\s*$/;
+const TITLE_KEY = /^([A-Za-z][A-Za-z0-9 _-]*?):[ \t]*(.*)$/;
+const CENTERED = /^\s*>.*<\s*$/;
+const PAGE_BREAK = /^={3,}\s*$/;
+
+/**
+ * Fountain 1.1 parser.
+ *
+ * Produces a lossless document model (stored in Script.parsedContent) that
+ * the Fountain writer re-emits as normalized Fountain:
+ *
+ *   {
+ *     format: 'fountain',
+ *     titlePage: [{ key, value: [lines] }],
+ *     elements: [{ type, text, forced?, sceneNumber?, dual?, depth?, inDialogue? }]
+ *   }
+ *
+ * Element types: scene_heading, action, character, parenthetical, dialogue,
+ * lyrics, transition, centered, section, synopsis, note, boneyard, page_break.
+ * `text` keeps raw Fountain markup (emphasis, inline notes); the layout
+ * receives plain display text.
+ */
 class FountainParser {
   async parse(filePath) {
     try {
       const content = await fs.readFile(filePath, 'utf-8');
-      const parsed = fountain.parse(content, true);
-
-      const scenes = this.extractScenes(parsed.tokens);
-      const characters = this.extractCharacters(parsed.tokens);
-
-      return {
-        metadata: {
-          title: parsed.title || 'Untitled',
-          author: parsed.author,
-          source: parsed.source,
-        },
-        scenes,
-        characters,
-      };
+      return this.parseString(content);
     } catch (error) {
       console.error('Fountain parsing error:', error);
       throw new Error('Failed to parse Fountain file');
     }
   }
 
-  extractScenes(tokens) {
-    const scenes = [];
-    let currentScene = null;
-    let sceneNumber = 0;
+  /**
+   * Parse Fountain source into the normalized parse result
+   */
+  parseString(content) {
+    const document = this.tokenize(content);
+    const titleEntry = document.titlePage.find(entry => entry.key.toLowerCase() === 'title');
+    const authorEntry = document.titlePage.find(entry => /^authors?$/i.test(entry.key));
+    const sourceEntry = document.titlePage.find(entry => entry.key.toLowerCase() === 'source');
 
-    tokens.forEach((token, index) => {
-      if (token.type === 'scene_heading') {
-        // Save previous scene
-        if (currentScene) {
-          scenes.push(currentScene);
-        }
+    const result = layout.build(this.toLayoutElements(document.elements), {
+      title: titleEntry ? this.plainText(titleEntry.value.join(' ')) : 'Untitled',
+      author: authorEntry ? this.plainText(authorEntry.value.join(' ')) : undefined,
+      source: sourceEntry ? this.plainText(sourceEntry.value.join(' ')) : undefined,
+    });
+
+    console.log(`✅ Fountain parsed: ${result.scenes.length} scenes, ${result.characters.length} characters`);
+    return { ...result, titlePage: document.titlePage, document };
+  }
 
-        // Parse scene heading
-        sceneNumber++;
-        const heading = token.text;
-        const match = heading.match(/^(INT|EXT|INT\/EXT)[\.\s]+(.+?)[\s\-]+(DAY|NIGHT|DAWN|DUSK|MORNING|AFTERNOON|EVENING|CONTINUOUS|LATER)?/i);
+  /**
+   * Source -> document model
+   */
+  tokenize(content) {
+    const lines = content
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n');
 
-        let intExt = 'INT';
-        let location = heading;
-        let timeOfDay = 'DAY';
+    const paragraphs = this.splitParagraphs(lines);
+    const document = { format: 'fountain', titlePage: [], elements: [] };
 
-        if (match) {
-          intExt = match[1].toUpperCase();
-          location = match[2].trim();
-          timeOfDay = match[3] ? match[3].toUpperCase() : 'DAY';
-        }
+    if (paragraphs.length > 0 && this.isTitlePage(paragraphs[0])) {
+      document.titlePage = this.parseTitlePage(paragraphs.shift());
+    }
+
+    paragraphs.forEach(paragraph => {
+      this.classifyParagraph(paragraph, document.elements);
+    });
+
+    return document;
+  }
+
+  /**
+   * Group lines into blank-line separated paragraphs. A line of exactly two
+   * spaces is not blank (intentional empty dialogue line), and boneyard /
+   * note blocks may span blank lines.
+   */
+  splitParagraphs(lines) {
+    const paragraphs = [];
+    const isBlank = (line) => line.trim() === '' && line !== '  ';
+    let i = 0;
+
+    while (i < lines.length) {
+      if (isBlank(lines[i])) {
+        i++;
+        continue;
+      }
+
+      const paragraph = [];
+      while (i < lines.length && !isBlank(lines[i])) {
+        paragraph.push(lines[i] === '  ' ? lines[i] : lines[i].replace(/\s+$/, ''));
+        i++;
+      }
 
-        currentScene = {
-          sceneNumber,
-          heading,
-          intExt,
-          location,
-          timeOfDay,
-          text: '',
-          actors: [],
-          props: [],
-        };
-      } else if (currentScene) {
-        // Add to current scene
-        if (token.type === 'dialogue') {
-          currentScene.text += `${token.text}\n`;
-        } else if (token.type === 'action') {
-          currentScene.text += `${token.text}\n`;
-        } else if (token.type === 'character') {
-          const characterName = token.text.trim();
-          if (!currentScene.actors.includes(characterName)) {
-            currentScene.actors.push(characterName);
-          }
+      // Boneyard and notes run to their closing marker, blank lines included
+      const opener = paragraph[0].trim();
+      const closers = { '/*': '*/', '[[': ']]' };
+      const marker = Object.keys(closers).find(open => opener.startsWith(open));
+      if (marker) {
+        const closer = closers[marker];
+        while (!paragraph.join('\n').includes(closer) && i < lines.length) {
+          paragraph.push(lines[i].replace(/\s+$/, ''));
+          i++;
         }
       }
+
+      paragraphs.push(paragraph);
+    }
+
+    return paragraphs;
+  }
+
+  isTitlePage(paragraph) {
+    const match = paragraph[0].match(TITLE_KEY);
+    return !!match && !/^[A-Z\s]+TO$/.test(match[1]) && !SCENE_HEADING.test(paragraph[0]);
+  }
+
+  /**
+   * `Key: value` pairs; values may continue on indented lines
+   */
+  parseTitlePage(paragraph) {
+    const entries = [];
+
+    paragraph.forEach(line => {
+      const match = /^(\s{3,}|\t)/.test(line) ? null : line.match(TITLE_KEY);
+      if (match) {
+        entries.push({ key: match[1].trim(), value: match[2].trim() ? [match[2].trim()] : [] });
+      } else if (entries.length > 0) {
+        entries[entries.length - 1].value.push(line.trim());
+      }
     });
 
-    // Add last scene
-    if (currentScene) {
-      scenes.push(currentScene);
+    return entries;
+  }
+
+  /**
+   * Classify one paragraph and push its element(s)
+   */
+  classifyParagraph(paragraph, elements) {
+    const first = paragraph[0];
+    const trimmed = first.trim();
+    const single = paragraph.length === 1;
+    const joined = paragraph.join('\n').trim();
+
+    // Boneyard /* ... */
+    if (trimmed.startsWith('/*') && joined.endsWith('*/')) {
+      elements.push({ type: 'boneyard', text: joined.slice(2, -2) });
+      return;
+    }
+
+    // Standalone note [[ ... ]]
+    if (trimmed.startsWith('[[') && joined.endsWith(']]') && !joined.slice(2, -2).includes(']]')) {
+      elements.push({ type: 'note', text: joined.slice(2, -2) });
+      return;
+    }
+
+    if (single && PAGE_BREAK.test(trimmed)) {
+      elements.push({ type: 'page_break' });
+      return;
     }
 
-    return scenes;
+    if (single && /^#+/.test(trimmed)) {
+      const [, hashes, text] = trimmed.match(/^(#+)\s*(.*)$/);
+      elements.push({ type: 'section', text, depth: hashes.length });
+      return;
+    }
+
+    if (single && /^=(?!=)/.test(trimmed)) {
+      elements.push({ type: 'synopsis', text: trimmed.replace(/^=\s*/, '') });
+      return;
+    }
+
+    // Scene heading (forced with a single leading period)
+    if (single && (/^\.[^.]/.test(trimmed) || SCENE_HEADING.test(trimmed))) {
+      const forced = trimmed.startsWith('.');
+      let text = forced ? trimmed.slice(1) : trimmed;
+      const element = { type: 'scene_heading', text: '', forced };
+      const number = text.match(SCENE_NUMBER);
+      if (number) {
+        element.sceneNumber = number[1];
+        text = text.replace(SCENE_NUMBER, '');
+      }
+      element.text = text.trim();
+      elements.push(element);
+      return;
+    }
+
+    // Centered > text <
+    if (paragraph.every(line => CENTERED.test(line))) {
+      elements.push({
+        type: 'centered',
+        text: paragraph.map(line => line.trim().replace(/^>\s*/, '').replace(/\s*<$/, '')).join('\n'),
+      });
+      return;
+    }
+
+    // Transition (forced with >, or uppercase ending in TO:)
+    if (single && (/^>/.test(trimmed) || (/TO:$/.test(trimmed) && trimmed === trimmed.toUpperCase()))) {
+      const forced = trimmed.startsWith('>');
+      elements.push({ type: 'transition', text: forced ? trimmed.replace(/^>\s*/, '') : trimmed, forced });
+      return;
+    }
+
+    if (paragraph.every(line => /^\s*~/.test(line))) {
+      elements.push({ type: 'lyrics', text: paragraph.map(line => line.trim().replace(/^~/, '')).join('\n') });
+      return;
+    }
+
+    if (!single && this.isCharacterCue(trimmed)) {
+      this.pushDialogueBlock(paragraph, elements);
+      return;
+    }
+
+    // Action (forced with !); keeps line breaks and leading whitespace
+    const forced = /^\s*!/.test(first);
+    const text = [first.replace(/^(\s*)!/, '$1'), ...paragraph.slice(1)].join('\n');
+    elements.push({ type: 'action', text, forced });
   }
 
-  extractCharacters(tokens) {
-    const characterMap = new Map();
-
-    tokens.forEach(token => {
-      if (token.type === 'character') {
-        const name = token.text.trim();
-        
-        if (!characterMap.has(name)) {
-          characterMap.set(name, {
-            name,
-            lines: 0,
-            scenes: 0,
-            dialogue: [],
-          });
+  /**
+   * Uppercase line (extensions may be lowercase) or forced with @
+   */
+  isCharacterCue(line) {
+    if (line.startsWith('@')) return true;
+    const name = line.replace(/\s*\^$/, '').replace(/\(.*\)\s*$/, '').trim();
+    return /[A-Z]/.test(name) && !/[a-z]/.test(name) && !/^[!>=#~.]/.test(name);
+  }
+
+  pushDialogueBlock(paragraph, elements) {
+    let cue = paragraph[0].trim();
+    const forced = cue.startsWith('@');
+    if (forced) cue = cue.slice(1);
+
+    const character = { type: 'character', text: cue, forced };
+    if (/\s*\^$/.test(cue)) {
+      character.text = cue.replace(/\s*\^$/, '');
+      character.dual = 'right';
+
+      // The previous dialogue block becomes the left column
+      for (let i = elements.length - 1; i >= 0; i--) {
+        if (elements[i].type === 'character') {
+          elements[i].dual = 'left';
+          break;
         }
-      } else if (token.type === 'dialogue') {
-        // Find last character
-        const chars = Array.from(characterMap.keys());
-        if (chars.length > 0) {
-          const lastChar = characterMap.get(chars[chars.length - 1]);
-          lastChar.lines++;
-          lastChar.dialogue.push(token.text);
+        if (!['parenthetical', 'dialogue', 'lyrics'].includes(elements[i].type)) break;
+      }
+    }
+    elements.push(character);
+
+    paragraph.slice(1).forEach(line => {
+      const trimmed = line.trim();
+      const last = elements[elements.length - 1];
+
+      if (/^\(.*\)$/.test(trimmed)) {
+        elements.push({ type: 'parenthetical', text: trimmed });
+      } else if (trimmed.startsWith('~')) {
+        if (last.type === 'lyrics' && last.inDialogue) {
+          last.text += `\n${trimmed.slice(1)}`;
+        } else {
+          elements.push({ type: 'lyrics', text: trimmed.slice(1), inDialogue: true });
         }
+      } else if (last.type === 'dialogue') {
+        last.text += `\n${line === '  ' ? '' : trimmed}`;
+      } else {
+        elements.push({ type: 'dialogue', text: line === '  ' ? '' : trimmed });
       }
     });
+  }
 
-    return Array.from(characterMap.values());
+  /**
+   * Strip Fountain markup for display: inline notes, boneyard, emphasis, escapes
+   */
+  plainText(text) {
+    return String(text || '')
+      .replace(/\[\[[\s\S]*?\]\]/g, '')
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/(?<!\\)(\*{1,3}|_)(?=\S)([^\n]*?\S)(?<!\\)\1/g, '$2')
+      .replace(/\\([*_\\#!@~=.><])/g, '$1')
+      .replace(/[ \t]+$/gm, '');
+  }
+
+  /**
+   * Document elements -> printable layout elements
+   */
+  toLayoutElements(elements) {
+    let dual = null;
+
+    return elements.map(element => {
+      const layoutElement = { type: element.type, text: this.plainText(element.text) };
+      if (element.sceneNumber) layoutElement.sceneNumber = element.sceneNumber;
+
+      // Dual columns cover the whole dialogue block, not just the cue
+      if (element.type === 'character') {
+        dual = element.dual || null;
+      } else if (!['parenthetical', 'dialogue'].includes(element.type) && !element.inDialogue) {
+        dual = null;
+      }
+      if (dual) layoutElement.dual = dual;
+
+      return layoutElement;
+    });
   }
 }
 
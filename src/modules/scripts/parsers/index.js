@@ -0,0 +1,169 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { SCRIPT_FORMATS } = require('../../../shared/constants');
+const { BadRequestError } = require('../../../shared/utils/errors');
+
+const advancedParser = require('./advanced.parser');
+const fountainParser = require('./fountain.parser');
+const fdxParser = require('./fdx.parser');
+
+// Bytes read from the start of a file for content sniffing
+const SNIFF_BYTES = 8192;
+
+/**
+ * Picks a parser for an uploaded script by content signature and file
+ * extension, and normalizes every parser's output to
+ * `{ textPages, scenes, characters, titlePage, document, metadata }`.
+ *
+ * Detection order:
+ *  1. Strong signatures (PDF magic bytes, FinalDraft XML) regardless of extension
+ *  2. Parsers registered for the extension, first whose sniff test passes
+ *  3. The last parser registered for the extension
+ *  4. Any parser whose sniff test passes (unknown extensions)
+ */
+class ParserRegistry {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Register a parser for a format
+   * @param {string} format - One of SCRIPT_FORMATS
+   * @param {object} options
+   * @param {object} options.parser - Parser instance
+   * @param {string} [options.method='parse'] - Method called with the file path
+   * @param {string[]} [options.extensions] - Extensions handled (lowercase, with dot)
+   * @param {function} [options.sniff] - (head: string) => boolean
+   * @param {boolean} [options.strong=false] - Sniff result overrides the extension
+   */
+  register(format, { parser, method = 'parse', extensions = [], sniff = null, strong = false }) {
+    this.entries.push({ format, parser, method, extensions, sniff, strong });
+    return this;
+  }
+
+  /**
+   * Read the start of the file for sniffing
+   */
+  async readHead(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(SNIFF_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+      return buffer.subarray(0, bytesRead).toString('utf8').replace(/^\uFEFF/, '');
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Resolve the registry entry for a file
+   */
+  async detect(filePath, originalName) {
+    const ext = path.extname(originalName || filePath).toLowerCase();
+    const head = await this.readHead(filePath);
+    const sniffs = (entry) => !!entry.sniff && entry.sniff(head);
+
+    const strong = this.entries.find(entry => entry.strong && sniffs(entry));
+    if (strong) return strong;
+
+    const candidates = this.entries.filter(entry => entry.extensions.includes(ext));
+    const matched = candidates.find(entry => !entry.sniff || sniffs(entry));
+    if (matched) return matched;
+    if (candidates.length > 0) return candidates[candidates.length - 1];
+
+    const sniffed = this.entries.find(sniffs);
+    if (sniffed) return sniffed;
+
+    throw new BadRequestError(`Unsupported script format: ${ext || 'unknown'}`);
+  }
+
+  /**
+   * Detect the format and parse the file
+   */
+  async parse(filePath, originalName) {
+    const entry = await this.detect(filePath, originalName);
+    console.log(`🧭 Detected ${entry.format} script: ${originalName || filePath}`);
+
+    const result = await entry.parser[entry.method](filePath);
+    return this.normalize(result, entry.format);
+  }
+
+  /**
+   * Guarantee the shared result shape regardless of parser
+   */
+  normalize(result, format) {
+    const textPages = (result.textPages || []).map((page, index) => {
+      const rawText = page.rawText || '';
+      return {
+        pageNumber: page.pageNumber || index + 1,
+        rawText,
+        lineCount: page.lineCount ?? rawText.split('\n').length,
+        formattedLines: page.formattedLines || [],
+      };
+    });
+
+    return {
+      format,
+      fileType: format,
+      textPages,
+      scenes: result.scenes || [],
+      characters: result.characters || [],
+      // Title page as [{ key, value: [lines] }] (Fountain keys)
+      titlePage: result.titlePage || [],
+      // Lossless source model for re-export (Fountain document, FDX extras)
+      document: result.document || null,
+      metadata: {
+        ...(result.metadata || {}),
+        format,
+      },
+    };
+  }
+}
+
+/**
+ * Plain text laid out like a printed screenplay (deep indentation for cues
+ * and dialogue) rather than Fountain markup
+ */
+function looksLikeIndentedScreenplay(head) {
+  const lines = head.split('\n').filter(line => line.trim());
+  if (lines.length < 10) return false;
+  const indented = lines.filter(line => /^( {10,}|\t{2,})\S/.test(line)).length;
+  return indented / lines.length > 0.2;
+}
+
+/**
+ * Fountain markers: title page keys, scene headings, forced elements
+ */
+function looksLikeFountain(head) {
+  return /^(Title|Credit|Author|Authors|Source|Draft date|Contact):/im.test(head) ||
+    /^(INT|EXT|EST|INT\.?\/EXT|I\/E)[. ]/im.test(head) ||
+    /^\.[A-Z]/m.test(head) ||
+    /^\[\[|^\/\*|^={3,}\s*$/m.test(head);
+}
+
+const registry = new ParserRegistry()
+  .register(SCRIPT_FORMATS.PDF, {
+    parser: advancedParser,
+    extensions: ['.pdf'],
+    sniff: (head) => head.startsWith('%PDF-'),
+    strong: true,
+  })
+  .register(SCRIPT_FORMATS.FDX, {
+    parser: fdxParser,
+    extensions: ['.fdx'],
+    sniff: (head) => /<FinalDraft[\s>]/.test(head),
+    strong: true,
+  })
+  .register(SCRIPT_FORMATS.TXT, {
+    parser: advancedParser,
+    method: 'parseTextFile',
+    extensions: ['.txt'],
+    sniff: looksLikeIndentedScreenplay,
+  })
+  .register(SCRIPT_FORMATS.FOUNTAIN, {
+    parser: fountainParser,
+    extensions: ['.fountain', '.spmd', '.txt'],
+    sniff: looksLikeFountain,
+  });
+
+module.exports = registry;
@@ -0,0 +1,365 @@
+const {
+  SCREENPLAY_PAGE,
+  ELEMENT_LAYOUT,
+  ELEMENT_FORMATTING,
+} = require('../../../shared/constants');
+const advancedParser = require('./advanced.parser');
+const { normalizeCharacterName } = require('./character-names');
+
+// Elements that continue a dialogue block without a blank line in between
+const DIALOGUE_TYPES = ['character', 'parenthetical', 'dialogue', 'lyrics'];
+
+// Writer-only elements (Fountain sections, synopses, notes, boneyard) that never print
+const NON_PRINTING_TYPES = ['section', 'synopsis', 'note', 'boneyard'];
+
+/**
+ * Lays out native screenplay elements (Fountain / FDX) into the same
+ * page + formatted-line shape the advanced PDF parser produces, so every
+ * format ends up as `{ textPages, scenes, characters, metadata }`.
+ *
+ * An element is `{ type, text, ...extra }` where type is one of the keys
+ * of ELEMENT_LAYOUT, `page_break`, or a non-printing type (section,
+ * synopsis, note, boneyard). Extra fields (sceneNumber, dual, revisionId...)
+ * are copied onto every formatted line the element produces, except
+ * `sceneProperties` (scene headings only), which goes onto the scene.
+ */
+class ScreenplayLayout {
+  /**
+   * Build the normalized parse result from an ordered element list
+   */
+  build(elements, metadata = {}) {
+    const textPages = this.paginate(elements);
+    const scenes = this.buildScenes(elements);
+    const characters = advancedParser.extractCharacters(scenes);
+
+    return {
+      textPages,
+      scenes,
+      characters,
+      metadata: {
+        ...advancedParser.generateMetadata(textPages, scenes, characters),
+        ...metadata,
+      },
+    };
+  }
+
+  /**
+   * Word-wrap text to a column width, keeping explicit line breaks
+   */
+  wrapText(text, width) {
+    const lines = [];
+
+    String(text || '').split('\n').forEach(paragraph => {
+      const words = paragraph.trim().split(/\s+/).filter(Boolean);
+      if (words.length === 0) {
+        lines.push('');
+        return;
+      }
+
+      let current = '';
+      words.forEach(word => {
+        if (!current) {
+          current = word;
+        } else if (current.length + 1 + word.length <= width) {
+          current += ` ${word}`;
+        } else {
+          lines.push(current);
+          current = word;
+        }
+
+        // Hard-break words longer than the column
+        while (current.length > width) {
+          lines.push(current.slice(0, width));
+          current = current.slice(width);
+        }
+      });
+      if (current) lines.push(current);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Turn one element into formatted lines (one entry per printed line)
+   */
+  formatElement(element) {
+    const { type, text, pageNumber, sceneProperties, ...extra } = element;
+    const spec = ELEMENT_LAYOUT[type] || ELEMENT_LAYOUT.action;
+    const uppercase = ['scene_heading', 'character', 'transition', 'shot'].includes(type);
+    const content = uppercase ? String(text || '').toUpperCase() : text;
+
+    return this.wrapText(content, spec.width).map(line => {
+      let indentation = spec.indent;
+      if (spec.alignment === 'right') {
+        indentation = Math.max(0, SCREENPLAY_PAGE.CHARS_PER_LINE - line.length);
+      } else if (type === 'centered') {
+        indentation = Math.max(0, Math.floor((SCREENPLAY_PAGE.CHARS_PER_LINE - line.length) / 2));
+      }
+
+      return {
+        ...extra,
+        type,
+        text: line,
+        original: ' '.repeat(indentation) + line,
+        indentation,
+        alignment: spec.alignment,
+        formatting: { ...(ELEMENT_FORMATTING[type] || ELEMENT_FORMATTING.action) },
+      };
+    });
+  }
+
+  /**
+   * Blank lines that precede an element
+   */
+  spacingBefore(previous, element) {
+    if (!previous) return 0;
+    if (['dialogue', 'parenthetical', 'lyrics'].includes(element.type) &&
+        DIALOGUE_TYPES.includes(previous.type)) {
+      return 0;
+    }
+    return 1;
+  }
+
+  /**
+   * Paginate elements into fixed-height pages.
+   * Scene headings and character cues are never left alone at the bottom
+   * of a page; dialogue may break across pages (renderers add MORE/CONT'D).
+   * Sets `pageNumber` on each element to the page it starts on.
+   */
+  paginate(elements) {
+    const pages = [];
+    let lines = [];
+    let previous = null;
+
+    const flush = () => {
+      // Drop trailing blank lines
+      while (lines.length > 0 && lines[lines.length - 1].type === 'empty') lines.pop();
+      pages.push(lines);
+      lines = [];
+      previous = null;
+    };
+
+    const blank = () => ({ type: 'empty', text: '', original: '', indentation: 0, alignment: 'left' });
+
+    const printable = elements.filter(element => !NON_PRINTING_TYPES.includes(element.type));
+    let forcedBreak = false;
+
+    printable.forEach((element, index) => {
+      if (element.type === 'page_break') {
+        if (lines.length > 0) flush();
+        forcedBreak = pages.length > 0;
+        return;
+      }
+
+      const formatted = this.formatElement(element);
+      // Remembered on the line so exports can restore the explicit break
+      if (forcedBreak) {
+        formatted[0].startsNewPage = true;
+        forcedBreak = false;
+      }
+      const spacing = lines.length > 0 ? this.spacingBefore(previous, element) : 0;
+      const remaining = SCREENPLAY_PAGE.LINES_PER_PAGE - lines.length - spacing;
+
+      // Keep headings and cues with what follows them
+      const next = printable[index + 1];
+      const keepWithNext = ['scene_heading', 'character', 'shot'].includes(element.type) && next && next.type !== 'page_break';
+      const needed = formatted.length + (keepWithNext ? Math.min(2, this.formatElement(next).length) + this.spacingBefore(element, next) : 0);
+
+      if (lines.length > 0 && needed > remaining) {
+        // Long action/dialogue may run onto the next page instead
+        const splittable = ['action', 'dialogue'].includes(element.type) &&
+          remaining >= 2 && formatted.length > remaining;
+        if (!splittable) flush();
+      }
+
+      if (lines.length > 0) {
+        for (let i = 0; i < spacing; i++) lines.push(blank());
+      }
+      element.pageNumber = pages.length + 1;
+      formatted.forEach(line => {
+        if (lines.length >= SCREENPLAY_PAGE.LINES_PER_PAGE) flush();
+        lines.push(line);
+      });
+      previous = element;
+    });
+
+    if (lines.length > 0 || pages.length === 0) flush();
+
+    return pages.map((pageLines, index) => ({
+      pageNumber: index + 1,
+      rawText: pageLines.map(line => line.original).join('\n'),
+      lineCount: pageLines.length,
+      formattedLines: pageLines,
+    }));
+  }
+
+  /**
+   * Group elements into scenes using native element types (no guessing)
+   */
+  buildScenes(elements) {
+    const scenes = [];
+    let current = null;
+    let sceneLines = [];
+    let speaker = null;
+
+    const finish = () => {
+      if (!current) return;
+      current.text = sceneLines.join('\n');
+      current.summary = current.synopsis || advancedParser.generateSceneSummary(current);
+      delete current.synopsis;
+      if (current.notes.length > 0) {
+        current.notes = current.notes.join('\n');
+      } else {
+        delete current.notes;
+      }
+      current.props = advancedParser.extractProps(sceneLines);
+      scenes.push(current);
+    };
+
+    elements.forEach(element => {
+      if (element.type === 'scene_heading') {
+        finish();
+        const heading = String(element.text || '').trim();
+        const sceneData = advancedParser.parseSceneHeading(heading);
+        const properties = element.sceneProperties || {};
+
+        current = {
+          sceneNumber: scenes.length + 1,
+          sceneLabel: element.sceneNumber ? String(element.sceneNumber) : null,
+          pageNumber: element.pageNumber || 1,
+          pageLabel: properties.pageLabel || null,
+          lengthEighths: properties.lengthEighths ?? null,
+          color: properties.color || null,
+          synopsis: properties.summary || null,
+          heading,
+          location: sceneData.location,
+          intExt: sceneData.intExt,
+          timeOfDay: sceneData.time,
+          dialogue: [],
+          actions: [],
+          actors: [],
+          notes: [],
+        };
+        sceneLines = [heading];
+        speaker = null;
+        return;
+      }
+
+      if (!current || element.type === 'page_break' || !element.text) return;
+
+      // Writer annotations describe the scene but are not part of its text
+      if (element.type === 'synopsis') {
+        current.synopsis = current.synopsis ? `${current.synopsis} ${element.text}` : element.text;
+        return;
+      }
+      if (element.type === 'note') {
+        current.notes.push(element.text.trim());
+        return;
+      }
+      if (NON_PRINTING_TYPES.includes(element.type)) return;
+
+      sceneLines.push(element.text);
+
+      switch (element.type) {
+        case 'character': {
+          // A new cue closes the previous speech
+          current.dialogue.forEach(d => { d.open = false; });
+          speaker = this.cleanCharacterName(element.text);
+          if (speaker && !current.actors.includes(speaker)) current.actors.push(speaker);
+          break;
+        }
+        case 'dialogue':
+        case 'lyrics': {
+          if (!speaker) break;
+          const last = current.dialogue[current.dialogue.length - 1];
+          if (last && last.character === speaker && last.open) {
+            last.text = `${last.text} ${element.text.replace(/\s+/g, ' ')}`.trim();
+          } else {
+            current.dialogue.push({ character: speaker, text: element.text.replace(/\s+/g, ' ').trim(), open: true });
+          }
+          break;
+        }
+        case 'parenthetical':
+          break;
+        case 'action':
+          current.actions.push(element.text);
+          speaker = null;
+          break;
+        default:
+          speaker = null;
+      }
+    });
+
+    finish();
+
+    scenes.forEach(scene => {
+      scene.dialogue.forEach(d => { delete d.open; });
+    });
+
+    return scenes;
+  }
+
+  /**
+   * Rebuild an element list from stored page lines (any parser), joining
+   * wrapped lines back into one element. Dialogue that runs over a page
+   * boundary stays one element. Elements keep the page they start on.
+   */
+  elementsFromPages(pages) {
+    const elements = [];
+    let separated = true;
+
+    [...pages]
+      .sort((a, b) => a.pageNumber - b.pageNumber)
+      .forEach(page => {
+        const lines = page.formatted || page.formattedLines || [];
+
+        lines.forEach(line => {
+          const text = String(line?.text || '').trim();
+          if (!text || line.type === 'empty') {
+            separated = true;
+            return;
+          }
+
+          if (line.startsNewPage && elements.length > 0) {
+            elements.push({ type: 'page_break' });
+            separated = true;
+          }
+
+          const last = elements[elements.length - 1];
+          const continues = last && last.type === line.type &&
+            (!separated || (line.type === 'dialogue' && last.pageBreak));
+
+          if (continues) {
+            last.text += ` ${text}`;
+            delete last.pageBreak;
+          } else {
+            const { type, original, indentation, alignment, formatting, startsNewPage, ...extra } = line;
+            if (last) delete last.pageBreak;
+            const element = { ...extra, type: ELEMENT_LAYOUT[type] ? type : 'action', text, pageNumber: page.pageNumber };
+            if (type === 'lyrics' && !separated && last && DIALOGUE_TYPES.includes(last.type)) {
+              element.inDialogue = true;
+            }
+            elements.push(element);
+          }
+          separated = false;
+        });
+
+        // Page boundary: only a split speech carries over
+        const last = elements[elements.length - 1];
+        if (last) last.pageBreak = true;
+        separated = true;
+      });
+
+    elements.forEach(element => { delete element.pageBreak; });
+    return elements;
+  }
+
+  /**
+   * Character cue -> character name (drops extensions and dual markers)
+   */
+  cleanCharacterName(cue) {
+    return normalizeCharacterName(cue);
+  }
+}
+
+module.exports = new ScreenplayLayout();
@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const { PDFParse } = require('pdf-parse');
+const { normalizeCharacterName } = require('./character-names');
 
 class HybridScriptParser {
   async parse(filePath) {
@@ -370,11 +371,7 @@ class HybridScriptParser {
   }
 
   cleanCharacterName(line) {
-    return line
-      .replace(/\([^)]*\)/g, '')
-      .replace(/\s+/g, ' ')
-      .replace(/â€™/g, "'")
-      .trim();
+    return normalizeCharacterName(line);
   }
 
   isParenthetical(line) {
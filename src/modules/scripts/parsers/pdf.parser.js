@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const { PDFParse } = require('pdf-parse');
+const { normalizeCharacterName } = require('./character-names');
 
 class PDFScriptParser {
   async parse(filePath) {
@@ -283,11 +284,7 @@ class PDFScriptParser {
   }
 
   cleanCharacterName(line) {
-    return line
-      .replace(/\([^)]*\)/g, '')
-      .replace(/\s+/g, ' ')
-      .replace(/â€™/g, "'")
-      .trim();
+    return normalizeCharacterName(line);
   }
 
 /**
@@ -0,0 +1,396 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../config/database.config');
+const { BadRequestError } = require('../../shared/utils/errors');
+const layout = require('./parsers/layout');
+const advancedParser = require('./parsers/advanced.parser');
+const breakdownService = require('../scenes/breakdown.service');
+const scriptTimingService = require('./script-timing.service');
+const locationLinkService = require('../locations/location-link.service');
+
+// Minimum heading/content similarity for an edited scene to keep its id
+const MATCH_THRESHOLD = 0.5;
+const HEADING_WEIGHT = 0.4;
+
+// Scene fields read from the page text (color, eighths and notes are kept)
+const SCENE_TEXT_FIELDS = ['heading', 'sceneLabel', 'location', 'intExt', 'timeOfDay', 'sceneText', 'actors', 'props', 'dialogue'];
+
+const ANALYSIS_TIMEOUT_MS = 30000;
+
+/**
+ * Incremental reanalysis. Only scenes on pages edited since the last
+ * analysis are parsed again; they are matched to the old Scene rows by
+ * scene number, heading and content similarity so scene ids (and the AI
+ * generations, comments and assets linked to them) survive edits.
+ * Characters are rebuilt from the per-scene dialogue stored on Scene rows.
+ */
+class ScriptAnalysisService {
+  /**
+   * @param {object} script - Script row (id, metadata, analyzedAt)
+   * @param {object} [options]
+   * @param {boolean} [options.full=false] - Treat every page as edited
+   * @returns {Promise<object>} change set
+   */
+  async reanalyze(script, { full = false } = {}) {
+    const [pages, oldScenes] = await Promise.all([
+      prisma.scriptPage.findMany({ where: { scriptId: script.id }, orderBy: { pageNumber: 'asc' } }),
+      prisma.scene.findMany({ where: { scriptId: script.id }, orderBy: { sceneNumber: 'asc' } }),
+    ]);
+
+    if (pages.length === 0) {
+      throw new BadRequestError('No pages to analyze');
+    }
+
+    const changedPages = new Set(pages
+      .filter(page => full || !script.analyzedAt || page.updatedAt > script.analyzedAt)
+      .map(page => page.pageNumber));
+
+    const chunks = this.sceneChunks(layout.elementsFromPages(pages));
+    const plan = this.planScenes(chunks, oldScenes, changedPages, pages);
+
+    const changes = {
+      pages: [...changedPages].sort((a, b) => a - b),
+      scenes: { added: [], removed: [], modified: [], renumbered: 0 },
+      characters: { added: [], removed: [], modified: [] },
+    };
+
+    const result = await prisma.$transaction(async (tx) => {
+      await this.writeScenes(tx, script.id, plan, oldScenes, changes.scenes);
+
+      const scenes = await tx.scene.findMany({
+        where: { scriptId: script.id },
+        orderBy: { sceneNumber: 'asc' },
+      });
+      const characters = await this.syncCharacters(tx, script.id, scenes, changes.characters);
+
+      // New scenes and changed headings are linked to their location again
+      await locationLinkService.linkScenes(tx, script.id, [
+        ...changes.scenes.added.map(scene => scene.id),
+        ...changes.scenes.modified.filter(scene => scene.fields.includes('location')).map(scene => scene.id),
+      ]);
+
+      // Tags follow the edited text; new and edited scenes get fresh suggestions
+      const edited = changes.scenes.modified
+        .filter(scene => scene.fields.includes('sceneText') || scene.fields.includes('actors'))
+        .map(scene => scene.id);
+      await breakdownService.reanchorElements(tx, edited);
+      await breakdownService.suggestFromParser(tx, script.id, [...changes.scenes.added.map(scene => scene.id), ...edited]);
+
+      await scriptTimingService.updateScenes(tx, script.id);
+
+      // Scene rows keep no action list, so the previous action count stays
+      const { totalActions, ...counts } = advancedParser.generateMetadata(
+        pages,
+        scenes.map(scene => ({ ...scene, dialogue: scene.dialogue || [], actions: [] })),
+        characters
+      );
+      const metadata = { ...(script.metadata || {}), ...counts };
+
+      await tx.script.update({
+        where: { id: script.id },
+        data: { metadata, analyzedAt: new Date() },
+      });
+
+      return { scenes: scenes.length, characters: characters.length, metadata };
+    }, { timeout: ANALYSIS_TIMEOUT_MS });
+
+    console.log(
+      `🔍 Reanalyzed ${changes.pages.length}/${pages.length} pages: ` +
+      `+${changes.scenes.added.length} -${changes.scenes.removed.length} ~${changes.scenes.modified.length} scenes`
+    );
+
+    return { ...result, changes };
+  }
+
+  /**
+   * Split elements at scene headings; text before the first heading
+   * belongs to no scene
+   */
+  sceneChunks(elements) {
+    const chunks = [];
+
+    elements.forEach(element => {
+      if (element.type === 'scene_heading') {
+        chunks.push({ elements: [element] });
+      } else if (chunks.length > 0) {
+        chunks[chunks.length - 1].elements.push(element);
+      }
+    });
+
+    return chunks.map(chunk => {
+      const pageNumbers = chunk.elements.map(element => element.pageNumber).filter(Boolean);
+      return {
+        ...chunk,
+        startPage: Math.min(...pageNumbers),
+        endPage: Math.max(...pageNumbers),
+        heading: String(chunk.elements[0].text || '').trim(),
+      };
+    });
+  }
+
+  /**
+   * Decide for every scene in the new text which old row it continues.
+   * Chunks and rows away from the edited pages pair up in order; the rest
+   * are parsed and matched by similarity.
+   * Returns [{ chunk, oldScene, scene }] in script order, where `scene`
+   * is the parsed scene (dirty chunks only) and `oldScene` may be null.
+   */
+  planScenes(chunks, oldScenes, changedPages, pages) {
+    const touches = (start, end) => [...changedPages].some(page => page >= start && page <= end);
+    const lastPage = pages[pages.length - 1].pageNumber;
+
+    const dirtyChunks = new Set(chunks.filter(chunk => touches(chunk.startPage, chunk.endPage)));
+    const dirtyOld = new Set(oldScenes.filter((scene, index) => {
+      const end = oldScenes[index + 1]?.page ?? lastPage;
+      // Rows saved before per-scene dialogue was stored are parsed once more
+      return scene.dialogue === null || touches(scene.page || 1, end);
+    }));
+
+    // Untouched scenes pair in order when heading and page still agree
+    const cleanChunks = chunks.filter(chunk => !dirtyChunks.has(chunk));
+    const cleanOld = oldScenes.filter(scene => !dirtyOld.has(scene));
+    const pairs = new Map();
+    let i = 0;
+    let j = 0;
+    while (i < cleanChunks.length && j < cleanOld.length) {
+      const chunk = cleanChunks[i];
+      const scene = cleanOld[j];
+      if (this.normalize(chunk.heading) === this.normalize(scene.heading) && chunk.startPage === scene.page) {
+        pairs.set(chunk, scene);
+        i++;
+        j++;
+      } else if (chunk.startPage <= (scene.page || 1)) {
+        dirtyChunks.add(chunk);
+        i++;
+      } else {
+        dirtyOld.add(scene);
+        j++;
+      }
+    }
+    cleanChunks.slice(i).forEach(chunk => dirtyChunks.add(chunk));
+    cleanOld.slice(j).forEach(scene => dirtyOld.add(scene));
+
+    // Parse only the scenes on edited pages
+    const pageLabels = new Map(pages.map(page => [page.pageNumber, page.pageLabel]));
+    const parsed = new Map();
+    dirtyChunks.forEach(chunk => {
+      const [scene] = layout.buildScenes(chunk.elements);
+      scene.pageNumber = chunk.startPage;
+      scene.pageLabel = pageLabels.get(chunk.startPage) || null;
+      parsed.set(chunk, scene);
+    });
+
+    this.matchScenes([...dirtyChunks], [...dirtyOld], parsed).forEach((scene, chunk) => pairs.set(chunk, scene));
+
+    return chunks.map(chunk => ({
+      chunk,
+      oldScene: pairs.get(chunk) || null,
+      scene: parsed.get(chunk) || null,
+    }));
+  }
+
+  /**
+   * Greedy best-first matching of parsed scenes to old rows. A matching
+   * scene number label (locked scripts, FDX numbers) always wins.
+   */
+  matchScenes(chunks, oldScenes, parsed) {
+    const candidates = [];
+    chunks.forEach(chunk => {
+      const scene = parsed.get(chunk);
+      oldScenes.forEach(old => {
+        const score = scene.sceneLabel && old.sceneLabel === scene.sceneLabel
+          ? 1 + HEADING_WEIGHT
+          : this.similarity(old, scene);
+        if (score >= MATCH_THRESHOLD) candidates.push({ chunk, old, score });
+      });
+    });
+
+    const matches = new Map();
+    const used = new Set();
+    candidates
+      .sort((a, b) => b.score - a.score)
+      .forEach(({ chunk, old }) => {
+        if (matches.has(chunk) || used.has(old)) return;
+        matches.set(chunk, old);
+        used.add(old);
+      });
+
+    return matches;
+  }
+
+  similarity(old, scene) {
+    const heading = this.tokenSimilarity(old.heading, scene.heading);
+    const content = this.tokenSimilarity(old.sceneText, scene.text);
+    return heading * HEADING_WEIGHT + content * (1 - HEADING_WEIGHT);
+  }
+
+  /**
+   * Jaccard similarity of the word sets
+   */
+  tokenSimilarity(a, b) {
+    const words = text => new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+    const left = words(a);
+    const right = words(b);
+    if (left.size === 0 && right.size === 0) return 1;
+
+    let shared = 0;
+    left.forEach(word => { if (right.has(word)) shared++; });
+    return shared / (left.size + right.size - shared);
+  }
+
+  normalize(heading) {
+    return String(heading || '').replace(/\s+/g, ' ').trim().toUpperCase();
+  }
+
+  /**
+   * Apply the plan: delete unmatched rows, update matched ones in place,
+   * create new ones and renumber everything in script order
+   */
+  async writeScenes(tx, scriptId, plan, oldScenes, changes) {
+    const kept = new Set(plan.map(entry => entry.oldScene).filter(Boolean));
+    const removed = oldScenes.filter(scene => !kept.has(scene));
+
+    if (removed.length > 0) {
+      await tx.scene.deleteMany({ where: { id: { in: removed.map(scene => scene.id) } } });
+      removed.forEach(scene => changes.removed.push(this.describeScene(scene)));
+    }
+
+    // Park rows that move out of the way of the (scriptId, sceneNumber) index
+    const moving = plan.filter((entry, index) => entry.oldScene && entry.oldScene.sceneNumber !== index + 1);
+    if (moving.length > 0) {
+      const ids = moving.map(entry => entry.oldScene.id);
+      await tx.$executeRaw`UPDATE "scenes" SET "sceneNumber" = -"sceneNumber" - 1 WHERE "id" IN (${Prisma.join(ids)})`;
+      changes.renumbered = moving.length;
+    }
+
+    for (const [index, { oldScene, scene }] of plan.entries()) {
+      const position = { sceneNumber: index + 1, order: index };
+
+      if (!oldScene) {
+        const created = await tx.scene.create({
+          data: { scriptId, ...position, ...this.sceneData(scene) },
+        });
+        changes.added.push(this.describeScene(created));
+        continue;
+      }
+
+      const data = scene ? this.sceneData(scene) : {};
+      const fields = SCENE_TEXT_FIELDS.filter(field => (
+        field in data && JSON.stringify(data[field]) !== JSON.stringify(oldScene[field] ?? null)
+      ));
+      const moved = oldScene.sceneNumber !== position.sceneNumber || oldScene.order !== position.order ||
+        (scene && (oldScene.page !== data.page || oldScene.pageLabel !== data.pageLabel));
+
+      if (fields.length === 0 && !moved) continue;
+
+      // Unchanged text keeps its summary (which may have been written by hand)
+      const update = fields.length > 0 ? { ...data } : { page: data.page, pageLabel: data.pageLabel };
+      if (fields.length === 0 || (fields.length === 1 && fields[0] === 'sceneLabel')) delete update.summary;
+
+      const updated = await tx.scene.update({
+        where: { id: oldScene.id },
+        data: Object.fromEntries(Object.entries({ ...update, ...position }).filter(([, value]) => value !== undefined)),
+      });
+      if (fields.length > 0) {
+        changes.modified.push({ ...this.describeScene(updated), fields });
+      }
+    }
+  }
+
+  /**
+   * Scene row fields from a parsed scene
+   */
+  sceneData(scene) {
+    return {
+      sceneLabel: scene.sceneLabel || null,
+      page: scene.pageNumber || 1,
+      pageLabel: scene.pageLabel || null,
+      heading: scene.heading,
+      location: scene.location || 'Unknown',
+      intExt: scene.intExt || 'INT',
+      timeOfDay: scene.timeOfDay || 'DAY',
+      summary: scene.summary || '',
+      sceneText: scene.text || '',
+      actors: scene.actors || [],
+      props: scene.props || [],
+      dialogue: scene.dialogue || [],
+    };
+  }
+
+  describeScene(scene) {
+    return {
+      id: scene.id,
+      sceneNumber: scene.sceneNumber,
+      sceneLabel: scene.sceneLabel,
+      heading: scene.heading,
+    };
+  }
+
+  /**
+   * Rebuild Character rows from the scenes' cast and dialogue, keeping ids.
+   * Cast-list characters without dialogue (FDX SmartType) are kept.
+   * Cue names in a character's aliases count towards that character.
+   */
+  async syncCharacters(tx, scriptId, scenes, changes) {
+    const existing = await tx.character.findMany({ where: { scriptId } });
+    const byName = new Map(existing.map(character => [character.name, character]));
+    const aliasOf = new Map(existing.flatMap(character => (character.aliases || []).map(alias => [alias, character.name])));
+    const resolve = name => aliasOf.get(name) || name;
+
+    const totals = new Map();
+    scenes.forEach(scene => {
+      (scene.actors || []).map(resolve).forEach(name => {
+        if (!totals.has(name)) totals.set(name, { lines: 0, sceneIds: [], dialogue: [] });
+        const total = totals.get(name);
+        if (!total.sceneIds.includes(scene.id)) total.sceneIds.push(scene.id);
+      });
+
+      (scene.dialogue || []).forEach(({ character, text }) => {
+        const total = totals.get(resolve(character));
+        if (!total) return;
+        total.lines += 1;
+        total.dialogue.push(text);
+      });
+    });
+
+    const characters = [];
+
+    for (const character of existing) {
+      if (totals.has(character.name)) continue;
+      if (character.metadata?.inCastList) {
+        characters.push(character);
+        continue;
+      }
+      await tx.character.delete({ where: { id: character.id } });
+      changes.removed.push(character.name);
+    }
+
+    for (const [name, total] of totals) {
+      const data = {
+        lines: total.lines,
+        scenes: total.sceneIds.length,
+        sceneIds: total.sceneIds,
+        dialogue: total.dialogue,
+      };
+      const current = byName.get(name);
+
+      if (!current) {
+        characters.push(await tx.character.create({ data: { scriptId, name, ...data } }));
+        changes.added.push(name);
+        continue;
+      }
+
+      const fields = Object.keys(data).filter(field => JSON.stringify(data[field]) !== JSON.stringify(current[field] ?? null));
+      if (fields.length === 0) {
+        characters.push(current);
+        continue;
+      }
+
+      characters.push(await tx.character.update({ where: { id: current.id }, data }));
+      changes.modified.push({ name, fields });
+    }
+
+    return characters;
+  }
+}
+
+module.exports = new ScriptAnalysisService();
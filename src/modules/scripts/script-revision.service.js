@@ -0,0 +1,572 @@
+const { prisma } = require('../../config/database.config');
+const {
+  SCREENPLAY_PAGE,
+  ELEMENT_LAYOUT,
+  ELEMENT_FORMATTING,
+  REVISION_COLORS,
+} = require('../../shared/constants');
+const { NotFoundError, BadRequestError, ConflictError } = require('../../shared/utils/errors');
+const { diffLines } = require('../../shared/utils/diff.utils');
+const scriptVersionService = require('./script-version.service');
+
+// Lines that never end a page (they belong with what follows)
+const KEEP_WITH_NEXT = ['scene_heading', 'character', 'shot'];
+
+// Locking touches every page of the script in one transaction
+const LOCK_TIMEOUT_MS = 30000;
+
+const REVISION_SELECT = {
+  id: true,
+  sequence: true,
+  name: true,
+  color: true,
+  pageColor: true,
+  mark: true,
+  notes: true,
+  issuedAt: true,
+  createdBy: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+    },
+  },
+  _count: {
+    select: { pages: true },
+  },
+};
+
+/**
+ * Production revisions. Locking a script freezes its page and scene
+ * numbers: from then on an edit never reflows the script. Overflow goes to
+ * A/B pages, deleted scenes stay in place as "OMITTED", and every changed
+ * line and page is tagged with the active (newest) revision set.
+ */
+class ScriptRevisionService {
+  /**
+   * Standard color for the nth revision set (1 = White)
+   */
+  revisionColor(sequence) {
+    const round = Math.floor((sequence - 1) / REVISION_COLORS.length);
+    const color = REVISION_COLORS[(sequence - 1) % REVISION_COLORS.length];
+    const prefix = ['', 'Double ', 'Triple ', 'Quadruple '][round] ?? `${round + 1}x `;
+
+    return { name: `${prefix}${color.name}`, hex: color.hex };
+  }
+
+  /**
+   * Revision sets in issue order, with the number of pages each changed
+   */
+  async listRevisions(scriptId) {
+    return prisma.scriptRevision.findMany({
+      where: { scriptId },
+      orderBy: { sequence: 'asc' },
+      select: REVISION_SELECT,
+    });
+  }
+
+  async getActiveRevision(scriptId, client = prisma) {
+    return client.scriptRevision.findFirst({
+      where: { scriptId },
+      orderBy: { sequence: 'desc' },
+    });
+  }
+
+  /**
+   * Pages last changed by a revision set (the pages to distribute)
+   */
+  async getRevisionPages(scriptId, revisionId) {
+    const revision = await prisma.scriptRevision.findFirst({
+      where: { id: revisionId, scriptId },
+      select: REVISION_SELECT,
+    });
+
+    if (!revision) {
+      throw new NotFoundError('Revision not found');
+    }
+
+    const pages = await prisma.scriptPage.findMany({
+      where: { scriptId, revisionId },
+      orderBy: { pageNumber: 'asc' },
+      select: { pageNumber: true, pageLabel: true, updatedAt: true },
+    });
+
+    return { revision, pages };
+  }
+
+  /**
+   * Issue the next revision set; it becomes the active one
+   */
+  async issueRevision(scriptId, userId, data = {}, client = prisma) {
+    const last = await this.getActiveRevision(scriptId, client);
+    const sequence = (last?.sequence || 0) + 1;
+    const standard = this.revisionColor(sequence);
+    const color = data.color || standard.name;
+
+    const revision = await client.scriptRevision.create({
+      data: {
+        scriptId,
+        sequence,
+        name: data.name || `${color} Revision`,
+        color,
+        pageColor: data.pageColor || standard.hex,
+        mark: data.mark ? String(data.mark).slice(0, 2) : '*',
+        notes: data.notes || null,
+        createdById: userId,
+      },
+    });
+
+    console.log(`🎨 Issued ${revision.name} (#${sequence}) for script ${scriptId}`);
+    return revision;
+  }
+
+  /**
+   * Revision sets of an imported Final Draft file, as ScriptRevision rows.
+   * Returns FDX set id -> ScriptRevision id.
+   */
+  async importRevisionSets(scriptId, userId, revisions) {
+    const ids = new Map();
+    const sets = revisions?.sets || [];
+
+    for (const [index, set] of sets.entries()) {
+      const sequence = index + 1;
+      const color = REVISION_COLORS.find(({ name }) => new RegExp(`\\b${name}\\b`, 'i').test(set.name || ''));
+      const standard = this.revisionColor(sequence);
+
+      const revision = await prisma.scriptRevision.create({
+        data: {
+          scriptId,
+          sequence,
+          name: set.name || `${standard.name} Revision`,
+          color: color?.name || standard.name,
+          pageColor: set.pageColor || color?.hex || standard.hex,
+          mark: set.mark || '*',
+          createdById: userId,
+        },
+      });
+      ids.set(String(set.id), revision.id);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Point imported line marks at ScriptRevision ids; returns the lines and
+   * the newest revision on the page
+   */
+  remapRevisionLines(lines, ids) {
+    if (ids.size === 0) return { lines, revisionId: null };
+
+    const order = [...ids.values()];
+    let revisionId = null;
+
+    const remapped = lines.map(line => {
+      if (!line.revisionId) return line;
+      const id = ids.get(String(line.revisionId)) || null;
+      if (id && order.indexOf(id) > order.indexOf(revisionId)) revisionId = id;
+      return { ...line, revisionId: id };
+    });
+
+    return { lines: remapped, revisionId };
+  }
+
+  /**
+   * Freeze pagination: every page keeps its printed number and every scene
+   * heading carries its scene number from now on. The first White set is
+   * issued if the script has none yet.
+   */
+  async lockScript(scriptId, userId) {
+    const script = await prisma.script.findUnique({
+      where: { id: scriptId },
+      select: { isLocked: true },
+    });
+
+    if (script.isLocked) {
+      throw new ConflictError('Script pagination is already locked');
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const [pages, scenes] = await Promise.all([
+        tx.scriptPage.findMany({ where: { scriptId }, orderBy: { pageNumber: 'asc' } }),
+        tx.scene.findMany({ where: { scriptId }, orderBy: { sceneNumber: 'asc' } }),
+      ]);
+
+      if (pages.length === 0) {
+        throw new BadRequestError('Script has no pages to lock');
+      }
+
+      // Number the headings on the pages, in order, from the Scene records
+      const labels = [];
+      for (const page of pages) {
+        const lines = this.pageLines(page);
+        let changed = false;
+
+        const formatted = lines.map((line, index) => {
+          if (line.type !== 'scene_heading') return line;
+          if (lines[index - 1]?.type !== 'scene_heading') {
+            const scene = scenes[labels.length];
+            labels.push(String(line.sceneNumber || scene?.sceneLabel || scene?.sceneNumber || labels.length + 1));
+          }
+          const label = labels[labels.length - 1];
+          if (line.sceneNumber === label) return line;
+          changed = true;
+          return { ...line, sceneNumber: label };
+        });
+
+        await tx.scriptPage.update({
+          where: { id: page.id },
+          data: {
+            pageLabel: page.pageLabel || String(page.pageNumber),
+            ...(changed ? { formatted } : {}),
+          },
+        });
+      }
+
+      for (const [index, scene] of scenes.entries()) {
+        const sceneLabel = labels[index] || scene.sceneLabel || String(scene.sceneNumber);
+        if (scene.sceneLabel === sceneLabel) continue;
+        await tx.scene.update({ where: { id: scene.id }, data: { sceneLabel } });
+      }
+
+      const activeRevision = await this.getActiveRevision(scriptId, tx) ||
+        await this.issueRevision(scriptId, userId, {}, tx);
+
+      const locked = await tx.script.update({
+        where: { id: scriptId },
+        data: { isLocked: true, lockedAt: new Date() },
+        select: { lockedAt: true },
+      });
+
+      return {
+        lockedAt: locked.lockedAt,
+        pages: pages.length,
+        scenes: labels.length,
+        activeRevision,
+      };
+    }, { timeout: LOCK_TIMEOUT_MS });
+
+    await scriptVersionService.createVersion(scriptId, userId, {
+      message: 'Locked pagination',
+      source: 'update',
+    });
+
+    console.log(`🔒 Locked script ${scriptId}: ${result.pages} pages, ${result.scenes} scenes`);
+    return result;
+  }
+
+  /**
+   * Allow reflowing again. Page and scene labels and revision marks stay.
+   */
+  async unlockScript(scriptId) {
+    const script = await prisma.script.update({
+      where: { id: scriptId },
+      data: { isLocked: false, lockedAt: null },
+      select: { id: true, isLocked: true },
+    });
+
+    console.log(`🔓 Unlocked script ${scriptId}`);
+    return script;
+  }
+
+  /**
+   * Save an edited page of a locked script.
+   * Changed lines get the active revision, numbered scenes removed from
+   * the page are kept as OMITTED, new scenes get inserted numbers (12A)
+   * and overflow moves onto the page's A/B pages instead of reflowing.
+   * @param {string} scriptId
+   * @param {number} pageNumber
+   * @param {Array} lines - New formatted lines of the page
+   * @param {object} [data] - Extra ScriptPage fields for the edited page
+   */
+  async applyLockedEdit(scriptId, pageNumber, lines, data = {}) {
+    return prisma.$transaction(async (tx) => {
+      const pages = await tx.scriptPage.findMany({
+        where: { scriptId },
+        orderBy: { pageNumber: 'asc' },
+      });
+      const index = pages.findIndex(page => page.pageNumber === pageNumber);
+
+      if (index === -1) {
+        throw new NotFoundError('Page not found');
+      }
+
+      const page = pages[index];
+      const revision = await this.getActiveRevision(scriptId, tx);
+      const otherLabels = new Set(
+        pages.filter(other => other.id !== page.id).flatMap(other => this.sceneLabels(this.pageLines(other)))
+      );
+
+      const marked = this.markChanges(this.pageLines(page), lines, revision, otherLabels);
+      if (!marked.changed) {
+        return tx.scriptPage.update({ where: { id: page.id }, data });
+      }
+
+      const numbered = this.numberNewScenes(
+        marked.lines,
+        this.previousSceneLabel(pages.slice(0, index)),
+        new Set([...otherLabels, ...this.sceneLabels(marked.lines)])
+      );
+
+      // The page's A/B pages absorb overflow; a new letter is added when full
+      const base = this.labelParts(this.pageLabel(page)).base;
+      const run = [];
+      for (const next of pages.slice(index + 1)) {
+        if (this.labelParts(this.pageLabel(next)).base !== base) break;
+        run.push(next);
+      }
+
+      const results = [];
+      let current = { page, lines: numbered };
+      let label = this.pageLabel(page);
+      for (;;) {
+        const { fit, overflow } = this.splitPage(current.lines);
+        results.push({ ...current, lines: fit });
+        if (overflow.length === 0) break;
+
+        const next = run.shift();
+        if (next) {
+          label = this.pageLabel(next);
+          current = { page: next, lines: this.joinLines(overflow, this.pageLines(next)) };
+        } else {
+          label = this.nextLabel(label);
+          current = { page: null, label, lines: overflow };
+        }
+      }
+
+      // Make room for new pages after the last existing one they follow
+      const created = results.filter(result => !result.page);
+      const after = results[results.length - created.length - 1].page.pageNumber;
+      if (created.length > 0) {
+        await tx.$executeRaw`UPDATE "script_pages" SET "pageNumber" = -"pageNumber" WHERE "scriptId" = ${scriptId} AND "pageNumber" > ${after}`;
+        await tx.$executeRaw`UPDATE "script_pages" SET "pageNumber" = -"pageNumber" + ${created.length} WHERE "scriptId" = ${scriptId} AND "pageNumber" < 0`;
+        await tx.$executeRaw`UPDATE "scenes" SET "page" = "page" + ${created.length} WHERE "scriptId" = ${scriptId} AND "page" > ${after}`;
+      }
+
+      let edited = null;
+      for (const [position, result] of results.entries()) {
+        const content = {
+          rawText: this.linesText(result.lines),
+          lineCount: result.lines.length,
+          formatted: result.lines,
+          revisionId: revision.id,
+        };
+
+        if (result.page) {
+          const updated = await tx.scriptPage.update({
+            where: { id: result.page.id },
+            data: { ...content, ...(position === 0 ? data : {}) },
+          });
+          if (position === 0) edited = updated;
+        } else {
+          await tx.scriptPage.create({
+            data: {
+              ...content,
+              scriptId,
+              pageNumber: after + created.indexOf(result) + 1,
+              pageLabel: result.label,
+            },
+          });
+        }
+      }
+
+      if (created.length > 0) {
+        console.log(`📑 Added ${created.map(result => result.label).join(', ')} after page ${this.pageLabel(page)}`);
+      }
+
+      return edited;
+    });
+  }
+
+  /**
+   * Tag added lines with the revision and put OMITTED where a numbered
+   * scene heading was deleted (unless it moved to another page)
+   */
+  markChanges(previous, next, revision, otherLabels) {
+    const key = line => line.original ?? line.text ?? '';
+    const changes = diffLines(previous.map(key).join('\n'), next.map(key).join('\n'));
+    if (changes.length === 0) return { lines: next, changed: false };
+
+    const added = new Set(changes.filter(change => change.type === 'added').map(change => change.newLine - 1));
+    const lines = next.map((line, index) => (
+      added.has(index) && String(line.text || '').trim() ? { ...line, revisionId: revision.id } : line
+    ));
+
+    // Where each removed line would have been in the new page
+    const kept = new Set([...otherLabels, ...this.sceneLabels(lines)]);
+    const omissions = [];
+    let removedBefore = 0;
+    let addedBefore = 0;
+    changes.forEach(change => {
+      if (change.type === 'added') {
+        addedBefore++;
+        return;
+      }
+
+      const line = previous[change.oldLine - 1];
+      const label = line.type === 'scene_heading' && line.sceneNumber ? String(line.sceneNumber) : null;
+      if (label && !kept.has(label)) {
+        kept.add(label);
+        omissions.push({ position: change.oldLine - 1 - removedBefore + addedBefore, label });
+      }
+      removedBefore++;
+    });
+
+    omissions.reverse().forEach(({ position, label }) => {
+      const block = [this.omittedLine(label, revision)];
+      if (String(lines[position - 1]?.text || '').trim()) block.unshift(this.blankLine());
+      if (String(lines[position]?.text || '').trim()) block.push(this.blankLine());
+      lines.splice(position, 0, ...block);
+    });
+
+    return { lines, changed: true };
+  }
+
+  /**
+   * Scene headings typed into a locked script get the previous scene's
+   * number plus a letter (12 -> 12A -> 12B); before scene 1 they are A1, B1
+   */
+  numberNewScenes(lines, previousLabel, taken) {
+    let label = previousLabel;
+
+    return lines.map((line, index) => {
+      if (line.type !== 'scene_heading') return line;
+      if (line.sceneNumber) {
+        label = String(line.sceneNumber);
+        return line;
+      }
+
+      if (lines[index - 1]?.type !== 'scene_heading' || !label) {
+        label = this.insertedSceneLabel(label, taken);
+        taken.add(label);
+      }
+      return { ...line, sceneNumber: label };
+    });
+  }
+
+  insertedSceneLabel(previous, taken) {
+    if (!previous) {
+      let letters = 'A';
+      while (taken.has(`${letters}1`)) letters = this.nextLetters(letters);
+      return `${letters}1`;
+    }
+
+    let label = this.nextLabel(previous);
+    while (taken.has(label)) label = this.nextLabel(label);
+    return label;
+  }
+
+  /**
+   * Last scene number on the pages before the edited one
+   */
+  previousSceneLabel(pages) {
+    for (let i = pages.length - 1; i >= 0; i--) {
+      const labels = this.sceneLabels(this.pageLines(pages[i]));
+      if (labels.length > 0) return labels[labels.length - 1];
+    }
+    return null;
+  }
+
+  /**
+   * Cut a page at the page length, never leaving a heading or cue at the
+   * bottom
+   */
+  splitPage(lines) {
+    const limit = SCREENPLAY_PAGE.LINES_PER_PAGE;
+    if (lines.length <= limit) return { fit: lines, overflow: [] };
+
+    let cut = limit;
+    for (;;) {
+      while (cut > 1 && !String(lines[cut - 1].text || '').trim()) cut--;
+      if (cut > 1 && KEEP_WITH_NEXT.includes(lines[cut - 1].type)) {
+        cut--;
+        continue;
+      }
+      break;
+    }
+    if (cut <= 1) cut = limit;
+
+    return {
+      fit: this.trimBlankLines(lines.slice(0, cut)),
+      overflow: this.trimBlankLines(lines.slice(cut)),
+    };
+  }
+
+  joinLines(first, second) {
+    const lines = this.trimBlankLines(second);
+    if (first.length === 0 || lines.length === 0) return [...first, ...lines];
+    return [...first, this.blankLine(), ...lines];
+  }
+
+  trimBlankLines(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && !String(lines[start].text || '').trim()) start++;
+    while (end > start && !String(lines[end - 1].text || '').trim()) end--;
+    return lines.slice(start, end);
+  }
+
+  /**
+   * "12A" -> { base: "12", letters: "A" }
+   */
+  labelParts(label) {
+    const [, base, letters] = String(label).match(/^(.*?\d)([A-Z]*)$/i) || [null, String(label), ''];
+    return { base, letters: letters.toUpperCase() };
+  }
+
+  /**
+   * "12" -> "12A", "12A" -> "12B", "12Z" -> "12AA"
+   */
+  nextLabel(label) {
+    const { base, letters } = this.labelParts(label);
+    return `${base}${this.nextLetters(letters)}`;
+  }
+
+  nextLetters(letters) {
+    if (!letters) return 'A';
+    const last = letters[letters.length - 1];
+    if (last !== 'Z') return letters.slice(0, -1) + String.fromCharCode(last.charCodeAt(0) + 1);
+    return `${this.nextLetters(letters.slice(0, -1))}A`;
+  }
+
+  pageLabel(page) {
+    return page.pageLabel || String(page.pageNumber);
+  }
+
+  pageLines(page) {
+    return Array.isArray(page.formatted) ? page.formatted : [];
+  }
+
+  /**
+   * A page's rawText for its formatted lines
+   */
+  linesText(lines) {
+    return lines.map(line => line.original ?? line.text ?? '').join('\n');
+  }
+
+  sceneLabels(lines) {
+    return lines
+      .filter((line, index) => line.type === 'scene_heading' && line.sceneNumber && lines[index - 1]?.type !== 'scene_heading')
+      .map(line => String(line.sceneNumber));
+  }
+
+  omittedLine(label, revision) {
+    const spec = ELEMENT_LAYOUT.scene_heading;
+    return {
+      type: 'scene_heading',
+      text: 'OMITTED',
+      original: `${' '.repeat(spec.indent)}OMITTED`,
+      indentation: spec.indent,
+      alignment: spec.alignment,
+      formatting: { ...ELEMENT_FORMATTING.scene_heading },
+      sceneNumber: label,
+      omitted: true,
+      revisionId: revision.id,
+    };
+  }
+
+  blankLine() {
+    return { type: 'empty', text: '', original: '', indentation: 0, alignment: 'left' };
+  }
+}
+
+module.exports = new ScriptRevisionService();
@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const argon2 = require('argon2');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../../config/database.config');
+const { clientUrl } = require('../../config/app.config');
+const { NotFoundError, BadRequestError, ForbiddenError, UnauthorizedError } = require('../../shared/utils/errors');
+const permissionService = require('../collaboration/permission.service');
+
+// An opened link stays open this long before the password is asked again
+const ACCESS_TTL = '2h';
+const ACCESS_AUDIENCE = 'script-share';
+
+const WATERMARK_MAX_LENGTH = 80;
+const LABEL_MAX_LENGTH = 120;
+const PASSWORD_MIN_LENGTH = 4;
+
+const ACCESS_LOG_LIMIT = 100;
+const ACCESS_LOG_MAX = 500;
+
+const CREATOR_SELECT = { id: true, name: true, email: true, avatar: true };
+
+const ASSET_SELECT = {
+  id: true,
+  type: true,
+  name: true,
+  description: true,
+  url: true,
+  thumbnailUrl: true,
+  mimeType: true,
+  width: true,
+  height: true,
+  duration: true,
+  aspectRatio: true,
+  createdAt: true,
+};
+
+/**
+ * Read-only links to a script for people without an account. Admins
+ * create links with an optional password, expiry, view limit and
+ * watermark (the label, who the link was sent to, unless set otherwise);
+ * opening a link counts a view and returns a short-lived access token for
+ * its pages, PDF and, when included, generated assets. Every open, denial
+ * and download is written to the link's access log. Script.isPublic is
+ * true while the script has an active link; a link running out (expired,
+ * views used up) is noticed when it is next described or opened.
+ */
+class ScriptShareService {
+  /**
+   * Links of a script, newest first
+   */
+  async getLinks(scriptId, userId) {
+    await permissionService.requireRole(scriptId, userId, 'ADMIN');
+
+    const links = await prisma.scriptShareLink.findMany({
+      where: { scriptId },
+      orderBy: { createdAt: 'desc' },
+      include: { createdBy: { select: CREATOR_SELECT } },
+    });
+
+    return links.map(link => this.present(link));
+  }
+
+  /**
+   * Create a link
+   * @param {object} data - label, password, expiresAt, maxViews, watermark, includeAssets
+   */
+  async createLink(scriptId, userId, data) {
+    await permissionService.requireRole(scriptId, userId, 'ADMIN');
+
+    const label = data.label === undefined ? null : this.parseText(data.label, 'label', LABEL_MAX_LENGTH);
+    const link = await prisma.scriptShareLink.create({
+      data: {
+        scriptId,
+        token: crypto.randomBytes(24).toString('base64url'),
+        label,
+        passwordHash: await this.parsePassword(data.password),
+        expiresAt: data.expiresAt === undefined ? null : this.parseExpiry(data.expiresAt),
+        maxViews: data.maxViews === undefined ? null : this.parseMaxViews(data.maxViews),
+        watermark: data.watermark === undefined
+          ? label && label.slice(0, WATERMARK_MAX_LENGTH)
+          : this.parseText(data.watermark, 'watermark', WATERMARK_MAX_LENGTH),
+        includeAssets: data.includeAssets === true,
+        createdById: userId,
+      },
+      include: { createdBy: { select: CREATOR_SELECT } },
+    });
+
+    await this.syncPublic(scriptId);
+
+    console.log(`🔗 Shared script ${scriptId}${label ? ` with ${label}` : ''}`);
+    return this.present(link);
+  }
+
+  /**
+   * Change a link's settings; password null removes it
+   */
+  async updateLink(scriptId, linkId, userId, data) {
+    await permissionService.requireRole(scriptId, userId, 'ADMIN');
+    const existing = await this.findLink(scriptId, linkId);
+
+    if (existing.revokedAt) {
+      throw new BadRequestError('Share link was revoked');
+    }
+
+    const update = {};
+    if (data.label !== undefined) update.label = this.parseText(data.label, 'label', LABEL_MAX_LENGTH);
+    if (data.password !== undefined) update.passwordHash = await this.parsePassword(data.password);
+    if (data.expiresAt !== undefined) update.expiresAt = this.parseExpiry(data.expiresAt);
+    if (data.maxViews !== undefined) update.maxViews = this.parseMaxViews(data.maxViews);
+    if (data.watermark !== undefined) {
+      update.watermark = this.parseText(data.watermark, 'watermark', WATERMARK_MAX_LENGTH);
+    }
+    if (data.includeAssets !== undefined) update.includeAssets = data.includeAssets === true;
+
+    const link = await prisma.scriptShareLink.update({
+      where: { id: linkId },
+      data: update,
+      include: { createdBy: { select: CREATOR_SELECT } },
+    });
+
+    await this.syncPublic(scriptId);
+    return this.present(link);
+  }
+
+  /**
+   * Revoke a link; it stops working at once, its access log is kept
+   */
+  async revokeLink(scriptId, linkId, userId) {
+    await permissionService.requireRole(scriptId, userId, 'ADMIN');
+    const link = await this.findLink(scriptId, linkId);
+
+    if (!link.revokedAt) {
+      await prisma.scriptShareLink.update({
+        where: { id: linkId },
+        data: { revokedAt: new Date() },
+      });
+      await this.syncPublic(scriptId);
+    }
+
+    return { message: 'Share link revoked' };
+  }
+
+  /**
+   * Access log of a link, newest first
+   */
+  async getAccessLog(scriptId, linkId, userId, limit = ACCESS_LOG_LIMIT) {
+    await permissionService.requireRole(scriptId, userId, 'ADMIN');
+    await this.findLink(scriptId, linkId);
+
+    const take = Math.min(Math.max(parseInt(limit) || ACCESS_LOG_LIMIT, 1), ACCESS_LOG_MAX);
+    return prisma.scriptShareAccess.findMany({
+      where: { linkId },
+      orderBy: { createdAt: 'desc' },
+      take,
+    });
+  }
+
+  /**
+   * What a link opens, for the page that asks for its password (no login,
+   * not counted as a view)
+   */
+  async describeLink(token) {
+    const link = await this.findByToken(token);
+    const status = this.status(link);
+    if (status !== 'ACTIVE') {
+      await this.syncPublic(link.scriptId);
+    }
+
+    return {
+      script: { title: link.script.title },
+      label: link.label,
+      requiresPassword: Boolean(link.passwordHash),
+      includeAssets: link.includeAssets,
+      watermark: link.watermark,
+      expiresAt: link.expiresAt,
+      status,
+    };
+  }
+
+  /**
+   * Open a link with its password; counts a view and returns the access
+   * token the pages, assets and PDF routes take
+   * @param {object} visitor - ip, userAgent for the access log
+   */
+  async openLink(token, password, visitor) {
+    const link = await this.findByToken(token);
+    const status = this.status(link);
+
+    if (status !== 'ACTIVE') {
+      const reason = status === 'EXPIRED' ? 'This link has expired' : 'This link has reached its view limit';
+      await this.record(link, 'DENIED', visitor, status.toLowerCase());
+      await this.syncPublic(link.scriptId);
+      throw new ForbiddenError(reason);
+    }
+
+    if (link.passwordHash) {
+      if (!password) {
+        throw new UnauthorizedError('This link needs a password');
+      }
+      if (!await argon2.verify(link.passwordHash, String(password))) {
+        await this.record(link, 'DENIED', visitor, 'wrong password');
+        throw new UnauthorizedError('Wrong password');
+      }
+    }
+
+    // Counted only while views are left, so parallel opens cannot overrun the limit
+    const counted = await prisma.scriptShareLink.updateMany({
+      where: link.maxViews === null ? { id: link.id } : { id: link.id, viewCount: { lt: link.maxViews } },
+      data: { viewCount: { increment: 1 }, lastViewedAt: new Date() },
+    });
+    if (counted.count === 0) {
+      await this.record(link, 'DENIED', visitor, 'exhausted');
+      await this.syncPublic(link.scriptId);
+      throw new ForbiddenError('This link has reached its view limit');
+    }
+
+    await this.record(link, 'OPEN', visitor);
+    if (link.maxViews !== null && link.viewCount + 1 >= link.maxViews) {
+      await this.syncPublic(link.scriptId);
+    }
+    const pageCount = await prisma.scriptPage.count({ where: { scriptId: link.scriptId } });
+
+    return {
+      access: jwt.sign({}, process.env.JWT_SECRET, {
+        audience: ACCESS_AUDIENCE,
+        subject: link.id,
+        expiresIn: ACCESS_TTL,
+      }),
+      script: { title: link.script.title, pageCount },
+      watermark: link.watermark,
+      includeAssets: link.includeAssets,
+    };
+  }
+
+  /**
+   * Pages of a shared script with the watermark the viewer stamps on them
+   */
+  async getPages(token, access, visitor) {
+    const link = await this.authorize(token, access);
+    await this.record(link, 'PAGES', visitor);
+
+    const pages = await prisma.scriptPage.findMany({
+      where: { scriptId: link.scriptId },
+      orderBy: { pageNumber: 'asc' },
+      select: {
+        pageNumber: true,
+        pageLabel: true,
+        rawText: true,
+        formatted: true,
+        lineCount: true,
+      },
+    });
+
+    return { watermark: link.watermark, pages };
+  }
+
+  /**
+   * Generated images and videos of a shared script, when the link includes them
+   */
+  async getAssets(token, access, visitor) {
+    const link = await this.authorize(token, access);
+
+    if (!link.includeAssets) {
+      throw new ForbiddenError('This link does not include generated assets');
+    }
+    await this.record(link, 'ASSETS', visitor);
+
+    return prisma.aIAsset.findMany({
+      where: { scriptId: link.scriptId },
+      orderBy: { createdAt: 'desc' },
+      select: ASSET_SELECT,
+    });
+  }
+
+  /**
+   * Link an access token was issued for, while it is still live (the
+   * shared PDF export checks it through here too)
+   */
+  async authorize(token, access) {
+    const link = await this.findByToken(token);
+
+    let claims;
+    try {
+      claims = access ? jwt.verify(access, process.env.JWT_SECRET, { audience: ACCESS_AUDIENCE }) : null;
+    } catch (error) {
+      claims = null;
+    }
+
+    if (!claims || claims.sub !== link.id) {
+      throw new UnauthorizedError('Open the link first');
+    }
+    if (!this.serves(link)) {
+      await this.syncPublic(link.scriptId);
+      throw new ForbiddenError('This link has expired');
+    }
+
+    return link;
+  }
+
+  /**
+   * Unrevoked link behind a token
+   */
+  async findByToken(token) {
+    const link = token ? await prisma.scriptShareLink.findUnique({
+      where: { token },
+      include: { script: { select: { title: true } } },
+    }) : null;
+
+    if (!link || link.revokedAt) {
+      throw new NotFoundError('Share link not found');
+    }
+
+    return link;
+  }
+
+  async findLink(scriptId, linkId) {
+    const link = await prisma.scriptShareLink.findFirst({
+      where: { id: linkId, scriptId },
+    });
+
+    if (!link) {
+      throw new NotFoundError('Share link not found');
+    }
+
+    return link;
+  }
+
+  async record(link, event, visitor = {}, detail = null) {
+    await prisma.scriptShareAccess.create({
+      data: {
+        linkId: link.id,
+        event,
+        detail,
+        ip: visitor.ip || null,
+        userAgent: visitor.userAgent ? String(visitor.userAgent).slice(0, 300) : null,
+      },
+    });
+  }
+
+  /**
+   * Script.isPublic follows whether any link is still active: not
+   * revoked, not expired and with views left
+   */
+  async syncPublic(scriptId) {
+    const links = await prisma.scriptShareLink.findMany({
+      where: { scriptId, revokedAt: null },
+      select: { revokedAt: true, expiresAt: true, maxViews: true, viewCount: true },
+    });
+    const isPublic = links.some(link => this.status(link) === 'ACTIVE');
+
+    await prisma.script.updateMany({
+      where: { id: scriptId, isPublic: !isPublic },
+      data: { isPublic },
+    });
+  }
+
+  /**
+   * Whether a link still serves the access tokens it issued: not revoked
+   * and not expired. The view behind a token was counted when the link was
+   * opened, so a link whose views are used up still serves it.
+   */
+  serves(link) {
+    return ['ACTIVE', 'EXHAUSTED'].includes(this.status(link));
+  }
+
+  status(link) {
+    if (link.revokedAt) return 'REVOKED';
+    if (link.expiresAt && link.expiresAt <= new Date()) return 'EXPIRED';
+    if (link.maxViews !== null && link.viewCount >= link.maxViews) return 'EXHAUSTED';
+    return 'ACTIVE';
+  }
+
+  present(link) {
+    return {
+      id: link.id,
+      scriptId: link.scriptId,
+      label: link.label,
+      url: `${clientUrl}/shared/${link.token}`,
+      token: link.token,
+      requiresPassword: Boolean(link.passwordHash),
+      expiresAt: link.expiresAt,
+      maxViews: link.maxViews,
+      viewCount: link.viewCount,
+      watermark: link.watermark,
+      includeAssets: link.includeAssets,
+      status: this.status(link),
+      lastViewedAt: link.lastViewedAt,
+      revokedAt: link.revokedAt,
+      createdBy: link.createdBy,
+      createdAt: link.createdAt,
+    };
+  }
+
+  parseText(value, field, maxLength) {
+    if (value === null || value === '') return null;
+    if (typeof value !== 'string') {
+      throw new BadRequestError(`${field} must be a string`);
+    }
+
+    const text = value.trim();
+    if (text.length > maxLength) {
+      throw new BadRequestError(`${field} must be at most ${maxLength} characters`);
+    }
+    return text || null;
+  }
+
+  async parsePassword(password) {
+    if (password === undefined || password === null || password === '') return null;
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+      throw new BadRequestError(`password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+    return argon2.hash(password);
+  }
+
+  parseExpiry(value) {
+    if (value === null || value === '') return null;
+
+    const expiresAt = new Date(value);
+    if (Number.isNaN(expiresAt.getTime())) {
+      throw new BadRequestError('expiresAt must be a date');
+    }
+    if (expiresAt <= new Date()) {
+      throw new BadRequestError('expiresAt must be in the future');
+    }
+    return expiresAt;
+  }
+
+  parseMaxViews(value) {
+    if (value === null || value === '') return null;
+
+    const maxViews = Number(value);
+    if (!Number.isInteger(maxViews) || maxViews < 1) {
+      throw new BadRequestError('maxViews must be a positive whole number');
+    }
+    return maxViews;
+  }
+}
+
+module.exports = new ScriptShareService();
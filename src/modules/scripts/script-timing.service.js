@@ -0,0 +1,199 @@
+const { prisma } = require('../../config/database.config');
+const { SCREEN_TIME } = require('../../shared/constants');
+const { normalizeCharacterName } = require('./parsers/character-names');
+
+// Seconds of screen time per printed line of each element type
+const LINE_SECONDS = {
+  dialogue: SCREEN_TIME.SECONDS_PER_DIALOGUE_LINE,
+  lyrics: SCREEN_TIME.SECONDS_PER_DIALOGUE_LINE,
+  parenthetical: SCREEN_TIME.SECONDS_PER_PARENTHETICAL_LINE,
+  action: SCREEN_TIME.SECONDS_PER_ACTION_LINE,
+  shot: SCREEN_TIME.SECONDS_PER_ACTION_LINE,
+  centered: SCREEN_TIME.SECONDS_PER_ACTION_LINE,
+};
+
+/**
+ * Scene lengths in 1/8 pages and screen-time estimates, measured on the
+ * stored page layout. A scene runs from its heading line to the next
+ * heading; on every page it gets the share of the page's lines it fills.
+ */
+class ScriptTimingService {
+  /**
+   * Measure a script and store lengthEighths / duration on its scenes
+   */
+  async updateScenes(client, scriptId) {
+    const { pages, scenes, characters } = await this.loadScript(scriptId, client);
+    const stored = new Map(scenes.map(scene => [scene.id, scene]));
+    const timing = this.measure(pages, scenes, characters);
+
+    for (const scene of timing.scenes) {
+      const current = stored.get(scene.id);
+      if (scene.lengthEighths === current.lengthEighths && scene.duration === current.duration) continue;
+
+      await client.scene.update({
+        where: { id: scene.id },
+        data: { lengthEighths: scene.lengthEighths, duration: scene.duration },
+      });
+    }
+
+    console.log(`⏱️ Timed script ${scriptId}: ${this.formatEighths(timing.totalEighths)} pages, ~${Math.round(timing.runtime / 60)} min`);
+    return timing;
+  }
+
+  /**
+   * Timing of a script from its current pages (nothing is written)
+   */
+  async getTiming(scriptId, client = prisma) {
+    const { pages, scenes, characters } = await this.loadScript(scriptId, client);
+    return this.measure(pages, scenes, characters);
+  }
+
+  async loadScript(scriptId, client) {
+    const [pages, scenes, characters] = await Promise.all([
+      client.scriptPage.findMany({
+        where: { scriptId },
+        orderBy: { pageNumber: 'asc' },
+        select: { pageNumber: true, formatted: true },
+      }),
+      client.scene.findMany({
+        where: { scriptId },
+        orderBy: { sceneNumber: 'asc' },
+        select: { id: true, sceneNumber: true, sceneLabel: true, heading: true, lengthEighths: true, duration: true },
+      }),
+      client.character.findMany({
+        where: { scriptId },
+        select: { id: true, name: true, aliases: true, sceneIds: true },
+      }),
+    ]);
+
+    return { pages, scenes, characters };
+  }
+
+  /**
+   * @returns {{ scenes, characters, totalEighths, runtime }} runtime and
+   *   durations are in seconds
+   */
+  measure(pages, scenes, characters) {
+    const lineCounts = pages.map(page => (page.formatted || []).length);
+    const fullPage = this.median(lineCounts.filter(count => count > 0)) || 1;
+
+    const aliasOf = new Map(characters.flatMap(character => [
+      [character.name, character.name],
+      ...(character.aliases || []).map(alias => [alias, character.name]),
+    ]));
+
+    const totals = scenes.map(() => ({ pageShare: 0, seconds: 0, speaking: new Map() }));
+    const headings = this.headingLineCount(pages);
+    let current = -1;
+    let next = 0;
+    let previousType = null;
+    let speaker = null;
+
+    pages.forEach(page => {
+      const lines = page.formatted || [];
+      // Short last pages still count against a full page
+      const pageHeight = Math.max(lines.length, fullPage);
+
+      lines.forEach(line => {
+        const type = line?.type || 'action';
+
+        if (type === 'scene_heading' && previousType !== 'scene_heading') {
+          current = this.nextScene(scenes, next, line.text, headings);
+          if (current >= next) next = current + 1;
+          speaker = null;
+        }
+        previousType = type;
+        if (current < 0 || current >= scenes.length) return;
+
+        const total = totals[current];
+        total.pageShare += 1 / pageHeight;
+
+        if (type === 'character') {
+          const name = normalizeCharacterName(line.text);
+          speaker = aliasOf.get(name) || name;
+          return;
+        }
+        if (type !== 'empty' && !['dialogue', 'lyrics', 'parenthetical'].includes(type)) speaker = null;
+
+        const seconds = LINE_SECONDS[type] || 0;
+        total.seconds += seconds;
+        if (speaker && type !== 'parenthetical' && seconds > 0) {
+          total.speaking.set(speaker, (total.speaking.get(speaker) || 0) + seconds);
+        }
+      });
+    });
+
+    const timedScenes = scenes.map((scene, index) => ({
+      id: scene.id,
+      sceneNumber: scene.sceneNumber,
+      sceneLabel: scene.sceneLabel,
+      heading: scene.heading,
+      lengthEighths: Math.max(1, Math.round(totals[index].pageShare * 8)),
+      duration: Math.round(totals[index].seconds + SCREEN_TIME.SECONDS_PER_SCENE),
+    }));
+    const durations = new Map(timedScenes.map(scene => [scene.id, scene.duration]));
+
+    const timedCharacters = characters
+      .map(character => ({
+        id: character.id,
+        name: character.name,
+        scenes: (character.sceneIds || []).length,
+        // Time on screen: every scene the character is in
+        screenTime: (character.sceneIds || []).reduce((sum, id) => sum + (durations.get(id) || 0), 0),
+        speakingTime: Math.round(totals.reduce((sum, total) => sum + (total.speaking.get(character.name) || 0), 0)),
+      }))
+      .sort((a, b) => b.screenTime - a.screenTime);
+
+    return {
+      scenes: timedScenes,
+      characters: timedCharacters,
+      totalEighths: timedScenes.reduce((sum, scene) => sum + scene.lengthEighths, 0),
+      runtime: timedScenes.reduce((sum, scene) => sum + scene.duration, 0),
+    };
+  }
+
+  /**
+   * Scene index for a heading line. Headings pair with scenes in order when
+   * the counts agree; otherwise the next scene with the same heading is used
+   * and an unknown heading stays part of the current scene.
+   */
+  nextScene(scenes, next, text, headings) {
+    if (headings === scenes.length) return next;
+
+    const heading = this.normalize(text);
+    const index = scenes.findIndex((scene, i) => i >= next && this.normalize(scene.heading) === heading);
+    return index === -1 ? next - 1 : index;
+  }
+
+  headingLineCount(pages) {
+    let count = 0;
+    let previousType = null;
+    pages.forEach(page => (page.formatted || []).forEach(line => {
+      if (line?.type === 'scene_heading' && previousType !== 'scene_heading') count++;
+      previousType = line?.type;
+    }));
+    return count;
+  }
+
+  normalize(heading) {
+    return String(heading || '').replace(/\s+/g, ' ').trim().toUpperCase();
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  /**
+   * 11 -> "1 3/8"
+   */
+  formatEighths(eighths) {
+    const pages = Math.floor(eighths / 8);
+    const rest = eighths % 8;
+    if (!rest) return String(pages);
+    return pages ? `${pages} ${rest}/8` : `${rest}/8`;
+  }
+}
+
+module.exports = new ScriptTimingService();
@@ -0,0 +1,363 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError } = require('../../shared/utils/errors');
+const { diffLines } = require('../../shared/utils/diff.utils');
+const breakdownService = require('../scenes/breakdown.service');
+const locationLinkService = require('../locations/location-link.service');
+const commentAnchorService = require('../comments/comment-anchor.service');
+
+// Script.metadata keys that belong to the AI summary cache, not the script
+const AI_CACHE_KEY = /^aiSummary/;
+
+// Large scripts restore many rows in one transaction
+const RESTORE_TIMEOUT_MS = 30000;
+
+// Version list entries leave the (large) snapshot out
+const VERSION_SUMMARY_SELECT = {
+  id: true,
+  version: true,
+  message: true,
+  source: true,
+  createdAt: true,
+  author: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      avatar: true,
+    },
+  },
+};
+
+/**
+ * Immutable script snapshots. Every save, reanalysis and restore bumps
+ * Script.version and stores the resulting pages, scenes and characters as
+ * a ScriptVersion with its author, timestamp and message.
+ */
+class ScriptVersionService {
+  /**
+   * Snapshot the current state of a script as a new version
+   * @param {string} scriptId
+   * @param {string|null} authorId
+   * @param {object} options
+   * @param {string} [options.message]
+   * @param {string} options.source - upload | page_edit | update | reanalysis | restore
+   * @param {boolean} [options.increment=true] - false for the initial upload (version 1)
+   */
+  async createVersion(scriptId, authorId, options) {
+    const version = await prisma.$transaction(tx => this.writeVersion(tx, scriptId, authorId, options));
+
+    console.log(`🗂️ Script ${scriptId} saved as version ${version.version} (${options.source})`);
+    return version;
+  }
+
+  /**
+   * createVersion inside a transaction the caller already runs
+   */
+  async writeVersion(tx, scriptId, authorId, { message = null, source, increment = true }) {
+    const script = increment
+      ? await tx.script.update({
+        where: { id: scriptId },
+        data: { version: { increment: 1 } },
+        select: { version: true },
+      })
+      : await tx.script.findUnique({
+        where: { id: scriptId },
+        select: { version: true },
+      });
+
+    const snapshot = await this.captureState(scriptId, tx);
+
+    return tx.scriptVersion.create({
+      data: {
+        scriptId,
+        version: script.version,
+        authorId,
+        message,
+        source,
+        snapshot,
+      },
+      select: VERSION_SUMMARY_SELECT,
+    });
+  }
+
+  /**
+   * Current pages, scenes and characters of a script
+   */
+  async captureState(scriptId, client = prisma) {
+    const [script, pages, scenes, characters] = await Promise.all([
+      client.script.findUnique({
+        where: { id: scriptId },
+        select: { title: true, description: true, metadata: true, titlePage: true },
+      }),
+      client.scriptPage.findMany({
+        where: { scriptId },
+        orderBy: { pageNumber: 'asc' },
+      }),
+      client.scene.findMany({
+        where: { scriptId },
+        orderBy: { sceneNumber: 'asc' },
+      }),
+      client.character.findMany({
+        where: { scriptId },
+        orderBy: { name: 'asc' },
+      }),
+    ]);
+
+    const strip = ({ scriptId: _scriptId, createdAt, updatedAt, ...record }) => record;
+
+    return {
+      title: script.title,
+      description: script.description,
+      titlePage: script.titlePage,
+      metadata: this.withoutAiCache(script.metadata),
+      pages: pages.map(page => ({
+        pageNumber: page.pageNumber,
+        pageLabel: page.pageLabel,
+        rawText: page.rawText,
+        lineCount: page.lineCount,
+        formatted: page.formatted,
+        isReviewed: page.isReviewed,
+        revisionId: page.revisionId,
+      })),
+      scenes: scenes.map(strip),
+      characters: characters.map(strip),
+    };
+  }
+
+  withoutAiCache(metadata) {
+    if (!metadata || typeof metadata !== 'object') return metadata || null;
+    return Object.fromEntries(Object.entries(metadata).filter(([key]) => !AI_CACHE_KEY.test(key)));
+  }
+
+  /**
+   * Version history, newest first
+   */
+  async listVersions(scriptId) {
+    return prisma.scriptVersion.findMany({
+      where: { scriptId },
+      orderBy: { version: 'desc' },
+      select: VERSION_SUMMARY_SELECT,
+    });
+  }
+
+  /**
+   * One version including its snapshot
+   */
+  async getVersion(scriptId, version) {
+    const found = await prisma.scriptVersion.findUnique({
+      where: {
+        scriptId_version: {
+          scriptId,
+          version,
+        },
+      },
+      include: {
+        author: VERSION_SUMMARY_SELECT.author,
+      },
+    });
+
+    if (!found) {
+      throw new NotFoundError(`Version ${version} not found`);
+    }
+
+    return found;
+  }
+
+  /**
+   * Line-level diff between two versions, per page and per scene.
+   * Scenes are matched by id, so renumbered scenes still compare.
+   */
+  async diffVersions(scriptId, fromVersion, toVersion) {
+    if (fromVersion === toVersion) {
+      throw new BadRequestError('Choose two different versions to compare');
+    }
+
+    const [from, to] = await Promise.all([
+      this.getVersion(scriptId, fromVersion),
+      this.getVersion(scriptId, toVersion),
+    ]);
+
+    const pages = this.diffRecords(
+      from.snapshot.pages || [],
+      to.snapshot.pages || [],
+      page => String(page.pageNumber),
+      page => page.rawText,
+      page => ({ pageNumber: page.pageNumber })
+    );
+
+    const scenes = this.diffRecords(
+      from.snapshot.scenes || [],
+      to.snapshot.scenes || [],
+      scene => scene.id,
+      scene => scene.sceneText,
+      scene => ({ sceneId: scene.id, sceneNumber: scene.sceneNumber, heading: scene.heading }),
+      scene => `#${scene.sceneNumber}`
+    );
+
+    const count = (items, type) => items.reduce(
+      (total, item) => total + item.changes.filter(change => change.type === type).length, 0
+    );
+
+    return {
+      from: { version: from.version, createdAt: from.createdAt, message: from.message },
+      to: { version: to.version, createdAt: to.createdAt, message: to.message },
+      summary: {
+        pagesChanged: pages.length,
+        scenesChanged: scenes.length,
+        linesAdded: count(pages, 'added'),
+        linesRemoved: count(pages, 'removed'),
+      },
+      pages,
+      scenes,
+    };
+  }
+
+  /**
+   * Compare two record lists keyed by `keyOf` (then `fallbackKeyOf` for
+   * records whose key has no match); unchanged records are left out
+   */
+  diffRecords(oldRecords, newRecords, keyOf, textOf, describe, fallbackKeyOf = null) {
+    const oldByKey = new Map(oldRecords.map(record => [keyOf(record), record]));
+    const newKeys = new Set(newRecords.map(keyOf));
+    const unmatchedOld = oldRecords.filter(record => !newKeys.has(keyOf(record)));
+    const oldByFallback = new Map(fallbackKeyOf ? unmatchedOld.map(record => [fallbackKeyOf(record), record]) : []);
+    const matched = new Set();
+    const results = [];
+
+    newRecords.forEach(record => {
+      const previous = oldByKey.get(keyOf(record)) || oldByFallback.get(fallbackKeyOf?.(record));
+      if (previous) matched.add(previous);
+      const changes = diffLines(previous ? textOf(previous) : '', textOf(record));
+      if (previous && changes.length === 0) return;
+
+      results.push({
+        ...describe(record),
+        status: previous ? 'modified' : 'added',
+        changes,
+      });
+    });
+
+    oldRecords.forEach(record => {
+      if (matched.has(record)) return;
+      results.push({
+        ...describe(record),
+        status: 'removed',
+        changes: diffLines(textOf(record), ''),
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * Put an old version's pages, scenes and characters back and save the
+   * result as a new version, all in one transaction. Scene and character
+   * ids from the snapshot are reused so comments and AI generations linked
+   * to them stay attached.
+   */
+  async restoreVersion(scriptId, version, userId) {
+    const { snapshot } = await this.getVersion(scriptId, version);
+
+    const restored = await prisma.$transaction(async (tx) => {
+      const current = await tx.script.findUnique({
+        where: { id: scriptId },
+        select: { metadata: true },
+      });
+      const aiCache = Object.fromEntries(
+        Object.entries(current?.metadata || {}).filter(([key]) => AI_CACHE_KEY.test(key))
+      );
+
+      await tx.script.update({
+        where: { id: scriptId },
+        data: {
+          title: snapshot.title,
+          description: snapshot.description,
+          titlePage: snapshot.titlePage ?? Prisma.DbNull,
+          metadata: { ...(snapshot.metadata || {}), ...aiCache },
+        },
+      });
+
+      // Pages; revision sets deleted since the snapshot no longer mark them
+      const revisionIds = new Set((await tx.scriptRevision.findMany({
+        where: { scriptId },
+        select: { id: true },
+      })).map(revision => revision.id));
+
+      await tx.scriptPage.deleteMany({ where: { scriptId } });
+      if (snapshot.pages.length > 0) {
+        await tx.scriptPage.createMany({
+          data: snapshot.pages.map(page => ({
+            ...page,
+            scriptId,
+            ...(page.revisionId && !revisionIds.has(page.revisionId) ? { revisionId: null } : {}),
+          })),
+        });
+      }
+
+      // Scenes: park current numbers out of the way of the unique index first
+      const sceneIds = snapshot.scenes.map(scene => scene.id);
+      await tx.scene.deleteMany({ where: { scriptId, id: { notIn: sceneIds } } });
+      await tx.$executeRaw`UPDATE "scenes" SET "sceneNumber" = -"sceneNumber" - 1 WHERE "scriptId" = ${scriptId}`;
+
+      // Locations deleted or merged since the snapshot: those scenes are linked again by heading
+      const locationIds = new Set((await tx.location.findMany({
+        where: { scriptId },
+        select: { id: true },
+      })).map(location => location.id));
+      const relink = [];
+
+      for (const { id, dialogue, ...rest } of snapshot.scenes) {
+        const scene = { ...rest, dialogue: dialogue ?? Prisma.DbNull };
+        if (scene.locationId && !locationIds.has(scene.locationId)) {
+          scene.locationId = null;
+          relink.push(id);
+        }
+
+        await tx.scene.upsert({
+          where: { id },
+          update: scene,
+          create: { id, ...scene, scriptId },
+        });
+      }
+      if (relink.length > 0) {
+        await locationLinkService.linkScenes(tx, scriptId, relink);
+      }
+
+      // Breakdown tags are not versioned; they follow the restored text
+      await breakdownService.reanchorElements(tx, sceneIds);
+
+      // Characters: same for the (scriptId, name) index
+      const characterIds = snapshot.characters.map(char => char.id);
+      await tx.character.deleteMany({ where: { scriptId, id: { notIn: characterIds } } });
+      await tx.$executeRaw`UPDATE "characters" SET "name" = '__restore__' || "id" WHERE "scriptId" = ${scriptId}`;
+      for (const { id, dialogue, metadata, ...rest } of snapshot.characters) {
+        // Nullable Json columns need an explicit database NULL
+        const character = {
+          ...rest,
+          dialogue: dialogue ?? Prisma.DbNull,
+          metadata: metadata ?? Prisma.DbNull,
+        };
+        await tx.character.upsert({
+          where: { id },
+          update: character,
+          create: { id, ...character, scriptId },
+        });
+      }
+
+      return this.writeVersion(tx, scriptId, userId, {
+        message: `Restored version ${version}`,
+        source: 'restore',
+      });
+    }, { timeout: RESTORE_TIMEOUT_MS });
+
+    // Comment threads find their text in the restored pages
+    await commentAnchorService.reanchor(scriptId);
+
+    console.log(`⏪ Restored script ${scriptId} to version ${version}`);
+    console.log(`🗂️ Script ${scriptId} saved as version ${restored.version} (restore)`);
+    return restored;
+  }
+}
+
+module.exports = new ScriptVersionService();
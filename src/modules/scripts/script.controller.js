@@ -1,4 +1,24 @@
 const scriptService = require('./script.service');
+const scriptShareService = require('./script-share.service');
+const exportService = require('../export/export.service');
+const yjsProvider = require('../collaboration/yjs.provider');
+const { BadRequestError } = require('../../shared/utils/errors');
+
+/**
+ * Access token of an opened share link: `Authorization: Bearer` header,
+ * or ?access= for links the browser follows (PDF downloads)
+ */
+function shareAccess(req) {
+  const header = req.headers.authorization;
+  return header && header.startsWith('Bearer ') ? header.split(' ')[1] : req.query.access || null;
+}
+
+/**
+ * Who used a share link, for its access log
+ */
+function visitor(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') };
+}
 
 class ScriptController {
   /**
@@ -105,14 +125,16 @@ class ScriptController {
     try {
       const { id: scriptId, pageNumber } = req.params;
       const userId = req.user.id;
-      const { formatted } = req.body;
+      const { formatted, message } = req.body;
       
       const updated = await scriptService.updateScriptPage(
         scriptId,
         parseInt(pageNumber),
         userId,
-        formatted
+        formatted,
+        message
       );
+      await yjsProvider.reload(scriptId);
       
       res.json({
         success: true,
@@ -132,9 +154,9 @@ class ScriptController {
     try {
       const scriptId = req.params.id;
       const userId = req.user.id;
-      const updateData = req.body;
+      const { message, ...updateData } = req.body;
 
-      const script = await scriptService.updateScript(scriptId, userId, updateData);
+      const script = await scriptService.updateScript(scriptId, userId, updateData, message);
 
       res.json({
         success: true,
@@ -166,7 +188,7 @@ class ScriptController {
     }
   }
   /**
- * Re-analyze script
+ * Re-analyze script (edited pages only, or everything with full=true)
  * POST /api/scripts/:id/reanalyze
  */
 async reanalyzeScript(req, res, next) {
@@ -174,7 +196,9 @@ async reanalyzeScript(req, res, next) {
     const scriptId = req.params.id;
     const userId = req.user.id;
     
-    const result = await scriptService.reanalyzeScript(scriptId, userId);
+    const full = req.body?.full === true || req.query.full === 'true';
+    
+    const result = await scriptService.reanalyzeScript(scriptId, userId, { full });
     
     res.json({
       success: true,
@@ -189,10 +213,11 @@ async reanalyzeScript(req, res, next) {
 async updatePageText(req, res, next) {
   try {
     const { id, pageNumber } = req.params;
-    const { text } = req.body;
+    const { text, message } = req.body;
     const userId = req.user.id;
     
-    const page = await scriptService.updatePageText(id, parseInt(pageNumber), text, userId);
+    const page = await scriptService.updatePageText(id, parseInt(pageNumber), text, userId, message);
+    await yjsProvider.reload(id);
     
     res.json({
       success: true,
@@ -223,6 +248,415 @@ async updatePageText(req, res, next) {
       next(error);
     }
   }
+
+  /**
+   * Lock pagination for production revisions
+   * POST /api/scripts/:id/lock
+   */
+  async lockScript(req, res, next) {
+    try {
+      const result = await scriptService.lockScript(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Script pagination locked',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unlock pagination
+   * POST /api/scripts/:id/unlock
+   */
+  async unlockScript(req, res, next) {
+    try {
+      const result = await scriptService.unlockScript(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Script pagination unlocked',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List revision sets
+   * GET /api/scripts/:id/revisions
+   */
+  async listRevisions(req, res, next) {
+    try {
+      const revisions = await scriptService.getRevisions(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Revisions retrieved successfully',
+        data: revisions,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue the next revision set
+   * POST /api/scripts/:id/revisions
+   */
+  async issueRevision(req, res, next) {
+    try {
+      const { name, color, pageColor, mark, notes } = req.body || {};
+      const revision = await scriptService.issueRevision(req.params.id, req.user.id, {
+        name,
+        color,
+        pageColor,
+        mark,
+        notes,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${revision.name} issued`,
+        data: revision,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Pages changed in a revision set
+   * GET /api/scripts/:id/revisions/:revisionId/pages
+   */
+  async getRevisionPages(req, res, next) {
+    try {
+      const result = await scriptService.getRevisionPages(
+        req.params.id,
+        req.params.revisionId,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Revision pages retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List script versions
+   * GET /api/scripts/:id/versions
+   */
+  async listVersions(req, res, next) {
+    try {
+      const versions = await scriptService.getVersions(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Script versions retrieved successfully',
+        data: versions,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single version with its snapshot
+   * GET /api/scripts/:id/versions/:version
+   */
+  async getVersion(req, res, next) {
+    try {
+      const version = await scriptService.getVersion(
+        req.params.id,
+        parseInt(req.params.version),
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Script version retrieved successfully',
+        data: version,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Diff two versions
+   * GET /api/scripts/:id/versions/diff?from=1&to=2
+   */
+  async diffVersions(req, res, next) {
+    try {
+      const from = parseInt(req.query.from);
+      const to = parseInt(req.query.to);
+
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        throw new BadRequestError('Query parameters "from" and "to" must be version numbers');
+      }
+
+      const diff = await scriptService.diffVersions(req.params.id, from, to, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Script versions compared successfully',
+        data: diff,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Restore a version (saved as a new version)
+   * POST /api/scripts/:id/versions/:version/restore
+   */
+  async restoreVersion(req, res, next) {
+    try {
+      const version = await scriptService.restoreVersion(
+        req.params.id,
+        parseInt(req.params.version),
+        req.user.id
+      );
+      await yjsProvider.reload(req.params.id);
+
+      res.json({
+        success: true,
+        message: `Script restored to version ${req.params.version}`,
+        data: version,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Share links of a script
+   * GET /api/scripts/:id/share-links
+   */
+  async listShareLinks(req, res, next) {
+    try {
+      const links = await scriptShareService.getLinks(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Share links retrieved successfully',
+        data: links,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a read-only share link
+   * POST /api/scripts/:id/share-links
+   * Body: { label?, password?, expiresAt?, maxViews?, watermark?, includeAssets? }
+   */
+  async createShareLink(req, res, next) {
+    try {
+      const link = await scriptShareService.createLink(req.params.id, req.user.id, req.body || {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Share link created successfully',
+        data: link,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change a share link's settings
+   * PATCH /api/scripts/:id/share-links/:linkId
+   */
+  async updateShareLink(req, res, next) {
+    try {
+      const link = await scriptShareService.updateLink(req.params.id, req.params.linkId, req.user.id, req.body || {});
+
+      res.json({
+        success: true,
+        message: 'Share link updated successfully',
+        data: link,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a share link
+   * DELETE /api/scripts/:id/share-links/:linkId
+   */
+  async revokeShareLink(req, res, next) {
+    try {
+      const result = await scriptShareService.revokeLink(req.params.id, req.params.linkId, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Access log of a share link
+   * GET /api/scripts/:id/share-links/:linkId/access?limit=100
+   */
+  async getShareAccessLog(req, res, next) {
+    try {
+      const log = await scriptShareService.getAccessLog(
+        req.params.id,
+        req.params.linkId,
+        req.user.id,
+        req.query.limit
+      );
+
+      res.json({
+        success: true,
+        message: 'Access log retrieved successfully',
+        data: log,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * What a share link opens (no login)
+   * GET /api/scripts/shared/:token
+   */
+  async getSharedScript(req, res, next) {
+    try {
+      const link = await scriptShareService.describeLink(req.params.token);
+
+      res.json({
+        success: true,
+        message: 'Share link retrieved successfully',
+        data: link,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Open a share link; returns the access token for the routes below
+   * POST /api/scripts/shared/:token/open
+   * Body: { password? }
+   */
+  async openSharedScript(req, res, next) {
+    try {
+      const session = await scriptShareService.openLink(req.params.token, req.body?.password, visitor(req));
+
+      res.json({
+        success: true,
+        message: 'Share link opened',
+        data: session,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Pages of a shared script
+   * GET /api/scripts/shared/:token/pages
+   */
+  async getSharedPages(req, res, next) {
+    try {
+      const pages = await scriptShareService.getPages(req.params.token, shareAccess(req), visitor(req));
+
+      res.json({
+        success: true,
+        message: 'Script pages retrieved successfully',
+        data: pages,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Generated assets of a shared script
+   * GET /api/scripts/shared/:token/assets
+   */
+  async getSharedAssets(req, res, next) {
+    try {
+      const assets = await scriptShareService.getAssets(req.params.token, shareAccess(req), visitor(req));
+
+      res.json({
+        success: true,
+        message: 'Assets retrieved successfully',
+        data: assets,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queue the watermarked PDF of a shared script
+   * POST /api/scripts/shared/:token/pdf
+   */
+  async exportSharedPdf(req, res, next) {
+    try {
+      const job = await exportService.queueSharedPdf(req.params.token, shareAccess(req), visitor(req));
+
+      res.status(202).json({
+        success: true,
+        message: 'PDF export queued',
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Status of a shared PDF export
+   * GET /api/scripts/shared/:token/pdf/:jobId
+   */
+  async getSharedExport(req, res, next) {
+    try {
+      const job = await exportService.getSharedExportJob(req.params.token, shareAccess(req), req.params.jobId);
+
+      res.json({
+        success: true,
+        message: 'Export job retrieved successfully',
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download a finished shared PDF
+   * GET /api/scripts/shared/:token/pdf/:jobId/download?access=
+   */
+  async downloadSharedExport(req, res, next) {
+    try {
+      const file = await exportService.getSharedExportFile(req.params.token, shareAccess(req), req.params.jobId);
+
+      res.download(file.path, file.downloadName, (error) => {
+        if (error && !res.headersSent) next(error);
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new ScriptController();
@@ -2,9 +2,25 @@ const express = require('express');
 const router = express.Router();
 const scriptController = require('./script.controller');
 const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole, fromParam } = require('../../shared/middleware/permission.middleware');
 const { uploadScript } = require('../../config/storage.config');
 
-// All routes require authentication
+// Roles each route needs on the script
+const canView = requireScriptRole('VIEWER', fromParam('id'));
+const canEdit = requireScriptRole('EDITOR', fromParam('id'));
+const canAdmin = requireScriptRole('ADMIN', fromParam('id'));
+const isOwner = requireScriptRole('OWNER', fromParam('id'));
+
+// Public: script behind a read-only share link (open it first for an access token)
+router.get('/shared/:token', scriptController.getSharedScript.bind(scriptController));
+router.post('/shared/:token/open', scriptController.openSharedScript.bind(scriptController));
+router.get('/shared/:token/pages', scriptController.getSharedPages.bind(scriptController));
+router.get('/shared/:token/assets', scriptController.getSharedAssets.bind(scriptController));
+router.post('/shared/:token/pdf', scriptController.exportSharedPdf.bind(scriptController));
+router.get('/shared/:token/pdf/:jobId', scriptController.getSharedExport.bind(scriptController));
+router.get('/shared/:token/pdf/:jobId/download', scriptController.downloadSharedExport.bind(scriptController));
+
+// All other routes require authentication
 router.use(authenticateJWT);
 
 // Get all user scripts
@@ -18,26 +34,46 @@ router.post(
 );
 
 // Get script by ID
-router.get('/:id', scriptController.getScriptById.bind(scriptController));
+router.get('/:id', canView, scriptController.getScriptById.bind(scriptController));
 
 // Get script pages (for PDF scripts)
-router.get('/:id/pages', scriptController.getScriptPages.bind(scriptController));
+router.get('/:id/pages', canView, scriptController.getScriptPages.bind(scriptController));
 
 // Update single page
-router.patch('/:id/pages/:pageNumber', scriptController.updateScriptPage.bind(scriptController));
+router.patch('/:id/pages/:pageNumber', canEdit, scriptController.updateScriptPage.bind(scriptController));
 
 // Update script
-router.patch('/:id', scriptController.updateScript.bind(scriptController));
+router.patch('/:id', canAdmin, scriptController.updateScript.bind(scriptController));
 
 // Delete script
-router.delete('/:id', scriptController.deleteScript.bind(scriptController));
+router.delete('/:id', isOwner, scriptController.deleteScript.bind(scriptController));
 
 // Get script statistics
-router.get('/:id/stats', scriptController.getScriptStats.bind(scriptController));
+router.get('/:id/stats', canView, scriptController.getScriptStats.bind(scriptController));
+
+// Version history (diff must be declared before :version)
+router.get('/:id/versions', canView, scriptController.listVersions.bind(scriptController));
+router.get('/:id/versions/diff', canView, scriptController.diffVersions.bind(scriptController));
+router.get('/:id/versions/:version', canView, scriptController.getVersion.bind(scriptController));
+router.post('/:id/versions/:version/restore', canEdit, scriptController.restoreVersion.bind(scriptController));
+
+// Production revisions (locked pagination, colored revision sets)
+router.post('/:id/lock', canAdmin, scriptController.lockScript.bind(scriptController));
+router.post('/:id/unlock', canAdmin, scriptController.unlockScript.bind(scriptController));
+router.get('/:id/revisions', canView, scriptController.listRevisions.bind(scriptController));
+router.post('/:id/revisions', canAdmin, scriptController.issueRevision.bind(scriptController));
+router.get('/:id/revisions/:revisionId/pages', canView, scriptController.getRevisionPages.bind(scriptController));
+
+// Read-only share links and their access logs
+router.get('/:id/share-links', canAdmin, scriptController.listShareLinks.bind(scriptController));
+router.post('/:id/share-links', canAdmin, scriptController.createShareLink.bind(scriptController));
+router.patch('/:id/share-links/:linkId', canAdmin, scriptController.updateShareLink.bind(scriptController));
+router.delete('/:id/share-links/:linkId', canAdmin, scriptController.revokeShareLink.bind(scriptController));
+router.get('/:id/share-links/:linkId/access', canAdmin, scriptController.getShareAccessLog.bind(scriptController));
 
 // Re-analyze script (after editing)
-router.post('/:id/reanalyze', scriptController.reanalyzeScript.bind(scriptController));
+router.post('/:id/reanalyze', canEdit, scriptController.reanalyzeScript.bind(scriptController));
 // In script.routes.js
-router.put('/:id/pages/:pageNumber/text', scriptController.updatePageText.bind(scriptController));
+router.put('/:id/pages/:pageNumber/text', canEdit, scriptController.updatePageText.bind(scriptController));
 
 module.exports = router;
@@ -1,32 +1,51 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { NotFoundError, BadRequestError } = require('../../shared/utils/errors');
+const { SCREEN_TIME } = require('../../shared/constants');
 const fs = require('fs');
 const fsPromises = require('fs').promises; 
 const path = require('path');
 
-// Parsers
-const pageParser = require('./parsers/page.parser');
-const pdfParser = require('./parsers/pdf.parser');
-const fountainParser = require('./parsers/fountain.parser');
-const fdxParser = require('./parsers/fdx.parser');
+// Parsers (registry picks PDF / FDX / Fountain / TXT by extension and content)
+const parserRegistry = require('./parsers');
+const advancedParser = require('./parsers/advanced.parser');
+const scriptVersionService = require('./script-version.service');
+const scriptRevisionService = require('./script-revision.service');
+const scriptAnalysisService = require('./script-analysis.service');
+const scriptTimingService = require('./script-timing.service');
+const breakdownService = require('../scenes/breakdown.service');
+const locationLinkService = require('../locations/location-link.service');
+const permissionService = require('../collaboration/permission.service');
+const commentAnchorService = require('../comments/comment-anchor.service');
+
+// Script fields an update may change; ownership, locking and what upload,
+// parsing and analysis write go through their own flows
+const DETAIL_FIELDS = ['title', 'description', 'metadata', 'titlePage'];
+// Sent back by clients with the rest of the script, and ignored: versions
+// come from snapshots, isPublic follows the share links
+const DERIVED_FIELDS = ['version', 'isPublic'];
 
 class ScriptService {
   /**
-   * Get all scripts for a user
+   * Get all scripts for a user: owned and shared with them
    */
   async getUserScripts(userId, filters = {}) {
     const { search, fileType, isPublic } = filters;
 
     const where = {
-      ownerId: userId,
+      OR: [
+        { ownerId: userId },
+        { collaborators: { some: { userId } } },
+      ],
     };
 
     if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } },
-      ];
+      where.AND = [{
+        OR: [
+          { title: { contains: search, mode: 'insensitive' } },
+          { description: { contains: search, mode: 'insensitive' } },
+        ],
+      }];
     }
 
     if (fileType) {
@@ -137,43 +156,52 @@ class ScriptService {
     try {
       console.log(`📄 Processing script: ${file.originalname}`);
       
-      const parser = require('./parsers/advanced.parser');
-      const parsed = await parser.parse(tempPath);
-      
-      // Determine file type
-      const ext = path.extname(file.originalname).toLowerCase();
-      let fileType = 'PDF';
-      if (ext === '.fountain') fileType = 'FOUNTAIN';
-      else if (ext === '.fdx') fileType = 'FDX';
-      else if (ext === '.txt') fileType = 'TXT';
+      const parsed = await parserRegistry.parse(tempPath, file.originalname);
+      const fileType = parsed.fileType;
       
       // Create script
       const script = await prisma.script.create({
         data: {
           ownerId: userId,
-          title: metadata.title || path.parse(file.originalname).name,
+          title: metadata.title || this.parsedTitle(parsed) || path.parse(file.originalname).name,
           originalFilename: file.originalname,
           storedFilename: file.filename,
           fileType: fileType,
           fileSize: file.size,
           filePath: tempPath,
           metadata: parsed.metadata || {},
+          parsedContent: parsed.document || undefined,
+          titlePage: parsed.titlePage.length > 0 ? parsed.titlePage : undefined,
         },
       });
       
       console.log(`✅ Script created: ${script.id}`);
+
+      // Revision sets from Final Draft become ScriptRevision rows
+      const revisionIds = await scriptRevisionService.importRevisionSets(
+        script.id,
+        userId,
+        parsed.document?.revisions
+      );
       
       // Save text pages
       if (parsed.textPages && parsed.textPages.length > 0) {
         await prisma.scriptPage.createMany({
-          data: parsed.textPages.map((page) => ({
-            scriptId: script.id,
-            pageNumber: page.pageNumber,
-            rawText: page.rawText,
-            lineCount: page.lineCount,
-            formatted: [],
-            isReviewed: false,
-          })),
+          data: parsed.textPages.map((page) => {
+            const { lines, revisionId } = scriptRevisionService.remapRevisionLines(
+              page.formattedLines || [],
+              revisionIds
+            );
+            return {
+              scriptId: script.id,
+              pageNumber: page.pageNumber,
+              rawText: page.rawText,
+              lineCount: page.lineCount,
+              formatted: lines,
+              isReviewed: false,
+              revisionId,
+            };
+          }),
         });
         console.log(`✅ Saved ${parsed.textPages.length} text pages`);
       }
@@ -184,7 +212,9 @@ class ScriptService {
           data: parsed.scenes.map((scene, index) => ({
             scriptId: script.id,
             sceneNumber: scene.sceneNumber || index + 1,
+            sceneLabel: scene.sceneLabel || null,
             page: scene.pageNumber || 1,
+            pageLabel: scene.pageLabel || null,
             heading: scene.heading || `Scene ${index + 1}`,
             location: scene.location || 'Unknown',
             intExt: scene.intExt || 'INT',
@@ -192,15 +222,29 @@ class ScriptService {
             summary: scene.summary || '',
             sceneText: scene.text || '',
             actors: scene.actors || [],
+            dialogue: scene.dialogue || [],
             props: scene.props || [],
+            notes: scene.notes || null,
+            lengthEighths: scene.lengthEighths ?? null,
+            color: scene.color || null,
             order: index,
           })),
         });
         console.log(`✅ Saved ${parsed.scenes.length} scenes`);
+
+        // One Location record per place, however the headings spell it
+        await locationLinkService.linkScenes(prisma, script.id);
       }
       
       // Save characters - ✅ FIXED: Use prisma.character
       if (parsed.characters && parsed.characters.length > 0) {
+        // Parsers list scenes by index; store the Scene ids
+        const sceneRows = await prisma.scene.findMany({
+          where: { scriptId: script.id },
+          orderBy: { sceneNumber: 'asc' },
+          select: { id: true },
+        });
+
         await prisma.character.createMany({
           data: parsed.characters.map((char) => ({
             scriptId: script.id,
@@ -208,11 +252,28 @@ class ScriptService {
             lines: char.lines || 0,
             scenes: char.scenes || 0,
             dialogue: char.dialogue || [],
-            sceneIds: char.sceneIds || [],
+            sceneIds: (char.sceneIds || []).map(index => sceneRows[Number(index)]?.id).filter(Boolean),
+            metadata: char.metadata || undefined,
           })),
         });
         console.log(`✅ Saved ${parsed.characters.length} characters`);
       }
+
+      const suggested = await breakdownService.suggestFromParser(prisma, script.id);
+      console.log(`✅ Suggested ${suggested} breakdown elements`);
+
+      await scriptTimingService.updateScenes(prisma, script.id);
+
+      await prisma.script.update({
+        where: { id: script.id },
+        data: { analyzedAt: new Date() },
+      });
+
+      await scriptVersionService.createVersion(script.id, userId, {
+        message: `Uploaded ${file.originalname}`,
+        source: 'upload',
+        increment: false,
+      });
       
       return script;
       
@@ -223,29 +284,96 @@ class ScriptService {
     }
   }
 
+  /**
+   * Title read from the script itself (title page), if any
+   */
+  parsedTitle(parsed) {
+    const title = parsed.metadata?.title;
+    return title && title !== 'Untitled' ? title : null;
+  }
+
   /**
    * Update page text
    */
-  async updatePageText(scriptId, pageNumber, newText, userId) {
-    await this.getScriptById(scriptId, userId);
-    
-    const page = await prisma.scriptPage.update({
+  async updatePageText(scriptId, pageNumber, newText, userId, message = null) {
+    const script = await this.getScriptById(scriptId, userId);
+
+    const existing = await prisma.scriptPage.findUnique({
       where: {
         scriptId_pageNumber: {
           scriptId,
           pageNumber,
         },
       },
-      data: {
-        rawText: newText,
-        updatedAt: new Date(),
-      },
+    });
+
+    if (!existing) {
+      throw new NotFoundError('Page not found');
+    }
+    
+    // Locked pagination: revision marks, A/B pages and OMITTED scenes
+    const page = script.isLocked
+      ? await scriptRevisionService.applyLockedEdit(
+        scriptId,
+        pageNumber,
+        this.reformatPage(existing.formatted, newText)
+      )
+      : await prisma.scriptPage.update({
+        where: {
+          scriptId_pageNumber: {
+            scriptId,
+            pageNumber,
+          },
+        },
+        data: {
+          rawText: newText,
+          formatted: this.reformatPage(existing.formatted, newText),
+          updatedAt: new Date(),
+        },
+      });
+
+    await this.discardSourceDocument(script);
+    await commentAnchorService.reanchor(scriptId, new Map([[pageNumber, existing.rawText]]));
+    await scriptVersionService.createVersion(scriptId, userId, {
+      message: message || `Edited page ${pageNumber}`,
+      source: 'page_edit',
     });
     
     console.log(`✅ Updated page ${pageNumber} text`);
     return page;
   }
 
+  /**
+   * Formatted lines for edited page text. Unchanged lines keep their
+   * stored entry (scene number labels, dual columns, revision marks);
+   * changed lines are classified again by the advanced parser.
+   */
+  reformatPage(previous, rawText) {
+    const unchanged = new Map();
+    (Array.isArray(previous) ? previous : []).forEach(line => {
+      if (!line?.original) return;
+      if (!unchanged.has(line.original)) unchanged.set(line.original, []);
+      unchanged.get(line.original).push(line);
+    });
+
+    return advancedParser.formatPageLines(rawText).map(line => (
+      unchanged.get(line.original)?.shift() || line
+    ));
+  }
+
+  /**
+   * A stored Fountain document no longer matches edited pages; FDX extras
+   * (title page, revision sets, SmartType) stay valid and are kept
+   */
+  async discardSourceDocument(script) {
+    if (script.parsedContent?.format !== 'fountain') return;
+
+    await prisma.script.update({
+      where: { id: script.id },
+      data: { parsedContent: Prisma.DbNull },
+    });
+  }
+
   /**
    * Get script pages
    */
@@ -278,21 +406,52 @@ async getScriptPages(scriptId, userId) {
   /**
    * Update single page
    */
-  async updateScriptPage(scriptId, pageNumber, userId, formatted) {
-    await this.getScriptById(scriptId, userId);
-    
-    const updated = await prisma.scriptPage.update({
+  async updateScriptPage(scriptId, pageNumber, userId, formatted, message = null) {
+    const script = await this.getScriptById(scriptId, userId);
+
+    if (!Array.isArray(formatted)) {
+      throw new BadRequestError('formatted must be an array of lines');
+    }
+
+    const existing = await prisma.scriptPage.findUnique({
       where: {
         scriptId_pageNumber: {
           scriptId,
           pageNumber,
         },
       },
-      data: {
-        formatted,
-        isReviewed: true,
-        updatedAt: new Date(),
-      },
+      select: { rawText: true },
+    });
+
+    if (!existing) {
+      throw new NotFoundError('Page not found');
+    }
+    
+    // rawText follows the lines; locked pagination can also move lines onto
+    // A/B pages and renumber the pages after them
+    const updated = script.isLocked
+      ? await scriptRevisionService.applyLockedEdit(scriptId, pageNumber, formatted, { isReviewed: true })
+      : await prisma.scriptPage.update({
+        where: {
+          scriptId_pageNumber: {
+            scriptId,
+            pageNumber,
+          },
+        },
+        data: {
+          rawText: scriptRevisionService.linesText(formatted),
+          lineCount: formatted.length,
+          formatted,
+          isReviewed: true,
+          updatedAt: new Date(),
+        },
+      });
+
+    await this.discardSourceDocument(script);
+    await commentAnchorService.reanchor(scriptId, new Map([[pageNumber, existing.rawText]]));
+    await scriptVersionService.createVersion(scriptId, userId, {
+      message: message || `Edited page ${pageNumber}`,
+      source: 'page_edit',
     });
     
     return updated;
@@ -301,43 +460,59 @@ async getScriptPages(scriptId, userId) {
   /**
    * Update script
    */
-  async updateScript(scriptId, userId, updateData) {
-    const script = await prisma.script.findFirst({
-      where: {
-        id: scriptId,
-        ownerId: userId,
-      },
+  async updateScript(scriptId, userId, updateData, message = null) {
+    await permissionService.requireRole(scriptId, userId, 'ADMIN');
+
+    const data = this.parseScriptDetails(updateData);
+    await prisma.script.update({
+      where: { id: scriptId },
+      data,
     });
 
-    if (!script) {
-      throw new NotFoundError('Script not found or you do not have permission');
+    // Versions only move forward through snapshots
+    await scriptVersionService.createVersion(scriptId, userId, {
+      message: message || 'Updated script details',
+      source: 'update',
+    });
+
+    return prisma.script.findUnique({ where: { id: scriptId } });
+  }
+
+  /**
+   * Detail fields of a script update; any other field is refused
+   */
+  parseScriptDetails(updateData = {}) {
+    const refused = Object.keys(updateData)
+      .filter(field => !DETAIL_FIELDS.includes(field) && !DERIVED_FIELDS.includes(field));
+    if (refused.length > 0) {
+      throw new BadRequestError(`${refused.join(', ')} cannot be changed`);
     }
 
-    const updated = await prisma.script.update({
-      where: { id: scriptId },
-      data: {
-        ...updateData,
-        version: { increment: 1 },
-      },
+    const data = {};
+    if (updateData.title !== undefined) {
+      const title = typeof updateData.title === 'string' ? updateData.title.trim() : '';
+      if (!title) {
+        throw new BadRequestError('title must not be empty');
+      }
+      data.title = title;
+    }
+    if (updateData.description !== undefined) {
+      data.description = updateData.description ? String(updateData.description).trim() : null;
+    }
+    ['metadata', 'titlePage'].forEach(field => {
+      if (updateData[field] === undefined) return;
+      data[field] = updateData[field] === null ? Prisma.DbNull : updateData[field];
     });
 
-    return updated;
+    return data;
   }
 
   /**
    * Delete script
    */
   async deleteScript(scriptId, userId) {
-    const script = await prisma.script.findFirst({
-      where: {
-        id: scriptId,
-        ownerId: userId,
-      },
-    });
-
-    if (!script) {
-      throw new NotFoundError('Script not found or you do not have permission');
-    }
+    await permissionService.requireRole(scriptId, userId, 'OWNER');
+    const script = await prisma.script.findUnique({ where: { id: scriptId } });
 
     try {
       await fsPromises.unlink(script.filePath);
@@ -354,93 +529,126 @@ async getScriptPages(scriptId, userId) {
 
   /**
    * ✅ COMPLETE FIXED: Re-analyze script from edited pages
+   * Returns the added / removed / modified scenes and characters
    */
-  async reanalyzeScript(scriptId, userId) {
+  async reanalyzeScript(scriptId, userId, options = {}) {
     const script = await this.getScriptById(scriptId, userId);
     
     console.log(`🔄 Re-analyzing script: ${scriptId}`);
     
-    const pages = await prisma.scriptPage.findMany({
-      where: { scriptId },
-      orderBy: { pageNumber: 'asc' },
-    });
-    
-    if (pages.length === 0) {
-      throw new BadRequestError('No pages to analyze');
-    }
-    
-    const parser = require('./parsers/document.parser');
+    // Only scenes on pages edited since the last analysis are parsed again
+    const result = await scriptAnalysisService.reanalyze(script, { full: options.full === true });
+    const { scenes, characters } = result.changes;
+    const changed = scenes.added.length + scenes.removed.length + scenes.modified.length + scenes.renumbered +
+      characters.added.length + characters.removed.length + characters.modified.length > 0;
     
-    // Re-analyze from text pages
-    const pagesForParsing = pages.map(p => ({ 
-      pageNumber: p.pageNumber, 
-      rawText: p.rawText, 
-      lineCount: p.lineCount 
-    }));
-    
-    const scenes = parser.analyzeScenes(pagesForParsing);
-    const characters = parser.extractCharacters(scenes);
-    const metadata = parser.generateMetadata(pagesForParsing, scenes, characters);
-    
-    console.log(`✅ Re-analyzed: ${scenes.length} scenes, ${characters.length} characters`);
-    
-    // Delete old data - ✅ FIXED: Use prisma.character
-    await prisma.$transaction([
-      prisma.scene.deleteMany({ where: { scriptId } }),
-      prisma.character.deleteMany({ where: { scriptId } }),
-    ]);
-    
-    // Create new scenes
-    if (scenes.length > 0) {
-      await prisma.scene.createMany({
-        data: scenes.map((scene, index) => ({
-          scriptId: script.id,
-          sceneNumber: scene.sceneNumber || index + 1,
-          page: scene.pageNumber || 1,
-          heading: scene.heading || `Scene ${index + 1}`,
-          location: scene.location || 'Unknown',
-          intExt: scene.intExt || 'INT',
-          timeOfDay: scene.timeOfDay || 'DAY',
-          summary: scene.summary || '',
-          sceneText: scene.text || '',
-          actors: scene.actors || [],
-          props: scene.props || [],
-          order: index,
-        })),
-      });
-    }
-    
-    // Create new characters - ✅ FIXED: Use prisma.character
-    if (characters.length > 0) {
-      await prisma.character.createMany({
-        data: characters.map((char) => ({
-          scriptId: script.id,
-          name: char.name,
-          lines: char.lines || 0,
-          scenes: char.scenes || 0,
-          dialogue: char.dialogue || [],
-          sceneIds: char.sceneIds || [],
-        })),
-      });
-    }
-    
-    // Update metadata
-    await prisma.script.update({
-      where: { id: scriptId },
-      data: {
-        metadata: metadata,
-        updatedAt: new Date(),
-      },
-    });
+    const version = changed
+      ? await scriptVersionService.createVersion(scriptId, userId, {
+        message: 'Reanalyzed script',
+        source: 'reanalysis',
+      })
+      : null;
     
     return {
       success: true,
-      scenes: scenes.length,
-      characters: characters.length,
-      metadata,
+      scenes: result.scenes,
+      characters: result.characters,
+      version: version ? version.version : script.version,
+      metadata: result.metadata,
+      changes: result.changes,
     };
   }
 
+  /**
+   * Script the user administers (production settings need ADMIN)
+   */
+  async getAdminScript(scriptId, userId) {
+    await permissionService.requireRole(scriptId, userId, 'ADMIN');
+    return prisma.script.findUnique({ where: { id: scriptId } });
+  }
+
+  /**
+   * Lock pagination for production revisions
+   */
+  async lockScript(scriptId, userId) {
+    await this.getAdminScript(scriptId, userId);
+    return scriptRevisionService.lockScript(scriptId, userId);
+  }
+
+  /**
+   * Unlock pagination
+   */
+  async unlockScript(scriptId, userId) {
+    const script = await this.getAdminScript(scriptId, userId);
+
+    if (!script.isLocked) {
+      throw new BadRequestError('Script pagination is not locked');
+    }
+
+    return scriptRevisionService.unlockScript(scriptId);
+  }
+
+  /**
+   * Revision sets of a script
+   */
+  async getRevisions(scriptId, userId) {
+    await this.getScriptById(scriptId, userId);
+    return scriptRevisionService.listRevisions(scriptId);
+  }
+
+  /**
+   * Issue the next revision set (Blue, Pink, Yellow...)
+   */
+  async issueRevision(scriptId, userId, data) {
+    const script = await this.getAdminScript(scriptId, userId);
+
+    if (!script.isLocked) {
+      throw new BadRequestError('Lock the script pagination before issuing revisions');
+    }
+
+    return scriptRevisionService.issueRevision(scriptId, userId, data);
+  }
+
+  /**
+   * Pages changed in a revision set
+   */
+  async getRevisionPages(scriptId, revisionId, userId) {
+    await this.getScriptById(scriptId, userId);
+    return scriptRevisionService.getRevisionPages(scriptId, revisionId);
+  }
+
+  /**
+   * Version history
+   */
+  async getVersions(scriptId, userId) {
+    await this.getScriptById(scriptId, userId);
+    return scriptVersionService.listVersions(scriptId);
+  }
+
+  /**
+   * Single version with its snapshot
+   */
+  async getVersion(scriptId, version, userId) {
+    await this.getScriptById(scriptId, userId);
+    return scriptVersionService.getVersion(scriptId, version);
+  }
+
+  /**
+   * Line-level diff between two versions
+   */
+  async diffVersions(scriptId, fromVersion, toVersion, userId) {
+    await this.getScriptById(scriptId, userId);
+    return scriptVersionService.diffVersions(scriptId, fromVersion, toVersion);
+  }
+
+  /**
+   * Restore an old version as a new version
+   */
+  async restoreVersion(scriptId, version, userId) {
+    await this.getScriptById(scriptId, userId);
+    return scriptVersionService.restoreVersion(scriptId, version, userId);
+  }
+
   /**
    * Get script statistics
    */
@@ -465,8 +673,16 @@ async getScriptPages(scriptId, userId) {
     const totalCharacters = characters.length;
     const totalDialogue = characters.reduce((sum, c) => sum + c.lines, 0);
 
-    const estimatedBudget = this.calculateBudget(scenes, characters);
-    const estimatedDays = Math.ceil(totalScenes / 3);
+    // Scenes count by their linked location, not the heading's spelling
+    const sites = await locationLinkService.loadSites(scriptId);
+
+    // Page eighths and screen time measured on the current page layout
+    const timing = await scriptTimingService.getTiming(scriptId);
+
+    // Required here: the budget module depends on this service
+    const budgetService = require('../budget/budget.service');
+    const estimatedBudget = await budgetService.getEstimatedTotal(scriptId);
+    const estimatedDays = Math.max(1, Math.ceil(timing.totalEighths / (8 * SCREEN_TIME.PAGES_PER_SHOOTING_DAY)));
 
     return {
       totalScenes,
@@ -478,28 +694,20 @@ async getScriptPages(scriptId, userId) {
       totalDialogue,
       estimatedBudget,
       estimatedDays,
-      locations: [...new Set(scenes.map(s => s.location).filter(Boolean))],
+      pageLength: scriptTimingService.formatEighths(timing.totalEighths),
+      totalEighths: timing.totalEighths,
+      estimatedRuntime: timing.runtime,
+      estimatedRuntimeMinutes: Math.round(timing.runtime / 60),
+      sceneTiming: timing.scenes.map(scene => ({
+        ...scene,
+        pageLength: scriptTimingService.formatEighths(scene.lengthEighths),
+      })),
+      characterScreenTime: timing.characters,
+      locations: [...new Set(scenes.map(s => sites.get(s.locationId)?.fullName || s.location).filter(Boolean))],
       props: [...new Set(scenes.flatMap(s => s.props || []))],
     };
   }
 
-  /**
-   * Calculate estimated budget
-   */
-  calculateBudget(scenes, characters) {
-    let budget = 0;
-    budget += 50000;
-    budget += scenes.length * 5000;
-    budget += characters.length * 10000;
-
-    const extScenes = scenes.filter(s => s.intExt === 'EXT').length;
-    budget += extScenes * 3000;
-
-    const nightScenes = scenes.filter(s => s.timeOfDay?.includes('NIGHT')).length;
-    budget += nightScenes * 2000;
-
-    return Math.round(budget);
-  }
 }
 
 module.exports = new ScriptService();
@@ -0,0 +1,77 @@
+const storyboardsService = require('./storyboards.service');
+
+class StoryboardsController {
+  /**
+   * Board a scene; frames are generated in the background
+   * POST /api/storyboards/scene/:sceneId
+   * Body: { style?, fromShotList? }
+   */
+  async createStoryboard(req, res, next) {
+    try {
+      const storyboard = await storyboardsService.createStoryboard(req.params.sceneId, req.user.id, req.body || {});
+
+      res.status(202).json({
+        success: true,
+        message: 'Storyboard generation started',
+        data: storyboard,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the storyboards of a scene
+   * GET /api/storyboards/scene/:sceneId
+   */
+  async getStoryboards(req, res, next) {
+    try {
+      const storyboards = await storyboardsService.getStoryboards(req.params.sceneId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Storyboards retrieved successfully',
+        data: storyboards,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a storyboard with its frames
+   * GET /api/storyboards/:id
+   */
+  async getStoryboard(req, res, next) {
+    try {
+      const storyboard = await storyboardsService.getStoryboard(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Storyboard retrieved successfully',
+        data: storyboard,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a storyboard
+   * DELETE /api/storyboards/:id
+   */
+  async deleteStoryboard(req, res, next) {
+    try {
+      const result = await storyboardsService.deleteStoryboard(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new StoryboardsController();
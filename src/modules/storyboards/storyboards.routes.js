@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const storyboardsController = require('./storyboards.controller');
+const { authenticateJWT } = require('../../shared/middleware/auth.middleware');
+const { requireScriptRole, fromRecord } = require('../../shared/middleware/permission.middleware');
+
+// Roles each route needs on the script of the scene or storyboard
+const canViewScene = requireScriptRole('VIEWER', fromRecord('scene', 'sceneId'));
+const canEditScene = requireScriptRole('EDITOR', fromRecord('scene', 'sceneId'));
+const canView = requireScriptRole('VIEWER', fromRecord('storyboard', 'id'));
+const canEdit = requireScriptRole('EDITOR', fromRecord('storyboard', 'id'));
+
+// All routes require authentication
+router.use(authenticateJWT);
+
+// Storyboards of a scene; board it from its shot list
+router.get('/scene/:sceneId', canViewScene, storyboardsController.getStoryboards.bind(storyboardsController));
+router.post('/scene/:sceneId', canEditScene, storyboardsController.createStoryboard.bind(storyboardsController));
+
+// Get / delete a storyboard
+router.get('/:id', canView, storyboardsController.getStoryboard.bind(storyboardsController));
+router.delete('/:id', canEdit, storyboardsController.deleteStoryboard.bind(storyboardsController));
+
+module.exports = router;
@@ -0,0 +1,315 @@
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError } = require('../../shared/utils/errors');
+const scriptService = require('../scripts/script.service');
+const scenesService = require('../scenes/scenes.service');
+const mediaAIService = require('../../services/mediaAIService');
+const geminiService = require('../../services/gemini.service');
+const characterLookService = require('../characters/character-look.service');
+
+const DEFAULT_STYLE = 'Black and white pencil storyboard sketch, loose confident linework, soft grey shading, cinematic framing, no text or captions';
+const MAX_FRAMES = 24;
+
+const SIZE_NAMES = {
+  WS: 'Wide shot',
+  MS: 'Medium shot',
+  CU: 'Close-up',
+  ECU: 'Extreme close-up',
+};
+
+// Every frame is drawn with the same settings. The prompts already carry
+// the scene and character looks, so generateImage does not rewrite them.
+// AIModel has no Freepik Mystic value; CUSTOM maps to Mystic's default.
+const FRAME_CONFIG = {
+  type: 'STORYBOARD',
+  model: 'CUSTOM',
+  aspectRatio: 'RATIO_16_9',
+  enhancePrompt: false,
+};
+
+const FRAME_INCLUDE = {
+  shot: { select: { id: true, number: true } },
+  generation: {
+    select: {
+      id: true,
+      status: true,
+      errorMessage: true,
+      assets: {
+        select: { id: true, url: true, thumbnailUrl: true, filePath: true, mimeType: true },
+        take: 1,
+      },
+    },
+  },
+};
+
+/**
+ * Storyboards: a scene drawn as an ordered series of frames, one per shot
+ * of its shot list (or of a coverage draft from Gemini when it has none).
+ * The scene's look and the look of each character in it (their look
+ * profile, or a description made once for the storyboard) are written
+ * into every frame's prompt, with one shared style, so the frames read as
+ * one sequence. Frames are generated one after another
+ * in the background with mediaAIService.generateImage and saved as
+ * STORYBOARD assets of the scene.
+ */
+class StoryboardsService {
+  /**
+   * Board a scene. Frames come from the shot list when the scene has one
+   * (fromShotList: false drafts fresh coverage instead); at most
+   * MAX_FRAMES frames are drawn.
+   * @param {object} [options] - style, fromShotList
+   */
+  async createStoryboard(sceneId, userId, options = {}) {
+    const scene = await scenesService.findScene(sceneId, userId);
+    const style = options.style ? String(options.style).trim() : DEFAULT_STYLE;
+
+    const [shots, characters] = await Promise.all([
+      prisma.shot.findMany({
+        where: { sceneId },
+        orderBy: { position: 'asc' },
+      }),
+      prisma.character.findMany({
+        where: { scriptId: scene.scriptId },
+        select: { id: true, name: true, description: true, aliases: true, sceneIds: true },
+      }),
+    ]);
+
+    if (options.fromShotList === true && shots.length === 0) {
+      throw new BadRequestError('This scene has no shot list yet');
+    }
+
+    const fromShotList = options.fromShotList !== false && shots.length > 0;
+    const beats = fromShotList
+      ? shots.map(shot => ({ ...shot, shotId: shot.id }))
+      : await this.draftBeats(scene, characters);
+
+    if (beats.length === 0) {
+      throw new BadRequestError('The scene could not be broken into frames; add a shot list first');
+    }
+    if (beats.length > MAX_FRAMES) {
+      console.warn(`⚠️ Scene ${scene.sceneNumber} has ${beats.length} shots; boarding the first ${MAX_FRAMES}`);
+    }
+    const frames = beats.slice(0, MAX_FRAMES);
+
+    // Looks shared by every frame
+    const [context, summary] = await Promise.all([
+      mediaAIService.getSceneContext(sceneId),
+      mediaAIService.getScriptSummary(scene.scriptId),
+    ]);
+    const sceneLook = await geminiService.generateSceneVisualDescription(context || scene, summary);
+
+    // Characters without a look profile are described for this storyboard
+    const cast = characters.filter(character => frames.some(frame => frame.characterIds.includes(character.id)));
+    const profiles = await characterLookService.findLooks(scene.scriptId, { characterIds: cast.map(character => character.id) });
+
+    const characterLooks = [];
+    for (const character of cast) {
+      const profile = profiles.find(look => look.characterId === character.id);
+      characterLooks.push({
+        characterId: character.id,
+        name: character.name,
+        look: profile
+          ? characterLookService.describe(profile)
+          : await geminiService.generateCharacterVisualDescription(character, summary),
+      });
+    }
+
+    const storyboard = await prisma.storyboard.create({
+      data: {
+        scriptId: scene.scriptId,
+        sceneId,
+        style,
+        sceneLook,
+        characterLooks,
+        fromShotList,
+        createdById: userId,
+        frames: {
+          create: frames.map((frame, position) => ({
+            position,
+            shotId: frame.shotId,
+            caption: this.caption(frame),
+            prompt: this.framePrompt(frame, { style, sceneLook, characterLooks }),
+          })),
+        },
+      },
+      include: { frames: { orderBy: { position: 'asc' } } },
+    });
+
+    console.log(`🎞️ Storyboard ${storyboard.id}: ${storyboard.frames.length} frames for scene ${scene.sceneNumber}`);
+
+    const characterIds = frames.map(frame => (frame.characterIds.length === 1 ? frame.characterIds[0] : null));
+    this.drawFrames(storyboard, characterIds, userId).catch(error => {
+      console.error(`❌ Storyboard ${storyboard.id} stopped:`, error.message);
+    });
+
+    return this.getStoryboard(storyboard.id, userId);
+  }
+
+  /**
+   * Start the frames' image generations in order. A frame whose generation
+   * cannot start keeps the error and the rest carry on.
+   */
+  async drawFrames(storyboard, characterIds, userId) {
+    for (const [index, frame] of storyboard.frames.entries()) {
+      try {
+        const result = await mediaAIService.generateImage(
+          storyboard.scriptId,
+          storyboard.sceneId,
+          characterIds[index],
+          frame.prompt,
+          { ...FRAME_CONFIG },
+          userId
+        );
+
+        await prisma.storyboardFrame.update({
+          where: { id: frame.id },
+          data: { generationId: result.generationId },
+        });
+      } catch (error) {
+        console.error(`❌ Storyboard frame ${frame.position + 1} failed:`, error.message);
+        await prisma.storyboardFrame.update({
+          where: { id: frame.id },
+          data: { error: error.message },
+        });
+      }
+    }
+  }
+
+  /**
+   * Shots of a Gemini coverage draft (not saved to the shot list)
+   */
+  async draftBeats(scene, characters) {
+    const inScene = characters.filter(character => (character.sceneIds || []).includes(scene.id));
+    const result = await geminiService.suggestShots(scene, inScene, Object.keys(SIZE_NAMES));
+
+    const byName = new Map();
+    characters.forEach(character => {
+      [character.name, ...(character.aliases || [])].forEach(name => byName.set(name.toUpperCase(), character.id));
+    });
+
+    return (result.shots || [])
+      .filter(shot => shot && typeof shot === 'object' && shot.description)
+      .map(shot => ({
+        shotId: null,
+        number: null,
+        size: SIZE_NAMES[String(shot.size || '').toUpperCase()] ? String(shot.size).toUpperCase() : null,
+        angle: shot.angle ? String(shot.angle).trim() : null,
+        movement: shot.movement ? String(shot.movement).trim() : null,
+        lens: shot.lens ? String(shot.lens).trim() : null,
+        description: String(shot.description).trim(),
+        characterIds: [...new Set((Array.isArray(shot.characters) ? shot.characters : [])
+          .map(name => byName.get(String(name).toUpperCase()))
+          .filter(Boolean))],
+      }));
+  }
+
+  /**
+   * "12A - Wide shot, Low angle, Dolly in: Anna crosses to the window"
+   */
+  caption(frame) {
+    const framing = this.framing(frame);
+    const text = [framing, frame.description].filter(Boolean).join(': ');
+    return frame.number ? `${frame.number} - ${text}` : text;
+  }
+
+  framing(frame) {
+    return [SIZE_NAMES[frame.size], frame.angle, frame.movement, frame.lens && `${frame.lens} lens`]
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  framePrompt(frame, { style, sceneLook, characterLooks }) {
+    const cast = characterLooks.filter(look => frame.characterIds.includes(look.characterId));
+
+    return [
+      style,
+      [this.framing(frame), frame.description].filter(Boolean).join(': '),
+      sceneLook && `Setting: ${sceneLook}`,
+      ...cast.map(look => `${look.name}: ${look.look}`),
+    ].filter(Boolean).join('. ');
+  }
+
+  /**
+   * Storyboards of a scene, newest first, with frame progress
+   */
+  async getStoryboards(sceneId, userId) {
+    await scenesService.findScene(sceneId, userId);
+
+    const storyboards = await prisma.storyboard.findMany({
+      where: { sceneId },
+      orderBy: { createdAt: 'desc' },
+      include: { frames: { orderBy: { position: 'asc' }, include: FRAME_INCLUDE } },
+    });
+
+    return storyboards.map(storyboard => this.present(storyboard));
+  }
+
+  /**
+   * Storyboard with its frames in order: caption, status and image
+   */
+  async getStoryboard(storyboardId, userId) {
+    const storyboard = await this.findStoryboard(storyboardId, userId);
+    return this.present(storyboard);
+  }
+
+  /**
+   * Delete a storyboard; its frame images stay in the asset library
+   */
+  async deleteStoryboard(storyboardId, userId) {
+    await this.findStoryboard(storyboardId, userId);
+    await prisma.storyboard.delete({ where: { id: storyboardId } });
+
+    return { message: 'Storyboard deleted successfully' };
+  }
+
+  async findStoryboard(storyboardId, userId) {
+    const storyboard = await prisma.storyboard.findUnique({
+      where: { id: storyboardId },
+      include: {
+        scene: { select: { id: true, sceneNumber: true, sceneLabel: true, heading: true } },
+        frames: { orderBy: { position: 'asc' }, include: FRAME_INCLUDE },
+      },
+    });
+
+    if (!storyboard) {
+      throw new NotFoundError('Storyboard not found');
+    }
+
+    await scriptService.getScriptById(storyboard.scriptId, userId);
+    return storyboard;
+  }
+
+  present(storyboard) {
+    const frames = storyboard.frames.map(frame => ({
+      id: frame.id,
+      position: frame.position,
+      shotId: frame.shotId,
+      shotNumber: frame.shot?.number || null,
+      caption: frame.caption,
+      prompt: frame.prompt,
+      generationId: frame.generationId,
+      status: frame.generation?.status || (frame.error ? 'FAILED' : 'PENDING'),
+      error: frame.error || frame.generation?.errorMessage || null,
+      asset: frame.generation?.assets[0] || null,
+    }));
+
+    return {
+      id: storyboard.id,
+      scriptId: storyboard.scriptId,
+      sceneId: storyboard.sceneId,
+      scene: storyboard.scene,
+      style: storyboard.style,
+      sceneLook: storyboard.sceneLook,
+      characterLooks: storyboard.characterLooks || [],
+      fromShotList: storyboard.fromShotList,
+      createdAt: storyboard.createdAt,
+      progress: {
+        completed: frames.filter(frame => frame.status === 'COMPLETED').length,
+        failed: frames.filter(frame => frame.status === 'FAILED').length,
+        total: frames.length,
+      },
+      frames,
+    };
+  }
+}
+
+module.exports = new StoryboardsService();
@@ -20,6 +20,10 @@ const scriptsRoutes = require('./modules/scripts/script.routes');
 const aiRoutes = require('./modules/ai/ai.routes'); // ✅ CORRECT PATH
 const scenesRoutes = require('./modules/scenes/scenes.routes');
 const charactersRoutes = require('./modules/characters/characters.routes');
+const scheduleRoutes = require('./modules/schedule/schedule.routes');
+const budgetRoutes = require('./modules/budget/budget.routes');
+const locationsRoutes = require('./modules/locations/locations.routes');
+const storyboardsRoutes = require('./modules/storyboards/storyboards.routes');
 const analyzerRoutes = require('./modules/analyzer/analyzer.routes');
 const collaborationRoutes = require('./modules/collaboration/collaboration.routes');
 const commentsRoutes = require('./modules/comments/comments.routes');
@@ -27,7 +31,7 @@ const tasksRoutes = require('./modules/tasks/tasks.routes');
 const exportRoutes = require('./modules/export/export.routes');
 
 // Import Socket.IO gateway
-//const { initializeSocketIO } = require('./modules/collaboration/socket.gateway');
+const { initializeSocketIO } = require('./modules/collaboration/socket.gateway');
 
 // Initialize Express
 const app = express();
@@ -40,7 +44,7 @@ const io = new Server(server, {
 });
 
 // Initialize Socket handlers
-//initializeSocketIO(io);
+initializeSocketIO(io);
 
 // Rate limiting
 const limiter = rateLimit({
@@ -75,13 +79,17 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/scripts', scriptsRoutes);
 app.use('/api/ai', aiRoutes); // ✅ CORRECT - Using imported variable
-// app.use('/api/scenes', scenesRoutes);
-// app.use('/api/characters', charactersRoutes);
+app.use('/api/scenes', scenesRoutes);
+app.use('/api/characters', charactersRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/budget', budgetRoutes);
+app.use('/api/locations', locationsRoutes);
+app.use('/api/storyboards', storyboardsRoutes);
 // app.use('/api/analyzer', analyzerRoutes);
-// app.use('/api/collaboration', collaborationRoutes);
-// app.use('/api/comments', commentsRoutes);
+app.use('/api/collaboration', collaborationRoutes);
+app.use('/api/comments', commentsRoutes);
 // app.use('/api/tasks', tasksRoutes);
-// app.use('/api/export', exportRoutes);
+app.use('/api/export', exportRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
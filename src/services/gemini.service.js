@@ -472,6 +472,93 @@ ${dialogueSamples.slice(0, 5).join('\n')}
     }
   }
 
+  /**
+   * Suggest breakdown elements for one scene
+   */
+  async suggestBreakdownElements(scene, categories) {
+    const prompt = `You are an experienced assistant director preparing a breakdown sheet for one scene.
+
+**Scene:** ${scene.heading}
+**Speaking Characters:** ${(scene.actors || []).join(', ') || 'none'}
+**Categories:** ${categories.join(', ')}
+
+**INSTRUCTIONS:**
+1. List everything production must provide for this scene: props, wardrobe, vehicles, animals, effects, extras, etc.
+2. Use ONLY the categories above
+3. "text" must be copied EXACTLY from the scene text (the words that mention the element)
+4. Skip speaking characters (they are already tagged) and things only mentioned in dialogue
+5. Each element should appear ONCE
+
+**Scene Text:**
+${scene.sceneText}
+
+**Return ONLY valid JSON (no markdown):**
+{
+  "elements": [
+    {"category": "PROPS", "name": "Revolver", "text": "a battered revolver", "quantity": 1}
+  ]
+}`;
+
+    try {
+      console.log(`🧾 Suggesting breakdown elements for: ${scene.heading}`);
+
+      const response = await this.makeApiCall(prompt);
+
+      const result = this.safeParse(response.text, { elements: [] });
+
+      console.log(`✅ Suggested ${result.elements?.length || 0} elements`);
+
+      return result;
+    } catch (error) {
+      console.error('❌ Breakdown suggestion failed:', error.message);
+      return { elements: [] };
+    }
+  }
+
+  /**
+   * Draft a shot list (camera coverage) for one scene
+   */
+  async suggestShots(scene, characters, sizes) {
+    const prompt = `You are an experienced director of photography planning coverage for one scene.
+
+**Scene:** ${scene.heading}
+**Characters:** ${characters.map(c => c.name).join(', ') || 'none'}
+**Shot Sizes:** ${sizes.join(', ')}
+
+**INSTRUCTIONS:**
+1. Break the scene into the shots needed to cover it, in shooting order: an establishing or master shot first, then coverage
+2. Use ONLY the shot sizes above
+3. "characters" must use ONLY the character names above
+4. Give angle, camera movement, lens and any special equipment (dolly, crane, steadicam...) where they matter
+5. Estimate setup time in minutes (lighting and rigging before the first take)
+6. Keep descriptions to one sentence
+
+**Scene Text:**
+${scene.sceneText}
+
+**Return ONLY valid JSON (no markdown):**
+{
+  "shots": [
+    {"size": "WS", "angle": "Eye level", "movement": "Static", "lens": "24mm", "equipment": ["Tripod"], "description": "Master of the kitchen as Anna enters", "setupMinutes": 45, "characters": ["ANNA"]}
+  ]
+}`;
+
+    try {
+      console.log(`🎥 Drafting shot list for: ${scene.heading}`);
+
+      const response = await this.makeApiCall(prompt);
+
+      const result = this.safeParse(response.text, { shots: [] });
+
+      console.log(`✅ Drafted ${result.shots?.length || 0} shots`);
+
+      return result;
+    } catch (error) {
+      console.error('❌ Shot list draft failed:', error.message);
+      return { shots: [] };
+    }
+  }
+
   /**
    * Generate comprehensive script summary with chunked processing and resume capability
    */
@@ -768,6 +855,7 @@ ${combinedData.chunkSummaries.map((summary, i) => `Chunk ${i + 1}: ${summary}`).
       contextInfo += `**Scene & Character Analysis:**\n`;
       contextInfo += `- Scene: ${scene.heading}\n`;
       contextInfo += `- Location: ${scene.location || 'Unknown'}\n`;
+      if (scene.locationDescription) contextInfo += `- Location Look: ${scene.locationDescription}\n`;
       contextInfo += `- Time: ${scene.timeOfDay || 'Unknown'}\n`;
       contextInfo += `- Setting: ${scene.intExt || 'Unknown'}\n`;
       if (scene.summary) contextInfo += `- Scene Summary: ${scene.summary}\n`;
@@ -795,6 +883,7 @@ ${combinedData.chunkSummaries.map((summary, i) => `Chunk ${i + 1}: ${summary}`).
       contextInfo += `**Scene Context:**\n`;
       contextInfo += `- Scene: ${scene.heading}\n`;
       contextInfo += `- Location: ${scene.location || 'Unknown'}\n`;
+      if (scene.locationDescription) contextInfo += `- Location Look: ${scene.locationDescription}\n`;
       contextInfo += `- Time: ${scene.timeOfDay || 'Unknown'}\n`;
       contextInfo += `- Setting: ${scene.intExt || 'Unknown'}\n`;
       if (scene.summary) contextInfo += `- Summary: ${scene.summary}\n`;
@@ -864,7 +953,7 @@ ${contextInfo}
 
 **Scene Information:**
 - Heading: ${scene.heading}
-- Location: ${scene.location || 'Unknown'}
+- Location: ${scene.location || 'Unknown'}${scene.locationDescription ? ` (${scene.locationDescription})` : ''}
 - Time: ${scene.timeOfDay || 'Unknown'}
 - Setting: ${scene.intExt || 'Unknown'}
 
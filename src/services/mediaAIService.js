@@ -5,6 +5,8 @@ const prisma = new PrismaClient();
 const fs = require('fs');
 const path = require('path');
 const geminiService = require('./gemini.service');
+const locationLinkService = require('../modules/locations/location-link.service');
+const characterLookService = require('../modules/characters/character-look.service');
 require('dotenv').config();
 
 class MediaAIService {
@@ -62,47 +64,57 @@ async generateImage(scriptId, sceneId, characterId, prompt, config, userId) {
     let enhancedPrompt = prompt;
     let contextData = null;
 
-    try {
-      console.log('🧠 Getting context-aware prompt from Gemini...');
-      
-      // Get script, scene, and character data for context
-      // Only get script summary if we don't have a valid cached one
-      const needsSummary = await this.shouldRegenerateSummary(scriptId);
-      
-      const [script, scene, character, scriptSummary] = await Promise.all([
-        this.getScriptContext(scriptId),
-        sceneId ? this.getSceneContext(sceneId) : null,
-        characterId ? this.getCharacterContext(characterId) : null,
-        needsSummary ? this.getScriptSummary(scriptId) : this.getScriptSummary(scriptId, false)
-      ]);
-
-      contextData = { script, scene, character, scriptSummary };
-
-      // Generate context-aware prompt
-      enhancedPrompt = await geminiService.generateContextAwarePrompt(
-        prompt,
-        scriptSummary,
-        scene,
-        character,
-        'image'
-      );
+    // Storyboard frames arrive with their scene and character context
+    // written in, and must not drift from the shared style
+    if (config.enhancePrompt !== false) {
+      try {
+        console.log('🧠 Getting context-aware prompt from Gemini...');
+        
+        // Get script, scene, and character data for context
+        // Only get script summary if we don't have a valid cached one
+        const needsSummary = await this.shouldRegenerateSummary(scriptId);
+        
+        const [script, scene, character, scriptSummary] = await Promise.all([
+          this.getScriptContext(scriptId),
+          sceneId ? this.getSceneContext(sceneId) : null,
+          characterId ? this.getCharacterContext(characterId) : null,
+          needsSummary ? this.getScriptSummary(scriptId) : this.getScriptSummary(scriptId, false)
+        ]);
 
-      // ✅ SAFETY CHECK: Ensure user intent is preserved
-      const userIntentPreserved = this.validateUserIntentPreserved(prompt, enhancedPrompt);
-      if (!userIntentPreserved) {
-        console.warn('⚠️ User intent may not be preserved, using original prompt');
-        enhancedPrompt = prompt;
-      }
+        contextData = { script, scene, character, scriptSummary };
 
-      console.log('✅ Context-aware prompt generated');
-      console.log('📝 Enhanced prompt:', enhancedPrompt.substring(0, 150) + '...');
-      console.log('🎯 User intent preserved:', userIntentPreserved ? '✅' : '❌');
+        // Generate context-aware prompt
+        enhancedPrompt = await geminiService.generateContextAwarePrompt(
+          prompt,
+          scriptSummary,
+          scene,
+          character,
+          'image'
+        );
+
+        // ✅ SAFETY CHECK: Ensure user intent is preserved
+        const userIntentPreserved = this.validateUserIntentPreserved(prompt, enhancedPrompt);
+        if (!userIntentPreserved) {
+          console.warn('⚠️ User intent may not be preserved, using original prompt');
+          enhancedPrompt = prompt;
+        }
+
+        console.log('✅ Context-aware prompt generated');
+        console.log('📝 Enhanced prompt:', enhancedPrompt.substring(0, 150) + '...');
+        console.log('🎯 User intent preserved:', userIntentPreserved ? '✅' : '❌');
 
-    } catch (contextError) {
-      console.warn('⚠️ Context enhancement failed, using original prompt:', contextError.message);
-      enhancedPrompt = prompt;
+      } catch (contextError) {
+        console.warn('⚠️ Context enhancement failed, using original prompt:', contextError.message);
+        enhancedPrompt = prompt;
+      }
     }
 
+    // Characters with a look profile look the same in every generation
+    const looks = await characterLookService.findLooks(scriptId, { characterId, prompt }, prisma);
+    const lookSettings = characterLookService.settings(looks);
+    const styleReference = await this.readStyleReference(lookSettings.references);
+    enhancedPrompt = characterLookService.applyLooks(enhancedPrompt, looks);
+
     // Create generation record with enhanced prompt
     generation = await prisma.aIGeneration.create({
       data: {
@@ -110,13 +122,16 @@ async generateImage(scriptId, sceneId, characterId, prompt, config, userId) {
         sceneId,
         characterId,
         createdById: userId,
-        type: 'IMAGE',
+        type: config.type === 'STORYBOARD' ? 'STORYBOARD' : 'IMAGE',
         model: config.model || 'MYSTIC_REALISM',
         prompt: enhancedPrompt, // Use enhanced prompt
+        referenceImages: styleReference ? [styleReference.url] : [],
         config: {
           ...config,
+          seed: config.seed ?? lookSettings.seed,
+          characterLooks: looks.map(look => look.characterId),
           originalPrompt: prompt, // Store original user prompt
-          contextEnhanced: true,
+          contextEnhanced: config.enhancePrompt !== false,
           contextData: contextData
         },
         status: 'PROCESSING',
@@ -138,9 +153,17 @@ async generateImage(scriptId, sceneId, characterId, prompt, config, userId) {
     if (config.negativePrompt) freepikPayload.negative_prompt = config.negativePrompt;
     if (config.creative_detailing) freepikPayload.creative_detailing = config.creative_detailing;
     if (config.engine) freepikPayload.engine = config.engine;
+    // Mystic takes no seed; a fixed generation repeats the same result for
+    // the same settings
+    if (config.seed ?? lookSettings.seed) freepikPayload.fixed_generation = true;
+    // The look's reference image keeps the character's appearance
+    if (styleReference) freepikPayload.style_reference = styleReference.base64;
 
     console.log('🚀 Sending request to Freepik Mystic API...');
-    console.log('📦 Payload:', JSON.stringify(freepikPayload, null, 2));
+    console.log('📦 Payload:', JSON.stringify({
+      ...freepikPayload,
+      style_reference: styleReference ? `<${styleReference.url}>` : undefined,
+    }, null, 2));
 
     // ✅ CALL FREEPIK API
     const response = await axios.post(
@@ -246,7 +269,7 @@ async generateImage(scriptId, sceneId, characterId, prompt, config, userId) {
             console.log(`✅ Image saved: ${filename} (${fileStats.size} bytes)`);
 
             // Update generation record
-            await prisma.aIGeneration.update({
+            const completed = await prisma.aIGeneration.update({
               where: { id: generationId },
               data: {
                 status: 'COMPLETED',
@@ -263,7 +286,7 @@ async generateImage(scriptId, sceneId, characterId, prompt, config, userId) {
             });
 
             // Create AI Asset
-            await this.createAIAsset(generationId, 'IMAGE', filename, fileStats.size);
+            await this.createAIAsset(generationId, completed.type, filename, fileStats.size);
 
             console.log(`✅ Image generation completed: ${generationId}`);
             return;
@@ -427,6 +450,11 @@ mapFreepikResolution(resolution) {
         enhancedPrompt = prompt;
       }
 
+      // Characters with a look profile look the same in every generation
+      const looks = await characterLookService.findLooks(scriptId, { characterId, prompt }, prisma);
+      const lookSettings = characterLookService.settings(looks);
+      enhancedPrompt = characterLookService.applyLooks(enhancedPrompt, looks);
+
       // Create generation record with enhanced prompt
       generation = await prisma.aIGeneration.create({
         data: {
@@ -437,8 +465,12 @@ mapFreepikResolution(resolution) {
           type: 'VIDEO',
           model: config.model || 'VEO_3_1',
           prompt: enhancedPrompt, // Use enhanced prompt
+          // Veo is not called yet, so no reference image is sent
+          referenceImages: [],
           config: {
             ...config,
+            seed: config.seed ?? lookSettings.seed,
+            characterLooks: looks.map(look => look.characterId),
             originalPrompt: prompt, // Store original user prompt
             contextEnhanced: true,
             contextData: contextData
@@ -472,6 +504,22 @@ mapFreepikResolution(resolution) {
     }
   }
 
+  /**
+   * First look reference image that can be read, base64 for Mystic's
+   * style_reference (Mystic takes one, so later ones are not sent)
+   */
+  async readStyleReference(references) {
+    for (const reference of references) {
+      try {
+        const data = await fs.promises.readFile(reference.filePath);
+        return { url: reference.url, base64: data.toString('base64') };
+      } catch (error) {
+        console.warn(`⚠️ Look reference ${reference.url} could not be read:`, error.message);
+      }
+    }
+    return null;
+  }
+
   // ==================== CONTEXT HELPER FUNCTIONS ====================
 
   /**
@@ -596,9 +644,16 @@ mapFreepikResolution(resolution) {
         }
       }
 
+      // Scenes at one Location share its name and described look (a
+      // sub-set without a description looks like its set)
+      const sites = scene.locationId ? await locationLinkService.loadSites(scene.scriptId, prisma) : new Map();
+      const site = sites.get(scene.locationId);
+
       // Add dialogue to scene object
       return {
         ...scene,
+        location: site ? site.fullName : scene.location,
+        locationDescription: site ? site.description || sites.get(site.setId).description : null,
         dialogue
       };
     } catch (error) {
@@ -620,11 +675,16 @@ mapFreepikResolution(resolution) {
               id: true,
               title: true
             }
-          }
+          },
+          look: true
         }
       });
 
-      return character;
+      // The look profile is how the character should be described
+      return character && {
+        ...character,
+        description: character.look ? characterLookService.describe(character.look) : character.description
+      };
     } catch (error) {
       console.error('❌ Failed to get character context:', error.message);
       return null;
@@ -650,22 +710,14 @@ mapFreepikResolution(resolution) {
         throw new Error('Script not found');
       }
 
-      // Check if we have a valid cached summary
-      const hasValidCache = script.metadata?.aiSummary && 
-                           script.metadata?.aiSummaryGeneratedAt &&
+      // The cache is valid for the script version it was generated from
+      const hasValidCache = script.metadata?.aiSummary &&
+                           script.metadata?.aiSummaryVersion === script.version &&
                            !forceRegenerate;
 
       if (hasValidCache) {
-        const cacheAge = Date.now() - new Date(script.metadata.aiSummaryGeneratedAt).getTime();
-        const cacheAgeHours = cacheAge / (1000 * 60 * 60);
-        
-        // Use cache if it's less than 24 hours old
-        if (cacheAgeHours < 24) {
-          console.log('📖 Using cached script summary (age:', Math.round(cacheAgeHours), 'hours)');
-          return script.metadata.aiSummary;
-        } else {
-          console.log('⏰ Cached summary is old (age:', Math.round(cacheAgeHours), 'hours), regenerating...');
-        }
+        console.log('📖 Using cached script summary (version', script.version + ')');
+        return script.metadata.aiSummary;
       }
 
       // Generate new summary using Gemini
@@ -700,7 +752,7 @@ mapFreepikResolution(resolution) {
         ...script.metadata,
         aiSummary: summary,
         aiSummaryGeneratedAt: new Date(),
-        aiSummaryVersion: script.version || 1,
+        aiSummaryVersion: script.version,
         aiSummaryScriptLength: scriptText.length,
         aiSummarySceneCount: scriptContext.scenes?.length || 0,
         aiSummaryCharacterCount: scriptContext.characters?.length || 0
@@ -758,33 +810,12 @@ mapFreepikResolution(resolution) {
       // No summary exists
       if (!script.metadata?.aiSummary) return true;
 
-      // Check if script was updated after summary generation
-      const summaryGeneratedAt = new Date(script.metadata.aiSummaryGeneratedAt);
-      const scriptUpdatedAt = new Date(script.updatedAt);
-      
-      if (scriptUpdatedAt > summaryGeneratedAt) {
-        console.log('📝 Script updated after summary generation, regeneration needed');
-        return true;
-      }
-
-      // Check if version changed
-      const summaryVersion = script.metadata.aiSummaryVersion || 1;
-      const currentVersion = script.version || 1;
-      
-      if (currentVersion > summaryVersion) {
+      // Every save creates a new version, so the version alone decides
+      if (script.metadata.aiSummaryVersion !== script.version) {
         console.log('📝 Script version changed, regeneration needed');
         return true;
       }
 
-      // Check cache age (24 hours)
-      const cacheAge = Date.now() - summaryGeneratedAt.getTime();
-      const cacheAgeHours = cacheAge / (1000 * 60 * 60);
-      
-      if (cacheAgeHours > 24) {
-        console.log('⏰ Summary cache expired, regeneration needed');
-        return true;
-      }
-
       console.log('✅ Summary is up to date');
       return false;
 
@@ -817,6 +848,14 @@ mapFreepikResolution(resolution) {
       });
 
       console.log(`✅ AI Asset created: ${asset.id}`);
+
+      // A storyboard frame drawn for a shot becomes that shot's frame
+      if (type === 'STORYBOARD') {
+        await prisma.shot.updateMany({
+          where: { storyboardFrames: { some: { generationId } } },
+          data: { storyboardAssetId: asset.id },
+        });
+      }
       return asset;
     } catch (error) {
       console.error('❌ Create asset error:', error);
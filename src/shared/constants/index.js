@@ -0,0 +1,144 @@
+/**
+ * Screenplay page geometry (US Letter, Courier 12pt = 10 chars/inch, 6 lines/inch)
+ */
+const SCREENPLAY_PAGE = {
+  LINES_PER_PAGE: 55,
+  CHARS_PER_LINE: 60,
+  CHARS_PER_INCH: 10,
+  LINES_PER_INCH: 6,
+};
+
+/**
+ * Per-element layout. `indent` and `width` are in characters from the
+ * 1.5" left margin; alignments match what the advanced parser assigns.
+ */
+const ELEMENT_LAYOUT = {
+  scene_heading: { indent: 0, width: 60, alignment: 'left' },
+  action: { indent: 0, width: 60, alignment: 'left' },
+  shot: { indent: 0, width: 60, alignment: 'left' },
+  character: { indent: 22, width: 38, alignment: 'center' },
+  parenthetical: { indent: 16, width: 25, alignment: 'center' },
+  dialogue: { indent: 10, width: 35, alignment: 'center' },
+  transition: { indent: 45, width: 15, alignment: 'right' },
+  centered: { indent: 0, width: 60, alignment: 'center' },
+  lyrics: { indent: 10, width: 35, alignment: 'center' },
+};
+
+/**
+ * Display formatting per element type (same values the advanced parser emits)
+ */
+const ELEMENT_FORMATTING = {
+  scene_heading: { bold: true, uppercase: true, underline: true, marginTop: '1.5em', marginBottom: '1em' },
+  transition: { bold: true, uppercase: true, marginTop: '1em', marginBottom: '1em' },
+  character: { bold: true, uppercase: true, marginTop: '1em', marginBottom: '0.25em' },
+  parenthetical: { italic: true, marginBottom: '0.25em' },
+  dialogue: { marginBottom: '0.5em', maxWidth: '65%' },
+  action: { marginBottom: '0.75em' },
+  shot: { bold: true, uppercase: true, marginTop: '1em', marginBottom: '1em' },
+  centered: { marginBottom: '0.75em' },
+  lyrics: { italic: true, marginBottom: '0.5em' },
+};
+
+/**
+ * Script formats the ingestion pipeline understands (mirrors the FileType enum)
+ */
+const SCRIPT_FORMATS = {
+  PDF: 'PDF',
+  FDX: 'FDX',
+  FOUNTAIN: 'FOUNTAIN',
+  TXT: 'TXT',
+};
+
+/**
+ * Production revision colors in issue order (WGA convention). Sets past the
+ * end of the list start over as "Double White", "Double Blue", ...
+ */
+const REVISION_COLORS = [
+  { name: 'White', hex: '#FFFFFF' },
+  { name: 'Blue', hex: '#A8C8EC' },
+  { name: 'Pink', hex: '#F7C4D2' },
+  { name: 'Yellow', hex: '#FFF59D' },
+  { name: 'Green', hex: '#C3E6B8' },
+  { name: 'Goldenrod', hex: '#F0C75E' },
+  { name: 'Buff', hex: '#F0DC9C' },
+  { name: 'Salmon', hex: '#F9B39B' },
+  { name: 'Cherry', hex: '#E8707E' },
+  { name: 'Tan', hex: '#D8BF9A' },
+];
+
+/**
+ * Screen-time estimate per printed line (about a minute per page) and the
+ * pace that turns page counts into shooting days
+ */
+const SCREEN_TIME = {
+  SECONDS_PER_DIALOGUE_LINE: 2,
+  SECONDS_PER_PARENTHETICAL_LINE: 1,
+  SECONDS_PER_ACTION_LINE: 1.5,
+  SECONDS_PER_SCENE: 2,
+  PAGES_PER_SHOOTING_DAY: 4,
+};
+
+/**
+ * Breakdown sheet categories (mirrors the BreakdownCategory enum) with the
+ * highlighter color each is tagged in
+ */
+const BREAKDOWN_CATEGORIES = {
+  CAST: { label: 'Cast Members', color: '#E53935' },
+  EXTRAS: { label: 'Background Actors', color: '#43A047' },
+  STUNTS: { label: 'Stunts', color: '#FB8C00' },
+  PROPS: { label: 'Props', color: '#8E24AA' },
+  WARDROBE: { label: 'Wardrobe', color: '#00ACC1' },
+  MAKEUP: { label: 'Makeup / Hair', color: '#F06292' },
+  VEHICLES: { label: 'Vehicles', color: '#EC407A' },
+  ANIMALS: { label: 'Animals', color: '#F48FB1' },
+  SFX: { label: 'Special Effects', color: '#1E88E5' },
+  VFX: { label: 'Visual Effects', color: '#3949AB' },
+  SET_DRESSING: { label: 'Set Dressing', color: '#8D6E63' },
+  SOUND: { label: 'Sound', color: '#6D4C41' },
+  SPECIAL_EQUIPMENT: { label: 'Special Equipment', color: '#546E7A' },
+};
+
+/**
+ * Stripboard colors: scene strips by INT/EXT and DAY/NIGHT, plus the
+ * black day break and the banner strip
+ */
+const STRIP_COLORS = {
+  INT_DAY: '#FFFFFF',
+  EXT_DAY: '#FFF59D',
+  INT_NIGHT: '#90CAF9',
+  EXT_NIGHT: '#A5D6A7',
+  DAY_BREAK: '#212121',
+  BANNER: '#FFCC80',
+};
+
+/**
+ * Day Out of Days codes. Cast idle for at least DROP_PICKUP_MIN_DAYS
+ * between work days is dropped and picked up again (once per show).
+ */
+const DOOD = {
+  CODES: {
+    SW: 'Start Work',
+    W: 'Work',
+    WF: 'Work Finish',
+    SWF: 'Start Work Finish',
+    H: 'Hold',
+    T: 'Travel',
+    WD: 'Work Drop',
+    SWD: 'Start Work Drop',
+    PW: 'Pickup Work',
+    PWF: 'Pickup Work Finish',
+  },
+  DROP_PICKUP_MIN_DAYS: 10,
+};
+
+module.exports = {
+  SCREENPLAY_PAGE,
+  ELEMENT_LAYOUT,
+  ELEMENT_FORMATTING,
+  SCRIPT_FORMATS,
+  REVISION_COLORS,
+  BREAKDOWN_CATEGORIES,
+  SCREEN_TIME,
+  STRIP_COLORS,
+  DOOD,
+};
@@ -1,6 +1,29 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../../config/database.config');
 
+/**
+ * Active user a JWT belongs to, or null. Throws the jsonwebtoken error
+ * for a bad or expired token.
+ */
+async function findTokenUser(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.id },
+    select: {
+      id: true,
+      email: true,
+      username: true,
+      name: true,
+      avatar: true,
+      role: true,
+      isActive: true
+    }
+  });
+
+  return user && user.isActive ? user : null;
+}
+
 /**
  * Authenticate JWT token
  */
@@ -18,24 +41,10 @@ async function authenticateJWT(req, res, next) {
 
     const token = authHeader.split(' ')[1];
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Get user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
-      select: {
-        id: true,
-        email: true,
-        username: true,
-        name: true,
-        avatar: true,
-        role: true,
-        isActive: true
-      }
-    });
+    // Verify token and get user from database
+    const user = await findTokenUser(token);
 
-    if (!user || !user.isActive) {
+    if (!user) {
       return res.status(401).json({
         success: false,
         message: 'Invalid token or user not found'
@@ -84,6 +93,7 @@ function requireRole(...roles) {
 }
 
 module.exports = {
+  findTokenUser,
   authenticateJWT,
   requireRole
 };
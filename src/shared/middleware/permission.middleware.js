@@ -0,0 +1,73 @@
+const { prisma } = require('../../config/database.config');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const permissionService = require('../../modules/collaboration/permission.service');
+
+/**
+ * Require a role on the script a request is about (after authenticateJWT).
+ * `from` finds the script id; the role found is left on req.scriptAccess.
+ * @param {string} role - VIEWER | EDITOR | ADMIN | OWNER
+ * @param {Function} from - (req) => script id, see fromParam / fromBody / fromRecord
+ */
+function requireScriptRole(role, from = fromParam('scriptId')) {
+  return async (req, res, next) => {
+    try {
+      const scriptId = await from(req);
+      req.scriptAccess = await permissionService.requireRole(scriptId, req.user.id, role);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Script id in a route parameter
+ */
+function fromParam(name) {
+  return req => req.params[name];
+}
+
+/**
+ * Script id in the request body
+ */
+function fromBody(name) {
+  return (req) => {
+    const scriptId = req.body?.[name];
+    if (!scriptId) {
+      throw new BadRequestError(`${name} is required`);
+    }
+    return scriptId;
+  };
+}
+
+/**
+ * Script of a record named by a route parameter, e.g.
+ * fromRecord('scene', 'id') or fromRecord('budgetLine', 'lineId', 'account.budget.scriptId')
+ * @param {string} model - Prisma model
+ * @param {string} param - route parameter with the record id
+ * @param {string} [path] - where the script id is on the record
+ */
+function fromRecord(model, param, path = 'scriptId') {
+  const keys = path.split('.');
+  const select = keys.reduceRight((inner, key) => ({ [key]: inner === true ? true : { select: inner } }), true);
+
+  return async (req) => {
+    const record = await prisma[model].findUnique({
+      where: { id: req.params[param] },
+      select,
+    });
+
+    const scriptId = keys.reduce((value, key) => value?.[key], record);
+    if (!scriptId) {
+      throw new NotFoundError('Resource not found');
+    }
+    return scriptId;
+  };
+}
+
+module.exports = {
+  requireScriptRole,
+  fromParam,
+  fromBody,
+  fromRecord,
+};
@@ -0,0 +1,62 @@
+/**
+ * Line-level diff (longest common subsequence).
+ * Returns only changed lines:
+ *   [{ type: 'added' | 'removed', text, oldLine?, newLine? }]
+ * Line numbers are 1-based in the old / new text respectively.
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Trim the common prefix and suffix so the table only covers the edit
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  // lcs[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && oldLines[i] === newLines[j]) {
+      i++;
+      j++;
+    } else if (i < n && (j >= m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      changes.push({ type: 'removed', text: oldLines[i], oldLine: start + i + 1 });
+      i++;
+    } else {
+      changes.push({ type: 'added', text: newLines[j], newLine: start + j + 1 });
+      j++;
+    }
+  }
+
+  return changes;
+}
+
+function splitLines(text) {
+  if (text === null || text === undefined || text === '') return [];
+  return String(text).split('\n');
+}
+
+module.exports = {
+  diffLines,
+};
@@ -0,0 +1,45 @@
+const { Worker } = require('bullmq');
+const { queueConnection } = require('../config/redis.config');
+const { EXPORT_QUEUE } = require('../modules/export/export.queue');
+const exportService = require('../modules/export/export.service');
+
+/**
+ * Renders queued exports off the request path
+ */
+const exportWorker = new Worker(
+  EXPORT_QUEUE,
+  async (job) => {
+    console.log(`📄 Export job ${job.id}: ${job.name} for script ${job.data.scriptId}`);
+
+    switch (job.name) {
+      case 'pdf':
+        return exportService.renderPdf(job.data, (progress) => job.updateProgress(progress));
+      case 'dood-pdf':
+        return exportService.renderDoodPdf(job.data);
+      case 'call-sheet-pdf':
+        return exportService.renderCallSheetPdf(job.data);
+      case 'sides-pdf':
+        return exportService.renderSidesPdf(job.data);
+      case 'shot-list-pdf':
+        return exportService.renderShotListPdf(job.data);
+      case 'storyboard-pdf':
+        return exportService.renderStoryboardPdf(job.data);
+      default:
+        throw new Error(`Unknown export job type: ${job.name}`);
+    }
+  },
+  {
+    connection: queueConnection,
+    concurrency: parseInt(process.env.EXPORT_WORKER_CONCURRENCY) || 2,
+  }
+);
+
+exportWorker.on('completed', (job) => {
+  console.log(`✅ Export job ${job.id} completed`);
+});
+
+exportWorker.on('failed', (job, error) => {
+  console.error(`❌ Export job ${job?.id} failed:`, error.message);
+});
+
+module.exports = exportWorker;
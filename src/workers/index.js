@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+const workers = [
+  require('./export.worker'),
+];
+
+console.log(`👷 Started ${workers.length} worker(s)`);
+
+// Let running jobs finish before exiting
+async function shutdown(signal) {
+  console.log(`${signal} received, closing workers...`);
+  await Promise.all(workers.map(worker => worker.close()));
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));